@@ -1,17 +1,48 @@
 /**
  * Generate halal_knowledge_flat.json from nested_ingredients.json
  * Flattens the nested structure for fast lookups while preserving inheritance chains
+ *
+ * Also stamps the knowledge base with a version and records per-entry revisions in
+ * knowledge_changelog.json. The values the next run diffs against are kept in
+ * knowledge_snapshot.json (not bundled with the app).
+ *
+ * Besides ingredient entries, every other ruling source is versioned under a prefixed ID:
+ * additives.json ("additive:e120"), HALAL_RULES.madhab rule packs ("rule_pack:horse_meat")
+ * and HALAL_RULES.alcohol ("alcohol:khamr").
  */
 
 import fs from "fs";
 import path from "path";
-import { fileURLToPath } from "url";
+import crypto from "crypto";
+import { fileURLToPath, pathToFileURL } from "url";
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
 
 const nestedPath = path.resolve(__dirname, "../src/data/nested_ingredients.json");
 const flatPath = path.resolve(__dirname, "../src/data/halal_knowledge_flat.json");
+const legacyPath = path.resolve(__dirname, "../src/data/halal_knowledge.json");
+const changelogPath = path.resolve(__dirname, "../src/data/knowledge_changelog.json");
+const snapshotPath = path.resolve(__dirname, "../src/data/knowledge_snapshot.json");
+const additivesPath = path.resolve(__dirname, "../src/data/additives.json");
+const halalRulesPath = path.resolve(__dirname, "../src/lib/halalRules.js");
+
+// Entry fields that affect rulings, substitutes or matching - a change to any of them is a new revision
+const TRACKED_FIELDS = [
+  "status",
+  "rulings",
+  "school_of_thought_variation",
+  "inheritance",
+  "alternatives",
+  "aliases",
+  "references",
+  "confidence_score_base",
+  "confidenceImpact",
+  // Additives
+  "sources",
+  "halal_status",
+  "requires_verification"
+];
 
 console.log("Reading nested_ingredients.json...");
 const nestedIngredients = JSON.parse(fs.readFileSync(nestedPath, "utf8"));
@@ -141,6 +172,8 @@ function generateFlatStructure() {
       status,
       inheritance: inheritanceChain,
       alternatives: resolved.alternatives || [],
+      // Which alternative suits which cooking context (see cookingContext.js)
+      ...(resolved.alternativeContexts ? { alternative_contexts: resolved.alternativeContexts } : {}),
       notes: resolved.notes || "",
       references: resolved.references || [],
       aliases: resolved.aliases || [],
@@ -169,3 +202,124 @@ console.log("Writing halal_knowledge_flat.json...");
 fs.writeFileSync(flatPath, JSON.stringify(flatStructure, null, 2), "utf8");
 
 console.log("✅ Successfully generated halal_knowledge_flat.json");
+
+function readJson(filePath, fallback) {
+  return fs.existsSync(filePath) ? JSON.parse(fs.readFileSync(filePath, "utf8")) : fallback;
+}
+
+/**
+ * Rulings outside the ingredient entries, as entries with a rulings field
+ * A rule pack's entry has each school's position on its category, like an ingredient's rulings.
+ */
+function getRulingSourceEntries(additives, halalRules) {
+  const entries = {};
+  for (const [id, additive] of Object.entries(additives)) {
+    entries[`additive:${id}`] = additive;
+  }
+  for (const [school, positions] of Object.entries(halalRules.madhab)) {
+    for (const [category, status] of Object.entries(positions)) {
+      const entry = entries[`rule_pack:${category}`] || { rulings: {} };
+      entry.rulings[school] = status;
+      entries[`rule_pack:${category}`] = entry;
+    }
+  }
+  for (const [category, rulings] of Object.entries(halalRules.alcohol)) {
+    entries[`alcohol:${category}`] = { rulings };
+  }
+  return entries;
+}
+
+/**
+ * Tracked values of every entry as the engine sees them (flat entries override legacy ones),
+ * and of the other ruling sources
+ */
+function buildSnapshot(legacy, flat, rulingSources) {
+  const merged = { ...legacy, ...flat, ...rulingSources };
+  const snapshot = {};
+  for (const [id, entry] of Object.entries(merged)) {
+    snapshot[id] = {};
+    for (const field of TRACKED_FIELDS) {
+      if (entry[field] !== undefined) {
+        snapshot[id][field] = entry[field];
+      }
+    }
+  }
+  return snapshot;
+}
+
+function diffEntry(before, after) {
+  return TRACKED_FIELDS
+    .filter(field => JSON.stringify(before[field]) !== JSON.stringify(after[field]))
+    .map(field => ({ field, before: before[field] ?? null, after: after[field] ?? null }));
+}
+
+/**
+ * Bump the knowledge-base version and add a revision to every entry that changed since the last run
+ */
+async function updateChangelog() {
+  const legacy = readJson(legacyPath, {});
+  const { HALAL_RULES } = await import(pathToFileURL(halalRulesPath).href);
+  const contentHash = crypto
+    .createHash("sha1")
+    .update(fs.readFileSync(legacyPath, "utf8"))
+    .update(fs.readFileSync(nestedPath, "utf8"))
+    .update(JSON.stringify(flatStructure))
+    .update(fs.readFileSync(additivesPath, "utf8"))
+    .update(JSON.stringify(HALAL_RULES))
+    .digest("hex")
+    .slice(0, 12);
+
+  const changelog = readJson(changelogPath, { version: 0, generatedAt: null, contentHash: null, entries: {} });
+  const previous = readJson(snapshotPath, {});
+  const snapshot = buildSnapshot(legacy, flatStructure, getRulingSourceEntries(readJson(additivesPath, {}), HALAL_RULES));
+
+  if (changelog.contentHash === contentHash) {
+    console.log(`Knowledge base unchanged (version ${changelog.version})`);
+    return;
+  }
+
+  const version = changelog.version + 1;
+  const date = new Date().toISOString().slice(0, 10);
+  const addRevision = (id, change, fields) => {
+    const entry = changelog.entries[id] || { revision: 0, history: [] };
+    entry.revision += 1;
+    entry.history.push({
+      revision: entry.revision,
+      knowledgeVersion: version,
+      date,
+      change,
+      ...(fields ? { fields } : {})
+    });
+    changelog.entries[id] = entry;
+  };
+
+  let changedEntries = 0;
+  for (const [id, values] of Object.entries(snapshot)) {
+    if (!previous[id]) {
+      addRevision(id, "added");
+      changedEntries++;
+    } else {
+      const fields = diffEntry(previous[id], values);
+      if (fields.length > 0) {
+        addRevision(id, "updated", fields);
+        changedEntries++;
+      }
+    }
+  }
+  for (const id of Object.keys(previous)) {
+    if (!snapshot[id]) {
+      addRevision(id, "removed");
+      changedEntries++;
+    }
+  }
+
+  changelog.version = version;
+  changelog.generatedAt = date;
+  changelog.contentHash = contentHash;
+
+  fs.writeFileSync(changelogPath, JSON.stringify(changelog, null, 2), "utf8");
+  fs.writeFileSync(snapshotPath, JSON.stringify(snapshot, null, 2), "utf8");
+  console.log(`✅ Knowledge base version ${version} (${changedEntries} entries changed)`);
+}
+
+await updateChangelog();
@@ -0,0 +1,193 @@
+/**
+ * Knowledge-base JSON schemas
+ * Formal description of every knowledge file format, checked by validateKnowledgeBase.js
+ *
+ * Written in a JSON Schema subset: type, required, properties, additionalProperties,
+ * items, enum, pattern, minimum, maximum
+ */
+
+export const STATUS_VALUES = ["halal", "haram", "conditional", "questionable", "unknown"];
+
+export const MADHAB_KEYS = ["default", "hanafi", "shafii", "maliki", "hanbali"];
+
+const idPattern = "^[a-z0-9]+(_[a-z0-9]+)*$";
+const idList = { type: "array", items: { type: "string", pattern: idPattern } };
+const stringList = { type: "array", items: { type: "string" } };
+const status = { type: "string", enum: STATUS_VALUES };
+
+const rulings = {
+  type: "object",
+  required: ["default"],
+  properties: Object.fromEntries(MADHAB_KEYS.map(key => [key, status])),
+  additionalProperties: false
+};
+
+const schoolVariation = {
+  type: "object",
+  properties: Object.fromEntries(MADHAB_KEYS.filter(key => key !== "default").map(key => [key, status])),
+  additionalProperties: false
+};
+
+/**
+ * halal_knowledge.json (hand-edited) and halal_knowledge_flat.json (generated from nested)
+ */
+export const FLAT_ENTRY_SCHEMA = {
+  type: "object",
+  required: ["status", "inheritance", "alternatives", "notes", "references", "aliases", "confidence_score_base", "eli5", "category"],
+  properties: {
+    status,
+    inheritance: idList,
+    alternatives: idList,
+    alternative_contexts: { type: "object", additionalProperties: stringList },
+    notes: { type: "string" },
+    references: stringList,
+    aliases: idList,
+    confidence_score_base: { type: "number", minimum: 0, maximum: 1 },
+    eli5: { type: "string" },
+    category: { type: "string" },
+    school_of_thought_variation: schoolVariation,
+    conversion_ratio: { type: "string" },
+    culinaryNotes: stringList,
+    flavor_role: { type: "string" },
+    cuisine: { type: "string" },
+    rulings,
+    displayName: { type: "string" },
+    inheritedHaramSource: { type: ["string", "null"] },
+    confidenceImpact: { type: "number", minimum: -100, maximum: 100 }
+  },
+  additionalProperties: false
+};
+
+/**
+ * nested_ingredients.json (source for the generated flat file)
+ */
+export const NESTED_ENTRY_SCHEMA = {
+  type: "object",
+  required: ["id", "displayName", "category", "derivedFrom", "rulings", "alternatives", "notes", "references", "aliases"],
+  properties: {
+    id: { type: "string", pattern: idPattern },
+    displayName: { type: "string" },
+    category: { type: "string" },
+    derivedFrom: idList,
+    rulings,
+    confidenceImpact: { type: "number", minimum: -100, maximum: 100 },
+    alternatives: idList,
+    alternativeContexts: { type: "object", additionalProperties: stringList },
+    notes: { type: "string" },
+    references: stringList,
+    aliases: idList
+  },
+  additionalProperties: false
+};
+
+/**
+ * src/data/halal/sources.json
+ */
+export const HKM_SOURCE_SCHEMA = {
+  type: "object",
+  required: ["type", "default_status"],
+  properties: {
+    type: { type: "string", enum: ["source"] },
+    default_status: status,
+    reason: { type: "string" }
+  },
+  additionalProperties: false
+};
+
+/**
+ * src/data/halal/ingredients.json
+ */
+export const HKM_INGREDIENT_SCHEMA = {
+  type: "object",
+  required: ["type", "default_status"],
+  properties: {
+    type: { type: "string", enum: ["ingredient"] },
+    category: { type: "string" },
+    default_status: status,
+    depends_on: idList,
+    contains: idList,
+    eli5: { type: "string" },
+    schools: {
+      type: "object",
+      additionalProperties: {
+        type: "object",
+        required: ["status"],
+        properties: { status },
+        additionalProperties: false
+      }
+    }
+  },
+  additionalProperties: false
+};
+
+/**
+ * src/data/halal/products.json
+ */
+export const HKM_PRODUCT_SCHEMA = {
+  type: "object",
+  required: ["type", "contains"],
+  properties: {
+    type: { type: "string", enum: ["product"] },
+    brand: { type: "string" },
+    contains: idList,
+    eli5: { type: "string" }
+  },
+  additionalProperties: false
+};
+
+export const ADDITIVE_SOURCES = ["plant", "animal", "insect", "microbial", "synthetic", "mineral"];
+
+/**
+ * src/data/additives.json (keyed by lowercase E-number, or a name for non-E additives)
+ * halal_status, requires_verification and the explanations are derived from sources when omitted
+ */
+export const ADDITIVE_ENTRY_SCHEMA = {
+  type: "object",
+  required: ["e_number", "name", "category", "sources"],
+  properties: {
+    e_number: { type: ["string", "null"], pattern: "^E\\d{3,4}[a-z]?(\\((i{1,3}|iv|v)\\))?$" },
+    name: { type: "string" },
+    aliases: stringList,
+    category: { type: "string" },
+    sources: {
+      type: "object",
+      properties: Object.fromEntries(ADDITIVE_SOURCES.map(source => [source, status])),
+      additionalProperties: false
+    },
+    halal_status: status,
+    requires_verification: { type: "boolean" },
+    explanation: { type: "string" },
+    simple_explanation: { type: "string" },
+    common_in: stringList
+  },
+  additionalProperties: false
+};
+
+export const DIET_VALUES = ["vegan", "vegetarian", "non_vegetarian"];
+
+export const ALLERGEN_VALUES = ["dairy", "egg", "gluten", "tree_nuts", "peanuts", "soy", "fish", "shellfish", "sesame"];
+
+/**
+ * src/data/dietary_attributes.json (keyed by ingredient id; covers every knowledge entry and alternative)
+ * diet is the strictest diet the ingredient fits as usually sold
+ */
+export const DIETARY_ATTRIBUTES_SCHEMA = {
+  type: "object",
+  required: ["diet", "allergens"],
+  properties: {
+    diet: { type: "string", enum: DIET_VALUES },
+    allergens: { type: "array", items: { type: "string", enum: ALLERGEN_VALUES } }
+  },
+  additionalProperties: false
+};
+
+/**
+ * Reference formats the app knows how to display and link
+ * - Qur'an: "Surah Al-Baqarah 2:173", "Surah An-Nahl 16:68-69", "Qur'an 5:90"
+ * - Hadith: "Sahih Bukhari 7:67:400", "Sahih Muslim 10:3893", "Sunan Abu Dawud 3807"
+ */
+export const REFERENCE_PATTERNS = [
+  /^Surah [A-Z][A-Za-z'-]+(?: [A-Z][A-Za-z'-]+)* \d{1,3}:\d{1,3}(?:-\d{1,3})?$/,
+  /^Qur'?an \d{1,3}:\d{1,3}(?:-\d{1,3})?$/,
+  /^(?:Sahih Bukhari|Sahih Muslim|Sunan Abu Dawud|Jami at-Tirmidhi|Sunan an-Nasa'i|Sunan Ibn Majah|Musnad Ahmad|Muwatta Malik) \d+(?::\d+){0,2}$/
+];
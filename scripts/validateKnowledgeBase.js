@@ -0,0 +1,349 @@
+/**
+ * Validate the knowledge-base JSON files
+ * Checks every file against its schema (knowledgeSchema.js) and the cross-references between entries:
+ * dangling alternatives / derivedFrom / inheritance ids, alias collisions, cyclic inheritance,
+ * invalid statuses, unrecognised reference formats and missing display names - and the additive
+ * database (additives.json) against its schema, with E-number keys and name/alias collisions, and that
+ * every entry and alternative has dietary attributes (dietary_attributes.json).
+ *
+ * Usage: node scripts/validateKnowledgeBase.js [--strict] [--verbose]
+ *   --strict   warnings fail the run too
+ *   --verbose  list every warning instead of the first few per check
+ *
+ * Exits 1 when there are errors (or warnings with --strict), so a bad data edit never ships.
+ */
+
+import fs from "fs";
+import path from "path";
+import { fileURLToPath } from "url";
+import {
+  FLAT_ENTRY_SCHEMA,
+  NESTED_ENTRY_SCHEMA,
+  HKM_SOURCE_SCHEMA,
+  HKM_INGREDIENT_SCHEMA,
+  HKM_PRODUCT_SCHEMA,
+  ADDITIVE_ENTRY_SCHEMA,
+  DIETARY_ATTRIBUTES_SCHEMA,
+  REFERENCE_PATTERNS
+} from "./knowledgeSchema.js";
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+const dataDir = path.resolve(__dirname, "../src/data");
+
+const FILES = {
+  legacy: "halal_knowledge.json",
+  flat: "halal_knowledge_flat.json",
+  nested: "nested_ingredients.json",
+  displayMap: "ingredient_display_map.json",
+  hkmSources: "halal/sources.json",
+  hkmIngredients: "halal/ingredients.json",
+  hkmProducts: "halal/products.json",
+  additives: "additives.json",
+  dietary: "dietary_attributes.json"
+};
+
+const WARNING_EXAMPLES = 10;
+
+// Same normalization as additiveDatabase.normalizeAdditiveName()
+function normalizeAdditiveName(name) {
+  return String(name).toLowerCase().replace(/['’]/g, "").replace(/[^a-z0-9]+/g, " ").trim();
+}
+
+function typeOf(value) {
+  if (value === null) return "null";
+  if (Array.isArray(value)) return "array";
+  if (typeof value === "number" && Number.isInteger(value)) return "integer";
+  return typeof value;
+}
+
+/**
+ * Check a value against a schema (JSON Schema subset)
+ * @returns {Array<string>} Problems, each prefixed with the JSON path
+ */
+export function checkSchema(value, schema, at = "") {
+  const problems = [];
+  const types = Array.isArray(schema.type) ? schema.type : schema.type ? [schema.type] : null;
+  const actual = typeOf(value);
+
+  if (types && !types.includes(actual) && !(actual === "integer" && types.includes("number"))) {
+    return [`${at || "value"}: expected ${types.join(" or ")}, got ${actual}`];
+  }
+  if (schema.enum && !schema.enum.includes(value)) {
+    problems.push(`${at}: "${value}" is not one of ${schema.enum.join(", ")}`);
+  }
+  if (schema.pattern && typeof value === "string" && !new RegExp(schema.pattern).test(value)) {
+    problems.push(`${at}: "${value}" does not match ${schema.pattern}`);
+  }
+  if (typeof value === "number") {
+    if (schema.minimum !== undefined && value < schema.minimum) problems.push(`${at}: ${value} is below ${schema.minimum}`);
+    if (schema.maximum !== undefined && value > schema.maximum) problems.push(`${at}: ${value} is above ${schema.maximum}`);
+  }
+  if (actual === "array" && schema.items) {
+    value.forEach((item, index) => problems.push(...checkSchema(item, schema.items, `${at}[${index}]`)));
+  }
+  if (actual === "object") {
+    (schema.required || []).forEach(key => {
+      if (!(key in value)) problems.push(`${at}: missing "${key}"`);
+    });
+    Object.entries(value).forEach(([key, child]) => {
+      const childAt = at ? `${at}.${key}` : key;
+      if (schema.properties?.[key]) {
+        problems.push(...checkSchema(child, schema.properties[key], childAt));
+      } else if (schema.additionalProperties === false) {
+        problems.push(`${childAt}: unknown field`);
+      } else if (typeof schema.additionalProperties === "object") {
+        problems.push(...checkSchema(child, schema.additionalProperties, childAt));
+      }
+    });
+  }
+  return problems;
+}
+
+/**
+ * Cycles found by following each id's parent links
+ * @param {Object} graph - id -> parent ids
+ * @returns {Array<Array<string>>} Each cycle as a path (first id repeated at the end)
+ */
+export function findCycles(graph) {
+  const cycles = [];
+  const done = new Set();
+  const visit = (id, trail) => {
+    if (trail.includes(id)) {
+      const cycle = [...trail.slice(trail.indexOf(id)), id];
+      const key = [...cycle.slice(0, -1)].sort().join(",");
+      if (!cycles.some(found => [...found.slice(0, -1)].sort().join(",") === key)) cycles.push(cycle);
+      return;
+    }
+    if (done.has(id)) return;
+    (graph[id] || []).forEach(parent => visit(parent, [...trail, id]));
+    done.add(id);
+  };
+  Object.keys(graph).forEach(id => visit(id, []));
+  return cycles;
+}
+
+/**
+ * Validate all knowledge files
+ * @param {Object} data - Parsed files keyed like FILES (legacy, flat, nested, displayMap, hkmSources, hkmIngredients, hkmProducts, additives, dietary)
+ * @returns {Object} { errors: [{ check, file, message }], warnings: [{ check, file, message }] }
+ */
+export function validateKnowledgeBase(data) {
+  const errors = [];
+  const warnings = [];
+  const error = (check, file, message) => errors.push({ check, file, message });
+  const warn = (check, file, message) => warnings.push({ check, file, message });
+
+  const legacy = data.legacy || {};
+  const flat = data.flat || {};
+  const nested = data.nested || {};
+  const displayMap = data.displayMap || {};
+  const hkmSources = data.hkmSources || {};
+  const hkmIngredients = data.hkmIngredients || {};
+  const hkmProducts = data.hkmProducts || {};
+  const additives = data.additives || {};
+  const dietary = data.dietary || {};
+  const knowledgeIds = new Set([...Object.keys(legacy), ...Object.keys(flat), ...Object.keys(nested)]);
+
+  // Schema (includes status values and field types)
+  const schemaChecks = [
+    [FILES.legacy, legacy, FLAT_ENTRY_SCHEMA],
+    [FILES.flat, flat, FLAT_ENTRY_SCHEMA],
+    [FILES.nested, nested, NESTED_ENTRY_SCHEMA],
+    [FILES.hkmSources, hkmSources, HKM_SOURCE_SCHEMA],
+    [FILES.hkmIngredients, hkmIngredients, HKM_INGREDIENT_SCHEMA],
+    [FILES.hkmProducts, hkmProducts, HKM_PRODUCT_SCHEMA],
+    [FILES.additives, additives, ADDITIVE_ENTRY_SCHEMA],
+    [FILES.dietary, dietary, DIETARY_ATTRIBUTES_SCHEMA]
+  ];
+  schemaChecks.forEach(([file, entries, schema]) => {
+    Object.entries(entries).forEach(([id, entry]) => {
+      checkSchema(entry, schema, id).forEach(problem => {
+        const check = /is not one of/.test(problem) && /status|rulings|variation|schools/.test(problem) ? "status" : "schema";
+        error(check, file, problem);
+      });
+    });
+  });
+  Object.entries(nested).forEach(([id, entry]) => {
+    if (entry?.id && entry.id !== id) error("schema", FILES.nested, `${id}: id "${entry.id}" does not match its key`);
+  });
+
+  Object.entries(additives).forEach(([key, entry]) => {
+    if (entry?.e_number && entry.e_number.toLowerCase() !== key) {
+      error("schema", FILES.additives, `${key}: e_number "${entry.e_number}" does not match its key`);
+    }
+  });
+
+  // Dangling ids
+  Object.entries(nested).forEach(([id, entry]) => {
+    (entry?.derivedFrom || []).filter(parent => !nested[parent]).forEach(parent =>
+      error("dangling-id", FILES.nested, `${id}: derivedFrom "${parent}" is not a nested entry`));
+  });
+  [[FILES.legacy, legacy], [FILES.flat, flat]].forEach(([file, entries]) => {
+    Object.entries(entries).forEach(([id, entry]) => {
+      (entry?.inheritance || []).filter(parent => !knowledgeIds.has(parent)).forEach(parent =>
+        error("dangling-id", file, `${id}: inheritance "${parent}" is not a knowledge-base entry`));
+      Object.keys(entry?.alternative_contexts || {}).filter(alt => !(entry.alternatives || []).includes(alt)).forEach(alt =>
+        error("dangling-id", file, `${id}: alternative_contexts "${alt}" is not one of its alternatives`));
+    });
+  });
+  Object.entries(hkmIngredients).forEach(([id, entry]) => {
+    (entry?.depends_on || []).filter(dep => !hkmSources[dep] && !hkmIngredients[dep]).forEach(dep =>
+      error("dangling-id", FILES.hkmIngredients, `${id}: depends_on "${dep}" is not a source or ingredient`));
+  });
+  [[FILES.hkmIngredients, hkmIngredients], [FILES.hkmProducts, hkmProducts]].forEach(([file, entries]) => {
+    Object.entries(entries).forEach(([id, entry]) => {
+      (entry?.contains || []).filter(dep => !hkmIngredients[dep] && !hkmProducts[dep]).forEach(dep =>
+        error("dangling-id", file, `${id}: contains "${dep}" is not an ingredient or product`));
+    });
+  });
+
+  // Alternatives: a substitute may not itself be haram, and needs an entry or a display name so it can be shown
+  [[FILES.legacy, legacy], [FILES.flat, flat], [FILES.nested, nested]].forEach(([file, entries]) => {
+    Object.entries(entries).forEach(([id, entry]) => {
+      (entry?.alternatives || []).forEach(alt => {
+        const target = flat[alt] || legacy[alt];
+        if (target?.status === "haram") {
+          error("dangling-id", file, `${id}: alternative "${alt}" is itself haram`);
+        } else if (!knowledgeIds.has(alt) && !displayMap[alt]) {
+          error("undefined-alternative", file, `${id}: alternative "${alt}" has no entry or display name`);
+        }
+      });
+    });
+  });
+
+  // Dietary attributes: substitutes are filtered by diet and allergens, so nothing may go untagged
+  if (data.dietary) {
+    const tagged = new Set([...knowledgeIds, ...[legacy, flat, nested].flatMap(entries =>
+      Object.values(entries).flatMap(entry => entry?.alternatives || []))]);
+    [...tagged].filter(id => !dietary[id]).sort().forEach(id =>
+      error("dietary-attributes", FILES.dietary, `${id}: no diet or allergen attributes`));
+  }
+
+  // Alias collisions, per file and as the engine merges them (flat entries override legacy ones)
+  const aliasSets = [
+    [FILES.legacy, legacy],
+    [FILES.flat, flat],
+    [FILES.nested, nested],
+    [`${FILES.legacy} + ${FILES.flat}`, { ...legacy, ...flat }]
+  ];
+  aliasSets.forEach(([file, entries]) => {
+    const owners = new Map();
+    Object.entries(entries).forEach(([id, entry]) => {
+      const seen = new Set();
+      (entry?.aliases || []).forEach(alias => {
+        if (seen.has(alias)) {
+          warn("alias-collision", file, `${id}: alias "${alias}" is listed twice`);
+          return;
+        }
+        seen.add(alias);
+        if (alias === id) {
+          warn("alias-collision", file, `${id}: alias "${alias}" repeats its own id`);
+        } else if (entries[alias]) {
+          // The entry's own id always wins the lookup, so the alias can never resolve to this entry
+          error("alias-collision", file, `${id}: alias "${alias}" is shadowed by the entry with that id`);
+        }
+        owners.set(alias, [...(owners.get(alias) || []), id]);
+      });
+    });
+    owners.forEach((ids, alias) => {
+      // The merged view only adds collisions that involve a flat entry; the rest were reported per file
+      const involvesFlat = ids.some(id => flat[id]);
+      if (ids.length > 1 && (entries === legacy || entries === flat || entries === nested || involvesFlat)) {
+        error("alias-collision", file, `alias "${alias}" is claimed by ${ids.join(", ")}`);
+      }
+    });
+  });
+
+  // Additive names and aliases are looked up exactly, so each may belong to one additive only
+  const additiveNameOwners = new Map();
+  Object.entries(additives).forEach(([key, entry]) => {
+    new Set([entry?.name, ...(entry?.aliases || [])].filter(Boolean).map(normalizeAdditiveName)).forEach(name => {
+      additiveNameOwners.set(name, [...(additiveNameOwners.get(name) || []), key]);
+    });
+  });
+  additiveNameOwners.forEach((keys, name) => {
+    if (keys.length > 1) error("alias-collision", FILES.additives, `name "${name}" is claimed by ${keys.join(", ")}`);
+  });
+
+  // Cyclic inheritance
+  const graphs = [
+    [FILES.nested, Object.fromEntries(Object.entries(nested).map(([id, entry]) => [id, entry?.derivedFrom || []]))],
+    [FILES.legacy, Object.fromEntries(Object.entries(legacy).map(([id, entry]) => [id, entry?.inheritance || []]))],
+    [FILES.flat, Object.fromEntries(Object.entries(flat).map(([id, entry]) => [id, entry?.inheritance || []]))],
+    ["halal/*.json", Object.fromEntries([...Object.entries(hkmIngredients), ...Object.entries(hkmProducts)]
+      .map(([id, entry]) => [id, [...(entry?.depends_on || []), ...(entry?.contains || [])]]))]
+  ];
+  graphs.forEach(([file, graph]) => {
+    findCycles(graph).forEach(cycle => error("cyclic-inheritance", file, cycle.join(" → ")));
+  });
+
+  // Reference formats
+  [[FILES.legacy, legacy], [FILES.flat, flat], [FILES.nested, nested]].forEach(([file, entries]) => {
+    Object.entries(entries).forEach(([id, entry]) => {
+      (entry?.references || []).filter(ref => typeof ref === "string" && !REFERENCE_PATTERNS.some(pattern => pattern.test(ref)))
+        .forEach(ref => error("reference-format", file, `${id}: unrecognised reference "${ref}"`));
+    });
+  });
+
+  // Display names: on nested and flat entries themselves, in the display map for the rest
+  [[FILES.flat, flat], [FILES.nested, nested]].forEach(([file, entries]) => {
+    Object.entries(entries).forEach(([id, entry]) => {
+      if (entry && typeof entry.displayName === "string" && !entry.displayName.trim()) {
+        error("display-name", file, `${id}: empty displayName`);
+      }
+    });
+  });
+  Object.keys(flat).filter(id => flat[id] && !("displayName" in flat[id])).forEach(id =>
+    error("display-name", FILES.flat, `${id}: missing displayName`));
+  [[FILES.legacy, legacy], [FILES.hkmSources, hkmSources], [FILES.hkmIngredients, hkmIngredients], [FILES.hkmProducts, hkmProducts]]
+    .forEach(([file, entries]) => {
+      Object.keys(entries).filter(id => !displayMap[id] && !flat[id]?.displayName && !nested[id]?.displayName).forEach(id =>
+        error("display-name", file, `${id}: no display name in ${FILES.displayMap}`));
+    });
+
+  return { errors, warnings };
+}
+
+function readData() {
+  return Object.fromEntries(Object.entries(FILES).map(([key, file]) => {
+    const filePath = path.join(dataDir, file);
+    return [key, JSON.parse(fs.readFileSync(filePath, "utf8"))];
+  }));
+}
+
+function printGroup(title, items, limit) {
+  const byCheck = new Map();
+  items.forEach(item => byCheck.set(item.check, [...(byCheck.get(item.check) || []), item]));
+  byCheck.forEach((group, check) => {
+    console.log(`\n${title} - ${check} (${group.length})`);
+    group.slice(0, limit).forEach(item => console.log(`  ${item.file}: ${item.message}`));
+    if (group.length > limit) console.log(`  ... ${group.length - limit} more (use --verbose)`);
+  });
+}
+
+function main() {
+  const args = process.argv.slice(2);
+  const strict = args.includes("--strict");
+  const verbose = args.includes("--verbose");
+
+  let data;
+  try {
+    data = readData();
+  } catch (err) {
+    console.error(`❌ Could not read knowledge files: ${err.message}`);
+    process.exit(1);
+  }
+
+  const { errors, warnings } = validateKnowledgeBase(data);
+  printGroup("❌ Error", errors, Infinity);
+  printGroup("⚠️  Warning", warnings, verbose ? Infinity : WARNING_EXAMPLES);
+
+  const failed = errors.length > 0 || (strict && warnings.length > 0);
+  console.log(`\n${failed ? "❌" : "✅"} ${errors.length} errors, ${warnings.length} warnings`);
+  process.exit(failed ? 1 : 0);
+}
+
+if (process.argv[1] && path.resolve(process.argv[1]) === __filename) {
+  main();
+}
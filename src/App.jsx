@@ -5,7 +5,7 @@ import halalArabicImage from "./assets/halal-arabic.png";
 import halalInputIcon from "./assets/halal-input.png";
 import halalOutputIcon from "./assets/halal-output.png";
 import halalSavedIcon from "./assets/halal-saved.png";
-import { RefreshCw, ClipboardCopy, Download, Bookmark, Star, ThumbsUp, ThumbsDown, Play, Share2 } from "lucide-react";
+import { RefreshCw, ClipboardCopy, Download, Bookmark, Star, ThumbsUp, ThumbsDown, Play, Share2, Scale, Layers, History } from "lucide-react";
 import HaramIngredient from "./components/HaramIngredient";
 import QuickLookup from "./components/QuickLookup";
 import IngredientTreeDisplay from "./components/IngredientTreeDisplay";
@@ -24,14 +24,27 @@ import { useAnalytics } from "./hooks/useAnalytics";
 import logger from "./utils/logger";
 import { evaluateItem } from "./lib/halalEngine";
 import { FEATURES } from "./lib/featureFlags";
-import { convertRecipeWithJson } from "./lib/convertRecipeJson";
+import { convertRecipeWithJson, chooseSubstitute } from "./lib/convertRecipeJson";
 import { formatIngredientName } from "./lib/ingredientDisplay";
 import { isPremiumUser, canConvert, getRemainingConversionsThisMonth, getConversionsThisMonth, trackConversion } from "./lib/subscription";
-import { checkConversionLimit, canUseAdvancedSubstitutions, canUseStrictHalalMode, canExportShoppingList } from "./lib/featureGating";
-import { trackConversionLimitHit, trackUpgradeModalView, trackUpgradeAttempt, trackConversionLimitApproach } from "./lib/premiumAnalytics";
+import { checkConversionLimit, canUseAdvancedSubstitutions, canUseStrictHalalMode, canExportShoppingList, canUseRecipeScaling, canUseBatchConversion, canViewConversionHistory, applySubstitutionLimit } from "./lib/featureGating";
+import { trackConversionLimitHit, trackUpgradeModalView, trackUpgradeAttempt, trackConversionLimitApproach, trackRecipeScalingUsage } from "./lib/premiumAnalytics";
+import { scaleRecipe, detectServings } from "./lib/recipeScaling";
+import { applyEdits } from "./lib/recipeEdits";
+import { getPreferredSubstitutes, setPreferredSubstitute } from "./lib/substitutePreferences";
+import { getPersonalRules } from "./lib/personalRules";
+import { getDietaryProfiles } from "./lib/dietaryProfiles";
+import { addConversionToHistory } from "./lib/conversionHistory";
+import { getChangesSinceLastVisit, recordVisit } from "./lib/knowledgeChanges";
+import { adjustBackendRecipeScore, adjustForStrictness } from "./lib/confidenceScoringEngine";
 import { isAuthenticated, getUserData, getCurrentUser, clearAuth } from "./api/authApi";
 import UpgradePrompt from "./components/UpgradePrompt";
 import PremiumUpgradeModal from "./components/PremiumUpgradeModal";
+import RecipeDiffView from "./components/RecipeDiffView";
+import EvaluationTraceViewer from "./components/EvaluationTraceViewer";
+import BatchConversion from "./components/BatchConversion";
+import ConversionHistoryModal from "./components/ConversionHistoryModal";
+import KnowledgeChangesNotice from "./components/KnowledgeChangesNotice";
 import { createRecipe } from "./api/recipesApi";
 
 function App() {
@@ -60,6 +73,15 @@ function App() {
   const [showCachedResult, setShowCachedResult] = useState(false);
   const [showUpgradeModal, setShowUpgradeModal] = useState(false);
   const [upgradeTriggerFeature, setUpgradeTriggerFeature] = useState(null);
+  const [scaleOriginalServings, setScaleOriginalServings] = useState("");
+  const [scaleTargetServings, setScaleTargetServings] = useState("");
+  const [scaleSystem, setScaleSystem] = useState("original");
+  const [jsonConversion, setJsonConversion] = useState(null); // Last JSON engine result (edits, issues for re-picking substitutes)
+  const [rejectedEditIds, setRejectedEditIds] = useState([]);
+  const [showDiffView, setShowDiffView] = useState(false);
+  const [showBatchConversion, setShowBatchConversion] = useState(false);
+  const [showHistoryModal, setShowHistoryModal] = useState(false);
+  const [knowledgeChanges, setKnowledgeChanges] = useState(null); // Rulings changed in saved recipes since the last visit
 
   // Listen for auth modal trigger and other events
   useEffect(() => {
@@ -145,6 +167,16 @@ function App() {
         if (school) {
           setHalalSettings(prev => ({ ...prev, schoolOfThought: school }));
         }
+
+        // Compare saved recipes' rulings with the last visit; without changes the baseline just moves on
+        const savedList = saved ? JSON.parse(saved) : [];
+        const visitSettings = { strictnessLevel: strictness || "standard", schoolOfThought: school || "no-preference" };
+        const changesSinceLastVisit = getChangesSinceLastVisit(savedList, visitSettings);
+        if (changesSinceLastVisit && changesSinceLastVisit.recipes.length > 0) {
+          setKnowledgeChanges(changesSinceLastVisit);
+        } else {
+          recordVisit(savedList, visitSettings);
+        }
       }
     } catch (err) {
       logger.error("Error loading saved recipes:", err);
@@ -232,14 +264,21 @@ function App() {
       let convertedText = "";
       let convertedIssues = [];
       let convertedConfidence = 0;
+      let jsonResultUsed = null;
       let jsonConversionUsed = false;
       
       // Use JSON engine as primary conversion source if enabled
       if (FEATURES.USE_JSON_CONVERSION_PRIMARY && FEATURES.HALAL_KNOWLEDGE_ENGINE) {
         try {
-          const jsonResult = await convertRecipeWithJson(trimmedRecipe, halalSettings);
+          const jsonResult = await convertRecipeWithJson(trimmedRecipe, {
+            ...halalSettings,
+            preferredSubstitutes: getPreferredSubstitutes(),
+            personalRules: getPersonalRules(),
+            dietaryProfiles: getDietaryProfiles()
+          });
           convertedText = jsonResult.convertedText || "";
           convertedIssues = Array.isArray(jsonResult.issues) ? jsonResult.issues : [];
+          jsonResultUsed = jsonResult;
           // Ensure confidenceScore is never 0 unless truly 0
           convertedConfidence = typeof jsonResult.confidenceScore === "number" && !isNaN(jsonResult.confidenceScore)
             ? jsonResult.confidenceScore
@@ -302,7 +341,8 @@ function App() {
             const normalizedIngredient = issue.ingredient.toLowerCase().trim().replace(/\s+/g, "_");
             const engineResult = evaluateItem(normalizedIngredient, {
               madhab: halalSettings?.schoolOfThought || "no-preference",
-              strictness: halalSettings?.strictnessLevel || "standard"
+              strictness: halalSettings?.strictnessLevel || "standard",
+              personalRules: getPersonalRules()
             });
             
             // Track if preferences were enforced
@@ -324,6 +364,9 @@ function App() {
               } else if (engineResult.enforcedBy === "user_preferences") {
                 validationState = "preference_based";
               }
+              if (engineResult.personalRules?.some(rule => rule.type !== "never_suggest")) {
+                validationState = "personal_rule";
+              }
               
               return {
                 ...existingResult,
@@ -354,6 +397,9 @@ function App() {
               if (engineResult.enforcedBy === "user_preferences") {
                 validationState = "preference_based";
               }
+              if (engineResult.personalRules?.some(rule => rule.type !== "never_suggest")) {
+                validationState = "personal_rule";
+              }
               
               return {
                 ...existingResult,
@@ -376,6 +422,9 @@ function App() {
               if (engineResult.enforcedBy === "user_preferences") {
                 validationState = "preference_based";
               }
+              if (engineResult.personalRules?.some(rule => rule.type !== "never_suggest")) {
+                validationState = "personal_rule";
+              }
               
               return {
                 ...existingResult,
@@ -405,35 +454,24 @@ function App() {
           return existingResult;
         });
         
-        // Minor adjustments for inheritance flags and preference enforcement
-        // Only apply small reductions since we're already accounting for replacements in base score
-        if (inheritanceFlags > 0 && preferenceEnforcedFlags > 0) {
-          // Both inheritance and preference enforcement: apply small combined reduction
-          convertedConfidence = Math.round(convertedConfidence * 0.95); // Was 0.75, now less severe
-          // Also apply min confidence from HKM (if applicable)
-          if (maxConfidenceReduction < 1) {
-            convertedConfidence = Math.round(convertedConfidence * Math.max(0.95, maxConfidenceReduction));
-          }
-        } else if (inheritanceFlags > 0) {
-          // Only inheritance flags - smaller penalty since replacements exist
-          if (inheritanceFlags === 1) {
-            convertedConfidence = Math.round(convertedConfidence * 0.95); // Was 0.85
-          } else {
-            convertedConfidence = Math.round(convertedConfidence * 0.92); // Was 0.7
-          }
-          // Also apply min confidence from HKM (if applicable)
-          if (maxConfidenceReduction < 1) {
-            convertedConfidence = Math.round(convertedConfidence * Math.max(0.95, maxConfidenceReduction));
-          }
-        } else if (preferenceEnforcedFlags > 0) {
-          // Only preference enforcement - very small reduction
-          convertedConfidence = Math.round(convertedConfidence * 0.98); // Was 0.9
-        }
+        // Minor adjustments for inheritance flags and preference enforcement (weights in confidenceScoringEngine.js)
+        convertedConfidence = adjustBackendRecipeScore(convertedConfidence, {
+          inheritanceFlags,
+          preferenceEnforcedFlags,
+          lowestConfidence: maxConfidenceReduction
+        }).score;
       }
       
       setConverted(convertedText);
       setIssues(convertedIssues);
       setConfidence(convertedConfidence);
+      setJsonConversion(jsonResultUsed);
+      setRejectedEditIds([]);
+      
+      // Reset scaling to the servings stated in the new recipe
+      setScaleOriginalServings(detectServings(trimmedRecipe) || "");
+      setScaleTargetServings("");
+      setScaleSystem("original");
       
       // Cache successful conversion
       try {
@@ -449,6 +487,14 @@ function App() {
         logger.warn("Failed to cache conversion:", cacheErr);
       }
       
+      addConversionToHistory({
+        input: trimmedRecipe,
+        output: convertedText,
+        issues: convertedIssues,
+        confidenceScore: convertedConfidence,
+        preferences: { ...halalSettings, preferredSubstitutes: getPreferredSubstitutes(), personalRules: getPersonalRules(), dietaryProfiles: getDietaryProfiles() }
+      });
+      
       // Track conversion (increment counter for free users)
       const conversionResult = trackConversion();
       
@@ -525,8 +571,116 @@ function App() {
     }
   };
 
+  // Edits are only usable while the converted text still comes from them
+  // (loaded, cached or backend conversions have no edit list)
+  const conversionEdits = jsonConversion && Array.isArray(jsonConversion.edits)
+    ? { originalText: jsonConversion.originalText || "", edits: jsonConversion.edits }
+    : null;
+  const hasConversionEdits = Boolean(
+    conversionEdits &&
+    conversionEdits.edits.length > 0 &&
+    applyEdits(conversionEdits.originalText, conversionEdits.edits, rejectedEditIds) === converted
+  );
+
+  // Dietary profile warnings from the last conversion, one group per ingredient line
+  const allergenWarningLines = Object.values((jsonConversion?.allergenWarnings || []).reduce((lines, warning) => {
+    lines[warning.lineIndex] = lines[warning.lineIndex] || { lineIndex: warning.lineIndex, line: warning.line, warnings: [] };
+    lines[warning.lineIndex].warnings.push(warning);
+    return lines;
+  }, {}));
+
+  // Use a different alternative for one ingredient: text, links and confidence are recomputed
+  // from the last conversion, and the pick is remembered for next time
+  const handleChooseSubstitute = async (ingredientId, substituteId) => {
+    if (!hasConversionEdits) return;
+    const next = await chooseSubstitute(jsonConversion, ingredientId, substituteId);
+    if (next === jsonConversion) return;
+    
+    setPreferredSubstitute(ingredientId, substituteId);
+    setJsonConversion(next);
+    setRejectedEditIds([]);
+    setConverted(next.convertedText || "");
+    setIssues(Array.isArray(next.issues) ? next.issues : []);
+    setConfidence(typeof next.confidenceScore === "number" ? next.confidenceScore : null);
+  };
+
+  // Reject a single substitution (or restore it) and rebuild the converted text from the edit list
+  const toggleRejectedEdit = (editId) => {
+    if (!hasConversionEdits) return;
+    const next = rejectedEditIds.includes(editId)
+      ? rejectedEditIds.filter(id => id !== editId)
+      : [...rejectedEditIds, editId];
+    setRejectedEditIds(next);
+    setConverted(applyEdits(conversionEdits.originalText, conversionEdits.edits, next));
+  };
+
+  // Batch conversion is premium: free users get the upgrade modal instead
+  const handleOpenBatchConversion = async () => {
+    if (!(await canUseBatchConversion())) {
+      setUpgradeTriggerFeature("batchConversion");
+      setShowUpgradeModal(true);
+      return;
+    }
+    setShowBatchConversion(true);
+  };
+
+  // History is premium as well
+  const handleOpenHistory = async () => {
+    if (!(await canViewConversionHistory())) {
+      setUpgradeTriggerFeature("conversionHistory");
+      setShowUpgradeModal(true);
+      return;
+    }
+    setShowHistoryModal(true);
+  };
+
+  // Show a result converted elsewhere (batch, history re-run) as if it had been converted on its own
+  const handleOpenConversionResult = (recipeText, result) => {
+    setRecipe(recipeText);
+    setJsonConversion(result);
+    setRejectedEditIds([]);
+    setConverted(result.convertedText || "");
+    setIssues(Array.isArray(result.issues) ? result.issues : []);
+    setConfidence(typeof result.confidenceScore === "number" ? result.confidenceScore : null);
+    setShowBatchConversion(false);
+  };
+
+  // Converted recipe as displayed: scaled when the user picked servings or a measurement system
+  const getDisplayedRecipeText = () => {
+    const convertedText = typeof converted === "string" ? converted : "";
+    if (!convertedText || (!scaleTargetServings && scaleSystem === "original")) {
+      return convertedText;
+    }
+    return scaleRecipe(convertedText, Number(scaleTargetServings) || null, {
+      originalServings: Number(scaleOriginalServings) || null,
+      system: scaleSystem
+    }).text;
+  };
+
+  const handleScaleChange = (field, value) => {
+    if (!canUseRecipeScaling()) {
+      setUpgradeTriggerFeature("recipeScaling");
+      setShowUpgradeModal(true);
+      return;
+    }
+    
+    const next = {
+      original: scaleOriginalServings,
+      target: scaleTargetServings,
+      system: scaleSystem,
+      [field]: value
+    };
+    if (field === "original") setScaleOriginalServings(value);
+    if (field === "target") setScaleTargetServings(value);
+    if (field === "system") setScaleSystem(value);
+    
+    if (Number(next.target) > 0 || next.system !== "original") {
+      trackRecipeScalingUsage(Number(next.original) || null, Number(next.target) || null, next.system);
+    }
+  };
+
   const copyToClipboard = () => {
-    const textToCopy = converted || "";
+    const textToCopy = getDisplayedRecipeText();
     if (!textToCopy) {
       alert("No converted recipe to copy.");
       return;
@@ -536,7 +690,7 @@ function App() {
   };
 
   const downloadRecipe = () => {
-    const textToDownload = converted || "";
+    const textToDownload = getDisplayedRecipeText();
     if (!textToDownload) {
       alert("No converted recipe to download.");
       return;
@@ -824,18 +978,8 @@ Instructions:
   };
 
   const adjustConfidenceScore = (baseScore) => {
-    // Adjust confidence based on halal settings
-    let adjustedScore = baseScore;
-    
-    if (halalSettings.strictnessLevel === "strict") {
-      // Reduce score for strict mode (more conservative)
-      adjustedScore = Math.max(0, adjustedScore - 5);
-    } else if (halalSettings.strictnessLevel === "flexible") {
-      // Increase score for flexible mode (more lenient)
-      adjustedScore = Math.min(100, adjustedScore + 5);
-    }
-    
-    return adjustedScore;
+    // Adjust confidence based on halal settings (strict shows lower, flexible higher)
+    return adjustForStrictness(baseScore, halalSettings.strictnessLevel).score;
   };
 
   const handleShareToCommunity = () => {
@@ -950,7 +1094,12 @@ Instructions:
   };
 
   const safeConverted = typeof converted === "string" ? converted : "";
+  const displayedRecipe = getDisplayedRecipeText();
   const safeConfidence = typeof confidence === "number" && !isNaN(confidence) ? confidence : 0;
+  // Factors behind the recipe score as shown: the engine's breakdown, then the strictness offset
+  const confidenceBreakdown = jsonConversion?.confidenceBreakdown && jsonConversion.confidenceScore === safeConfidence
+    ? [...jsonConversion.confidenceBreakdown, ...adjustForStrictness(safeConfidence, halalSettings.strictnessLevel).factors]
+    : [];
   const safeIssues = Array.isArray(issues) ? issues : [];
   const safeSavedRecipes = Array.isArray(savedRecipes) ? savedRecipes : [];
   const safePublicRecipes = Array.isArray(publicRecipes) ? publicRecipes : [];
@@ -1040,55 +1189,89 @@ Instructions:
       <div className="tab-content">
         {activeTab === "convert" && (
           <>
-            <QuickLookup onConvertClick={handleQuickLookupConvert} />
+            <KnowledgeChangesNotice
+              changes={knowledgeChanges}
+              onDismiss={() => {
+                recordVisit(savedRecipes, halalSettings);
+                setKnowledgeChanges(null);
+              }}
+            />
+
+            <QuickLookup onConvertClick={handleQuickLookupConvert} halalSettings={halalSettings} />
             
-            <div className="input-section">
-              <label htmlFor="recipe-input" className="input-label">
-                <img src={halalInputIcon} alt="Recipe Input" className="section-icon" />
-                <span>Recipe Input</span>
-              </label>
-              {error && (
-                <div className="error-message" role="alert">
-                  {error}
-                  {isOffline && (
+            {showBatchConversion ? (
+              <BatchConversion
+                halalSettings={halalSettings}
+                onOpenRecipe={handleOpenConversionResult}
+                onClose={() => setShowBatchConversion(false)}
+              />
+            ) : (
+              <>
+                <div className="input-section">
+                  <label htmlFor="recipe-input" className="input-label">
+                    <img src={halalInputIcon} alt="Recipe Input" className="section-icon" />
+                    <span>Recipe Input</span>
+                  </label>
+                  {error && (
+                    <div className="error-message" role="alert">
+                      {error}
+                      {isOffline && (
+                        <button
+                          className="retry-button"
+                          onClick={() => handleConvert()}
+                          aria-label="Retry conversion"
+                        >
+                          Retry
+                        </button>
+                      )}
+                    </div>
+                  )}
+                  <textarea
+                    id="recipe-input"
+                    placeholder={t("pasteRecipe")}
+                    value={recipe || ""}
+                    onChange={(e) => {
+                      const newValue = e.target?.value || "";
+                      setRecipe(newValue);
+                      if (error) {
+                        setError("");
+                      }
+                    }}
+                  />
+                  <div className="input-actions">
                     <button
-                      className="retry-button"
-                      onClick={() => handleConvert()}
-                      aria-label="Retry conversion"
+                      onClick={handleDemoRecipe}
+                      className="demo-btn"
+                      aria-label="Load demo recipe"
                     >
-                      Retry
+                      <Play className="button-icon-inline" aria-hidden="true" />
+                      <span>{t("demoRecipe")}</span>
                     </button>
-                  )}
+                    <button
+                      onClick={handleOpenBatchConversion}
+                      className="input-secondary-btn"
+                      aria-label="Convert several recipes at once"
+                    >
+                      <Layers className="button-icon-inline" aria-hidden="true" />
+                      <span>Batch convert</span>
+                    </button>
+                    <button
+                      onClick={handleOpenHistory}
+                      className="input-secondary-btn"
+                      aria-label="Show conversion history"
+                    >
+                      <History className="button-icon-inline" aria-hidden="true" />
+                      <span>History</span>
+                    </button>
+                  </div>
                 </div>
-              )}
-              <textarea
-                id="recipe-input"
-                placeholder={t("pasteRecipe")}
-                value={recipe || ""}
-                onChange={(e) => {
-                  const newValue = e.target?.value || "";
-                  setRecipe(newValue);
-                  if (error) {
-                    setError("");
-                  }
-                }}
-              />
-              <div className="input-actions">
-                <button
-                  onClick={handleDemoRecipe}
-                  className="demo-btn"
-                  aria-label="Load demo recipe"
-                >
-                  <Play className="button-icon-inline" aria-hidden="true" />
-                  <span>{t("demoRecipe")}</span>
-                </button>
-              </div>
-            </div>
 
-            <button onClick={() => handleConvert()} className="convert-btn" aria-label="Convert recipe">
-              <RefreshCw className="button-icon-inline" aria-hidden="true" />
-              <span>{t("convert")}</span>
-            </button>
+                <button onClick={() => handleConvert()} className="convert-btn" aria-label="Convert recipe">
+                  <RefreshCw className="button-icon-inline" aria-hidden="true" />
+                  <span>{t("convert")}</span>
+                </button>
+              </>
+            )}
 
             {safeConverted && (
               <div className="results fade-in">
@@ -1097,9 +1280,101 @@ Instructions:
                     <img src={halalOutputIcon} alt="Converted Recipe" className="section-icon" />
                     <span>Converted Recipe</span>
                   </h2>
-                  <pre className="recipe-output">
-                    {highlightHaram(safeConverted)}
-                  </pre>
+                  {hasConversionEdits && (
+                    <div className="recipe-diff-toggle">
+                      <button
+                        className={showDiffView ? "active" : ""}
+                        onClick={() => setShowDiffView(!showDiffView)}
+                        aria-pressed={showDiffView}
+                      >
+                        {showDiffView ? "Hide changes" : "Show changes"}
+                      </button>
+                      {rejectedEditIds.length > 0 && (
+                        <span className="recipe-diff-count">
+                          {rejectedEditIds.length} substitution{rejectedEditIds.length === 1 ? "" : "s"} kept as original
+                        </span>
+                      )}
+                    </div>
+                  )}
+                  {hasConversionEdits && showDiffView ? (
+                    <RecipeDiffView
+                      originalText={conversionEdits.originalText}
+                      edits={conversionEdits.edits}
+                      rejectedEditIds={rejectedEditIds}
+                      onToggleEdit={toggleRejectedEdit}
+                    />
+                  ) : (
+                    <pre className="recipe-output">
+                      {highlightHaram(displayedRecipe)}
+                    </pre>
+                  )}
+                  {allergenWarningLines.length > 0 && (
+                    <div className="allergen-warnings" role="note">
+                      <h3>Dietary warnings</h3>
+                      <ul>
+                        {allergenWarningLines.map(({ lineIndex, line, warnings }) => (
+                          <li key={lineIndex}>
+                            <span className="allergen-warning-line">{line}</span>
+                            {warnings.map(warning => (
+                              <span key={`${warning.ingredient}-${warning.profile}`} className="allergen-warning-reason">
+                                {formatIngredientName(warning.ingredient)}: {warning.reason}
+                              </span>
+                            ))}
+                          </li>
+                        ))}
+                      </ul>
+                    </div>
+                  )}
+                  {/* Recipe Scaling - Premium (servings + unit conversion) */}
+                  <div className="recipe-scaling">
+                    <Scale className="button-icon-inline" aria-hidden="true" />
+                    {canUseRecipeScaling() ? (
+                      <>
+                        <label className="recipe-scaling-field">
+                          <span>Serves</span>
+                          <input
+                            type="number"
+                            min="1"
+                            value={scaleOriginalServings}
+                            placeholder="?"
+                            onChange={(e) => handleScaleChange("original", e.target.value)}
+                            aria-label="Servings in the original recipe"
+                          />
+                        </label>
+                        <span className="recipe-scaling-arrow">→</span>
+                        <label className="recipe-scaling-field">
+                          <input
+                            type="number"
+                            min="1"
+                            value={scaleTargetServings}
+                            placeholder={scaleOriginalServings || "?"}
+                            onChange={(e) => handleScaleChange("target", e.target.value)}
+                            aria-label="Servings to scale to"
+                          />
+                          <span>servings</span>
+                        </label>
+                        <select
+                          value={scaleSystem}
+                          onChange={(e) => handleScaleChange("system", e.target.value)}
+                          aria-label="Measurement units"
+                        >
+                          <option value="original">Original units</option>
+                          <option value="metric">Metric (g, ml)</option>
+                          <option value="us">US (cups, oz)</option>
+                        </select>
+                      </>
+                    ) : (
+                      <button
+                        className="upgrade-hint-link"
+                        onClick={() => {
+                          setUpgradeTriggerFeature("recipeScaling");
+                          setShowUpgradeModal(true);
+                        }}
+                      >
+                        Scale servings & convert units (Premium)
+                      </button>
+                    )}
+                  </div>
                   <div className="recipe-actions">
                     <button onClick={copyToClipboard} aria-label="Copy to clipboard">
                       <ClipboardCopy className="button-icon-inline" aria-hidden="true" />
@@ -1191,6 +1466,18 @@ Instructions:
                       }}
                     ></div>
                   </div>
+                  {confidenceBreakdown.length > 1 && (
+                    <ul className="confidence-breakdown">
+                      {confidenceBreakdown.map((factor, index) => (
+                        <li key={`${factor.factor}-${index}`}>
+                          <span>{factor.label}</span>
+                          <span className="confidence-breakdown-delta">
+                            {index > 0 && factor.delta > 0 ? `+${factor.delta}` : factor.delta}
+                          </span>
+                        </li>
+                      ))}
+                    </ul>
+                  )}
                 </div>
 
                 <div className="issues-section">
@@ -1254,7 +1541,28 @@ Instructions:
                                     <div className="ingredient-detail-row">
                                       <span className="detail-label">Halal Replacement:</span>
                                       <div className="detail-value-with-shop">
-                                        <span className="detail-value">{formatIngredientName(issue?.replacement_id || issue?.replacement || "—")}</span>
+                                        {hasConversionEdits && applySubstitutionLimit(issue?.alternatives).length > 1 ? (
+                                          <select
+                                            className="substitute-select"
+                                            value={issue.replacement_id}
+                                            onChange={(e) => handleChooseSubstitute(issue.ingredient_id, e.target.value)}
+                                            aria-label={`Substitute for ${formatIngredientName(issue.ingredient_id)}`}
+                                          >
+                                            {[...new Set([issue.replacement_id, ...applySubstitutionLimit(issue.alternatives)])].map((altId) => (
+                                              <option key={altId} value={altId}>{formatIngredientName(altId)}</option>
+                                            ))}
+                                          </select>
+                                        ) : (
+                                          <span className="detail-value">{formatIngredientName(issue?.replacement_id || issue?.replacement || "—")}</span>
+                                        )}
+                                        {issue?.substituteChoice === "preferred" && (
+                                          <span className="substitute-preferred-note">Your usual pick</span>
+                                        )}
+                                        {issue?.substituteChoice === "context" && issue?.substituteContext && (
+                                          <span className="substitute-preferred-note">
+                                            Suits {issue.substituteContext.context} ("{issue.substituteContext.keyword}")
+                                          </span>
+                                        )}
                                       </div>
                                     </div>
                                     
@@ -1274,7 +1582,7 @@ Instructions:
                                     )}
                                     
                                     {/* Replacement Ratio - Display clearly under replacement ingredient */}
-                                    {issue?.replacementRatio && (
+                                    {issue?.replacementRatio && issue.replacementRatioApplies !== false && (
                                       <div className="ingredient-detail-row replacement-ratio-row">
                                         <span className="detail-label">Replacement Ratio:</span>
                                         <span className="detail-value replacement-ratio-value">
@@ -1282,6 +1590,19 @@ Instructions:
                                         </span>
                                       </div>
                                     )}
+
+                                    {/* Adjusted Quantity - Ratio applied to the recipe's own amount */}
+                                    {Array.isArray(issue?.quantityAdjustments) && issue.quantityAdjustments.map((adjustment) => (
+                                      <div key={adjustment.lineIndex} className="ingredient-detail-row replacement-ratio-row">
+                                        <span className="detail-label">Adjusted Quantity:</span>
+                                        <span className="detail-value replacement-ratio-value">
+                                          {adjustment.converted.text} (originally {adjustment.original.text})
+                                          {adjustment.components.length > 1 && (
+                                            <span> = {adjustment.components.map(component => component.text).join(" + ")}</span>
+                                          )}
+                                        </span>
+                                      </div>
+                                    ))}
                                     
                                     {/* Validation State Badge */}
                                     {issue?.validationState && (
@@ -1301,6 +1622,11 @@ Instructions:
                                             ⚙️ Preference-Based Ruling
                                           </span>
                                         )}
+                                        {issue.validationState === "personal_rule" && (
+                                          <span className="validation-badge personal-rule" title="Set by one of your personal rules in Halal Preferences">
+                                            👤 Personal Rule
+                                          </span>
+                                        )}
                                         {issue.validationState === "needs_review" && (
                                           <span className="validation-badge needs-review" title="May require consultation with a qualified Islamic scholar">
                                             ⚠️ Needs Scholarly Review
@@ -1396,11 +1722,18 @@ Instructions:
                                         </p>
                                         <details className="trace-details">
                                           <summary className="trace-summary">Show ingredient breakdown</summary>
-                                          <ul className="trace-list">
-                                            {issue.trace.map((t, i) => (
-                                              <li key={i} className="trace-item">{t}</li>
-                                            ))}
-                                          </ul>
+                                          {issue.hkmResult?.traceSteps?.length > 0 ? (
+                                            <EvaluationTraceViewer
+                                              steps={issue.hkmResult.traceSteps}
+                                              notes={issue.trace.slice((issue.hkmResult.trace || []).length)}
+                                            />
+                                          ) : (
+                                            <ul className="trace-list">
+                                              {issue.trace.map((t, i) => (
+                                                <li key={i} className="trace-item">{t}</li>
+                                              ))}
+                                            </ul>
+                                          )}
                                         </details>
                                       </div>
                                     )}
@@ -1546,6 +1879,14 @@ Instructions:
         initialMode={authMode}
       />
 
+      {/* Conversion History Modal */}
+      <ConversionHistoryModal
+        isOpen={showHistoryModal}
+        onClose={() => setShowHistoryModal(false)}
+        halalSettings={halalSettings}
+        onOpenResult={handleOpenConversionResult}
+      />
+
       {/* Premium Upgrade Modal */}
       {showUpgradeModal && (
         <PremiumUpgradeModal
@@ -0,0 +1,52 @@
+import { getAxiosInstance } from "./axiosConfig";
+import { getAuthToken } from "./authApi";
+import logger from "../utils/logger";
+
+/**
+ * Products API service
+ * Shares products users add by barcode, so a product submitted on one device is found on the next
+ */
+
+/**
+ * Get a submitted product by barcode
+ * @param {string} barcode - Normalized barcode (see brandLookup.normalizeBarcode)
+ * @returns {Promise<Object|null>} Brand record, or null if nobody has submitted it (or the server can't be reached)
+ */
+export async function fetchProductByBarcode(barcode) {
+  try {
+    const axios = await getAxiosInstance();
+    const response = await axios.get(`/api/products/barcode/${encodeURIComponent(barcode)}`);
+    return response.data.product || null;
+  } catch (error) {
+    if (error.response?.status !== 404) {
+      logger.error("Get product by barcode error:", error);
+    }
+    return null;
+  }
+}
+
+/**
+ * Submit a product created from its pack's ingredient list
+ * @param {Object} product - Brand record from brandLookup.submitProduct()
+ * @returns {Promise<Object>} Stored product
+ */
+export async function submitProductToServer(product) {
+  try {
+    const token = getAuthToken();
+    const axios = await getAxiosInstance();
+
+    const config = token
+      ? {
+          headers: {
+            Authorization: `Bearer ${token}`,
+          },
+        }
+      : {};
+
+    const response = await axios.post("/api/products", product, config);
+    return response.data.product;
+  } catch (error) {
+    logger.error("Submit product error:", error);
+    throw error.response?.data || { error: "Failed to submit product" };
+  }
+}
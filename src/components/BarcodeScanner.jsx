@@ -0,0 +1,80 @@
+import React, { useEffect, useRef, useState } from "react";
+import { X } from "lucide-react";
+import { normalizeBarcode } from "../lib/brandLookup";
+import "./BarcodeScanner.css";
+
+/**
+ * Barcode Scanner Component
+ * Reads a UPC/EAN barcode from the camera and hands back the normalized code
+ *
+ * The decoder (@zxing/browser) is only loaded when the scanner opens. Reads that fail the
+ * check digit are ignored and scanning continues, so a half-read code never reaches the lookup.
+ */
+function BarcodeScanner({ onDetected, onClose }) {
+  const videoRef = useRef(null);
+  const onDetectedRef = useRef(onDetected);
+  const [error, setError] = useState(null);
+
+  onDetectedRef.current = onDetected;
+
+  useEffect(() => {
+    let controls = null;
+    let stopped = false;
+
+    const stop = () => {
+      stopped = true;
+      controls?.stop();
+    };
+
+    (async () => {
+      try {
+        const [{ BrowserMultiFormatReader }, { BarcodeFormat, DecodeHintType }] = await Promise.all([
+          import("@zxing/browser"),
+          import("@zxing/library")
+        ]);
+        const hints = new Map([
+          [DecodeHintType.POSSIBLE_FORMATS, [BarcodeFormat.EAN_13, BarcodeFormat.EAN_8, BarcodeFormat.UPC_A]]
+        ]);
+        const reader = new BrowserMultiFormatReader(hints);
+
+        controls = await reader.decodeFromConstraints(
+          { video: { facingMode: "environment" } },
+          videoRef.current,
+          (result) => {
+            if (!result || stopped) return;
+            const code = normalizeBarcode(result.getText());
+            if (!code) return;
+            stop();
+            onDetectedRef.current(code);
+          }
+        );
+        // Closed while the camera was starting
+        if (stopped) controls.stop();
+      } catch (scanError) {
+        console.error("Barcode scanner failed:", scanError);
+        if (!stopped) {
+          setError("We couldn't open the camera. Allow camera access, or type the number under the barcode.");
+        }
+      }
+    })();
+
+    return stop;
+  }, []);
+
+  return (
+    <div className="barcode-scanner" role="dialog" aria-label="Scan a barcode">
+      <div className="barcode-scanner-frame">
+        <video ref={videoRef} className="barcode-scanner-video" muted playsInline />
+        <div className="barcode-scanner-target" />
+        <button onClick={onClose} className="barcode-scanner-close" aria-label="Close scanner">
+          <X size={20} />
+        </button>
+      </div>
+      <p className={error ? "barcode-scanner-error" : "barcode-scanner-hint"}>
+        {error || "Point the camera at the barcode on the pack"}
+      </p>
+    </div>
+  );
+}
+
+export default BarcodeScanner;
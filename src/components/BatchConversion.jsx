@@ -0,0 +1,196 @@
+import React, { useState } from "react";
+import { Layers, Upload, Download, X } from "lucide-react";
+import { splitBatchRecipes, convertRecipeBatch, buildBatchExport, BATCH_RECIPE_LIMIT } from "../lib/batchConversion";
+import { getPreferredSubstitutes } from "../lib/substitutePreferences";
+import { getPersonalRules } from "../lib/personalRules";
+import { getDietaryProfiles } from "../lib/dietaryProfiles";
+import { addConversionToHistory } from "../lib/conversionHistory";
+import { trackBatchConversionUsage } from "../lib/premiumAnalytics";
+import { useAnalytics } from "../hooks/useAnalytics";
+import "./BatchConversion.css";
+
+const STATUS_LABELS = {
+  converted: "Converted",
+  limit_reached: "Monthly limit reached",
+  over_batch_limit: `Over ${BATCH_RECIPE_LIMIT}-recipe limit`,
+  error: "Failed"
+};
+
+/**
+ * Batch Conversion Component
+ * Converts several recipes at once (pasted with separators or uploaded as text files),
+ * shows a summary table and exports everything as one file
+ *
+ * Premium feature - only render when featureGating.canUseBatchConversion() allows it
+ *
+ * @param {Object} props
+ * @param {Object} props.halalSettings - { strictnessLevel, schoolOfThought }
+ * @param {Function} props.onOpenRecipe - Called with (recipeText, conversionResult) to show one recipe in full
+ * @param {Function} props.onClose - Called to leave batch mode
+ */
+function BatchConversion({ halalSettings, onOpenRecipe, onClose }) {
+  const analytics = useAnalytics();
+  const [pastedText, setPastedText] = useState("");
+  const [files, setFiles] = useState([]); // [{ name, text }]
+  const [results, setResults] = useState([]);
+  const [progress, setProgress] = useState(null); // { done, total } while converting
+  const [recipeTexts, setRecipeTexts] = useState([]);
+
+  const pastedRecipes = splitBatchRecipes(pastedText);
+  const recipeCount = pastedRecipes.length + files.length;
+
+  const handleFileChange = async (e) => {
+    const selected = Array.from(e.target.files || []);
+    const loaded = await Promise.all(selected.map(async (file) => ({
+      name: file.name.replace(/\.[^.]+$/, ""),
+      text: await file.text()
+    })));
+    setFiles(loaded.filter(file => file.text.trim() !== ""));
+  };
+
+  const handleConvertAll = async () => {
+    const recipes = [
+      ...pastedRecipes.map(text => ({ text, name: null })),
+      ...files
+    ];
+    if (recipes.length === 0) return;
+
+    setResults([]);
+    setRecipeTexts(recipes.map(recipe => recipe.text));
+    setProgress({ done: 0, total: recipes.length });
+
+    const preferences = { ...halalSettings, preferredSubstitutes: getPreferredSubstitutes(), personalRules: getPersonalRules(), dietaryProfiles: getDietaryProfiles() };
+    const batchResults = await convertRecipeBatch(
+      recipes,
+      preferences,
+      { onProgress: (done, total) => setProgress({ done, total }) }
+    );
+
+    batchResults
+      .filter(item => item.status === "converted")
+      .forEach(item => {
+        analytics.trackConversion({
+          hasIssues: item.issueCount > 0,
+          confidenceScore: item.confidenceScore,
+          batch: true
+        });
+        addConversionToHistory({
+          input: recipes[item.index].text,
+          output: item.result.convertedText,
+          issues: item.result.issues,
+          confidenceScore: item.confidenceScore,
+          preferences
+        });
+      });
+    trackBatchConversionUsage(batchResults.filter(item => item.status === "converted").length);
+
+    setResults(batchResults);
+    setProgress(null);
+  };
+
+  const handleExport = () => {
+    const blob = new Blob([buildBatchExport(results)], { type: "text/plain;charset=utf-8" });
+    const url = URL.createObjectURL(blob);
+    const a = document.createElement("a");
+    a.href = url;
+    a.download = "converted_recipes.txt";
+    a.click();
+    URL.revokeObjectURL(url);
+  };
+
+  const convertedCount = results.filter(item => item.status === "converted").length;
+
+  return (
+    <div className="batch-conversion">
+      <div className="batch-conversion-header">
+        <h2>
+          <Layers className="button-icon-inline" aria-hidden="true" />
+          <span>Batch Conversion</span>
+        </h2>
+        <button className="batch-close" onClick={onClose} aria-label="Back to single recipe">
+          <X size={18} aria-hidden="true" />
+        </button>
+      </div>
+
+      <p className="batch-hint">
+        Paste up to {BATCH_RECIPE_LIMIT} recipes separated by a line of <code>---</code>, or upload one text file per recipe.
+      </p>
+
+      <textarea
+        className="batch-input"
+        placeholder={"Chicken Carbonara\n- 200g bacon\n...\n---\nTiramisu\n- 2 tbsp rum\n..."}
+        value={pastedText}
+        onChange={(e) => setPastedText(e.target.value)}
+        aria-label="Recipes separated by ---"
+      />
+
+      <div className="batch-actions">
+        <label className="batch-upload">
+          <Upload size={16} aria-hidden="true" />
+          <span>{files.length > 0 ? `${files.length} file${files.length === 1 ? "" : "s"} selected` : "Upload recipe files"}</span>
+          <input type="file" accept=".txt,.md,text/plain" multiple onChange={handleFileChange} />
+        </label>
+        <button
+          className="batch-convert-btn"
+          onClick={handleConvertAll}
+          disabled={recipeCount === 0 || progress !== null}
+        >
+          {progress
+            ? `Converting ${progress.done}/${progress.total}...`
+            : `Convert ${recipeCount || ""} recipe${recipeCount === 1 ? "" : "s"}`}
+        </button>
+      </div>
+
+      {recipeCount > BATCH_RECIPE_LIMIT && (
+        <p className="batch-warning">
+          Only the first {BATCH_RECIPE_LIMIT} recipes will be converted.
+        </p>
+      )}
+
+      {results.length > 0 && (
+        <div className="batch-results">
+          <table className="batch-summary-table">
+            <thead>
+              <tr>
+                <th>#</th>
+                <th>Recipe</th>
+                <th>Status</th>
+                <th>Confidence</th>
+                <th>Issues</th>
+                <th>Haram</th>
+              </tr>
+            </thead>
+            <tbody>
+              {results.map((item) => (
+                <tr key={item.index} className={`batch-row-${item.status}`}>
+                  <td>{item.index + 1}</td>
+                  <td>
+                    {item.status === "converted" && onOpenRecipe ? (
+                      <button
+                        className="batch-open-link"
+                        onClick={() => onOpenRecipe(recipeTexts[item.index], item.result)}
+                      >
+                        {item.title}
+                      </button>
+                    ) : item.title}
+                  </td>
+                  <td>{STATUS_LABELS[item.status] || item.status}</td>
+                  <td>{item.confidenceScore !== null ? `${item.confidenceScore}%` : "—"}</td>
+                  <td>{item.status === "converted" ? item.issueCount : "—"}</td>
+                  <td>{item.status === "converted" ? item.haramCount : "—"}</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+
+          <button className="batch-export-btn" onClick={handleExport} disabled={convertedCount === 0}>
+            <Download className="button-icon-inline" aria-hidden="true" />
+            <span>Download all ({convertedCount})</span>
+          </button>
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default BatchConversion;
@@ -0,0 +1,204 @@
+import React, { useState, useEffect } from "react";
+import { RotateCw, Trash2 } from "lucide-react";
+import ProfileModal from "./ProfileModal";
+import {
+  getConversionHistory,
+  filterConversionHistory,
+  removeConversionFromHistory,
+  rerunConversion,
+  HISTORY_RETENTION_DAYS
+} from "../lib/conversionHistory";
+import { getPreferredSubstitutes } from "../lib/substitutePreferences";
+import { getPersonalRules } from "../lib/personalRules";
+import { getDietaryProfiles } from "../lib/dietaryProfiles";
+import { formatIngredientName } from "../lib/ingredientDisplay";
+import { trackConversionHistoryView } from "../lib/premiumAnalytics";
+import "./ConversionHistoryModal.css";
+
+const STATUS_LABELS = {
+  haram: "Haram found",
+  review: "Needs review",
+  clean: "No issues"
+};
+
+const PREFERENCE_LABELS = {
+  strictnessLevel: "strictness level",
+  schoolOfThought: "school of thought",
+  preferredSubstitutes: "preferred substitutes",
+  personalRules: "personal rules",
+  dietaryProfiles: "dietary profiles"
+};
+
+const formatName = (id) => (id ? formatIngredientName(id) : "no substitute");
+
+/**
+ * What a re-run changed, in plain sentences
+ */
+function RerunChanges({ changes }) {
+  const lines = [
+    ...changes.added.map(issue => `${formatName(issue.ingredient_id)} is now flagged (${issue.status})`),
+    ...changes.removed.map(issue => `${formatName(issue.ingredient_id)} is no longer flagged`),
+    ...changes.statusChanged.map(change => `${formatName(change.ingredient_id)}: ${change.before} → ${change.after}`),
+    ...changes.replacementChanged.map(change =>
+      `${formatName(change.ingredient_id)} substitute: ${formatName(change.before)} → ${formatName(change.after)}`)
+  ];
+  if (changes.confidence.before !== changes.confidence.after) {
+    lines.push(`Confidence: ${changes.confidence.before ?? "—"}% → ${changes.confidence.after ?? "—"}%`);
+  }
+  if (changes.textChanged && lines.length === 0) {
+    lines.push("The converted text changed");
+  }
+
+  const causes = [
+    changes.knowledgeVersion.changed && "the halal knowledge base was updated",
+    changes.preferences.length > 0 && `your ${changes.preferences.map(key => PREFERENCE_LABELS[key]).join(", ")} changed`
+  ].filter(Boolean);
+
+  return (
+    <div className="history-rerun">
+      {changes.hasChanges ? (
+        <ul className="history-rerun-list">
+          {lines.map(line => <li key={line}>{line}</li>)}
+        </ul>
+      ) : (
+        <p className="history-rerun-none">Same result as before.</p>
+      )}
+      {causes.length > 0 && (
+        <p className="history-rerun-cause">Since this conversion, {causes.join(" and ")}.</p>
+      )}
+    </div>
+  );
+}
+
+/**
+ * Conversion History Modal
+ * Lists conversions from the last HISTORY_RETENTION_DAYS days with search and filters,
+ * and re-runs a stored recipe against today's knowledge base and settings
+ *
+ * Premium feature - open only when featureGating.canViewConversionHistory() allows it
+ *
+ * @param {Object} props
+ * @param {boolean} props.isOpen
+ * @param {Function} props.onClose
+ * @param {Object} props.halalSettings - Current { strictnessLevel, schoolOfThought }
+ * @param {Function} props.onOpenResult - Called with (recipeText, conversionResult) to show a re-run result
+ */
+function ConversionHistoryModal({ isOpen, onClose, halalSettings, onOpenResult }) {
+  const [entries, setEntries] = useState([]);
+  const [query, setQuery] = useState("");
+  const [status, setStatus] = useState("all");
+  const [from, setFrom] = useState("");
+  const [to, setTo] = useState("");
+  const [reruns, setReruns] = useState({}); // entry id -> { result, changes } or "loading"
+
+  useEffect(() => {
+    // Conversions happen while the modal is closed, so reload whenever it opens
+    if (isOpen) {
+      const history = getConversionHistory();
+      setEntries(history);
+      setReruns({});
+      trackConversionHistoryView(history.length);
+    }
+  }, [isOpen]);
+
+  const handleRerun = async (entry) => {
+    setReruns(prev => ({ ...prev, [entry.id]: "loading" }));
+    const rerun = await rerunConversion(entry, {
+      ...halalSettings,
+      preferredSubstitutes: getPreferredSubstitutes(),
+      personalRules: getPersonalRules(),
+      dietaryProfiles: getDietaryProfiles()
+    });
+    setReruns(prev => ({ ...prev, [entry.id]: rerun }));
+  };
+
+  const handleRemove = (id) => {
+    setEntries(removeConversionFromHistory(id));
+  };
+
+  const visibleEntries = filterConversionHistory(entries, { query, status, from, to });
+
+  return (
+    <ProfileModal
+      isOpen={isOpen}
+      onClose={onClose}
+      title="Conversion History"
+      ariaLabel="Conversion history"
+    >
+      <div className="history-content">
+        <div className="history-filters">
+          <input
+            type="search"
+            placeholder="Search recipes or ingredients"
+            value={query}
+            onChange={(e) => setQuery(e.target.value)}
+            aria-label="Search history"
+          />
+          <select value={status} onChange={(e) => setStatus(e.target.value)} aria-label="Filter by status">
+            <option value="all">All results</option>
+            {Object.entries(STATUS_LABELS).map(([value, label]) => (
+              <option key={value} value={value}>{label}</option>
+            ))}
+          </select>
+          <input type="date" value={from} onChange={(e) => setFrom(e.target.value)} aria-label="From date" />
+          <input type="date" value={to} onChange={(e) => setTo(e.target.value)} aria-label="To date" />
+        </div>
+
+        {visibleEntries.length === 0 ? (
+          <p className="history-empty">
+            {entries.length === 0
+              ? `Your conversions from the last ${HISTORY_RETENTION_DAYS} days will appear here.`
+              : "No conversions match these filters."}
+          </p>
+        ) : (
+          <ul className="history-list">
+            {visibleEntries.map(entry => {
+              const rerun = reruns[entry.id];
+              return (
+                <li key={entry.id} className="history-item">
+                  <div className="history-item-header">
+                    <div>
+                      <span className="history-item-title">{entry.title}</span>
+                      <span className="history-item-meta">
+                        {new Date(entry.timestamp).toLocaleString()} · {entry.confidenceScore ?? "—"}% confidence
+                      </span>
+                    </div>
+                    <span className={`history-status history-status-${entry.status}`}>
+                      {STATUS_LABELS[entry.status]}
+                    </span>
+                  </div>
+                  {entry.issues.length > 0 && (
+                    <p className="history-item-issues">
+                      {entry.issues.map(issue => formatName(issue.ingredient_id)).join(", ")}
+                    </p>
+                  )}
+                  <div className="history-item-actions">
+                    <button onClick={() => handleRerun(entry)} disabled={rerun === "loading"}>
+                      <RotateCw size={14} aria-hidden="true" />
+                      <span>{rerun === "loading" ? "Re-running..." : "Re-run"}</span>
+                    </button>
+                    {rerun && rerun !== "loading" && onOpenResult && (
+                      <button onClick={() => { onOpenResult(entry.input, rerun.result); onClose(); }}>
+                        Open new result
+                      </button>
+                    )}
+                    <button
+                      className="history-remove"
+                      onClick={() => handleRemove(entry.id)}
+                      aria-label={`Remove ${entry.title} from history`}
+                    >
+                      <Trash2 size={14} aria-hidden="true" />
+                    </button>
+                  </div>
+                  {rerun && rerun !== "loading" && <RerunChanges changes={rerun.changes} />}
+                </li>
+              );
+            })}
+          </ul>
+        )}
+      </div>
+    </ProfileModal>
+  );
+}
+
+export default ConversionHistoryModal;
@@ -0,0 +1,84 @@
+import React from "react";
+import "./EvaluationTraceViewer.css";
+
+function formatConfidence(value) {
+  return value === null || value === undefined ? "—" : `${value}%`;
+}
+
+function formatDelta(delta) {
+  if (delta > 0) return `+${delta}`;
+  if (delta < 0) return `−${Math.abs(delta)}`;
+  return "±0";
+}
+
+/**
+ * Evaluation Trace Viewer Component
+ * Every stage evaluateItem() went through for one ingredient: what status and confidence went in
+ * and came out, and which data file and entry the stage used (result.traceSteps, see evaluationTrace.js).
+ * Lines added after the engine (personal rules on substitutes, dietary skips, why a substitute was used)
+ * are listed under the stages as notes.
+ *
+ * @param {Object} props
+ * @param {Array} props.steps - traceSteps from evaluateItem()
+ * @param {Array<string>} props.notes - Trace lines that don't belong to an engine stage
+ */
+function EvaluationTraceViewer({ steps = [], notes = [] }) {
+  return (
+    <div className="trace-viewer">
+      <ol className="trace-viewer-steps">
+        {steps.map((step, index) => (
+          <li key={`${step.stage}-${index}`} className="trace-viewer-step">
+            <div className="trace-viewer-header">
+              <span className="trace-viewer-stage">{step.label}</span>
+              <span className="trace-viewer-status">
+                {step.statusIn && step.statusIn !== step.statusOut && (
+                  <>
+                    <span className={`trace-viewer-badge trace-viewer-badge-${step.statusIn}`}>{step.statusIn}</span>
+                    <span aria-hidden="true"> → </span>
+                  </>
+                )}
+                <span className={`trace-viewer-badge trace-viewer-badge-${step.statusOut}`}>{step.statusOut}</span>
+              </span>
+              {step.confidenceOut !== null && (
+                <span className="trace-viewer-confidence">
+                  {step.confidenceDelta !== null
+                    ? `${formatConfidence(step.confidenceIn)} → ${formatConfidence(step.confidenceOut)}`
+                    : formatConfidence(step.confidenceOut)}
+                  {step.confidenceDelta !== null && (
+                    <span
+                      className={`trace-viewer-delta${step.confidenceDelta < 0 ? " negative" : step.confidenceDelta > 0 ? " positive" : ""}`}
+                    >
+                      {formatDelta(step.confidenceDelta)}
+                    </span>
+                  )}
+                </span>
+              )}
+            </div>
+            {step.source && (
+              <div className="trace-viewer-source">
+                <code>{step.source.file}</code>
+                {step.source.entry && <> · <code>{step.source.entry}</code></>}
+              </div>
+            )}
+            {step.details.length > 0 && (
+              <ul className="trace-viewer-details">
+                {step.details.map((detail, detailIndex) => (
+                  <li key={detailIndex}>{detail}</li>
+                ))}
+              </ul>
+            )}
+          </li>
+        ))}
+      </ol>
+      {notes.length > 0 && (
+        <ul className="trace-viewer-notes">
+          {notes.map((note, index) => (
+            <li key={index}>{note}</li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+}
+
+export default EvaluationTraceViewer;
@@ -1,10 +1,31 @@
-import React, { useState, useEffect } from "react";
+import React, { useState, useEffect, useRef } from "react";
 import ProfileModal from "./ProfileModal";
+import { getPreferredSubstitutes, clearPreferredSubstitute } from "../lib/substitutePreferences";
+import {
+  getPersonalRules,
+  addPersonalRule,
+  removePersonalRule,
+  exportPersonalRules,
+  importPersonalRules,
+  describePersonalRule,
+  PERSONAL_RULE_STATUSES
+} from "../lib/personalRules";
+import { RULE_PACK_CATEGORIES } from "../lib/madhabRulePacks";
+import { DIETARY_PROFILES, getDietaryProfiles, saveDietaryProfiles } from "../lib/dietaryProfiles";
+import { formatIngredientName } from "../lib/ingredientDisplay";
 import "./HalalPreferencesModal.css";
 
 function HalalPreferencesModal({ isOpen, onClose, onSettingsChange }) {
   const [strictnessLevel, setStrictnessLevel] = useState("standard");
   const [schoolOfThought, setSchoolOfThought] = useState("no-preference");
+  const [preferredSubstitutes, setPreferredSubstitutes] = useState({});
+  const [personalRules, setPersonalRules] = useState([]);
+  const [dietaryProfiles, setDietaryProfiles] = useState([]);
+  const [ruleType, setRuleType] = useState("ingredient");
+  const [ruleTarget, setRuleTarget] = useState("");
+  const [ruleStatus, setRuleStatus] = useState("haram");
+  const [ruleMessage, setRuleMessage] = useState(null);
+  const importInputRef = useRef(null);
 
   useEffect(() => {
     // Load preferences from localStorage
@@ -19,6 +40,71 @@ function HalalPreferencesModal({ isOpen, onClose, onSettingsChange }) {
     }
   }, []);
 
+  useEffect(() => {
+    // Substitutes are picked on the convert screen, so reload whenever the modal opens
+    if (isOpen) {
+      setPreferredSubstitutes(getPreferredSubstitutes());
+      setPersonalRules(getPersonalRules());
+      setDietaryProfiles(getDietaryProfiles());
+      setRuleMessage(null);
+    }
+  }, [isOpen]);
+
+  const handleForgetSubstitute = (ingredientId) => {
+    setPreferredSubstitutes(clearPreferredSubstitute(ingredientId));
+  };
+
+  const handleDietaryProfileToggle = (profile) => {
+    setDietaryProfiles(saveDietaryProfiles(dietaryProfiles.includes(profile)
+      ? dietaryProfiles.filter(selected => selected !== profile)
+      : [...dietaryProfiles, profile]));
+  };
+
+  const handleRuleTypeChange = (type) => {
+    setRuleType(type);
+    setRuleTarget(type === "category" ? Object.keys(RULE_PACK_CATEGORIES)[0] : "");
+  };
+
+  const handleAddRule = (e) => {
+    e.preventDefault();
+    const result = addPersonalRule({ type: ruleType, target: ruleTarget, status: ruleStatus });
+    setPersonalRules(result.rules);
+    setRuleMessage(result.success ? null : result.error);
+    if (result.success && ruleType !== "category") {
+      setRuleTarget("");
+    }
+  };
+
+  const handleRemoveRule = (ruleId) => {
+    setPersonalRules(removePersonalRule(ruleId));
+  };
+
+  const handleExportRules = () => {
+    const blob = new Blob([exportPersonalRules(personalRules)], { type: "application/json" });
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement("a");
+    link.href = url;
+    link.download = "halal-personal-rules.json";
+    link.click();
+    URL.revokeObjectURL(url);
+  };
+
+  const handleImportRules = (e) => {
+    const file = e.target.files?.[0];
+    e.target.value = "";
+    if (!file) return;
+
+    const reader = new FileReader();
+    reader.onload = () => {
+      const result = importPersonalRules(String(reader.result));
+      setPersonalRules(result.rules);
+      setRuleMessage(result.success
+        ? `Imported ${result.imported} rule${result.imported === 1 ? "" : "s"}${result.skipped > 0 ? ` (${result.skipped} skipped)` : ""}.`
+        : result.error);
+    };
+    reader.readAsText(file);
+  };
+
   const handleStrictnessChange = (level) => {
     setStrictnessLevel(level);
     localStorage.setItem("halalStrictnessLevel", level);
@@ -146,6 +232,136 @@ function HalalPreferencesModal({ isOpen, onClose, onSettingsChange }) {
             </div>
           )}
         </div>
+
+        <div className="halal-preferences-section">
+          <h3 className="halal-preferences-section-title">Dietary Needs</h3>
+          <p className="halal-preferences-description">
+            Substitutes that don't fit are never suggested, and converted recipes warn about lines that don't
+          </p>
+          <div className="halal-preferences-dietary-group">
+            {Object.entries(DIETARY_PROFILES).map(([key, profile]) => (
+              <label key={key} className="halal-preferences-dietary-option">
+                <input
+                  type="checkbox"
+                  checked={dietaryProfiles.includes(key)}
+                  onChange={() => handleDietaryProfileToggle(key)}
+                />
+                <span>{profile.label}</span>
+              </label>
+            ))}
+          </div>
+        </div>
+
+        <div className="halal-preferences-section">
+          <h3 className="halal-preferences-section-title">Personal Rules</h3>
+          <p className="halal-preferences-description">
+            Your own rulings, applied after your strictness and school of thought
+          </p>
+          <form className="halal-preferences-rule-form" onSubmit={handleAddRule}>
+            <select
+              className="halal-preferences-select"
+              value={ruleType}
+              onChange={(e) => handleRuleTypeChange(e.target.value)}
+              aria-label="Rule applies to"
+            >
+              <option value="ingredient">Ingredient</option>
+              <option value="category">Category</option>
+              <option value="additive">Additive</option>
+              <option value="never_suggest">Never suggest substitute</option>
+            </select>
+            {ruleType === "category" ? (
+              <select
+                className="halal-preferences-select"
+                value={ruleTarget}
+                onChange={(e) => setRuleTarget(e.target.value)}
+                aria-label="Category"
+              >
+                {Object.entries(RULE_PACK_CATEGORIES).map(([key, category]) => (
+                  <option key={key} value={key}>{category.label}</option>
+                ))}
+              </select>
+            ) : (
+              <input
+                className="halal-preferences-rule-input"
+                type="text"
+                value={ruleTarget}
+                onChange={(e) => setRuleTarget(e.target.value)}
+                placeholder={ruleType === "additive" ? "E471 or mono- and diglycerides" : "e.g. coconut milk"}
+                aria-label={ruleType === "additive" ? "Additive" : ruleType === "never_suggest" ? "Substitute" : "Ingredient"}
+              />
+            )}
+            {ruleType !== "never_suggest" && (
+              <select
+                className="halal-preferences-select"
+                value={ruleStatus}
+                onChange={(e) => setRuleStatus(e.target.value)}
+                aria-label="Status"
+              >
+                {PERSONAL_RULE_STATUSES.map(status => (
+                  <option key={status} value={status}>{status.charAt(0).toUpperCase() + status.slice(1)}</option>
+                ))}
+              </select>
+            )}
+            <button type="submit" className="halal-preferences-rule-add">Add rule</button>
+          </form>
+          {ruleMessage && <p className="halal-preferences-rule-message" role="status">{ruleMessage}</p>}
+          {personalRules.length > 0 && (
+            <ul className="halal-preferences-substitutes">
+              {personalRules.map(rule => (
+                <li key={rule.id} className="halal-preferences-substitute">
+                  <span>{describePersonalRule(rule)}</span>
+                  <button
+                    className="halal-preferences-forget"
+                    onClick={() => handleRemoveRule(rule.id)}
+                    aria-label={`Remove personal rule: ${describePersonalRule(rule)}`}
+                  >
+                    Remove
+                  </button>
+                </li>
+              ))}
+            </ul>
+          )}
+          <div className="halal-preferences-rule-actions">
+            <button className="halal-preferences-forget" onClick={handleExportRules} disabled={personalRules.length === 0}>
+              Export rules
+            </button>
+            <button className="halal-preferences-forget" onClick={() => importInputRef.current?.click()}>
+              Import rules
+            </button>
+            <input
+              ref={importInputRef}
+              type="file"
+              accept="application/json,.json"
+              onChange={handleImportRules}
+              hidden
+            />
+          </div>
+        </div>
+
+        {Object.keys(preferredSubstitutes).length > 0 && (
+          <div className="halal-preferences-section">
+            <h3 className="halal-preferences-section-title">Preferred Substitutes</h3>
+            <p className="halal-preferences-description">
+              Substitutes you picked on a converted recipe are used automatically next time
+            </p>
+            <ul className="halal-preferences-substitutes">
+              {Object.entries(preferredSubstitutes).map(([ingredientId, substituteId]) => (
+                <li key={ingredientId} className="halal-preferences-substitute">
+                  <span>
+                    {formatIngredientName(ingredientId)} → <strong>{formatIngredientName(substituteId)}</strong>
+                  </span>
+                  <button
+                    className="halal-preferences-forget"
+                    onClick={() => handleForgetSubstitute(ingredientId)}
+                    aria-label={`Forget preferred substitute for ${formatIngredientName(ingredientId)}`}
+                  >
+                    Forget
+                  </button>
+                </li>
+              ))}
+            </ul>
+          </div>
+        )}
       </div>
     </ProfileModal>
   );
@@ -1,6 +1,6 @@
 /**
  * Ingredient Tree Display Component
- * Displays nested inheritance chains from ingredients.json
+ * Displays inheritance chains from the ingredients.json tree, with names and statuses from the knowledge base
  * Used for visual documentation and understanding ingredient relationships
  */
 
@@ -30,7 +30,7 @@ function IngredientTreeDisplay({ ingredientName, showTree = false }) {
       <div key={node.name} className={`tree-node depth-${depth}`}>
         <div className="tree-node-header">
           <span className={`tree-node-status status-${node.status}`}>
-            {node.status === "haram" ? "❌" : node.status === "questionable" ? "⚠️" : "✅"}
+            {node.status === "haram" ? "❌" : node.status === "halal" ? "✅" : "⚠️"}
           </span>
           <span className="tree-node-name">{node.name}</span>
         </div>
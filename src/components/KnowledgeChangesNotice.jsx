@@ -0,0 +1,76 @@
+import React from "react";
+import { Info, X } from "lucide-react";
+import { formatIngredientName } from "../lib/ingredientDisplay";
+import "./KnowledgeChangesNotice.css";
+
+const FIELD_LABELS = {
+  status: "ruling",
+  rulings: "rulings by school",
+  school_of_thought_variation: "school of thought notes",
+  inheritance: "derived-from sources",
+  alternatives: "substitutes",
+  aliases: "recognised names",
+  references: "references",
+  confidence_score_base: "confidence",
+  confidenceImpact: "confidence"
+};
+
+const describeRevision = (revision) => {
+  if (revision.change !== "updated") return `${revision.change} on ${revision.date}`;
+  const fields = [...new Set(revision.fields.map(field => FIELD_LABELS[field.field] || field.field))];
+  return `${fields.join(", ")} updated on ${revision.date}`;
+};
+
+/**
+ * Knowledge Changes Notice Component
+ * "What changed since your last visit": rulings in the user's saved recipes that changed
+ * because the knowledge base was updated, with the entry revisions that explain them
+ *
+ * @param {Object} props
+ * @param {Object} props.changes - Result of getChangesSinceLastVisit()
+ * @param {Function} props.onDismiss - Called when the user has seen the changes
+ */
+function KnowledgeChangesNotice({ changes, onDismiss }) {
+  if (!changes || changes.recipes.length === 0) return null;
+
+  return (
+    <div className="knowledge-changes" role="status">
+      <div className="knowledge-changes-header">
+        <h3>
+          <Info size={18} aria-hidden="true" />
+          <span>What changed since your last visit</span>
+        </h3>
+        <button className="knowledge-changes-dismiss" onClick={onDismiss} aria-label="Dismiss changes">
+          <X size={16} aria-hidden="true" />
+        </button>
+      </div>
+      <p className="knowledge-changes-intro">
+        Our halal knowledge base was updated (version {changes.sinceVersion} → {changes.currentVersion}).
+        These rulings in your saved recipes are different now:
+      </p>
+      <ul className="knowledge-changes-list">
+        {changes.recipes.map(recipe => (
+          <li key={recipe.recipeId}>
+            <strong>{recipe.title}</strong>
+            <ul>
+              {recipe.changes.map(change => (
+                <li key={change.ingredient_id}>
+                  {formatIngredientName(change.ingredient_id)}:{" "}
+                  {change.before ? `${change.before} → ${change.after}` : `now recognised (${change.after})`}
+                  {change.revisions.length > 0 && (
+                    <span className="knowledge-changes-revision">
+                      {" "}— {change.revisions.map(describeRevision).join("; ")}
+                    </span>
+                  )}
+                </li>
+              ))}
+            </ul>
+          </li>
+        ))}
+      </ul>
+      <button className="knowledge-changes-ack" onClick={onDismiss}>Got it</button>
+    </div>
+  );
+}
+
+export default KnowledgeChangesNotice;
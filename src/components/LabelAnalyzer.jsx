@@ -0,0 +1,239 @@
+import React, { useState } from "react";
+import { Camera } from "lucide-react";
+import { analyzeLabel } from "../lib/labelAnalyzer";
+import { recognizeLabel, reviewLinesToText } from "../lib/labelOcr";
+import "./LabelAnalyzer.css";
+
+const VERDICT_LABELS = {
+  halal: "Halal",
+  haram: "Haram",
+  conditional: "Check the source",
+  questionable: "Questionable",
+  unknown: "Can't confirm"
+};
+
+const SOURCE_LABELS = {
+  engine: "Knowledge base",
+  additive: "Additive database",
+  "engine+additive": "Knowledge base + additive database"
+};
+
+/**
+ * Label Analyzer Component
+ * Quick Lookup's "check a label" mode: paste a packaged food's ingredient panel and get a
+ * product-level verdict, the worst offenders and a per-ingredient breakdown
+ *
+ * A photo of the label can be read on-device instead (labelOcr.js); words the OCR is unsure
+ * about are highlighted for correction, and the verdict waits until the user confirms the text
+ *
+ * @param {Object} props.halalSettings - { strictnessLevel, schoolOfThought }; strictness decides how much
+ *   "may contain" and shared-facility statements count
+ */
+function LabelAnalyzer({ halalSettings }) {
+  const [labelText, setLabelText] = useState("");
+  const [analysis, setAnalysis] = useState(null);
+  const [ocrProgress, setOcrProgress] = useState(null); // 0-1 while a photo is being read
+  const [ocrError, setOcrError] = useState(null);
+  const [reviewLines, setReviewLines] = useState(null); // OCR words awaiting the user's check
+
+  const handleAnalyze = () => {
+    if (!labelText.trim()) return;
+    setReviewLines(null);
+    setAnalysis(analyzeLabel(labelText, halalSettings));
+  };
+
+  const handlePhoto = async (e) => {
+    const photo = e.target.files?.[0];
+    e.target.value = "";
+    if (!photo) return;
+
+    setAnalysis(null);
+    setReviewLines(null);
+    setOcrError(null);
+    setOcrProgress(0);
+    try {
+      const ocr = await recognizeLabel(photo, {
+        onProgress: (progress, status) => {
+          if (status === "recognizing text") setOcrProgress(progress);
+        }
+      });
+      setLabelText(ocr.text);
+      setReviewLines(ocr.lines);
+    } catch (error) {
+      console.error("Label OCR failed:", error);
+      setOcrError("We couldn't read that photo. Try again in better light, or type the ingredients.");
+    } finally {
+      setOcrProgress(null);
+    }
+  };
+
+  const handleCorrectWord = (lineIndex, wordIndex, text) => {
+    const lines = reviewLines.map((words, i) => i !== lineIndex ? words : words.map((word, j) =>
+      j !== wordIndex ? word : { ...word, text, lowConfidence: false, corrected: true }
+    ));
+    setReviewLines(lines);
+    setLabelText(reviewLinesToText(lines));
+  };
+
+  const lowConfidenceCount = reviewLines ? reviewLines.flat().filter(word => word.lowConfidence).length : 0;
+
+  return (
+    <div className="label-analyzer">
+      <div className="label-analyzer-photo">
+        <label className={`label-photo-button ${ocrProgress !== null ? "disabled" : ""}`}>
+          <Camera size={18} />
+          {ocrProgress !== null ? `Reading label… ${Math.round(ocrProgress * 100)}%` : "Take or upload a photo"}
+          <input
+            type="file"
+            accept="image/*"
+            capture="environment"
+            onChange={handlePhoto}
+            disabled={ocrProgress !== null}
+            hidden
+          />
+        </label>
+        <small>Read on your device – the photo is never uploaded</small>
+      </div>
+      {ocrError && <p className="label-ocr-error">{ocrError}</p>}
+
+      {reviewLines && (
+        <div className="label-ocr-review">
+          <p>
+            {lowConfidenceCount > 0
+              ? `Check the ${lowConfidenceCount} highlighted word${lowConfidenceCount === 1 ? "" : "s"} against the label, then check the label.`
+              : "Check the text against the label, then check the label."}
+          </p>
+          <div className="label-ocr-text">
+            {reviewLines.map((words, lineIndex) => (
+              <div key={lineIndex}>
+                {words.map((word, wordIndex) => word.lowConfidence ? (
+                  <input
+                    key={wordIndex}
+                    className="label-ocr-word low-confidence"
+                    defaultValue={word.text}
+                    size={Math.max(word.text.length, 3)}
+                    title={`Read as "${word.original}" (${word.confidence}% sure)`}
+                    onBlur={(e) => handleCorrectWord(lineIndex, wordIndex, e.target.value.trim())}
+                  />
+                ) : (
+                  <span
+                    key={wordIndex}
+                    className={`label-ocr-word ${word.corrected ? "corrected" : ""}`}
+                    title={word.corrected ? `Corrected from "${word.original}"` : undefined}
+                  >
+                    {word.text}
+                  </span>
+                ))}
+              </div>
+            ))}
+          </div>
+        </div>
+      )}
+
+      <textarea
+        className="label-analyzer-input"
+        placeholder="Ingredients: sugar, corn syrup, gelatin, contains 2% or less of: ..."
+        value={labelText}
+        onChange={(e) => {
+          setLabelText(e.target.value);
+          setReviewLines(null);
+        }}
+        rows={5}
+        aria-label="Ingredient label"
+      />
+      <button
+        onClick={handleAnalyze}
+        className="search-button"
+        disabled={!labelText.trim() || ocrProgress !== null}
+      >
+        Check label
+      </button>
+
+      {analysis && analysis.breakdown.length > 0 && (
+        <div className="label-analysis fade-in">
+          <div className={`label-verdict ${analysis.verdict}`}>
+            <span className="label-verdict-status">{VERDICT_LABELS[analysis.verdict] || analysis.verdict}</span>
+            <span className="label-verdict-meta">
+              {analysis.breakdown.length} ingredients checked · confidence {analysis.confidenceScore}%
+            </span>
+          </div>
+
+          {analysis.worstOffenders.length > 0 && (
+            <div className="label-offenders">
+              <h4>Worst offenders</h4>
+              <ul>
+                {analysis.worstOffenders.map((item, idx) => (
+                  <li key={idx}>
+                    <strong>{item.text}</strong>
+                    <span className={`label-status ${item.status}`}>{item.status}</span>
+                    {item.path.length > 0 && <small className="label-path"> in {item.path.join(" › ")}</small>}
+                    {item.explanation && <p className="label-explanation">{item.explanation}</p>}
+                  </li>
+                ))}
+              </ul>
+            </div>
+          )}
+
+          {analysis.unknowns.length > 0 && (
+            <div className="label-offenders label-unknowns">
+              <h4>Not in our database — please verify</h4>
+              <ul>
+                {analysis.unknowns.map((item, idx) => (
+                  <li key={idx}>
+                    <strong>{item.text}</strong>
+                    {item.path.length > 0 && <small className="label-path"> in {item.path.join(" › ")}</small>}
+                  </li>
+                ))}
+              </ul>
+            </div>
+          )}
+
+          {analysis.crossContaminationStatus !== "halal" && (
+            <div className="label-cross-contamination">
+              <span className={`label-status ${analysis.crossContaminationStatus}`}>{analysis.crossContaminationStatus}</span>
+              <p>
+                Cross-contamination with haram ingredients:{" "}
+                {analysis.crossContamination.filter(finding => finding.isHalalConcern).map(finding => `"${finding.statement}"`).join(", ")}
+              </p>
+            </div>
+          )}
+
+          {analysis.statements.length > 0 && (
+            <p className="label-statements">{analysis.statements.join(" ")}</p>
+          )}
+
+          <details className="label-breakdown">
+            <summary>Every ingredient</summary>
+            <table>
+              <thead>
+                <tr>
+                  <th>Ingredient</th>
+                  <th>Status</th>
+                  <th>Checked with</th>
+                </tr>
+              </thead>
+              <tbody>
+                {analysis.breakdown.map((item, idx) => (
+                  <tr key={idx}>
+                    <td style={{ paddingLeft: `${0.5 + item.depth * 1.25}rem` }}>
+                      {item.text}
+                      {item.note && <small className="label-path"> ({item.note})</small>}
+                      {item.minor && <span className="label-minor">minor</span>}
+                    </td>
+                    <td><span className={`label-status ${item.status}`}>{item.status}</span></td>
+                    <td>
+                      {SOURCE_LABELS[item.source]}
+                      {item.additive?.e_number && ` (${item.additive.e_number})`}
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </details>
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default LabelAnalyzer;
@@ -0,0 +1,84 @@
+import React, { useState } from "react";
+import { submitProduct } from "../lib/brandLookup";
+import { submitProductToServer } from "../api/productsApi";
+import "./ProductSubmissionForm.css";
+
+/**
+ * Product Submission Form
+ * Shown when a scanned barcode isn't in the database: the user copies the brand, product name and
+ * ingredient list from the pack, and the product is created for the next person who scans it
+ *
+ * The product is saved on this device first, so it works offline; sharing it with other users
+ * goes through the server and failing to reach it doesn't lose the submission.
+ */
+function ProductSubmissionForm({ barcode, onSubmitted }) {
+  const [brandName, setBrandName] = useState("");
+  const [productName, setProductName] = useState("");
+  const [ingredients, setIngredients] = useState("");
+  const [error, setError] = useState(null);
+  const [isSubmitting, setIsSubmitting] = useState(false);
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    const submission = submitProduct({
+      barcode,
+      brand_name: brandName,
+      product_name: productName,
+      ingredients
+    });
+    if (!submission.success) {
+      setError(submission.error);
+      return;
+    }
+
+    setError(null);
+    setIsSubmitting(true);
+    let shared = true;
+    try {
+      await submitProductToServer(submission.product);
+    } catch (error) {
+      // Still saved on this device - submitProductToServer() logs the error
+      shared = false;
+    }
+    setIsSubmitting(false);
+    onSubmitted(submission.product, { shared });
+  };
+
+  return (
+    <form className="product-submission" onSubmit={handleSubmit}>
+      <h4>Add this product</h4>
+      <p className="product-submission-intro">
+        Copy the details from the pack and we'll check the ingredients. The next person who scans {barcode} will see it.
+      </p>
+      <div className="product-submission-names">
+        <input
+          type="text"
+          placeholder="Brand"
+          value={brandName}
+          onChange={(e) => setBrandName(e.target.value)}
+          aria-label="Brand"
+        />
+        <input
+          type="text"
+          placeholder="Product name"
+          value={productName}
+          onChange={(e) => setProductName(e.target.value)}
+          aria-label="Product name"
+        />
+      </div>
+      <textarea
+        placeholder="Ingredients: ..."
+        value={ingredients}
+        onChange={(e) => setIngredients(e.target.value)}
+        rows={4}
+        aria-label="Ingredients"
+      />
+      {error && <p className="product-submission-error">{error}</p>}
+      <button type="submit" className="search-button" disabled={isSubmitting}>
+        {isSubmitting ? "Adding..." : "Add product"}
+      </button>
+    </form>
+  );
+}
+
+export default ProductSubmissionForm;
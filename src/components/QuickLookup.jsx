@@ -1,109 +1,146 @@
 import React, { useState, useEffect } from "react";
-import { Search, X, CheckCircle, AlertCircle, XCircle, Leaf, Package, Drumstick, AlertTriangle, HelpCircle } from "lucide-react";
+import { Search, X, CheckCircle, AlertCircle, XCircle, Leaf, Package, Drumstick, AlertTriangle, HelpCircle, ScanBarcode } from "lucide-react";
 import { evaluateItem } from "../lib/halalEngine";
 import { FEATURES } from "../lib/featureFlags";
 import { formatIngredientName } from "../lib/ingredientDisplay";
+import { lookupIngredient, normalizeIngredientId, KNOWLEDGE_SOURCES } from "../lib/knowledgeRepository";
 import { getConfidenceLevelInfo, getIngredientTypeInfo } from "../lib/ingredientClassification";
 import { getStatusExplanation, getReassuringMessage, getConfidenceDescription, getIngredientTypeDescription, getStatusSummary } from "../lib/quickLookupCopy";
-import { performBrandLookup, isBrandSearch } from "../lib/brandLookup";
+import { performBrandLookup, isBrandSearch, performBarcodeLookup, normalizeBarcode, saveSubmittedProduct } from "../lib/brandLookup";
 import { formatBrandLookupResponse } from "../lib/brandLookupResponseFormatter";
 import { isPremiumUser } from "../lib/subscription";
 import { detectAdditives } from "../lib/additiveDetection";
+import { getPersonalRules, describePersonalRule } from "../lib/personalRules";
 import { formatAdditiveBreakdown } from "../lib/additiveBreakdownFormatter";
+import { fetchProductByBarcode } from "../api/productsApi";
 import PremiumUpgradeModal from "./PremiumUpgradeModal";
+import LabelAnalyzer from "./LabelAnalyzer";
+import BarcodeScanner from "./BarcodeScanner";
+import EvaluationTraceViewer from "./EvaluationTraceViewer";
+import ProductSubmissionForm from "./ProductSubmissionForm";
 import "./QuickLookup.css";
 
-function QuickLookup({ onConvertClick }) {
+/**
+ * One node of an evaluateItem() dependency tree, with everything it contains below it
+ */
+function DependencyTreeNode({ node }) {
+  return (
+    <li className="dependency-node">
+      <span className="chain-item">{node.displayName}</span>
+      <span className={`dependency-status ${node.status}`}>{node.status}</span>
+      {node.relation === "depends_on" && <small className="dependency-relation">source</small>}
+      {node.children.length > 0 && (
+        <ul className="dependency-tree">
+          {node.children.map(child => (
+            <DependencyTreeNode key={child.id} node={child} />
+          ))}
+        </ul>
+      )}
+    </li>
+  );
+}
+
+/**
+ * A found brand or barcode product in QuickLookup result format
+ * @param {Object} formattedBrandResult - formatBrandLookupResponse() result with is_brand_lookup
+ */
+function toBrandResult(formattedBrandResult) {
+  return {
+    status: formattedBrandResult.halal_status === "halal" ? "halal" :
+           formattedBrandResult.halal_status === "haram" ? "haram" :
+           formattedBrandResult.halal_status === "conditional" ? "questionable" : "unknown",
+    explanation: formattedBrandResult.short_explanation,
+    simpleExplanation: formattedBrandResult.short_explanation,
+    alternatives: [],
+    confidence: formattedBrandResult.confidence_score / 100,
+    confidenceScore: formattedBrandResult.confidence_score,
+    confidencePercentage: formattedBrandResult.confidence_score,
+    confidenceLevel: formattedBrandResult.confidence_level,
+    ingredientType: "processed",
+    isBrandLookup: true,
+    brandName: formattedBrandResult.brand_name,
+    productName: formattedBrandResult.product_name,
+    halalCertified: formattedBrandResult.halal_certified,
+    certifyingBody: formattedBrandResult.certifying_body,
+    certificationNumber: formattedBrandResult.certification_number,
+    lastVerifiedDate: formattedBrandResult.last_verified_date,
+    verificationSource: formattedBrandResult.verification_source,
+    warnings: formattedBrandResult.warnings || [],
+    displayName: formattedBrandResult.display_name
+  };
+}
+
+function QuickLookup({ onConvertClick, halalSettings }) {
   const [searchTerm, setSearchTerm] = useState("");
   const [result, setResult] = useState(null);
   const [isLoading, setIsLoading] = useState(false);
   const [showUpgradeModal, setShowUpgradeModal] = useState(false);
   const [upgradeTriggerFeature, setUpgradeTriggerFeature] = useState(null);
+  const [mode, setMode] = useState("ingredient"); // "ingredient" or "label"
+  const [showScanner, setShowScanner] = useState(false);
 
-  // Hardcoded lookup data for common ingredients
-  // In production, this would come from the backend
-  const ingredientDatabase = {
-    bacon: {
-      status: "haram",
-      explanation: "Bacon is made from pork, which is prohibited in Islam.",
-      alternatives: ["Turkey bacon", "Beef bacon", "Halal chicken bacon"],
-      quranRef: "Qur'an 2:173",
-      hadithRef: "Sahih Muslim 1934"
-    },
-    pork: {
-      status: "haram",
-      explanation: "Pork is explicitly prohibited in the Qur'an.",
-      alternatives: ["Beef", "Lamb", "Chicken", "Turkey"],
-      quranRef: "Qur'an 2:173",
-      hadithRef: "Sahih Bukhari 5496"
-    },
-    wine: {
-      status: "haram",
-      explanation: "Alcoholic beverages are prohibited in Islam.",
-      alternatives: ["Grape juice", "Non-alcoholic wine", "Chicken/vegetable stock"],
-      quranRef: "Qur'an 5:90",
-      hadithRef: "Sahih Bukhari 5580"
-    },
-    "white wine": {
-      status: "haram",
-      explanation: "Alcoholic beverages are prohibited in Islam.",
-      alternatives: ["Chicken stock", "Vegetable stock", "Non-alcoholic white wine"],
-      quranRef: "Qur'an 5:90"
-    },
-    gelatin: {
-      status: "questionable",
-      explanation: "Gelatin may be derived from pork or non-halal sources. Check the source.",
-      alternatives: ["Halal gelatin", "Agar-agar", "Pectin"],
-      quranRef: "Qur'an 2:173"
-    },
-    "vanilla extract": {
-      status: "questionable",
-      explanation: "Some vanilla extracts contain alcohol. Look for alcohol-free versions.",
-      alternatives: ["Vanilla powder", "Vanilla bean paste", "Alcohol-free vanilla extract"]
-    },
-    "beef": {
-      status: "halal",
-      explanation: "Beef is halal when slaughtered according to Islamic guidelines.",
-      alternatives: []
-    },
-    "chicken": {
-      status: "halal",
-      explanation: "Chicken is halal when slaughtered according to Islamic guidelines.",
-      alternatives: []
-    },
-    "lamb": {
-      status: "halal",
-      explanation: "Lamb is halal when slaughtered according to Islamic guidelines.",
-      alternatives: []
+  // The school, strictness and personal rules the recipe converter evaluates with, so a lookup and a conversion agree
+  const getEvaluationOptions = () => ({
+    madhab: halalSettings?.schoolOfThought || "no-preference",
+    strictness: halalSettings?.strictnessLevel || "standard",
+    personalRules: getPersonalRules()
+  });
+
+  // Lookup without the engine (feature flag off): knowledge repository entry as-is, no inheritance or scoring
+  const existingLookupLogic = (searchInput) => {
+    const match = lookupIngredient(searchInput);
+    
+    if (match) {
+      const { entry } = match;
+      const references = entry.references || [];
+      return {
+        status: entry.status === "conditional" ? "questionable" : (entry.status || "unknown"),
+        explanation: entry.notes || entry.eli5 || "",
+        alternatives: entry.alternatives || [],
+        quranRef: references.find(r => /qur'?an|surah/i.test(r)),
+        hadithRef: references.find(r => /hadith|bukhari|muslim|dawud/i.test(r)),
+        displayName: formatIngredientName(match.id),
+        knowledgeSource: match.source
+      };
     }
+    
+    return {
+      status: "unknown",
+      explanation: "We couldn't find information about this ingredient. Please check with a qualified Islamic scholar or use our full recipe converter.",
+      alternatives: []
+    };
   };
 
 
-  // Existing lookup logic (preserved as fallback)
-  const existingLookupLogic = (searchInput) => {
-    const normalizedTerm = searchInput.toLowerCase().trim();
-    const found = ingredientDatabase[normalizedTerm];
-    
-    if (found) {
-      return found;
-    } else {
-      // Try to find partial matches
-      const partialMatch = Object.keys(ingredientDatabase).find(key => 
-        normalizedTerm.includes(key) || key.includes(normalizedTerm)
-      );
-      
-      if (partialMatch) {
-        return ingredientDatabase[partialMatch];
-      } else {
-        return {
-          status: "unknown",
-          explanation: "We couldn't find information about this ingredient. Please check with a qualified Islamic scholar or use our full recipe converter.",
-          alternatives: []
-        };
+  // Barcode lookup: brand database and this device's submissions, then products other users submitted
+  const performBarcodeSearch = async (barcode) => {
+    setIsLoading(true);
+
+    let barcodeResult = performBarcodeLookup(barcode);
+    if (barcodeResult.barcode_not_found) {
+      const sharedProduct = await fetchProductByBarcode(barcode);
+      if (sharedProduct && saveSubmittedProduct(sharedProduct)) {
+        barcodeResult = performBarcodeLookup(barcode);
       }
     }
-  };
 
+    if (barcodeResult.isBrandLookup) {
+      setResult(toBrandResult(formatBrandLookupResponse(barcodeResult)));
+    } else {
+      setResult({
+        status: "unknown",
+        explanation: barcodeResult.message,
+        simpleExplanation: barcodeResult.message,
+        alternatives: [],
+        confidenceScore: 0,
+        displayName: `Barcode ${barcode}`,
+        barcodeNotFound: barcodeResult.barcode_not_found ? barcode : null,
+        showBrandUpgradePrompt: !!barcodeResult.requiresPremium,
+        premiumFeature: "brandVerification"
+      });
+    }
+    setIsLoading(false);
+  };
 
   // Internal search function that accepts a term parameter
   const performSearch = async (termToSearch = null) => {
@@ -113,6 +150,12 @@ function QuickLookup({ onConvertClick }) {
       return;
     }
 
+    const barcode = normalizeBarcode(searchValue);
+    if (barcode) {
+      await performBarcodeSearch(barcode);
+      return;
+    }
+
     setIsLoading(true);
     
     // Simulate API call delay
@@ -130,34 +173,12 @@ function QuickLookup({ onConvertClick }) {
         
         // Convert to QuickLookup format
         if (formattedBrandResult.is_brand_lookup) {
-          result = {
-            status: formattedBrandResult.halal_status === "halal" ? "halal" :
-                   formattedBrandResult.halal_status === "haram" ? "haram" :
-                   formattedBrandResult.halal_status === "conditional" ? "questionable" : "unknown",
-            explanation: formattedBrandResult.short_explanation,
-            simpleExplanation: formattedBrandResult.short_explanation,
-            alternatives: [],
-            confidence: formattedBrandResult.confidence_score / 100,
-            confidenceScore: formattedBrandResult.confidence_score,
-            confidencePercentage: formattedBrandResult.confidence_score,
-            confidenceLevel: formattedBrandResult.confidence_level,
-            ingredientType: "processed",
-            isBrandLookup: true,
-            brandName: formattedBrandResult.brand_name,
-            productName: formattedBrandResult.product_name,
-            halalCertified: formattedBrandResult.halal_certified,
-            certifyingBody: formattedBrandResult.certifying_body,
-            certificationNumber: formattedBrandResult.certification_number,
-            lastVerifiedDate: formattedBrandResult.last_verified_date,
-            verificationSource: formattedBrandResult.verification_source,
-            warnings: formattedBrandResult.warnings || [],
-            displayName: formattedBrandResult.display_name
-          };
+          result = toBrandResult(formattedBrandResult);
         } else if (formattedBrandResult.brand_not_found) {
           // Brand not found, use generic fallback
           const genericResult = formattedBrandResult;
-          const normalizedTerm = searchValue.toLowerCase().trim().replace(/\s+/g, "_");
-          const hkmResult = evaluateItem(normalizedTerm);
+          const normalizedTerm = normalizeIngredientId(searchValue);
+          const hkmResult = evaluateItem(normalizedTerm, getEvaluationOptions());
           
           // Convert generic result to QuickLookup format (existing logic)
           let uiStatus;
@@ -201,7 +222,8 @@ function QuickLookup({ onConvertClick }) {
             isBrandLookup: false,
             brandNotFound: true,
             brandNotFoundMessage: genericResult.message,
-            displayName: hkmResult.displayName
+            displayName: hkmResult.displayName,
+            knowledgeSource: hkmResult.knowledgeSource || null
           };
         } else {
           // Premium required - but still show generic lookup, don't block
@@ -213,8 +235,8 @@ function QuickLookup({ onConvertClick }) {
       // If brand search but not premium, show generic lookup with upgrade prompt
       if (isBrand && !isPremium && !result) {
         // Perform generic lookup (never block basic lookup)
-        const normalizedTerm = searchValue.toLowerCase().trim().replace(/\s+/g, "_");
-        const hkmResult = evaluateItem(normalizedTerm);
+        const normalizedTerm = normalizeIngredientId(searchValue);
+        const hkmResult = evaluateItem(normalizedTerm, getEvaluationOptions());
         
         let uiStatus;
         switch (hkmResult.status) {
@@ -255,6 +277,7 @@ function QuickLookup({ onConvertClick }) {
           confidenceLevel: hkmResult.confidenceLevel || "conditional",
           ingredientType: hkmResult.ingredientType || "processed",
           displayName: hkmResult.displayName,
+          knowledgeSource: hkmResult.knowledgeSource || null,
           // Add upgrade prompt for brand lookup
           showBrandUpgradePrompt: true,
           brandSearchAttempted: true,
@@ -271,8 +294,8 @@ function QuickLookup({ onConvertClick }) {
       
       if (!result && FEATURES.HALAL_KNOWLEDGE_ENGINE) {
         // Use shared evaluateItem() from halalEngine - same function used everywhere
-        const normalizedTerm = searchValue.toLowerCase().trim().replace(/\s+/g, "_");
-        const hkmResult = evaluateItem(normalizedTerm);
+        const normalizedTerm = normalizeIngredientId(searchValue);
+        const hkmResult = evaluateItem(normalizedTerm, getEvaluationOptions());
         
         // Use HKM result (including unknown) - evaluateItem is the single source of truth
         // Unknown ingredients are explicitly marked with "Insufficient data — please verify"
@@ -353,6 +376,7 @@ function QuickLookup({ onConvertClick }) {
           confidenceLevel: hkmResult.confidenceLevel || "conditional", // NEW: certain_halal, conditional, haram, rare_unknown
           ingredientType: hkmResult.ingredientType || "processed", // NEW: natural, processed, animal, alcohol-derived
           trace: hkmResult.trace || [],
+          traceSteps: hkmResult.traceSteps || [], // Stage-by-stage record for the breakdown
           eli5: simpleExplanation, // ELI5 format (alias for simpleExplanation)
           notes: hkmResult.notes || "", // From evaluateItem
           inheritedFrom: hkmResult.inheritedFrom || null,
@@ -363,9 +387,12 @@ function QuickLookup({ onConvertClick }) {
           hadithRef: hadithRefs.length > 0 ? hadithRefs.join("; ") : undefined,
           displayName: hkmResult.displayName, // Normalized display name from evaluateItem
           isDefaultHalal: hkmResult.isDefaultHalal || false, // Flag for default halal natural ingredients
+          knowledgeSource: hkmResult.knowledgeSource || null, // Knowledge file that answered
+          dependencyTree: hkmResult.dependencyTree || null, // Products: everything they contain, with statuses
+          personalRules: hkmResult.personalRules || [], // The user's own overrides that changed this result
           hkmResult: hkmResult // Keep original for reference
         };
-      } else {
+      } else if (!result) {
         // Use existing lookup logic when feature flag is off
         result = existingLookupLogic(searchValue);
       }
@@ -405,6 +432,22 @@ function QuickLookup({ onConvertClick }) {
     }
   };
 
+  const handleBarcodeDetected = (barcode) => {
+    setShowScanner(false);
+    setSearchTerm(barcode);
+    performSearch(barcode);
+  };
+
+  const handleProductSubmitted = async (product, { shared }) => {
+    await performBarcodeSearch(product.barcode);
+    setResult(current => current && {
+      ...current,
+      submissionNotice: shared
+        ? "Thanks! Everyone who scans this barcode will now see this product."
+        : "Saved on this device only - we couldn't reach the server to share it with others."
+    });
+  };
+
   const clearSearch = () => {
     setSearchTerm("");
     setResult(null);
@@ -473,11 +516,31 @@ function QuickLookup({ onConvertClick }) {
         <p className="quick-lookup-subtitle">Quick ingredient lookup</p>
       </div>
       
+      <div className="quick-lookup-modes" role="tablist">
+        <button
+          role="tab"
+          aria-selected={mode === "ingredient"}
+          className={`quick-lookup-mode ${mode === "ingredient" ? "active" : ""}`}
+          onClick={() => setMode("ingredient")}
+        >
+          Look up an ingredient
+        </button>
+        <button
+          role="tab"
+          aria-selected={mode === "label"}
+          className={`quick-lookup-mode ${mode === "label" ? "active" : ""}`}
+          onClick={() => setMode("label")}
+        >
+          Check a label
+        </button>
+      </div>
+      
+      {mode === "label" ? <LabelAnalyzer halalSettings={halalSettings} /> : (<>
       <div className="quick-lookup-search">
         <div className="search-input-wrapper">
           <input
             type="text"
-            placeholder="Type an ingredient name..."
+            placeholder="Type an ingredient name or barcode..."
             value={searchTerm}
             onChange={(e) => setSearchTerm(e.target.value)}
             onKeyPress={handleKeyPress}
@@ -494,6 +557,14 @@ function QuickLookup({ onConvertClick }) {
             </button>
           )}
         </div>
+        <button
+          onClick={() => setShowScanner(!showScanner)}
+          className={`scan-button ${showScanner ? "active" : ""}`}
+          aria-label="Scan a barcode"
+          title="Scan a barcode"
+        >
+          <ScanBarcode size={20} />
+        </button>
         <button
           onClick={handleSearch}
           className="search-button"
@@ -504,6 +575,10 @@ function QuickLookup({ onConvertClick }) {
         </button>
       </div>
 
+      {showScanner && (
+        <BarcodeScanner onDetected={handleBarcodeDetected} onClose={() => setShowScanner(false)} />
+      )}
+
       {result && (
         <div className="quick-lookup-result fade-in">
           {/* Main Status Header */}
@@ -521,8 +596,20 @@ function QuickLookup({ onConvertClick }) {
               {result.quranRef && (
                 <span className="result-reference">{result.quranRef}</span>
               )}
+              {result.knowledgeSource && (
+                <span className="result-reference">Source: {KNOWLEDGE_SOURCES[result.knowledgeSource].file}</span>
+              )}
+              {result.personalRules?.length > 0 && (
+                <span className="result-personal-rule">
+                  Personal rule: {result.personalRules.map(describePersonalRule).join("; ")}
+                </span>
+              )}
             </div>
           </div>
+
+          {result.submissionNotice && (
+            <p className="submission-notice">{result.submissionNotice}</p>
+          )}
           
           {/* Detailed Explanation Section */}
           <div className="explanation-section">
@@ -610,6 +697,15 @@ function QuickLookup({ onConvertClick }) {
               </div>
             )}
             
+            {result.dependencyTree && (
+              <div className="inheritance-chain-section">
+                <strong className="inheritance-chain-label">What it contains:</strong>
+                <ul className="dependency-tree root">
+                  <DependencyTreeNode node={result.dependencyTree} />
+                </ul>
+              </div>
+            )}
+            
             {result.inheritedFrom && !result.inheritanceChain && (
               <div className="inheritance-source-section">
                 <p className="inheritance-source">
@@ -639,11 +735,15 @@ function QuickLookup({ onConvertClick }) {
             {result.trace && result.trace.length > 0 && (
               <details className="trace-details">
                 <summary className="trace-summary">Show Full Breakdown</summary>
-                <ul className="trace-list">
-                  {result.trace.map((step, idx) => (
-                    <li key={idx} className="trace-item">{step}</li>
-                  ))}
-                </ul>
+                {result.traceSteps?.length > 0 ? (
+                  <EvaluationTraceViewer steps={result.traceSteps} />
+                ) : (
+                  <ul className="trace-list">
+                    {result.trace.map((step, idx) => (
+                      <li key={idx} className="trace-item">{step}</li>
+                    ))}
+                  </ul>
+                )}
               </details>
             )}
             
@@ -664,6 +764,10 @@ function QuickLookup({ onConvertClick }) {
               </div>
             )}
             
+            {result.barcodeNotFound && (
+              <ProductSubmissionForm barcode={result.barcodeNotFound} onSubmitted={handleProductSubmitted} />
+            )}
+            
             {/* Brand Lookup Upgrade Prompt */}
             {result.showBrandUpgradePrompt && !isPremiumUser() && (
               <div className="upgrade-prompt-section">
@@ -765,6 +869,7 @@ function QuickLookup({ onConvertClick }) {
           </div>
         </div>
       )}
+      </>)}
       
       {/* Premium Upgrade Modal */}
       {showUpgradeModal && (
@@ -0,0 +1,70 @@
+import React from "react";
+import { Undo2, Check } from "lucide-react";
+import { getDiffSegments } from "../lib/recipeEdits";
+import "./RecipeDiffView.css";
+
+/**
+ * Recipe Diff View Component
+ * Inline diff of the converted recipe against the original, built from the conversion's edit list.
+ * Each substitution can be rejected to keep the original wording at that spot; quantity changes
+ * and "(originally …)" notes follow the substitution they belong to.
+ *
+ * @param {Object} props
+ * @param {string} props.originalText - Text the edit offsets refer to
+ * @param {Array} props.edits - Edits from convertRecipeWithJson()
+ * @param {Array<string>} props.rejectedEditIds - Ids of rejected substitutions
+ * @param {Function} props.onToggleEdit - Called with an edit id to reject or restore it
+ */
+function RecipeDiffView({ originalText, edits = [], rejectedEditIds = [], onToggleEdit }) {
+  const segments = getDiffSegments(originalText, edits, rejectedEditIds);
+
+  return (
+    <pre className="recipe-output recipe-diff">
+      {segments.map((segment, index) => {
+        if (segment.type === "unchanged") {
+          return <React.Fragment key={`text-${index}`}>{segment.text}</React.Fragment>;
+        }
+
+        const { edit, rejected } = segment;
+        const isSubstitution = edit.type === "substitution";
+
+        if (rejected) {
+          return (
+            <span key={edit.id} className="recipe-diff-edit recipe-diff-rejected">
+              {edit.originalText}
+              {isSubstitution && (
+                <button
+                  className="recipe-diff-action"
+                  onClick={() => onToggleEdit(edit.id)}
+                  title={`Use the substitute (${edit.newText.trim()})`}
+                  aria-label={`Use ${edit.newText.trim()} instead of ${edit.originalText}`}
+                >
+                  <Check size={12} aria-hidden="true" />
+                </button>
+              )}
+            </span>
+          );
+        }
+
+        return (
+          <span key={edit.id} className="recipe-diff-edit">
+            {edit.originalText && <del>{edit.originalText}</del>}
+            <ins>{edit.newText}</ins>
+            {isSubstitution && (
+              <button
+                className="recipe-diff-action"
+                onClick={() => onToggleEdit(edit.id)}
+                title={`Keep the original (${edit.originalText})`}
+                aria-label={`Keep ${edit.originalText} instead of ${edit.newText.trim()}`}
+              >
+                <Undo2 size={12} aria-hidden="true" />
+              </button>
+            )}
+          </span>
+        );
+      })}
+    </pre>
+  );
+}
+
+export default RecipeDiffView;
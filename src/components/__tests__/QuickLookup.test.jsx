@@ -0,0 +1,31 @@
+/**
+ * Unit Tests for QuickLookup Component
+ * Tests that a lookup rules on an ingredient with the same school and strictness as a recipe conversion
+ */
+
+import { describe, it, expect, vi } from 'vitest';
+import { render, screen, fireEvent } from '@testing-library/react';
+import QuickLookup from '../QuickLookup';
+import { convertRecipeWithJson } from '../../lib/convertRecipeJson';
+
+vi.mock('../../lib/affiliateService', () => ({
+  getAffiliateLinksForSubstitutes: vi.fn().mockResolvedValue({}),
+  buildAffiliateUrl: vi.fn()
+}));
+
+async function lookUp(term, halalSettings) {
+  render(<QuickLookup onConvertClick={vi.fn()} halalSettings={halalSettings} />);
+  fireEvent.change(screen.getByLabelText('Search ingredient'), { target: { value: term } });
+  fireEvent.click(screen.getByLabelText('Search'));
+  return (await screen.findByText(/^(Halal|Haram|Questionable|Unknown)$/)).textContent;
+}
+
+describe('QuickLookup Component', () => {
+  it('should give an ingredient the same ruling as a conversion with the same settings', async () => {
+    const halalSettings = { schoolOfThought: 'hanafi', strictnessLevel: 'standard' };
+    const conversion = await convertRecipeWithJson('Ingredients:\n- 1 tsp carmine', halalSettings);
+
+    expect(conversion.issues.find(issue => issue.ingredient_id === 'carmine').status).toBe('haram');
+    expect(await lookUp('carmine', halalSettings)).toBe('Haram');
+  });
+});
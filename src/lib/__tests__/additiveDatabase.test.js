@@ -0,0 +1,63 @@
+/**
+ * Unit Tests for Additive Database
+ * Tests E-number coverage, variant lookup, per-source statuses, exact name/alias matching and
+ * resolving an additive to the source named on the label
+ */
+
+import { describe, it, expect } from 'vitest';
+import { ADDITIVE_DATABASE, getAdditiveInfo, parseENumber } from '../additiveDatabase';
+import { detectAdditives, extractENumbers } from '../additiveDetection';
+
+describe('Additive Database', () => {
+  it('should cover the EU E-number range with per-source statuses', () => {
+    const eNumbers = Object.values(ADDITIVE_DATABASE).filter(additive => additive.e_number);
+
+    expect(eNumbers.length).toBeGreaterThan(300);
+    expect(getAdditiveInfo('E100').name).toBe('Curcumin');
+    expect(getAdditiveInfo('E1520').name).toBe('Propane-1,2-diol');
+    expect(getAdditiveInfo('E471')).toMatchObject({
+      sources: { plant: 'halal', animal: 'conditional' },
+      halal_status: 'conditional',
+      requires_verification: true
+    });
+    expect(getAdditiveInfo('E330')).toMatchObject({ source: 'microbial', halal_status: 'halal' });
+  });
+
+  it('should resolve sub-letter and roman-numeral variants, falling back to the parent', () => {
+    expect(parseENumber('e 160A(II)')).toEqual({
+      e_number: 'E160a(ii)',
+      lookup_keys: ['e160a(ii)', 'e160a', 'e160']
+    });
+    expect(getAdditiveInfo('E160a(ii)').name).toBe('Beta-carotene');
+    expect(getAdditiveInfo('E472e').name).toMatch(/diacetyl tartaric/);
+    expect(getAdditiveInfo('E471a').e_number).toBe('E471');
+    expect(getAdditiveInfo('E9999')).toBeNull();
+  });
+
+  it('should match names exactly or by alias, never by substring', () => {
+    expect(getAdditiveInfo('acid')).toBeNull();
+    expect(getAdditiveInfo('gum')).toBeNull();
+    expect(getAdditiveInfo('Citric Acid').e_number).toBe('E330');
+    expect(getAdditiveInfo('Mono- and Diglycerides').e_number).toBe('E471');
+    expect(getAdditiveInfo("Confectioner's glaze").e_number).toBe('E904');
+    expect(getAdditiveInfo('rennet').e_number).toBeNull();
+  });
+
+  it('should detect variants and aliases in an ingredient list without duplicates', () => {
+    const additives = detectAdditives('Sugar, emulsifier (E471, mono- and diglycerides), colour: E160a(ii), citric acid, soy lecithin');
+
+    expect(extractENumbers('colour E160A(ii), E 471')).toEqual(['E160a(ii)', 'E471']);
+    expect(additives.map(additive => additive.e_number)).toEqual(['E471', 'E160a(ii)', 'E330', 'E322']);
+  });
+
+  it('should resolve an additive to the source the label names', () => {
+    const [e322, e422, e471] = detectAdditives('E322 (sunflower), vegetable mono- and diglycerides, E422');
+    const [gelatin] = detectAdditives('gelatine (fish)');
+
+    expect(e322).toMatchObject({ halal_status: 'halal', source: 'plant', resolved_source: { source: 'plant', terms: ['sunflower'] } });
+    expect(e322.trace).toEqual(['Source qualifier: sunflower → plant source, E322 resolved to halal']);
+    expect(e471).toMatchObject({ e_number: 'E471', halal_status: 'halal', requires_verification: false });
+    expect(e422).toMatchObject({ halal_status: 'conditional', source: 'unknown' });
+    expect(gelatin).toMatchObject({ e_number: 'E441', halal_status: 'halal' });
+  });
+});
@@ -0,0 +1,65 @@
+/**
+ * Unit Tests for Alcohol Rules
+ * Tests reading ABV, origin and transformation from a text and ruling on alcohol by madhab and strictness
+ */
+
+import { describe, it, expect } from 'vitest';
+import { detectAlcoholContext, classifyAlcohol } from '../alcoholRules';
+import { evaluateItem } from '../halalEngine';
+
+describe('Alcohol Rules', () => {
+  it('should read stated ABV, origin and transformation', () => {
+    expect(detectAlcoholContext('non-alcoholic beer (<0.5% alcohol)')).toMatchObject({
+      isKhamr: true,
+      origin: 'khamr',
+      abv: 0.5,
+      abvIsLimit: true,
+      isAlcoholFree: true
+    });
+    expect(detectAlcoholContext('soy sauce (naturally brewed, contains 2% alcohol)')).toMatchObject({ origin: 'natural', abv: 2 });
+    expect(detectAlcoholContext('red_wine_vinegar')).toMatchObject({ terms: ['wine'], isVinegar: true });
+    expect(detectAlcoholContext('sugar')).toBeNull();
+  });
+
+  it('should categorise alcohol by origin and use', () => {
+    const categorise = text => classifyAlcohol(detectAlcoholContext(text)).category;
+
+    expect(categorise('wine')).toBe('khamr');
+    expect(categorise('beer battered fish')).toBe('cooked_off');
+    expect(categorise('synthetic ethanol')).toBe('synthetic_ethanol');
+    expect(categorise('natural flavor (<0.1% alcohol)')).toBe('ethanol_trace');
+    expect(categorise('pure vanilla extract (35% alcohol)')).toBe('ethanol');
+    expect(categorise('alcohol-free vanilla')).toBe('alcohol_free');
+  });
+
+  it('should rule on wine vinegar by madhab', () => {
+    const rulings = ['no-preference', 'hanafi', 'maliki', 'shafii', 'hanbali'].map(madhab =>
+      evaluateItem('red wine vinegar', { madhab }).status);
+
+    expect(rulings).toEqual(['conditional', 'halal', 'halal', 'questionable', 'questionable']);
+    expect(evaluateItem('red wine vinegar', { madhab: 'hanafi' }).trace).toEqual([
+      'Alcohol: khamr vinegar',
+      'Alcohol ruling: conditional',
+      'Hanafi rule pack: vinegar made from wine or beer → halal'
+    ]);
+  });
+
+  it('should set the trace limit by strictness instead of a blanket haram', () => {
+    const rulings = ['strict', 'standard', 'flexible'].map(strictness =>
+      evaluateItem('natural flavor (<0.1% alcohol)', { strictness }).status);
+
+    expect(rulings).toEqual(['haram', 'halal', 'halal']);
+    expect(evaluateItem('wine').status).toBe('haram');
+    expect(evaluateItem('pork and wine sausage').trace[0]).toBe('Haram modifier detected: pork');
+  });
+
+  it('should rule on every drink it knows, as whole words only', () => {
+    const drinks = ['gin', 'tequila', 'marsala', 'lager', 'mead'].map(drink => evaluateItem(drink));
+
+    expect(drinks.map(result => result.status)).toEqual(['haram', 'haram', 'haram', 'haram', 'haram']);
+    expect(drinks.every(result => result.alcoholCategory === 'khamr')).toBe(true);
+    expect(evaluateItem('ginger').status).toBe('halal');
+    expect(evaluateItem('portobello mushroom').status).toBe('halal');
+    expect(evaluateItem('bread crumbs').trace[0]).not.toMatch(/Haram modifier/);
+  });
+});
@@ -0,0 +1,90 @@
+/**
+ * Unit Tests for Batch Conversion
+ * Tests splitting pasted recipes, per-recipe limits and the combined export
+ */
+
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+import { splitBatchRecipes, getRecipeTitle, convertRecipeBatch, buildBatchExport, BATCH_RECIPE_LIMIT } from '../batchConversion';
+import { canConvert, trackConversion } from '../subscription';
+
+vi.mock('../affiliateService', () => ({
+  getAffiliateLinksForSubstitutes: vi.fn().mockResolvedValue({}),
+  buildAffiliateUrl: vi.fn()
+}));
+
+vi.mock('../subscription', () => ({
+  canConvert: vi.fn(() => true),
+  trackConversion: vi.fn()
+}));
+
+const carbonara = 'Chicken Carbonara\n\nIngredients:\n- 200g bacon\n- 2 eggs\n\nInstructions:\n1. Fry the bacon.';
+const salad = 'Title: Green Salad\n\nIngredients:\n- 1 cucumber\n- 2 tomatoes';
+
+describe('Batch Conversion', () => {
+  beforeEach(() => {
+    vi.mocked(canConvert).mockReset().mockReturnValue(true);
+    vi.mocked(trackConversion).mockReset();
+  });
+
+  describe('Splitting Recipes', () => {
+    it('should split on separator lines and drop empty parts', () => {
+      const text = `${carbonara}\n---\n${salad}\n\n===\n\n`;
+      expect(splitBatchRecipes(text)).toEqual([carbonara, salad]);
+    });
+
+    it('should not split on dashes inside a line', () => {
+      expect(splitBatchRecipes('Soup\n- 1 onion --- chopped')).toHaveLength(1);
+    });
+
+    it('should use the first line as title without a "Title:" prefix', () => {
+      expect(getRecipeTitle(carbonara)).toBe('Chicken Carbonara');
+      expect(getRecipeTitle(salad)).toBe('Green Salad');
+    });
+  });
+
+  describe('Converting', () => {
+    it('should convert each recipe and count every conversion', async () => {
+      const onProgress = vi.fn();
+      const results = await convertRecipeBatch([carbonara, { text: salad, name: 'salad' }], {}, { onProgress });
+
+      expect(results.map(item => item.status)).toEqual(['converted', 'converted']);
+      expect(results[0].haramCount).toBeGreaterThan(0);
+      expect(results[1].title).toBe('salad');
+      expect(results[1].issueCount).toBe(0);
+      expect(trackConversion).toHaveBeenCalledTimes(2);
+      expect(onProgress).toHaveBeenLastCalledWith(2, 2);
+    });
+
+    it('should stop converting once the monthly limit is reached', async () => {
+      vi.mocked(canConvert).mockReturnValueOnce(true).mockReturnValue(false);
+      const results = await convertRecipeBatch([carbonara, salad], {});
+
+      expect(results.map(item => item.status)).toEqual(['converted', 'limit_reached']);
+      expect(results[1].result).toBeNull();
+      expect(trackConversion).toHaveBeenCalledTimes(1);
+    });
+
+    it('should skip recipes past the batch limit', async () => {
+      const recipes = Array.from({ length: BATCH_RECIPE_LIMIT + 1 }, () => salad);
+      const results = await convertRecipeBatch(recipes, {});
+
+      expect(results[BATCH_RECIPE_LIMIT].status).toBe('over_batch_limit');
+      expect(trackConversion).toHaveBeenCalledTimes(BATCH_RECIPE_LIMIT);
+    });
+  });
+
+  describe('Export', () => {
+    it('should include a summary and every converted recipe', async () => {
+      vi.mocked(canConvert).mockReturnValueOnce(true).mockReturnValue(false);
+      const results = await convertRecipeBatch([carbonara, salad], {});
+      const exported = buildBatchExport(results);
+
+      expect(exported).toContain('Batch Conversion (1 of 2 recipes)');
+      expect(exported).toContain('2. Green Salad (limit reached)');
+      expect(exported).toContain('=== 1. Chicken Carbonara ===');
+      expect(exported).toContain('Substitutions: Bacon → ');
+      expect(exported).toContain(results[0].result.convertedText);
+      expect(exported).not.toContain('=== 2.');
+    });
+  });
+});
@@ -0,0 +1,69 @@
+/**
+ * Unit Tests for Brand Lookup
+ * Tests barcode normalisation, lookup by barcode and products submitted for unknown barcodes
+ */
+
+import { describe, it, expect, beforeEach } from 'vitest';
+import {
+  normalizeBarcode,
+  lookupBarcode,
+  performBarcodeLookup,
+  submitProduct,
+  getSubmittedProducts
+} from '../brandLookup';
+
+describe('Brand Lookup', () => {
+  beforeEach(() => {
+    localStorage.setItem('premiumStatus', 'active');
+  });
+
+  describe('normalizeBarcode', () => {
+    it('should treat UPC-A and its EAN-13 form as the same code', () => {
+      expect(normalizeBarcode('0 54800 42383 5')).toBe('0054800423835');
+      expect(normalizeBarcode('0054800423835')).toBe('0054800423835');
+      expect(normalizeBarcode('90024900')).toBe('90024900');
+    });
+
+    it('should reject codes with a wrong check digit or length', () => {
+      expect(normalizeBarcode('054800423836')).toBeNull();
+      expect(normalizeBarcode('12345')).toBeNull();
+      expect(normalizeBarcode('basmati rice')).toBeNull();
+    });
+  });
+
+  it('should find a brand product by barcode', () => {
+    expect(lookupBarcode('054800423835').product_name).toBe('Basmati Rice');
+
+    const result = performBarcodeLookup('5290000100014');
+    expect(result).toMatchObject({ isBrandLookup: true, brand_name: 'Al Wadi', barcode: '5290000100014' });
+  });
+
+  it('should let a user add an unknown barcode for the next lookup', () => {
+    const barcode = '000000000017';
+    expect(performBarcodeLookup(barcode)).toMatchObject({ barcode_not_found: true, barcode: '0000000000017' });
+
+    const submission = submitProduct({
+      barcode,
+      brand_name: 'Sweet Co',
+      product_name: 'Gummy Bears',
+      ingredients: 'Ingredients: glucose syrup, sugar, gelatin, citric acid'
+    });
+    expect(submission.success).toBe(true);
+    expect(submission.product).toMatchObject({ status: 'haram', verification_source: 'user_report', halal_certified: false });
+    expect(getSubmittedProducts()).toHaveLength(1);
+
+    const result = performBarcodeLookup(barcode);
+    expect(result).toMatchObject({ isBrandLookup: true, product_name: 'Gummy Bears', halal_status: 'haram' });
+  });
+
+  it('should not accept a submission without ingredients', () => {
+    const submission = submitProduct({ barcode: '000000000017', brand_name: 'Sweet Co', product_name: 'Gummy Bears' });
+    expect(submission.success).toBe(false);
+    expect(getSubmittedProducts()).toHaveLength(0);
+  });
+
+  it('should require premium for barcode lookup', () => {
+    localStorage.removeItem('premiumStatus');
+    expect(performBarcodeLookup('054800423835').requiresPremium).toBe(true);
+  });
+});
@@ -0,0 +1,66 @@
+/**
+ * Unit Tests for Confidence Scoring
+ * Tests ingredient and recipe scores against the golden file, their breakdowns and custom weights
+ * Regenerate golden/confidenceScores.json only for an intended change in scoring
+ */
+
+import { describe, it, expect, vi } from 'vitest';
+import golden from './golden/confidenceScores.json';
+import { evaluateItem } from '../halalEngine';
+import { convertRecipeWithJson } from '../convertRecipeJson';
+import {
+  CONFIDENCE_WEIGHTS,
+  scoreRuling,
+  adjustBackendRecipeScore,
+  adjustForStrictness,
+  sumBreakdown
+} from '../confidenceScoringEngine';
+
+vi.mock('../affiliateService', () => ({
+  getAffiliateLinksForSubstitutes: vi.fn().mockResolvedValue({}),
+  buildAffiliateUrl: vi.fn()
+}));
+
+const factorsOf = breakdown => breakdown.map(({ factor, delta }) => ({ factor, delta }));
+
+describe('Confidence Scoring', () => {
+  it('should score ingredients as pinned in the golden file', () => {
+    for (const { item, options, status, score, breakdown } of golden.ingredients) {
+      const result = evaluateItem(item, options);
+
+      expect([item, options.strictness, result.status, result.confidenceScore]).toEqual([item, options.strictness, status, score]);
+      expect(factorsOf(result.confidenceBreakdown)).toEqual(breakdown);
+      expect(sumBreakdown(result.confidenceBreakdown)).toBe(result.confidenceScore);
+    }
+  });
+
+  it('should score recipes as pinned in the golden file', async () => {
+    for (const { name, recipe, options, score, breakdown } of golden.recipes) {
+      const result = await convertRecipeWithJson(recipe, options);
+
+      expect([name, result.confidenceScore]).toEqual([name, score]);
+      expect(factorsOf(result.confidenceBreakdown)).toEqual(breakdown);
+    }
+    for (const { score, flags, expected } of golden.backendRecipes) {
+      expect(adjustBackendRecipeScore(score, flags).score).toBe(expected);
+    }
+  });
+
+  it('should use the weights it is given', () => {
+    const weights = { ...CONFIDENCE_WEIGHTS, status: { ...CONFIDENCE_WEIGHTS.status, conditional: 70 }, inheritance: 0.5 };
+
+    expect(scoreRuling({ status: 'conditional', impact: -30, hasInheritance: true })).toEqual({
+      score: 28,
+      factors: [
+        { factor: 'status', label: 'Ruling', delta: 60 },
+        { factor: 'impact', label: 'Knowledge-base confidence impact', delta: -30 },
+        { factor: 'inheritance', label: 'Inherited ruling', delta: -2 }
+      ]
+    });
+    expect(scoreRuling({ status: 'conditional', impact: -30, hasInheritance: true }, weights).score).toBe(20);
+    expect(adjustForStrictness(98, 'flexible')).toEqual({
+      score: 100,
+      factors: [{ factor: 'strictness_offset', label: 'Strictness', delta: 2 }]
+    });
+  });
+});
@@ -0,0 +1,118 @@
+/**
+ * Unit Tests for Conversion History
+ * Tests storing conversions, retention, filtering and re-running against current settings
+ */
+
+import { describe, it, expect, vi } from 'vitest';
+import {
+  addConversionToHistory,
+  getConversionHistory,
+  filterConversionHistory,
+  rerunConversion,
+  getHistoryStatus,
+  HISTORY_RETENTION_DAYS
+} from '../conversionHistory';
+import { convertRecipeWithJson } from '../convertRecipeJson';
+import { getKnowledgeBaseVersion } from '../knowledgeVersion';
+
+vi.mock('../affiliateService', () => ({
+  getAffiliateLinksForSubstitutes: vi.fn().mockResolvedValue({}),
+  buildAffiliateUrl: vi.fn()
+}));
+
+const carbonara = 'Chicken Carbonara\n\nIngredients:\n- 200g bacon\n- 1 cup white wine\n\nInstructions:\n1. Fry the bacon.';
+const salad = 'Green Salad\n\nIngredients:\n- 1 cucumber';
+
+async function convertAndStore(recipe, preferences = {}) {
+  const result = await convertRecipeWithJson(recipe, preferences);
+  return addConversionToHistory({
+    input: recipe,
+    output: result.convertedText,
+    issues: result.issues,
+    confidenceScore: result.confidenceScore,
+    preferences
+  });
+}
+
+describe('Conversion History', () => {
+  describe('Storing Conversions', () => {
+    it('should store input, output, issues, preferences and knowledge-base version', async () => {
+      const entry = await convertAndStore(carbonara, { strictnessLevel: 'strict' });
+      const [stored] = getConversionHistory();
+
+      expect(stored).toEqual(entry);
+      expect(stored.title).toBe('Chicken Carbonara');
+      expect(stored.status).toBe('haram');
+      expect(stored.issues.map(issue => issue.ingredient_id)).toContain('bacon');
+      expect(stored.preferences.strictnessLevel).toBe('strict');
+      expect(stored.knowledgeVersion).toBe(getKnowledgeBaseVersion());
+    });
+
+    it('should drop conversions older than the retention period', async () => {
+      const entry = await convertAndStore(salad);
+      const old = { ...entry, id: 'old', timestamp: new Date(Date.now() - (HISTORY_RETENTION_DAYS + 1) * 86400000).toISOString() };
+      localStorage.setItem('halalConversionHistory', JSON.stringify([entry, old]));
+
+      expect(getConversionHistory().map(item => item.id)).toEqual([entry.id]);
+    });
+
+    it('should classify results by their worst issue', () => {
+      expect(getHistoryStatus([{ status: 'questionable' }, { status: 'haram' }])).toBe('haram');
+      expect(getHistoryStatus([{ status: 'conditional' }])).toBe('review');
+      expect(getHistoryStatus([])).toBe('clean');
+    });
+  });
+
+  describe('Filtering', () => {
+    it('should search titles and flagged ingredients and filter by status', async () => {
+      await convertAndStore(carbonara);
+      await convertAndStore(salad);
+      const history = getConversionHistory();
+
+      expect(filterConversionHistory(history, { query: 'bacon' }).map(entry => entry.title)).toEqual(['Chicken Carbonara']);
+      expect(filterConversionHistory(history, { status: 'clean' }).map(entry => entry.title)).toEqual(['Green Salad']);
+      expect(filterConversionHistory(history, { to: '2000-01-01' })).toEqual([]);
+    });
+  });
+
+  describe('Re-running', () => {
+    it('should report no changes when nothing changed', async () => {
+      const entry = await convertAndStore(carbonara);
+      const { changes } = await rerunConversion(entry, {});
+
+      expect(changes.hasChanges).toBe(false);
+      expect(changes.knowledgeVersion.changed).toBe(false);
+    });
+
+    it('should report changed substitutes, preferences and knowledge base', async () => {
+      const entry = await convertAndStore(carbonara);
+      const outdated = { ...entry, knowledgeVersion: 'older' };
+      const preferences = { preferredSubstitutes: { bacon: 'beef_bacon_halal' } };
+      const { changes } = await rerunConversion(outdated, preferences);
+
+      expect(changes.hasChanges).toBe(true);
+      expect(changes.replacementChanged).toEqual([
+        { ingredient_id: 'bacon', before: 'smoked_turkey_bacon', after: 'beef_bacon_halal' }
+      ]);
+      expect(changes.preferences).toEqual(['preferredSubstitutes']);
+      expect(changes.knowledgeVersion.changed).toBe(true);
+    });
+
+    it('should store and compare personal rules and dietary profiles', async () => {
+      const preferences = {
+        personalRules: [{ id: 'never_suggest:smoked_turkey_bacon', type: 'never_suggest', target: 'smoked_turkey_bacon' }],
+        dietaryProfiles: ['dairy_free']
+      };
+      const entry = await convertAndStore(carbonara, preferences);
+
+      expect(entry.preferences).toMatchObject(preferences);
+      expect((await rerunConversion(entry, preferences)).changes.hasChanges).toBe(false);
+
+      const { changes } = await rerunConversion(entry, {});
+      expect(changes.preferences).toEqual(['personalRules', 'dietaryProfiles']);
+      expect(changes.replacementChanged).toEqual([
+        { ingredient_id: 'bacon', before: entry.issues.find(issue => issue.ingredient_id === 'bacon').replacement_id, after: 'smoked_turkey_bacon' }
+      ]);
+    });
+  });
+});
@@ -8,7 +8,8 @@ import { convertRecipeWithJson } from '../convertRecipeJson';
 
 // Mock affiliate service
 vi.mock('../affiliateService', () => ({
-  getAffiliateLinksForSubstitutes: vi.fn()
+  getAffiliateLinksForSubstitutes: vi.fn(),
+  buildAffiliateUrl: vi.fn()
 }));
 
 describe('Recipe Conversion with Monetization', () => {
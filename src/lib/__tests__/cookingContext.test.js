@@ -0,0 +1,86 @@
+/**
+ * Unit Tests for Cooking Context
+ * Tests context detection and context-aware substitute selection
+ */
+
+import { describe, it, expect, vi } from 'vitest';
+import { detectCookingContexts, chooseSubstituteForContext } from '../cookingContext';
+import { convertRecipeWithJson } from '../convertRecipeJson';
+
+vi.mock('../affiliateService', () => ({
+  getAffiliateLinksForSubstitutes: vi.fn().mockResolvedValue({}),
+  buildAffiliateUrl: vi.fn()
+}));
+
+const contexts = {
+  grape_juice_plus_vinegar: ['marinating', 'sauce'],
+  chicken_or_vegetable_stock: ['deglazing', 'braising'],
+  white_grape_juice: ['baking', 'dessert']
+};
+const alternatives = ['grape_juice_plus_vinegar', 'non_alcoholic_wine', 'chicken_or_vegetable_stock', 'white_grape_juice'];
+
+describe('Cooking Context', () => {
+  describe('Detection', () => {
+    it('should find cooking verbs and dish types', () => {
+      const found = detectCookingContexts('Deglaze the pan, then bake the cake.').map(c => c.context);
+      expect(found).toEqual(['deglazing', 'baking', 'dessert']);
+    });
+
+    it('should not mistake common phrases for a context', () => {
+      expect(detectCookingContexts('Set aside and reduce the heat.')).toEqual([]);
+    });
+  });
+
+  describe('Selection', () => {
+    it('should prefer the context of the step that uses the ingredient', () => {
+      const pick = chooseSubstituteForContext(alternatives, contexts, {
+        steps: [{ step: 2, text: 'Deglaze the pan with the wine.' }],
+        recipeText: 'Chocolate cake\nBake for 30 minutes.'
+      });
+
+      expect(pick).toMatchObject({ substituteId: 'chicken_or_vegetable_stock', context: 'deglazing', step: 2 });
+    });
+
+    it('should fall back to the dish type', () => {
+      const pick = chooseSubstituteForContext(alternatives, contexts, {
+        steps: [],
+        recipeText: 'Lemon drizzle cake\nPour into a tin.'
+      });
+      expect(pick).toMatchObject({ substituteId: 'white_grape_juice', context: 'dessert', step: null });
+    });
+
+    it('should return null when nothing matches', () => {
+      expect(chooseSubstituteForContext(alternatives, contexts, { steps: [], recipeText: 'Mix well.' })).toBeNull();
+    });
+  });
+
+  describe('Conversion', () => {
+    const recipe = (step) => `Ingredients:\n- 1 cup white wine\n- 2 chicken breasts\n\nInstructions:\n1. Sear the chicken.\n2. ${step}`;
+
+    it('should pick the substitute for how the recipe uses the ingredient', async () => {
+      const deglazed = await convertRecipeWithJson(recipe('Deglaze the pan with the white wine.'), {});
+      const marinated = await convertRecipeWithJson(recipe('Marinate the chicken in the white wine overnight.'), {});
+
+      expect(deglazed.issues[0].replacement_id).toBe('chicken_or_vegetable_stock');
+      expect(marinated.issues[0].replacement_id).toBe('white_wine_vinegar_halal');
+      expect(deglazed.convertedText).toContain('Deglaze the pan with the Chicken or Vegetable Stock.');
+    });
+
+    it('should record the reason in the trace', async () => {
+      const result = await convertRecipeWithJson(recipe('Deglaze the pan with the white wine.'), {});
+      const issue = result.issues[0];
+
+      expect(issue.substituteChoice).toBe('context');
+      expect(issue.trace[issue.trace.length - 1]).toContain('suits deglazing ("Deglaze" in step 2)');
+    });
+
+    it('should let a remembered pick win over the context', async () => {
+      const result = await convertRecipeWithJson(recipe('Deglaze the pan with the white wine.'), {
+        preferredSubstitutes: { white_wine: 'white_grape_juice' }
+      });
+
+      expect(result.issues[0].replacement_id).toBe('white_grape_juice');
+      expect(result.issues[0].trace).toContain('Substitute White Grape Juice: your preferred substitute (halal preferences)');
+    });
+  });
+});
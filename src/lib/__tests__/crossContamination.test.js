@@ -0,0 +1,54 @@
+/**
+ * Unit Tests for Cross-Contamination Detection
+ * Tests "may contain" / shared facility, equipment and fryer statements and how strictness rules on them
+ */
+
+import { describe, it, expect } from 'vitest';
+import { detectCrossContamination } from '../crossContamination';
+import { evaluateItem } from '../halalEngine';
+import { analyzeLabel } from '../labelAnalyzer';
+
+describe('Cross-Contamination Detection', () => {
+  it('should find each kind of statement and what it names', () => {
+    const findings = detectCrossContamination(
+      'May contain traces of peanuts and pork products. Processed in a facility that also handles alcohol. '
+      + 'Made on shared equipment with wheat. Fry the potatoes in the same oil as the bacon.'
+    );
+
+    expect(findings.map(finding => finding.type)).toEqual(['may_contain', 'shared_facility', 'shared_equipment', 'shared_fryer']);
+    expect(findings[0].contaminants.map(contaminant => contaminant.name)).toEqual(['peanuts', 'pork']);
+    expect(findings.map(finding => finding.isHalalConcern)).toEqual([true, true, false, true]);
+  });
+
+  it('should not treat allergen warnings as a halal concern', () => {
+    expect(detectCrossContamination('May contain nuts, milk and egg.')[0].isHalalConcern).toBe(false);
+    expect(detectCrossContamination('Wheat flour, sugar, salt')).toEqual([]);
+  });
+
+  it('should flag an item for strict and standard users but not flexible ones', () => {
+    const crossContamination = detectCrossContamination('fried in the same oil as bacon');
+    const rulings = ['strict', 'standard', 'flexible'].map(strictness =>
+      evaluateItem('potato', { strictness, crossContamination }).status);
+
+    expect(rulings).toEqual(['haram', 'questionable', 'halal']);
+    expect(evaluateItem('potato', { strictness: 'strict', crossContamination }).trace.at(-1)).toMatch(/^Cross-contamination: "fried in the same oil as bacon"/);
+  });
+
+  it('should rescore every confidence field when a statement changes the ruling', () => {
+    const crossContamination = detectCrossContamination('fried in the same oil as bacon');
+    const strict = evaluateItem('potato chips', { strictness: 'strict', crossContamination });
+    const standard = evaluateItem('potato chips', { crossContamination });
+
+    expect(strict).toMatchObject({ status: 'haram', confidenceScore: 0, confidence: 0, confidencePercentage: 0, confidenceLevel: 'haram' });
+    expect(standard.confidence).toBe(standard.confidenceScore / 100);
+    expect(standard).toMatchObject({ status: 'questionable', confidencePercentage: standard.confidenceScore, confidenceLevel: 'conditional' });
+  });
+
+  it('should count label statements against the verdict by strictness', () => {
+    const label = 'Ingredients: rice, salt. Made in a facility that also processes pork.';
+
+    expect(analyzeLabel(label, { strictness: 'strict' })).toMatchObject({ verdict: 'haram', crossContaminationStatus: 'haram' });
+    expect(analyzeLabel(label, { strictness: 'flexible' })).toMatchObject({ verdict: 'halal', crossContaminationStatus: 'halal' });
+    expect(analyzeLabel(label).statements).toEqual(['Made in a facility that also processes pork.']);
+  });
+});
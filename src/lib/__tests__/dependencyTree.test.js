@@ -0,0 +1,37 @@
+/**
+ * Unit Tests for Product Dependency Trees
+ * Tests that evaluateItem resolves HKM products through their ingredients and sources
+ */
+
+import { describe, it, expect } from 'vitest';
+import { evaluateItem } from '../halalEngine';
+
+const ids = (node) => [node.id, ...node.children.flatMap(ids)];
+
+describe('Dependency Tree', () => {
+  it('should resolve a product through its ingredients down to their sources', () => {
+    const { dependencyTree } = evaluateItem('lucky charms');
+
+    expect(ids(dependencyTree)).toEqual(['lucky_charms', 'marshmallow', 'gelatin', 'gelatin_source']);
+    expect(dependencyTree.type).toBe('product');
+    expect(dependencyTree.children[0].relation).toBe('contains');
+    expect(dependencyTree.children[0].children[0].children[0]).toMatchObject({ type: 'source', relation: 'depends_on', status: 'conditional' });
+  });
+
+  it('should give each node the worst status beneath it, per school and strictness', () => {
+    const standard = evaluateItem('marshmallow');
+    const shafii = evaluateItem('marshmallow', { madhab: 'shafii' });
+    const strict = evaluateItem('marshmallow', { strictness: 'strict' });
+
+    expect(standard.status).toBe('conditional');
+    expect(standard.trace).toContain('Dependency tree: marshmallow → gelatin → gelatin_source (conditional)');
+    expect(shafii.status).toBe('haram');
+    expect(shafii.inheritedFrom).toBe('gelatin');
+    expect(shafii.dependencyTree.children[0]).toMatchObject({ id: 'gelatin', ownStatus: 'haram', status: 'haram' });
+    expect(strict.dependencyTree.children[0].children[0].status).toBe('haram');
+  });
+
+  it('should not attach a tree to items outside the HKM model', () => {
+    expect(evaluateItem('mirin').dependencyTree).toBeUndefined();
+  });
+});
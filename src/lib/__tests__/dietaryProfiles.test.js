@@ -0,0 +1,65 @@
+/**
+ * Unit Tests for Dietary Profiles
+ * Tests diet and allergen attributes, substitute filtering and per-line allergen warnings
+ */
+
+import { describe, it, expect, vi } from 'vitest';
+import {
+  getDietaryAttributes,
+  getDietaryViolations,
+  getDietaryProfiles,
+  saveDietaryProfiles
+} from '../dietaryProfiles';
+import { convertRecipeWithJson } from '../convertRecipeJson';
+
+vi.mock('../affiliateService', () => ({
+  getAffiliateLinksForSubstitutes: vi.fn().mockResolvedValue({}),
+  buildAffiliateUrl: vi.fn()
+}));
+
+describe('Dietary Profiles', () => {
+  it('should tag ingredients by ID, name or alias', () => {
+    expect(getDietaryAttributes('Smoked Turkey Bacon')).toEqual({ diet: 'non_vegetarian', allergens: [] });
+    expect(getDietaryAttributes('almond_paste')).toEqual({ diet: 'vegan', allergens: ['tree_nuts'] });
+    expect(getDietaryAttributes('saffron threads')).toBeNull();
+  });
+
+  it('should explain which profiles an ingredient breaks', () => {
+    expect(getDietaryViolations('vegetarian_cheddar', ['vegetarian', 'vegan', 'dairy_free'])).toEqual([
+      { profile: 'vegan', reason: 'not vegan' },
+      { profile: 'dairy_free', reason: 'contains dairy' }
+    ]);
+    expect(getDietaryViolations('halal_donuts', ['gluten_free', 'egg_free', 'nut_free'])).toEqual([
+      { profile: 'gluten_free', reason: 'contains gluten' },
+      { profile: 'egg_free', reason: 'contains egg' }
+    ]);
+    expect(saveDietaryProfiles(['vegan', 'keto', 'vegan'])).toEqual(['vegan']);
+    expect(getDietaryProfiles()).toEqual(['vegan']);
+  });
+
+  it('should skip substitutes that break the profile', async () => {
+    const recipe = 'Ingredients:\n1 cup gummy candy';
+
+    const standard = await convertRecipeWithJson(recipe);
+    const vegan = await convertRecipeWithJson(recipe, { dietaryProfiles: ['vegan'] });
+    const gummy = vegan.issues.find(issue => issue.ingredient_id === 'gummy_candy');
+
+    expect(standard.issues.find(issue => issue.ingredient_id === 'gummy_candy').replacement_id).toBe('halal_gummy_candy');
+    expect(gummy.replacement_id).toBe('vegan_gummies');
+    expect(gummy.alternatives).not.toContain('halal_gummy_candy');
+    expect(gummy.trace).toContain('Substitute Halal Gummy Candy skipped: not vegan');
+  });
+
+  it('should warn per line about what still breaks the profile after conversion', async () => {
+    const result = await convertRecipeWithJson(
+      'Ingredients:\n1 cup gummy candy\n1/2 cup walnuts\n2 tbsp butter',
+      { dietaryProfiles: ['vegan', 'nut_free'] }
+    );
+
+    expect(result.allergenWarnings).toEqual([
+      { lineIndex: 2, line: '1/2 cup walnuts', ingredient: 'walnuts', profile: 'nut_free', reason: 'contains tree nuts' },
+      { lineIndex: 3, line: '2 tbsp butter', ingredient: 'butter', profile: 'vegan', reason: 'not vegan' }
+    ]);
+    expect((await convertRecipeWithJson('Ingredients:\n2 tbsp butter')).allergenWarnings).toEqual([]);
+  });
+});
@@ -0,0 +1,52 @@
+/**
+ * Unit Tests for the Evaluation Trace
+ * Tests the stage-by-stage record evaluateItem() keeps: status and confidence in and out, and the data it used
+ */
+
+import { describe, it, expect } from 'vitest';
+import { evaluateItem } from '../halalEngine';
+import { detectCrossContamination } from '../crossContamination';
+
+const stagesOf = result => result.traceSteps.map(step => step.stage);
+
+describe('Evaluation Trace', () => {
+  it('should record the knowledge-base entry and each stage after it', () => {
+    const result = evaluateItem('marshmallows');
+    const [knowledge, inheritance, scoring] = result.traceSteps;
+
+    expect(stagesOf(result)).toEqual(['knowledge', 'inheritance', 'confidence']);
+    expect(knowledge).toMatchObject({
+      statusIn: null,
+      statusOut: 'conditional',
+      source: { file: 'halal_knowledge.json', entry: 'marshmallows' },
+      details: ['Knowledge source: halal_knowledge.json', 'marshmallows is conditional']
+    });
+    expect(inheritance.source.entry).toBe('gelatin');
+    expect(scoring.confidenceOut).toBe(result.confidenceScore);
+    expect(scoring.confidenceDelta).toBe(scoring.confidenceOut - scoring.confidenceIn);
+  });
+
+  it('should show which rule changed the status', () => {
+    const result = evaluateItem('shrimp', { madhab: 'hanafi' });
+
+    expect(result.traceSteps.at(-1)).toMatchObject({
+      stage: 'rule_pack',
+      statusIn: 'unknown',
+      statusOut: 'haram',
+      source: { file: 'halalRules.js', entry: 'madhab.hanafi.seafood_shellfish' },
+      details: ['Hanafi rule pack: shellfish and other non-fish seafood → haram']
+    });
+  });
+
+  it('should record modifiers and cross-contamination as their own stages', () => {
+    const crossContamination = detectCrossContamination('fried in the same oil as bacon');
+
+    expect(stagesOf(evaluateItem('sunflower lecithin'))).toEqual(['unknown', 'modifier_logic', 'confidence']);
+    expect(evaluateItem('potato', { strictness: 'strict', crossContamination }).traceSteps.at(-1)).toMatchObject({
+      stage: 'cross_contamination',
+      statusIn: 'halal',
+      statusOut: 'haram',
+      source: { file: 'halalRules.js', entry: 'strictness.strict.cross_contamination' }
+    });
+  });
+});
@@ -0,0 +1,139 @@
+/**
+ * Unit Tests for Ingredient Line Parser
+ * Tests recipe splitting, quantity/unit extraction and per-line detection
+ */
+
+import { describe, it, expect, vi } from 'vitest';
+import { parseRecipeText, parseIngredientLine, parseQuantity, normalizeUnit } from '../ingredientLineParser';
+import { convertRecipeWithJson } from '../convertRecipeJson';
+
+vi.mock('../affiliateService', () => ({
+  getAffiliateLinksForSubstitutes: vi.fn().mockResolvedValue({}),
+  buildAffiliateUrl: vi.fn()
+}));
+
+const demoRecipe = `Chicken Carbonara
+
+Ingredients:
+- 500g pasta
+- 200g bacon, diced
+- 2 cloves garlic
+- 1 cup white wine
+
+Instructions:
+1. In a large pan, cook bacon until crispy.
+2. Deglaze with white wine.
+3. Serve with a glass of beer on the side.`;
+
+describe('Ingredient Line Parser', () => {
+  describe('Quantities and Units', () => {
+    it('should parse integers, decimals, fractions and mixed numbers', () => {
+      expect(parseQuantity('2')).toBe(2);
+      expect(parseQuantity('1.5')).toBe(1.5);
+      expect(parseQuantity('1/2')).toBe(0.5);
+      expect(parseQuantity('1 1/2')).toBe(1.5);
+      expect(parseQuantity('½')).toBe(0.5);
+      expect(parseQuantity('1½')).toBe(1.5);
+      expect(parseQuantity('abc')).toBeNull();
+    });
+
+    it('should normalize written units to canonical units', () => {
+      expect(normalizeUnit('Tablespoons')).toBe('tbsp');
+      expect(normalizeUnit('T')).toBe('tbsp');
+      expect(normalizeUnit('t')).toBe('tsp');
+      expect(normalizeUnit('fl oz')).toBe('fl_oz');
+      expect(normalizeUnit('grams')).toBe('g');
+      expect(normalizeUnit('handful of')).toBeNull();
+    });
+  });
+
+  describe('Ingredient Lines', () => {
+    it('should extract quantity, unit, name and notes', () => {
+      const line = parseIngredientLine('- 2 tbsp white wine, for deglazing');
+
+      expect(line.quantity).toBe(2);
+      expect(line.unit).toBe('tbsp');
+      expect(line.name).toBe('white wine');
+      expect(line.notes).toBe('for deglazing');
+    });
+
+    it('should handle attached units, ranges and parenthetical notes', () => {
+      expect(parseIngredientLine('200g bacon').unit).toBe('g');
+
+      const range = parseIngredientLine('2-3 eggs (large)');
+      expect(range.quantity).toBe(2);
+      expect(range.quantityMax).toBe(3);
+      expect(range.unit).toBeNull();
+      expect(range.name).toBe('eggs');
+      expect(range.notes).toBe('large');
+    });
+
+    it('should read a one-letter unit written apart from the number when a word follows it', () => {
+      expect(parseIngredientLine('500 g chicken')).toMatchObject({ quantity: 500, unit: 'g', name: 'chicken' });
+      expect(parseIngredientLine('2 l stock')).toMatchObject({ quantity: 2, unit: 'l', name: 'stock' });
+      expect(parseIngredientLine('1 c flour')).toMatchObject({ quantity: 1, unit: 'cup', name: 'flour' });
+      expect(parseIngredientLine('1 T sugar').unit).toBe('tbsp');
+      expect(parseIngredientLine('1 t salt').unit).toBe('tsp');
+      expect(parseIngredientLine('2 c').unit).toBeNull();
+    });
+
+    it('should not mistake a word for a unit', () => {
+      const line = parseIngredientLine('2 garlic cloves');
+      expect(line.unit).toBeNull();
+      expect(line.name).toBe('garlic cloves');
+    });
+
+    it('should handle lines without a quantity', () => {
+      const line = parseIngredientLine('Salt and pepper to taste');
+      expect(line.quantity).toBeNull();
+      expect(line.name).toBe('Salt and pepper');
+      expect(line.notes).toBe('to taste');
+    });
+  });
+
+  describe('Recipe Structure', () => {
+    it('should split a sectioned recipe into ingredients and instruction steps', () => {
+      const parsed = parseRecipeText(demoRecipe);
+
+      expect(parsed.ingredients.map(line => line.name)).toEqual(['pasta', 'bacon', 'garlic', 'white wine']);
+      expect(parsed.instructions.map(line => line.step)).toEqual([1, 2, 3]);
+      expect(parsed.lines[0].kind).toBe('title');
+    });
+
+    it('should record character offsets for every line', () => {
+      const parsed = parseRecipeText(demoRecipe);
+      parsed.lines.forEach(line => {
+        expect(demoRecipe.slice(line.start, line.end)).toBe(line.text);
+      });
+    });
+
+    it('should classify unsectioned lines by shape', () => {
+      const parsed = parseRecipeText('1 cup wine\nCook everything slowly in a large pot for an hour.');
+      expect(parsed.lines.map(line => line.kind)).toEqual(['ingredient', 'instruction']);
+    });
+  });
+
+  describe('Per-line Conversion', () => {
+    it('should not detect ingredients that only appear in instruction prose', async () => {
+      const result = await convertRecipeWithJson(demoRecipe, {});
+      const ids = result.issues.map(issue => issue.ingredient_id);
+
+      expect(ids).toContain('bacon');
+      expect(ids).not.toContain('beer');
+    });
+
+    it('should attach the structured ingredient line to each issue', async () => {
+      const result = await convertRecipeWithJson(demoRecipe, {});
+      const baconIssue = result.issues.find(issue => issue.ingredient_id === 'bacon');
+
+      expect(baconIssue.line).toMatchObject({ quantity: 200, unit: 'g', name: 'bacon', notes: 'diced' });
+    });
+
+    it('should still rewrite instruction steps that mention a detected ingredient', async () => {
+      const result = await convertRecipeWithJson(demoRecipe, {});
+
+      expect(result.convertedText).not.toMatch(/cook bacon/i);
+      expect(result.instructionSteps).toHaveLength(3);
+    });
+  });
+});
@@ -0,0 +1,59 @@
+/**
+ * Unit Tests for Knowledge Changes
+ * Tests the knowledge-base version stamp and "what changed since your last visit"
+ */
+
+import { describe, it, expect } from 'vitest';
+import { evaluateItem } from '../halalEngine';
+import { getKnowledgeBaseVersion, getEntryRevisions } from '../knowledgeVersion';
+import { getChangesSinceLastVisit, recordVisit, getLastVisit } from '../knowledgeChanges';
+
+const savedRecipes = [
+  { id: '1', original: 'Carbonara\n- 200g bacon\n- 2 eggs', converted: '' },
+  { id: '2', original: 'Salad\n- 1 cucumber', converted: '' }
+];
+
+describe('Knowledge Changes', () => {
+  describe('Version Stamp', () => {
+    it('should put the knowledge-base version on every evaluation', () => {
+      expect(evaluateItem('bacon').knowledgeVersion).toBe(getKnowledgeBaseVersion());
+      expect(evaluateItem('some_unknown_thing').knowledgeVersion).toBe(getKnowledgeBaseVersion());
+    });
+
+    it('should list entry revisions after a given version', () => {
+      expect(getEntryRevisions('bacon', 0)[0]).toMatchObject({ revision: 1, change: 'added' });
+      expect(getEntryRevisions('bacon', getKnowledgeBaseVersion())).toEqual([]);
+      expect(getEntryRevisions('not_in_knowledge_base')).toEqual([]);
+    });
+
+    it('should version additives, rule packs and alcohol rulings as well as ingredients', () => {
+      ['additive:e120', 'rule_pack:horse_meat', 'alcohol:khamr'].forEach(id => {
+        expect(getEntryRevisions(id)[0]).toMatchObject({ revision: 1, change: 'added' });
+      });
+    });
+  });
+
+  describe('Since Last Visit', () => {
+    it('should report nothing on the first visit or with the same knowledge base', () => {
+      expect(getChangesSinceLastVisit(savedRecipes)).toBeNull();
+
+      recordVisit(savedRecipes);
+      expect(getLastVisit().rulings['1'].bacon).toBe('haram');
+      expect(getChangesSinceLastVisit(savedRecipes)).toBeNull();
+    });
+
+    it('should report rulings that differ from an older knowledge base', () => {
+      localStorage.setItem('halalKnowledgeLastVisit', JSON.stringify({
+        knowledgeVersion: 0,
+        rulings: { '1': { bacon: 'questionable' }, '2': {} }
+      }));
+      const changes = getChangesSinceLastVisit(savedRecipes);
+
+      expect(changes.sinceVersion).toBe(0);
+      expect(changes.recipes).toHaveLength(1);
+      expect(changes.recipes[0].title).toBe('Carbonara');
+      expect(changes.recipes[0].changes[0]).toMatchObject({ ingredient_id: 'bacon', before: 'questionable', after: 'haram' });
+      expect(changes.recipes[0].changes[0].revisions.length).toBeGreaterThan(0);
+    });
+  });
+});
@@ -0,0 +1,89 @@
+/**
+ * Unit Tests for Knowledge Repository
+ * Tests normalisation, the shared alias index and that every caller resolves a term to the same entry
+ */
+
+import { describe, it, expect, vi } from 'vitest';
+import { normalizeIngredientId, lookupIngredient, getKnowledgeEntry, getDefiningSources, getSourceEntry } from '../knowledgeRepository';
+import { evaluateItem } from '../halalEngine';
+import { convertRecipeWithJson } from '../convertRecipeJson';
+import { getIngredientDisplayInfo, getInheritanceChain } from '../ingredientsDisplay';
+
+vi.mock('../affiliateService', () => ({
+  getAffiliateLinksForSubstitutes: vi.fn().mockResolvedValue({}),
+  buildAffiliateUrl: vi.fn()
+}));
+
+describe('normalizeIngredientId', () => {
+  it('maps names, hyphens and punctuation to snake_case IDs', () => {
+    expect(normalizeIngredientId('  Pork Belly ')).toBe('pork_belly');
+    expect(normalizeIngredientId('white-wine')).toBe('white_wine');
+    expect(normalizeIngredientId("Baker's yeast (dry)")).toBe('bakers_yeast_dry');
+    expect(normalizeIngredientId('E120')).toBe('e120');
+    expect(normalizeIngredientId(null)).toBe('');
+  });
+});
+
+describe('lookupIngredient', () => {
+  it('prefers the highest-priority source and reports it', () => {
+    const match = lookupIngredient('White Wine');
+    expect(match.id).toBe('white_wine');
+    expect(match.source).toBe('nested');
+    expect(match.sourceFile).toBe('nested_ingredients.json');
+    expect(match.matchedBy).toBe('id');
+  });
+
+  it('resolves aliases to their entry, and an ID is never shadowed by another entry\'s alias', () => {
+    expect(lookupIngredient('wine').id).toBe('wine');
+    expect(lookupIngredient('Streaky Bacon')).toMatchObject({ id: 'bacon', matchedBy: 'alias', source: 'nested' });
+    expect(lookupIngredient('unobtainium')).toBeNull();
+  });
+
+  it('merges an ID defined in several sources into one record', () => {
+    const sources = getDefiningSources('pork');
+    const entry = getKnowledgeEntry('pork');
+    expect(entry.sources).toEqual(sources);
+    expect(entry.source).toBe(sources[0]);
+    expect(entry.status).toBe('haram');
+  });
+
+  it('takes the nested entry\'s rulings and derivedFrom when it reports nested as the source', () => {
+    const entry = getKnowledgeEntry('lucky_charms');
+    const flat = getSourceEntry('lucky_charms', 'flat');
+
+    expect(entry.source).toBe('nested');
+    expect(entry.rulings).toEqual(getSourceEntry('lucky_charms', 'nested').rulings);
+    expect(entry.derivedFrom).toEqual(['marshmallow']);
+    expect(entry.inheritance).toEqual(flat.inheritance);
+  });
+});
+
+describe('one answer for every caller', () => {
+  it('engine and display info resolve an ingredient from the same source', () => {
+    const engine = evaluateItem('Marshmallow');
+    const display = getIngredientDisplayInfo('marshmallow');
+
+    expect(engine.knowledgeSource).toBe('nested');
+    expect(engine.trace).toContain('Knowledge source: nested_ingredients.json');
+    expect(display.status).toBe(getKnowledgeEntry('marshmallow').status);
+  });
+
+  it('ingredient tree nodes take their name, status and category from the repository', () => {
+    const chain = getInheritanceChain('pate de fruit');
+
+    expect(chain.map(node => node.name)).toEqual(['Pork', 'Gelatin', 'Pâte de Fruit']);
+    chain.forEach((node, index) => {
+      const id = ['pork', 'gelatin', 'pate_de_fruit'][index];
+      expect(node).toMatchObject({ status: getKnowledgeEntry(id).status, category: getKnowledgeEntry(id).category });
+    });
+  });
+
+  it('recipe conversion uses the nested entry for white wine, including its cooking contexts', async () => {
+    const conversion = await convertRecipeWithJson('Ingredients:\n- 1 cup white wine\n\nInstructions:\n1. Deglaze the pan with the white wine.');
+    const issue = conversion.issues.find(i => i.ingredient_id === 'white_wine');
+
+    expect(issue.knowledgeSource).toBe('nested');
+    expect(issue.status).toBe('haram');
+    expect(issue.replacement_id).toBe('chicken_or_vegetable_stock');
+  });
+});
@@ -0,0 +1,68 @@
+/**
+ * Unit Tests for Label Analyzer
+ * Tests ingredient-panel tokenising, source notes and the product-level verdict
+ */
+
+import { describe, it, expect } from 'vitest';
+import { tokenizeLabel, analyzeLabel, WORST_OFFENDER_LIMIT } from '../labelAnalyzer';
+
+const label = 'Ingredients: Sugar, Enriched Flour (Wheat Flour, Niacin, Reduced Iron [Iron]), Corn Syrup, Gelatin, '
+  + 'Contains 2% or less of: Salt, Carmine (Color), E471.\nContains: Wheat.';
+
+describe('Label Analyzer', () => {
+  describe('tokenizeLabel', () => {
+    it('should keep nested parentheses as sub-ingredients', () => {
+      const { tokens } = tokenizeLabel(label);
+      const flour = tokens.find(token => token.text === 'Enriched Flour');
+
+      expect(tokens.map(token => token.text)).toEqual(['Sugar', 'Enriched Flour', 'Corn Syrup', 'Gelatin', 'Salt', 'Carmine', 'E471']);
+      expect(flour.children.map(child => child.text)).toEqual(['Wheat Flour', 'Niacin', 'Reduced Iron']);
+      expect(flour.children[2].children[0]).toMatchObject({ text: 'Iron', depth: 2 });
+    });
+
+    it('should mark everything after a "2% or less" clause as minor and split off trailing statements', () => {
+      const { tokens, statements } = tokenizeLabel(label);
+
+      expect(tokens.filter(token => token.minor).map(token => token.text)).toEqual(['Salt', 'Carmine', 'E471']);
+      expect(tokens.find(token => token.text === 'Carmine')).toMatchObject({ note: 'Color', children: [] });
+      expect(statements).toEqual(['Contains: Wheat.']);
+    });
+  });
+
+  describe('analyzeLabel', () => {
+    it('should give a product verdict, the worst offenders and a per-token breakdown', () => {
+      const analysis = analyzeLabel(label);
+      const e471 = analysis.breakdown.find(item => item.text === 'E471');
+
+      expect(analysis.verdict).toBe('haram');
+      expect(analysis.worstOffenders[0].status).toBe('haram');
+      expect(analysis.worstOffenders.map(item => item.text)).toContain('Gelatin');
+      expect(analysis.worstOffenders.length).toBeLessThanOrEqual(WORST_OFFENDER_LIMIT);
+      expect(analysis.breakdown).toHaveLength(11);
+      expect(e471.additive.e_number).toBe('E471');
+      expect(analysis.breakdown.find(item => item.text === 'Iron').path).toEqual(['Enriched Flour', 'Reduced Iron']);
+    });
+
+    it('should list unknown ingredients apart from the worst offenders', () => {
+      const analysis = analyzeLabel('Ingredients: rice, gelatin, zorbleberry extract');
+
+      expect(analysis.worstOffenders.map(item => item.text)).toEqual(['gelatin']);
+      expect(analysis.unknowns.map(item => item.text)).toEqual(['zorbleberry extract']);
+    });
+
+    it('should read a source in parentheses as a note that resolves the additive', () => {
+      const analysis = analyzeLabel('Ingredients: E322 (sunflower), mono- and diglycerides (from palm oil), whey (milk)');
+      const [e322, glycerides, whey] = analysis.tokens;
+
+      expect(e322).toMatchObject({ note: 'sunflower', status: 'halal', children: [] });
+      expect(e322.additive.trace).toEqual(['Source qualifier: sunflower → plant source, E322 resolved to halal']);
+      expect(glycerides).toMatchObject({ note: 'from palm oil', status: 'halal' });
+      expect(glycerides.evaluation.trace).toContain('Source qualifier: palm → plant source, diglyceride resolved to halal');
+      expect(whey.children.map(child => child.text)).toEqual(['milk']);
+    });
+
+    it('should return an empty analysis for empty input', () => {
+      expect(analyzeLabel('')).toMatchObject({ verdict: 'unknown', breakdown: [], worstOffenders: [], unknowns: [] });
+    });
+  });
+});
@@ -0,0 +1,35 @@
+/**
+ * Unit Tests for Label OCR
+ * Tests OCR clean-up of E-numbers and flagging of low-confidence words (Tesseract itself is not run)
+ */
+
+import { describe, it, expect } from 'vitest';
+import { cleanOcrText, toReviewLines, reviewLinesToText, LOW_CONFIDENCE_THRESHOLD } from '../labelOcr';
+
+describe('Label OCR', () => {
+  it('should fix look-alike characters in E-numbers', () => {
+    expect(cleanOcrText('Emulsifier (E47l), colour (EI2O), E 322')).toBe('Emulsifier (E471), colour (E120), E322');
+    expect(cleanOcrText('S0DIUM CITRATE')).toBe('SODIUM CITRATE');
+  });
+
+  it('should leave ordinary words alone', () => {
+    expect(cleanOcrText('EGGS, Eggs, ESSENCE, E471')).toBe('EGGS, Eggs, ESSENCE, E471');
+  });
+
+  it('should flag low-confidence words and keep the original reading', () => {
+    const lines = toReviewLines({
+      blocks: [{
+        paragraphs: [{
+          lines: [
+            { words: [{ text: 'Ingredients:', confidence: 95 }, { text: 'sugar,', confidence: 91 }] },
+            { words: [{ text: 'E47l', confidence: LOW_CONFIDENCE_THRESHOLD - 20 }] }
+          ]
+        }]
+      }]
+    });
+
+    expect(lines[1][0]).toMatchObject({ text: 'E471', original: 'E47l', lowConfidence: true, corrected: true });
+    expect(lines[0].some(word => word.lowConfidence)).toBe(false);
+    expect(reviewLinesToText(lines)).toBe('Ingredients: sugar,\nE471');
+  });
+});
@@ -0,0 +1,65 @@
+/**
+ * Unit Tests for Madhab Rule Packs
+ * Tests matching ingredients to rule-pack categories and each school's pack deciding their ruling
+ */
+
+import { describe, it, expect } from 'vitest';
+import { getRulePackCategory, getRulePackRuling } from '../madhabRulePacks';
+import { evaluateItem } from '../halalEngine';
+
+describe('Madhab Rule Packs', () => {
+  it('should match ingredients to categories by whole words', () => {
+    expect(getRulePackCategory('Garlic Shrimp')).toBe('seafood_shellfish');
+    expect(getRulePackCategory('E120')).toBe('insect');
+    expect(getRulePackCategory('rice wine vinegar')).toBe('alcohol_vinegar');
+    expect(getRulePackCategory('horseradish')).toBeNull();
+    expect(getRulePackCategory('imitation crab')).toBeNull();
+    expect(getRulePackCategory('microbial rennet')).toBeNull();
+  });
+
+  it('should give each school its own position and none without a preference', () => {
+    const rulings = ['hanafi', 'shafii', 'maliki', 'hanbali'].map(madhab => getRulePackRuling('carmine', madhab).status);
+
+    expect(rulings).toEqual(['haram', 'haram', 'halal', 'haram']);
+    expect(getRulePackRuling('shrimp', 'hanafi')).toMatchObject({ pack: 'Hanafi rule pack', category: 'seafood_shellfish', status: 'haram' });
+    expect(getRulePackRuling('shrimp', 'no-preference')).toBeNull();
+  });
+
+  it('should decide items without a ruling of their own and cite the pack', () => {
+    const hanafi = evaluateItem('shrimp', { madhab: 'hanafi' });
+    const shafii = evaluateItem('shrimp', { madhab: 'shafii' });
+
+    expect(evaluateItem('shrimp').status).toBe('unknown');
+    expect(hanafi).toMatchObject({ status: 'haram', rulePack: { madhab: 'hanafi', category: 'seafood_shellfish' } });
+    expect(hanafi.trace.at(-1)).toBe('Hanafi rule pack: shellfish and other non-fish seafood → haram');
+    expect(hanafi).toMatchObject({ isUnknown: false, confidenceLevel: 'haram' });
+    expect(shafii.status).toBe('halal');
+    expect(evaluateItem('carmine', { madhab: 'maliki' }).status).toBe('halal');
+    expect(evaluateItem('rennet', { madhab: 'hanafi' }).status).toBe('halal');
+  });
+
+  it('should reach entries derived from an item in a pack category', () => {
+    const hanafi = evaluateItem('parmesan_cheese', { madhab: 'hanafi' });
+
+    expect(evaluateItem('parmesan_cheese').status).toBe('haram');
+    expect(hanafi).toMatchObject({ status: 'halal', rulePack: { category: 'rennet_non_zabiha', via: 'animal_rennet' } });
+    expect(hanafi.trace.at(-1)).toBe('Hanafi rule pack: rennet from animals not slaughtered Islamically (via animal_rennet) → halal');
+    expect(evaluateItem('parmesan_cheese', { madhab: 'shafii' }).status).toBe('haram');
+  });
+
+  it('should apply strictness to the pack and never relax a haram modifier', () => {
+    expect(evaluateItem('horse', { madhab: 'maliki', strictness: 'strict' }).status).toBe('haram');
+    const dumplings = evaluateItem('pork and shrimp dumplings', { madhab: 'shafii' });
+    expect(dumplings.status).toBe('haram');
+    expect(dumplings.rulePack).toBeUndefined();
+  });
+
+  it('should decide horse meat even though "meat" reads as a haram modifier', () => {
+    const shafii = evaluateItem('horse meat', { madhab: 'shafii' });
+
+    expect(shafii).toMatchObject({ status: 'halal', confidenceLevel: 'certain_halal', isHaramModifierOverride: false, rulePack: { status: 'halal' } });
+    expect(shafii.trace.at(-1)).toBe("Shafi'i rule pack: horse meat → halal");
+    expect(evaluateItem('horse meat', { madhab: 'hanafi' }).status).toBe('questionable');
+    expect(evaluateItem('horse meat').status).toBe('haram');
+  });
+});
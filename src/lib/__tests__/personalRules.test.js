@@ -0,0 +1,78 @@
+/**
+ * Unit Tests for Personal Rules
+ * Tests saving, sharing and applying the user's own overrides after every other rule
+ */
+
+import { describe, it, expect, vi } from 'vitest';
+import {
+  addPersonalRule,
+  getPersonalRules,
+  removePersonalRule,
+  exportPersonalRules,
+  importPersonalRules
+} from '../personalRules';
+import { evaluateItem } from '../halalEngine';
+import { convertRecipeWithJson } from '../convertRecipeJson';
+
+vi.mock('../affiliateService', () => ({
+  getAffiliateLinksForSubstitutes: vi.fn().mockResolvedValue({}),
+  buildAffiliateUrl: vi.fn()
+}));
+
+describe('Personal Rules', () => {
+  it('should save rules in canonical form, one per target', () => {
+    addPersonalRule({ type: 'additive', target: 'Mono- and Diglycerides', status: 'questionable' });
+    addPersonalRule({ type: 'additive', target: 'E471', status: 'halal' });
+    addPersonalRule({ type: 'never_suggest', target: 'Beef Bacon Halal' });
+
+    expect(getPersonalRules()).toEqual([
+      { id: 'additive:E471', type: 'additive', target: 'E471', status: 'halal' },
+      { id: 'never_suggest:beef_bacon_halal', type: 'never_suggest', target: 'beef_bacon_halal' }
+    ]);
+    expect(addPersonalRule({ type: 'category', target: 'seafood', status: 'haram' }).success).toBe(false);
+    expect(removePersonalRule('additive:E471')).toHaveLength(1);
+  });
+
+  it('should export and import rules as JSON', () => {
+    addPersonalRule({ type: 'category', target: 'seafood_shellfish', status: 'haram' });
+    const json = exportPersonalRules();
+    localStorage.clear();
+
+    expect(JSON.parse(json)).toEqual({ version: 1, rules: [{ type: 'category', target: 'seafood_shellfish', status: 'haram' }] });
+    expect(importPersonalRules(json)).toMatchObject({ success: true, imported: 1, skipped: 0 });
+    expect(getPersonalRules()).toHaveLength(1);
+    expect(importPersonalRules('{"rules":[{"type":"ingredient","target":"shrimp"}]}')).toMatchObject({ imported: 0, skipped: 1 });
+    expect(importPersonalRules('not json').success).toBe(false);
+  });
+
+  it('should apply rules after madhab and strictness, most specific first', () => {
+    addPersonalRule({ type: 'category', target: 'seafood_shellfish', status: 'haram' });
+    addPersonalRule({ type: 'ingredient', target: 'shrimp', status: 'conditional' });
+    const personalRules = getPersonalRules();
+
+    const crab = evaluateItem('crab', { madhab: 'shafii', personalRules });
+    expect(crab.status).toBe('haram');
+    expect(crab.trace.slice(-2)).toEqual([
+      "Shafi'i rule pack: shellfish and other non-fish seafood → halal",
+      'Personal rule: shellfish and other non-fish seafood → haram'
+    ]);
+    expect(evaluateItem('shrimp', { madhab: 'shafii', personalRules }).status).toBe('conditional');
+    expect(evaluateItem('shrimp', { personalRules })).toMatchObject({ status: 'conditional', isUnknown: false, confidenceLevel: 'conditional' });
+    expect(evaluateItem('crab').personalRules).toBeUndefined();
+  });
+
+  it('should flag and never suggest in recipe conversion', async () => {
+    addPersonalRule({ type: 'category', target: 'seafood_shellfish', status: 'haram' });
+    addPersonalRule({ type: 'never_suggest', target: 'smoked_turkey_bacon' });
+
+    const result = await convertRecipeWithJson('Ingredients:\n- 200g bacon\n- 1 cup crab meat', { personalRules: getPersonalRules() });
+    const bacon = result.issues.find(issue => issue.ingredient_id === 'bacon');
+    const crab = result.issues.find(issue => issue.ingredient_id === 'crab');
+
+    expect(bacon.replacement_id).toBe('beef_bacon_halal');
+    expect(bacon.alternatives).not.toContain('smoked_turkey_bacon');
+    expect(bacon.trace).toContain('Personal rule: never suggest Smoked Turkey Bacon');
+    expect(crab).toMatchObject({ status: 'haram', validationState: 'personal_rule' });
+    expect(crab.personalRules.map(rule => rule.id)).toEqual(['category:seafood_shellfish']);
+  });
+});
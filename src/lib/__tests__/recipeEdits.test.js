@@ -0,0 +1,70 @@
+/**
+ * Unit Tests for Recipe Edits
+ * Tests span-based replacement, rejecting single substitutions and diff segments
+ */
+
+import { describe, it, expect, vi } from 'vitest';
+import { applyEdits, getDiffSegments } from '../recipeEdits';
+import { convertRecipeWithJson } from '../convertRecipeJson';
+
+vi.mock('../affiliateService', () => ({
+  getAffiliateLinksForSubstitutes: vi.fn().mockResolvedValue({}),
+  buildAffiliateUrl: vi.fn()
+}));
+
+const recipe = 'Ingredients:\n- 1 tsp gelatin\n- 200g bacon\n\nInstructions:\n1. Fry the bacon.';
+
+describe('Recipe Edits', () => {
+  describe('Applying Edits', () => {
+    const edits = [
+      { id: 'a', start: 4, end: 7, originalText: 'pan', newText: 'pot' },
+      { id: 'b', start: 0, end: 3, originalText: 'Hot', newText: 'Warm' },
+      { id: 'c', start: 7, end: 7, originalText: '', newText: ' (lidded)', dependsOn: 'a' }
+    ];
+
+    it('should apply every edit against the original offsets', () => {
+      expect(applyEdits('Hot pan', edits)).toBe('Warm pot (lidded)');
+    });
+
+    it('should restore the original wording of a rejected edit and its dependents', () => {
+      expect(applyEdits('Hot pan', edits, ['a'])).toBe('Warm pan');
+      expect(applyEdits('Hot pan', edits, ['b'])).toBe('Hot pot (lidded)');
+    });
+
+    it('should split the text into unchanged runs and edits', () => {
+      const segments = getDiffSegments('Hot pan', edits, ['b']);
+
+      expect(segments.map(segment => segment.type)).toEqual(['edit', 'unchanged', 'edit', 'edit']);
+      expect(segments[0].rejected).toBe(true);
+      expect(segments[1].text).toBe(' ');
+    });
+  });
+
+  describe('Conversion', () => {
+    it('should rebuild the converted text from the edit list', async () => {
+      const result = await convertRecipeWithJson(recipe, {});
+
+      expect(applyEdits(result.originalText, result.edits)).toBe(result.convertedText);
+      result.edits.forEach(edit => {
+        expect(result.originalText.slice(edit.start, edit.end)).toBe(edit.originalText);
+      });
+    });
+
+    it('should never re-match text inserted by another replacement', async () => {
+      const result = await convertRecipeWithJson('Ingredients:\n- 1 cup wine\n- 1 cup rum', {});
+      const substitutions = result.edits.filter(edit => edit.type === 'substitution');
+
+      expect(substitutions.map(edit => edit.originalText)).toEqual(['wine', 'rum']);
+    });
+
+    it('should undo one substitution and its quantity change without touching the rest', async () => {
+      const result = await convertRecipeWithJson(recipe, {});
+      const gelatin = result.issues.find(issue => issue.ingredient_id === 'gelatin');
+      const text = applyEdits(result.originalText, result.edits, gelatin.editIds);
+
+      expect(text).toContain('- 1 tsp gelatin\n');
+      expect(text).not.toContain('originally');
+      expect(text).not.toMatch(/\bbacon\b/);
+    });
+  });
+});
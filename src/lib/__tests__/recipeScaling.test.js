@@ -0,0 +1,130 @@
+/**
+ * Unit Tests for Recipe Scaling
+ * Tests servings detection, unit conversion and kitchen-measure rounding
+ */
+
+import { describe, it, expect } from 'vitest';
+import {
+  detectServings,
+  convertUnit,
+  toMeasurementSystem,
+  roundToKitchenMeasure,
+  scaleRecipe
+} from '../recipeScaling';
+
+const recipe = `Grape Juice Chicken
+Serves 2
+
+Ingredients:
+- 1 cup grape juice (originally 1 cup wine)
+- 500g chicken
+- 1 egg
+- 2 cloves garlic
+
+Instructions:
+1. Cook everything together.`;
+
+describe('Recipe Scaling', () => {
+  describe('Servings and Units', () => {
+    it('should detect stated servings', () => {
+      expect(detectServings('Serves 4')).toBe(4);
+      expect(detectServings('Servings: 6')).toBe(6);
+      expect(detectServings('Yield: about 12 cookies')).toBe(12);
+      expect(detectServings('1 cup flour')).toBeNull();
+    });
+
+    it('should convert within a unit family only', () => {
+      expect(convertUnit(3, 'tsp', 'tbsp')).toBeCloseTo(1);
+      expect(convertUnit(1, 'kg', 'g')).toBe(1000);
+      expect(convertUnit(1, 'cup', 'g')).toBeNull();
+    });
+
+    it('should pick the unit a cook would use in each system', () => {
+      expect(toMeasurementSystem(2, 'cup', 'metric').unit).toBe('ml');
+      expect(toMeasurementSystem(1500, 'g', 'metric')).toEqual({ quantity: 1.5, unit: 'kg' });
+      expect(toMeasurementSystem(30, 'ml', 'us').unit).toBe('tbsp');
+      expect(toMeasurementSystem(1000, 'g', 'us').unit).toBe('lb');
+    });
+  });
+
+  describe('Rounding', () => {
+    it('should never produce fractional countable items', () => {
+      expect(roundToKitchenMeasure(0.33, null)).toBe(1);
+      expect(roundToKitchenMeasure(2.6, 'clove')).toBe(3);
+      expect(roundToKitchenMeasure(0.7, 'can')).toBe(0.5);
+    });
+
+    it('should round to kitchen fractions and metric steps', () => {
+      expect(roundToKitchenMeasure(0.3, 'cup')).toBeCloseTo(1 / 3);
+      expect(roundToKitchenMeasure(1.1, 'tsp')).toBe(1.125);
+      expect(roundToKitchenMeasure(473.2, 'ml')).toBe(470);
+    });
+  });
+
+  describe('Scaling a Recipe', () => {
+    it('should scale ingredient lines and the stated servings', () => {
+      const result = scaleRecipe(recipe, 4);
+
+      expect(result.factor).toBe(2);
+      expect(result.text).toContain('Serves 4');
+      expect(result.text).toContain('- 2 cups grape juice (originally 2 cups wine)');
+      expect(result.text).toContain('- 1000g chicken');
+      expect(result.text).toContain('- 2 eggs\n');
+      expect(result.text).toContain('- 4 cloves garlic');
+      expect(result.text).toContain('1. Cook everything together.');
+    });
+
+    it('should keep whole items when scaling down', () => {
+      const result = scaleRecipe(recipe, 1);
+      expect(result.text).toContain('- 1 egg');
+      expect(result.text).toContain('- ½ cup grape juice');
+    });
+
+    it('should make counted nouns agree with the new count', () => {
+      const result = scaleRecipe('Serves 4\n\nIngredients:\n- 2 large eggs, beaten\n- 2 tomatoes\n- 2 bay leaves\n- 4 cherries', 2);
+
+      expect(result.text).toContain('- 1 large egg, beaten');
+      expect(result.text).toContain('- 1 tomato');
+      expect(result.text).toContain('- 1 bay leaf');
+      expect(result.text).toContain('- 2 cherries');
+      expect(scaleRecipe('Serves 1\n\nIngredients:\n- 1 potato', 3).text).toContain('- 3 potatoes');
+    });
+
+    it('should inflect a can or package whose size is given in parentheses', () => {
+      const result = scaleRecipe('Serves 2\n\nIngredients:\n- 1 (14 oz) can tomatoes\n- 2 (8 oz) packages cream cheese', 4);
+
+      expect(result.text).toContain('- 2 (14 oz) cans tomatoes');
+      expect(result.text).toContain('- 4 (8 oz) packages cream cheese');
+      expect(scaleRecipe('Serves 4\n\nIngredients:\n- 2 (14 oz) cans tomatoes', 2).text).toContain('- 1 (14 oz) can tomatoes');
+    });
+
+    it('should convert grams and litres written apart from the number', () => {
+      const result = scaleRecipe('Serves 2\n\nIngredients:\n- 500 g chicken\n- 2 l stock', 2, { system: 'us' });
+
+      expect(result.text).toContain('- 1 ⅛ lb chicken');
+      expect(result.text).toContain('- 8 ½ cups stock');
+    });
+
+    it('should keep a range as written when its amount does not change', () => {
+      const recipeWithRanges = 'Serves 2\n\nIngredients:\n- 2-3 eggs\n- 1 to 2 tbsp honey';
+
+      expect(scaleRecipe(recipeWithRanges, null, { system: 'metric' }).text).toContain('- 2-3 eggs');
+      expect(scaleRecipe(recipeWithRanges, 4).text).toContain('- 4-6 eggs');
+      expect(scaleRecipe(recipeWithRanges, 4).text).toContain('- 2 to 4 tbsp honey');
+    });
+
+    it('should convert units without changing servings', () => {
+      const result = scaleRecipe(recipe, null, { system: 'metric' });
+
+      expect(result.factor).toBe(1);
+      expect(result.text).toContain('- 240 ml grape juice (originally 240 ml wine)');
+      expect(result.text).toContain('Serves 2');
+    });
+
+    it('should leave the recipe untouched when nothing changes', () => {
+      const result = scaleRecipe(recipe, 2);
+      expect(result.text).toBe(recipe);
+      expect(result.scaledLines).toHaveLength(0);
+    });
+  });
+});
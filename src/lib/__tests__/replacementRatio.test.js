@@ -0,0 +1,125 @@
+/**
+ * Unit Tests for Replacement Ratio Logic
+ * Tests ratio parsing, quantity rewriting and fraction formatting
+ */
+
+import { describe, it, expect, vi } from 'vitest';
+import { parseReplacementRatio, applyReplacementRatio, rewriteLineQuantity } from '../replacementRatio';
+import { formatQuantity, parseRecipeText, toStructuredLine } from '../ingredientLineParser';
+import { convertRecipeWithJson } from '../convertRecipeJson';
+
+vi.mock('../affiliateService', () => ({
+  getAffiliateLinksForSubstitutes: vi.fn().mockResolvedValue({}),
+  buildAffiliateUrl: vi.fn()
+}));
+
+const lineFor = (text) => toStructuredLine(parseRecipeText(text).ingredients[0]);
+
+describe('Replacement Ratio Logic', () => {
+  describe('Fraction Formatting', () => {
+    it('should format kitchen fractions and mixed numbers', () => {
+      expect(formatQuantity(1.5)).toBe('1 ½');
+      expect(formatQuantity(0.5)).toBe('½');
+      expect(formatQuantity(1 / 3)).toBe('⅓');
+      expect(formatQuantity(0.75)).toBe('¾');
+      expect(formatQuantity(2)).toBe('2');
+      expect(formatQuantity(0.99)).toBe('1');
+      expect(formatQuantity(0.1)).toBe('0.1');
+    });
+  });
+
+  describe('Ratio Parsing', () => {
+    it('should parse colon ratios', () => {
+      expect(parseReplacementRatio('1:1').factor).toBe(1);
+      expect(parseReplacementRatio('1:0.75').factor).toBe(0.75);
+
+      const byVolume = parseReplacementRatio('2:1 by volume');
+      expect(byVolume.factor).toBe(0.5);
+      expect(byVolume.basis).toBe('volume');
+    });
+
+    it('should parse word ratios', () => {
+      expect(parseReplacementRatio('use half').factor).toBe(0.5);
+      expect(parseReplacementRatio('three quarters of the amount').factor).toBe(0.75);
+      expect(parseReplacementRatio('double').factor).toBe(2);
+      expect(parseReplacementRatio('1.5x').factor).toBe(1.5);
+    });
+
+    it('should keep parenthetical notes', () => {
+      const ratio = parseReplacementRatio('1:1 (alcohol-free vanilla extract)');
+      expect(ratio.factor).toBe(1);
+      expect(ratio.note).toBe('alcohol-free vanilla extract');
+    });
+
+    it('should parse multi-component replacements', () => {
+      const ratio = parseReplacementRatio('1 cup wine → ¾ cup grape juice + ¼ cup vinegar');
+
+      expect(ratio.factor).toBe(1);
+      expect(ratio.components.map(c => c.name)).toEqual(['grape juice', 'vinegar']);
+    });
+
+    it('should return null for unparseable ratios', () => {
+      expect(parseReplacementRatio('to taste')).toBeNull();
+      expect(parseReplacementRatio(null)).toBeNull();
+    });
+  });
+
+  describe('Applying Ratios', () => {
+    it('should scale the quantity and keep the original', () => {
+      const adjustment = applyReplacementRatio(lineFor('1 tsp gelatin'), parseReplacementRatio('1:0.5'));
+
+      expect(adjustment.converted.text).toBe('½ tsp');
+      expect(adjustment.original.text).toBe('1 tsp');
+    });
+
+    it('should inflect spelled-out units', () => {
+      const adjustment = applyReplacementRatio(lineFor('2 cups wine'), parseReplacementRatio('1:0.75'));
+      expect(adjustment.converted.text).toBe('1 ½ cups');
+
+      const half = applyReplacementRatio(lineFor('1 cup beer'), parseReplacementRatio('1:0.5'));
+      expect(half.converted.text).toBe('½ cup');
+    });
+
+    it('should leave abbreviated units alone and keep the original as written', () => {
+      const adjustment = applyReplacementRatio(lineFor('1 ½ tbsp gelatin'), parseReplacementRatio('1:0.5'));
+      expect(adjustment.converted.text).toBe('¾ tbsp');
+      expect(adjustment.original.text).toBe('1 ½ tbsp');
+
+      const pounds = applyReplacementRatio(lineFor('1 lbs pork'), parseReplacementRatio('double'));
+      expect(pounds.converted.text).toBe('2 lbs');
+      expect(pounds.original.text).toBe('1 lbs');
+    });
+
+    it('should break multi-component replacements down per line', () => {
+      const adjustment = applyReplacementRatio(
+        lineFor('2 cups wine'),
+        parseReplacementRatio('1 cup wine → ¾ cup grape juice + ¼ cup vinegar')
+      );
+
+      expect(adjustment.components.map(c => c.text)).toEqual(['1 ½ cups grape juice', '½ cup vinegar']);
+    });
+
+    it('should rewrite only the quantity and unit in the line text', () => {
+      const line = lineFor('- 1 cup beer, cold');
+      const adjustment = applyReplacementRatio(line, parseReplacementRatio('1:0.5'));
+
+      expect(rewriteLineQuantity('- 1 cup beer, cold', line, adjustment)).toBe('- ½ cup beer, cold');
+    });
+
+    it('should skip lines without a quantity', () => {
+      expect(applyReplacementRatio(lineFor('gelatin'), parseReplacementRatio('1:0.5'))).toBeNull();
+    });
+  });
+
+  describe('Conversion', () => {
+    it('should rewrite the quantity on the converted line', async () => {
+      const result = await convertRecipeWithJson('Ingredients:\n- 1 tsp gelatin\n- 2 cups sugar', {});
+      const gelatinIssue = result.issues.find(issue => issue.ingredient_id === 'gelatin');
+
+      expect(gelatinIssue.quantityAdjustments[0].converted.text).toBe('½ tsp');
+      expect(result.convertedText).toContain('½ tsp');
+      expect(result.convertedText).toContain('(originally 1 tsp)');
+      expect(result.convertedText).toContain('2 cups sugar');
+    });
+  });
+});
@@ -0,0 +1,80 @@
+/**
+ * Unit Tests for Substitute Choice
+ * Tests picking a different alternative per ingredient and remembering the pick
+ */
+
+import { describe, it, expect, vi } from 'vitest';
+import { convertRecipeWithJson, chooseSubstitute } from '../convertRecipeJson';
+import { getPreferredSubstitutes, setPreferredSubstitute, clearPreferredSubstitute } from '../substitutePreferences';
+
+vi.mock('../affiliateService', () => ({
+  getAffiliateLinksForSubstitutes: vi.fn().mockResolvedValue({}),
+  buildAffiliateUrl: vi.fn()
+}));
+
+const recipe = 'Ingredients:\n- 200g bacon\n- 1 tsp gelatin\n\nInstructions:\n1. Fry the bacon.';
+
+describe('Substitute Choice', () => {
+  describe('Choosing an Alternative', () => {
+    it('should use the first alternative by default', async () => {
+      const result = await convertRecipeWithJson(recipe, {});
+      const bacon = result.issues.find(issue => issue.ingredient_id === 'bacon');
+
+      expect(bacon.replacement_id).toBe('smoked_turkey_bacon');
+      expect(bacon.substituteChoice).toBe('default');
+    });
+
+    it('should recompute the converted text from the pick without touching other ingredients', async () => {
+      const result = await convertRecipeWithJson(recipe, {});
+      const next = await chooseSubstitute(result, 'bacon', 'beef_bacon_halal');
+      const bacon = next.issues.find(issue => issue.ingredient_id === 'bacon');
+
+      expect(bacon.replacement_id).toBe('beef_bacon_halal');
+      expect(bacon.substituteChoice).toBe('chosen');
+      expect(next.convertedText).toContain('200g Halal Beef Bacon');
+      expect(next.convertedText).toContain('1. Fry the Halal Beef Bacon.');
+      expect(next.convertedText).not.toMatch(/turkey/i);
+      expect(next.convertedText).toContain('(originally 1 tsp)');
+      expect(next.confidenceScore).toBe(result.confidenceScore);
+    });
+
+    it('should only apply the replacement ratio to the substitute it was written for', async () => {
+      const result = await convertRecipeWithJson(recipe, {});
+      const next = await chooseSubstitute(result, 'gelatin', 'halal_beef_gelatin');
+      const gelatin = next.issues.find(issue => issue.ingredient_id === 'gelatin');
+
+      expect(result.convertedText).toContain('½ tsp Agar-Agar (originally 1 tsp)');
+      expect(next.convertedText).toContain('- 1 tsp Halal Beef Gelatin\n');
+      expect(gelatin.quantityAdjustments).toEqual([]);
+      expect(gelatin.replacementRatioApplies).toBe(false);
+      expect((await chooseSubstitute(next, 'gelatin', 'agar_agar')).convertedText).toContain('½ tsp Agar-Agar (originally 1 tsp)');
+    });
+
+    it('should ignore substitutes that are not alternatives for the ingredient', async () => {
+      const result = await convertRecipeWithJson(recipe, {});
+      expect(await chooseSubstitute(result, 'bacon', 'pectin')).toBe(result);
+    });
+  });
+
+  describe('Remembered Picks', () => {
+    it('should store and forget picks per ingredient', () => {
+      setPreferredSubstitute('bacon', 'beef_bacon_halal');
+      expect(getPreferredSubstitutes()).toEqual({ bacon: 'beef_bacon_halal' });
+
+      clearPreferredSubstitute('bacon');
+      expect(getPreferredSubstitutes()).toEqual({});
+    });
+
+    it('should apply a remembered pick on the next conversion', async () => {
+      const result = await convertRecipeWithJson(recipe, {
+        preferredSubstitutes: { bacon: 'beef_bacon_halal', gelatin: 'not_an_alternative' }
+      });
+      const bacon = result.issues.find(issue => issue.ingredient_id === 'bacon');
+      const gelatin = result.issues.find(issue => issue.ingredient_id === 'gelatin');
+
+      expect(bacon.replacement_id).toBe('beef_bacon_halal');
+      expect(bacon.substituteChoice).toBe('preferred');
+      expect(gelatin.replacement_id).toBe('agar_agar');
+    });
+  });
+});
@@ -0,0 +1,74 @@
+/**
+ * Unit Tests for Term Matcher
+ * Tests trie matching, longest-match-wins resolution and detection offsets
+ */
+
+import { describe, it, expect, vi } from 'vitest';
+import { buildTermTrie, findTermMatches, normalizeTerm } from '../termMatcher';
+import { convertRecipeWithJson } from '../convertRecipeJson';
+
+vi.mock('../affiliateService', () => ({
+  getAffiliateLinksForSubstitutes: vi.fn().mockResolvedValue({}),
+  buildAffiliateUrl: vi.fn()
+}));
+
+const trie = buildTermTrie([
+  ['wine', 'wine'],
+  ['wine_vinegar', 'wine_vinegar'],
+  ['pork', 'pork'],
+  ['pork_belly', 'pork_belly'],
+  ['belly', 'belly']
+]);
+
+const matchedValues = (text) => findTermMatches(text, trie).map(match => match.value);
+
+describe('Term Matcher', () => {
+  describe('Matching', () => {
+    it('should normalize case and separators', () => {
+      expect(normalizeTerm('Pork_Belly')).toBe('pork belly');
+      expect(normalizeTerm(' white-wine ')).toBe('white wine');
+    });
+
+    it('should treat spaces, underscores and hyphens alike', () => {
+      expect(matchedValues('Pork-Belly')).toEqual(['pork_belly']);
+      expect(matchedValues('pork_belly')).toEqual(['pork_belly']);
+      expect(matchedValues('pork  belly')).toEqual(['pork_belly']);
+    });
+
+    it('should only match whole words', () => {
+      expect(matchedValues('swine porkchop wines')).toEqual([]);
+    });
+
+    it('should record offsets of the matched text', () => {
+      const [match] = findTermMatches('2 tbsp Wine Vinegar', trie);
+      expect(match).toMatchObject({ start: 7, end: 19, text: 'Wine Vinegar', term: 'wine_vinegar' });
+    });
+  });
+
+  describe('Overlap Resolution', () => {
+    it('should prefer the longest match over the terms inside it', () => {
+      expect(matchedValues('red wine vinegar')).toEqual(['wine_vinegar']);
+      expect(matchedValues('200g pork belly')).toEqual(['pork_belly']);
+    });
+
+    it('should keep separate mentions on the same line', () => {
+      expect(matchedValues('pork belly or pork, and wine')).toEqual(['pork_belly', 'pork', 'wine']);
+    });
+  });
+
+  describe('Detection', () => {
+    it('should report each span once with its exact offsets', async () => {
+      const recipe = 'Ingredients:\n- 2 tbsp red wine vinegar\n- 200g pork belly\n- 1 cup white wine';
+      const result = await convertRecipeWithJson(recipe, {});
+      const ids = result.issues.map(issue => issue.ingredient_id);
+
+      expect(ids).toEqual(['wine_vinegar', 'pork_belly', 'white_wine']);
+      result.issues.forEach(issue => {
+        issue.matches.forEach(match => {
+          expect(recipe.slice(match.start, match.end)).toBe(match.text);
+        });
+      });
+      expect(result.issues.find(issue => issue.ingredient_id === 'white_wine').matches).toHaveLength(1);
+    });
+  });
+});
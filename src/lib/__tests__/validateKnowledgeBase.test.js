@@ -0,0 +1,152 @@
+/**
+ * Unit Tests for Knowledge-Base Validation
+ * Tests each check of scripts/validateKnowledgeBase.js against small knowledge files with one problem each
+ */
+
+import { describe, it, expect } from 'vitest';
+import { validateKnowledgeBase, checkSchema, findCycles } from '../../../scripts/validateKnowledgeBase.js';
+import { FLAT_ENTRY_SCHEMA, NESTED_ENTRY_SCHEMA } from '../../../scripts/knowledgeSchema.js';
+
+function flatEntry(overrides = {}) {
+  return {
+    status: 'haram',
+    inheritance: [],
+    alternatives: [],
+    notes: '',
+    references: ["Qur'an 5:3"],
+    aliases: [],
+    confidence_score_base: 0.9,
+    eli5: '',
+    category: 'meat',
+    displayName: 'Entry',
+    ...overrides
+  };
+}
+
+function nestedEntry(id, overrides = {}) {
+  return {
+    id,
+    displayName: 'Entry',
+    category: 'meat',
+    derivedFrom: [],
+    rulings: { default: 'haram' },
+    alternatives: [],
+    notes: '',
+    references: [],
+    aliases: [],
+    ...overrides
+  };
+}
+
+function errorsFor(data, check) {
+  return validateKnowledgeBase(data).errors.filter(error => error.check === check).map(error => error.message);
+}
+
+describe('Knowledge-Base Validation', () => {
+  it('should pass a consistent knowledge base', () => {
+    const data = {
+      flat: { pork: flatEntry({ alternatives: ['chicken'] }), chicken: flatEntry({ status: 'halal' }) },
+      nested: { pork: nestedEntry('pork') }
+    };
+
+    expect(validateKnowledgeBase(data).errors).toEqual([]);
+  });
+
+  it('should report ids that point at no entry', () => {
+    const data = {
+      flat: { bacon: flatEntry({ inheritance: ['pig'] }) },
+      nested: { bacon: nestedEntry('bacon', { derivedFrom: ['pork'] }) }
+    };
+
+    expect(errorsFor(data, 'dangling-id')).toEqual([
+      'bacon: derivedFrom "pork" is not a nested entry',
+      'bacon: inheritance "pig" is not a knowledge-base entry'
+    ]);
+  });
+
+  it('should report an alias claimed by two entries', () => {
+    const data = {
+      flat: {
+        bacon: flatEntry({ aliases: ['streaky_bacon'] }),
+        pancetta: flatEntry({ aliases: ['streaky_bacon'] })
+      }
+    };
+
+    expect(errorsFor(data, 'alias-collision')).toContain('alias "streaky_bacon" is claimed by bacon, pancetta');
+  });
+
+  it('should fail on an alternative that has no entry or display name', () => {
+    const data = {
+      flat: { pork: flatEntry({ alternatives: ['chicken', 'beef_bacon'] }), chicken: flatEntry({ status: 'halal' }) },
+      displayMap: {}
+    };
+
+    expect(errorsFor(data, 'undefined-alternative')).toEqual(['pork: alternative "beef_bacon" has no entry or display name']);
+    expect(validateKnowledgeBase({ ...data, displayMap: { beef_bacon: 'Beef Bacon' } }).errors).toEqual([]);
+  });
+
+  it('should fail on an alias shadowed by the entry with that id', () => {
+    const data = { flat: { pork: flatEntry({ aliases: ['bacon'] }), bacon: flatEntry() } };
+
+    expect(errorsFor(data, 'alias-collision')).toContain('pork: alias "bacon" is shadowed by the entry with that id');
+  });
+
+  it('should report cyclic inheritance', () => {
+    const data = {
+      flat: {
+        gelatin: flatEntry({ inheritance: ['marshmallow'] }),
+        marshmallow: flatEntry({ inheritance: ['gelatin'] })
+      }
+    };
+
+    expect(errorsFor(data, 'cyclic-inheritance')).toEqual(['gelatin → marshmallow → gelatin']);
+    expect(findCycles({ a: ['b'], b: ['c'], c: [] })).toEqual([]);
+  });
+
+  it('should report a status that is not one of the allowed values', () => {
+    const data = {
+      flat: { pork: flatEntry({ status: 'forbidden' }) },
+      nested: { pork: nestedEntry('pork', { rulings: { default: 'haram', hanafi: 'makruh' } }) }
+    };
+
+    expect(errorsFor(data, 'status')).toEqual([
+      'pork.status: "forbidden" is not one of halal, haram, conditional, questionable, unknown',
+      'pork.rulings.hanafi: "makruh" is not one of halal, haram, conditional, questionable, unknown'
+    ]);
+  });
+
+  it('should report references in an unrecognised format', () => {
+    const data = { flat: { pork: flatEntry({ references: ['Quran chapter 5', 'Sahih Bukhari 5520'] }) } };
+
+    expect(errorsFor(data, 'reference-format')).toEqual(['pork: unrecognised reference "Quran chapter 5"']);
+  });
+
+  it('should require a display name for every entry', () => {
+    const { displayName, ...unnamed } = flatEntry();
+    const data = {
+      legacy: { pate: unnamed, chorizo: unnamed },
+      flat: { pork: flatEntry({ displayName: ' ' }) },
+      displayMap: { chorizo: 'Chorizo' }
+    };
+
+    expect(errorsFor(data, 'display-name')).toEqual([
+      'pork: empty displayName',
+      'pate: no display name in ingredient_display_map.json'
+    ]);
+  });
+});
+
+describe('Knowledge Schemas', () => {
+  it('should accept entries in each format and name what is wrong with the rest', () => {
+    expect(checkSchema(flatEntry(), FLAT_ENTRY_SCHEMA, 'pork')).toEqual([]);
+    expect(checkSchema(nestedEntry('pork'), NESTED_ENTRY_SCHEMA, 'pork')).toEqual([]);
+
+    const { eli5, ...withoutEli5 } = flatEntry({ confidence_score_base: 2, flavour: 'smoky' });
+    expect(checkSchema(withoutEli5, FLAT_ENTRY_SCHEMA, 'pork')).toEqual([
+      'pork: missing "eli5"',
+      'pork.confidence_score_base: 2 is above 1',
+      'pork.flavour: unknown field'
+    ]);
+    expect(checkSchema(nestedEntry('Pork Belly'), NESTED_ENTRY_SCHEMA, 'pork_belly')[0]).toMatch(/^pork_belly\.id: "Pork Belly" does not match/);
+  });
+});
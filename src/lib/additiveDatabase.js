@@ -2,193 +2,225 @@
  * Additive and E-Number Database
  * Contains halal status information for food additives and E-numbers
  * Premium feature for detailed ingredient breakdown
+ *
+ * Entries live in src/data/additives.json: the EU additive list (E100-E1520) with sub-letter and
+ * roman-numeral variants ("E472e", "E160a(ii)"), plus common non-E additives such as rennet.
  */
 
+import additivesData from "../data/additives.json";
+
 /**
  * Additive Database Structure
  * 
  * Each additive entry contains:
- * - e_number: E-number (e.g., "E120", "E471")
+ * - e_number: E-number (e.g., "E120", "E471", "E160a(ii)"), null for non-E additives
  * - name: Common name
+ * - aliases: Other names it appears under on labels
  * - category: Additive category
+ * - sources: Where it can come from and the status for each,
+ *   e.g. { plant: "halal", animal: "conditional" } (plant | animal | insect | microbial | synthetic | mineral)
  * - halal_status: "halal" | "conditional" | "haram" | "questionable"
- * - source: "plant" | "animal" | "synthetic" | "microbial" | "mineral" | "unknown"
+ *   (from sources unless the entry sets it: one status for every source, otherwise "conditional"
+ *   when some sources are halal, otherwise the worst)
+ * - source: The only source, or "unknown" when there are several
  * - explanation: Detailed explanation
  * - simple_explanation: Simplified explanation
  * - requires_verification: boolean
  * - common_in: Array of common food types
  */
-export const ADDITIVE_DATABASE = {
-  // Haram Additives (Pork/Alcohol Derived)
-  "e120": {
-    e_number: "E120",
-    name: "Cochineal / Carmine",
-    category: "Colorant",
-    halal_status: "haram",
-    source: "animal",
-    explanation: "E120 (Cochineal/Carmine) is derived from crushed cochineal insects. While some scholars consider insects halal, most consider E120 haram because it's typically processed with alcohol or non-halal methods. Avoid unless halal-certified.",
-    simple_explanation: "E120 is made from insects and often processed with alcohol. It's generally considered haram unless halal-certified.",
-    requires_verification: true,
-    common_in: ["candy", "yogurt", "beverages", "cosmetics"]
-  },
-  "e441": {
-    e_number: "E441",
-    name: "Gelatin",
-    category: "Gelling Agent",
-    halal_status: "haram",
-    source: "animal",
-    explanation: "E441 (Gelatin) is typically derived from pork or non-halal animals. Unless specifically halal-certified, gelatin is considered haram. Look for halal-certified gelatin or plant-based alternatives like agar-agar (E406).",
-    simple_explanation: "E441 (Gelatin) usually comes from pork or non-halal animals. It's haram unless halal-certified.",
-    requires_verification: true,
-    common_in: ["marshmallows", "gummy candies", "jellies", "yogurts", "desserts"]
-  },
-  "e471": {
-    e_number: "E471",
-    name: "Mono- and Diglycerides",
-    category: "Emulsifier",
-    halal_status: "conditional",
-    source: "unknown",
-    explanation: "E471 (Mono- and Diglycerides) can be derived from plant or animal sources. Animal-derived E471 requires halal certification. Check the source or look for halal-certified products.",
-    simple_explanation: "E471 can come from plants (halal) or animals (needs halal certification). Check the source.",
-    requires_verification: true,
-    common_in: ["bread", "margarine", "ice cream", "chocolate"]
-  },
-  "e472": {
-    e_number: "E472",
-    name: "Esters of Mono- and Diglycerides",
-    category: "Emulsifier",
-    halal_status: "conditional",
-    source: "unknown",
-    explanation: "E472 can be derived from plant or animal sources. Animal-derived E472 requires halal certification. Verify the source.",
-    simple_explanation: "E472 can come from plants or animals. Check if it's halal-certified.",
-    requires_verification: true,
-    common_in: ["baked goods", "dairy products", "margarine"]
-  },
-  
-  // Questionable Additives (Alcohol-Derived)
-  "e150": {
-    e_number: "E150",
-    name: "Caramel Color",
-    category: "Colorant",
-    halal_status: "conditional",
-    source: "synthetic",
-    explanation: "E150 (Caramel Color) is generally halal when made from sugar. However, some production methods may use alcohol. Most scholars consider E150 halal, but strict interpretations may require verification.",
-    simple_explanation: "E150 is usually halal, but some types may use alcohol in production. Generally considered halal.",
-    requires_verification: false,
-    common_in: ["cola", "sauces", "baked goods", "beer", "whiskey"]
-  },
-  "e160a": {
-    e_number: "E160a",
-    name: "Beta-Carotene",
-    category: "Colorant",
-    halal_status: "halal",
-    source: "plant",
-    explanation: "E160a (Beta-Carotene) is derived from plants (carrots, algae) or synthetically produced. It's generally considered halal.",
-    simple_explanation: "E160a comes from plants and is halal.",
-    requires_verification: false,
-    common_in: ["margarine", "cheese", "beverages", "dairy products"]
-  },
-  
-  // Halal Additives
-  "e300": {
-    e_number: "E300",
-    name: "Ascorbic Acid (Vitamin C)",
-    category: "Antioxidant",
-    halal_status: "halal",
-    source: "synthetic",
-    explanation: "E300 (Ascorbic Acid) is synthetic Vitamin C and is halal. It's commonly used as an antioxidant in food products.",
-    simple_explanation: "E300 is Vitamin C and is halal.",
-    requires_verification: false,
-    common_in: ["fruit juices", "canned foods", "baked goods"]
-  },
-  "e406": {
-    e_number: "E406",
-    name: "Agar-Agar",
-    category: "Gelling Agent",
-    halal_status: "halal",
-    source: "plant",
-    explanation: "E406 (Agar-Agar) is derived from seaweed and is halal. It's a plant-based alternative to gelatin.",
-    simple_explanation: "E406 comes from seaweed and is halal. It's a plant-based gelatin alternative.",
-    requires_verification: false,
-    common_in: ["jellies", "desserts", "vegetarian products"]
-  },
-  "e322": {
-    e_number: "E322",
-    name: "Lecithin",
-    category: "Emulsifier",
-    halal_status: "conditional",
-    source: "unknown",
-    explanation: "E322 (Lecithin) can be derived from soy (halal) or eggs (requires halal certification). Soy lecithin is halal, but egg lecithin needs verification.",
-    simple_explanation: "E322 can come from soy (halal) or eggs (needs halal certification).",
-    requires_verification: true,
-    common_in: ["chocolate", "margarine", "baked goods", "ice cream"]
-  },
-  "e621": {
-    e_number: "E621",
-    name: "Monosodium Glutamate (MSG)",
-    category: "Flavor Enhancer",
-    halal_status: "halal",
-    source: "synthetic",
-    explanation: "E621 (MSG) is synthetically produced and is halal. It's a flavor enhancer commonly used in processed foods.",
-    simple_explanation: "E621 (MSG) is synthetic and halal.",
-    requires_verification: false,
-    common_in: ["snacks", "soups", "sauces", "processed foods"]
-  },
-  
-  // Rennet and Enzymes
-  "rennet": {
-    e_number: null,
-    name: "Rennet",
-    category: "Enzyme",
-    halal_status: "conditional",
-    source: "animal",
-    explanation: "Rennet is used in cheese making and can be animal-derived (requires halal certification) or microbial (generally halal). Check the source or look for halal-certified cheese.",
-    simple_explanation: "Rennet can come from animals (needs halal certification) or microbes (halal). Check the source.",
-    requires_verification: true,
-    common_in: ["cheese", "dairy products"]
-  },
-  "enzymes": {
-    e_number: null,
-    name: "Enzymes",
-    category: "Enzyme",
-    halal_status: "conditional",
-    source: "unknown",
-    explanation: "Enzymes can be derived from animal, plant, or microbial sources. Animal-derived enzymes require halal certification. Microbial and plant enzymes are generally halal.",
-    simple_explanation: "Enzymes can come from animals (needs halal certification), plants, or microbes (halal).",
-    requires_verification: true,
-    common_in: ["bread", "cheese", "juices", "processed foods"]
-  }
+
+const SOURCE_DESCRIPTIONS = {
+  plant: "from plants",
+  animal: "from animal sources",
+  insect: "from insects",
+  microbial: "by microbial fermentation",
+  synthetic: "by chemical synthesis",
+  mineral: "from minerals"
 };
 
+const STATUS_ORDER = ["haram", "questionable", "conditional", "halal"];
+
+const STATUS_PHRASES = {
+  haram: "haram unless halal-certified",
+  questionable: "disputed among scholars",
+  conditional: "halal only with halal certification"
+};
+
+// "from plants or by chemical synthesis"
+function describeMaking(sources) {
+  const phrases = sources.map(source => SOURCE_DESCRIPTIONS[source] || `from ${source}`);
+  return phrases.length > 1 ? `${phrases.slice(0, -1).join(", ")} or ${phrases[phrases.length - 1]}` : phrases[0];
+}
+
+function deriveStatus(statuses) {
+  const distinct = [...new Set(statuses)];
+  if (distinct.length === 1) return distinct[0];
+  if (distinct.includes("halal")) return "conditional";
+  return STATUS_ORDER.find(status => distinct.includes(status)) || "questionable";
+}
+
+/**
+ * Explanations for entries without hand-written ones, built from their sources
+ */
+function describeSources(entry, status) {
+  const label = entry.e_number || entry.name;
+  const sourceEntries = Object.entries(entry.sources);
+  const halalSources = sourceEntries.filter(([, sourceStatus]) => sourceStatus === "halal").map(([source]) => source);
+  const otherSources = sourceEntries.filter(([, sourceStatus]) => sourceStatus !== "halal");
+  const category = entry.category.toLowerCase();
+  const madeFrom = `${label} (${entry.name}) is ${/^[aeiou]/.test(category) ? "an" : "a"} ${category} made ${describeMaking(sourceEntries.map(([source]) => source))}.`;
+
+  if (otherSources.length === 0) {
+    return {
+      explanation: `${madeFrom} It is halal.`,
+      simple_explanation: `${label} is halal.`
+    };
+  }
+
+  const otherParts = otherSources.map(([source, sourceStatus]) =>
+    `made ${describeMaking([source])}, it is ${STATUS_PHRASES[sourceStatus] || sourceStatus}`);
+  if (halalSources.length === 0) {
+    return {
+      explanation: `${madeFrom} ${otherParts.join("; ").replace(/^m/, "M")}.`,
+      simple_explanation: `${label} is made ${describeMaking(otherSources.map(([source]) => source))} and is ${STATUS_PHRASES[status] || status}.`
+    };
+  }
+
+  return {
+    explanation: `${madeFrom} Made ${describeMaking(halalSources)}, it is halal; ${otherParts.join("; ")}. Check the source or look for halal certification.`,
+    simple_explanation: `${label} can be made ${describeMaking(halalSources)} (halal) or ${describeMaking(otherSources.map(([source]) => source))} (needs checking). Check the source.`
+  };
+}
+
+function buildEntry(entry) {
+  const sources = entry.sources || {};
+  const sourceNames = Object.keys(sources);
+  const halalStatus = entry.halal_status || deriveStatus(Object.values(sources));
+
+  return {
+    aliases: [],
+    common_in: [],
+    source: sourceNames.length === 1 ? sourceNames[0] : "unknown",
+    requires_verification: halalStatus !== "halal",
+    ...describeSources(entry, halalStatus),
+    ...entry,
+    halal_status: halalStatus
+  };
+}
+
+export const ADDITIVE_DATABASE = Object.fromEntries(
+  Object.entries(additivesData).map(([key, entry]) => [key, buildEntry(entry)])
+);
+
+/**
+ * Normalize an additive name for lookup
+ * "Mono- and Diglycerides" -> "mono and diglycerides", "Confectioner's glaze" -> "confectioners glaze"
+ * @param {string} name - Additive name or alias
+ * @returns {string}
+ */
+export function normalizeAdditiveName(name) {
+  return String(name || "")
+    .toLowerCase()
+    .replace(/['’]/g, "")
+    .replace(/[^a-z0-9]+/g, " ")
+    .trim();
+}
+
+// Names before aliases, so an entry's own name always wins
+const NAME_INDEX = new Map();
+Object.entries(ADDITIVE_DATABASE).forEach(([key, additive]) => {
+  const name = normalizeAdditiveName(additive.name);
+  if (!NAME_INDEX.has(name)) NAME_INDEX.set(name, key);
+});
+Object.entries(ADDITIVE_DATABASE).forEach(([key, additive]) => {
+  additive.aliases.forEach(alias => {
+    const name = normalizeAdditiveName(alias);
+    if (!NAME_INDEX.has(name)) NAME_INDEX.set(name, key);
+  });
+});
+
+const E_NUMBER = /^e?\s*-?\s*(\d{3,4})([a-z])?\s*(?:\(\s*(iv|v|i{1,3})\s*\))?$/i;
+
+/**
+ * Parse an E-number in any common spelling ("E471", "e 471", "E160A(II)", "471")
+ * @param {string} text - E-number text
+ * @returns {Object|null} { e_number: canonical form ("E160a(ii)"), lookup_keys: most to least specific
+ *   database keys (["e160a(ii)", "e160a", "e160"]) }, or null if the text isn't an E-number
+ */
+export function parseENumber(text) {
+  const match = String(text || "").trim().match(E_NUMBER);
+  if (!match) return null;
+
+  const [, digits, letter, roman] = match;
+  const base = `e${digits}`;
+  const withLetter = letter ? `${base}${letter.toLowerCase()}` : base;
+  const full = roman ? `${withLetter}(${roman.toLowerCase()})` : withLetter;
+  return {
+    e_number: `E${full.slice(1)}`,
+    lookup_keys: [...new Set([full, withLetter, base])]
+  };
+}
+
 /**
  * Get additive information by E-number or name
- * @param {string} identifier - E-number (e.g., "E120") or name (e.g., "gelatin")
+ * E-numbers match the most specific listed variant, so an unlisted variant ("E471a") gets its parent's
+ * entry ("E471"); names match the entry's name or one of its aliases exactly (after normalization)
+ * @param {string} identifier - E-number (e.g., "E120", "E160a(ii)") or name (e.g., "gelatin")
  * @returns {Object|null} Additive information or null if not found
  */
 export function getAdditiveInfo(identifier) {
-  const normalized = identifier.toLowerCase().trim();
-  
-  // Try direct lookup
-  if (ADDITIVE_DATABASE[normalized]) {
-    return ADDITIVE_DATABASE[normalized];
-  }
-  
-  // Try E-number lookup (e.g., "e120", "E120")
-  const eNumberKey = normalized.startsWith('e') ? normalized : `e${normalized.replace(/^e/i, '')}`;
-  if (ADDITIVE_DATABASE[eNumberKey]) {
-    return ADDITIVE_DATABASE[eNumberKey];
-  }
-  
-  // Try name lookup
-  for (const key in ADDITIVE_DATABASE) {
-    const additive = ADDITIVE_DATABASE[key];
-    if (additive.name.toLowerCase().includes(normalized) || 
-        normalized.includes(additive.name.toLowerCase())) {
-      return additive;
-    }
+  if (!identifier || typeof identifier !== "string") return null;
+
+  const eNumber = parseENumber(identifier);
+  if (eNumber) {
+    const key = eNumber.lookup_keys.find(candidate => ADDITIVE_DATABASE[candidate]);
+    return key ? ADDITIVE_DATABASE[key] : null;
   }
-  
-  return null;
+
+  const key = NAME_INDEX.get(normalizeAdditiveName(identifier));
+  return key ? ADDITIVE_DATABASE[key] : null;
+}
+
+/**
+ * All additive names and aliases, normalized, longest first (for finding them in free text)
+ * @returns {Array<string>}
+ */
+export function getAdditiveNames() {
+  return [...NAME_INDEX.keys()].sort((a, b) => b.length - a.length);
+}
+
+/**
+ * Narrow an additive to the source the label names ("E322 (sunflower)" -> lecithin from plants)
+ * A pork or fish qualifier decides the animal source on its own.
+ * @param {Object} additive - Entry from getAdditiveInfo()
+ * @param {Object} sourceQualifier - From detectSourceQualifier(): { terms, sources, status }
+ * @returns {Object} The entry with halal_status, source, requires_verification and explanations for
+ *   that source, resolved_source ({ source, terms }) and a trace line; the entry unchanged when the
+ *   qualifier names none of its sources or changes nothing
+ */
+export function resolveAdditiveSource(additive, sourceQualifier) {
+  if (!additive?.sources || !sourceQualifier) return additive;
+
+  const matching = sourceQualifier.sources.filter(source => additive.sources[source]);
+  if (matching.length === 0) return additive;
+
+  const status = deriveStatus(matching.map(source =>
+    source === "animal" && sourceQualifier.status ? sourceQualifier.status : additive.sources[source]));
+  if (status === additive.halal_status && matching.length === Object.keys(additive.sources).length) return additive;
+
+  const label = additive.e_number || additive.name;
+  const terms = sourceQualifier.terms.join(", ");
+  const ruling = status === "halal" ? "halal" : STATUS_PHRASES[status] || status;
+  return {
+    ...additive,
+    halal_status: status,
+    source: matching.length === 1 ? matching[0] : "unknown",
+    requires_verification: status !== "halal",
+    explanation: `${additive.explanation} The label says it is made ${describeMaking(matching)} (${terms}), so here it is ${ruling}.`,
+    simple_explanation: `${label} here is made ${describeMaking(matching)} (${terms}), so it is ${ruling}.`,
+    resolved_source: { source: matching.join("/"), terms: sourceQualifier.terms },
+    trace: [`Source qualifier: ${terms} → ${matching.join("/")} source, ${label} resolved to ${status}`]
+  };
 }
 
 /**
@@ -4,31 +4,75 @@
  * Premium feature for detailed ingredient breakdown
  */
 
-import { getAdditiveInfo } from './additiveDatabase';
+import { getAdditiveInfo, getAdditiveNames, normalizeAdditiveName, parseENumber, resolveAdditiveSource } from './additiveDatabase';
+import { detectSourceQualifier } from './ingredientModifiers';
 
 /**
- * E-number pattern (E followed by 3-4 digits, optionally with letter suffix)
+ * E-number pattern (E followed by 3-4 digits, optionally with a letter suffix and roman-numeral variant: E160a(ii))
  */
-const E_NUMBER_PATTERN = /\bE\d{3}[a-z]?\b/gi;
+const E_NUMBER_PATTERN = /\bE\s?-?\d{3,4}(?!\d)(?:[a-z](?![a-z]))?(?:\s?\((?:iv|v|i{1,3})\))?/gi;
+
+let additiveNamePattern = null;
+
+/**
+ * Every additive name and alias as one pattern, longest first so "acetic acid esters of mono and
+ * diglycerides" wins over "mono and diglycerides". Matches normalized text and lowercase label text
+ * ("mono- and diglycerides"), but never runs across a list separator ("guar, gum arabic").
+ */
+function getAdditiveNamePattern() {
+  if (!additiveNamePattern) {
+    const names = getAdditiveNames().map(name => name
+      .replace(/[.*+?^${}()|[\]\\]/g, "\\$&")
+      .replace(/ /g, "(?:[^a-z0-9,;()]|,(?! ))+"));
+    additiveNamePattern = new RegExp(`(?<![a-z0-9])(?:${names.join("|")})(?![a-z0-9])`, "g");
+  }
+  return additiveNamePattern;
+}
+
+/**
+ * Text around an additive mention that can say where it came from: qualifier words right before it,
+ * the mention itself and a qualifier-only parenthesis or "from ..." right after it
+ * "vegetable mono- and diglycerides", "E322 (sunflower)", "E471 from palm oil"
+ */
+function getMentionContext(text, start, end) {
+  const before = [];
+  const words = text.slice(0, start).split(/[,;:([{]/).pop().trim().split(/[\s-]+/);
+  for (let i = words.length - 1; i >= 0 && detectSourceQualifier(words[i])?.isOnlyQualifier; i--) {
+    before.unshift(words[i]);
+  }
+
+  const after = text.slice(end).match(/^\s*(?:\(([^()]*)\)|(from\s[^,;()]*))/);
+  const afterText = after ? after[1] || after[2] : "";
+  const qualifierAfter = detectSourceQualifier(afterText)?.isOnlyQualifier ? afterText : "";
+
+  return `${before.join(" ")} ${text.slice(start, end)} ${qualifierAfter}`;
+}
 
 /**
- * Common additive names (case-insensitive)
+ * Every E-number and additive name in the text with its context, in label order
  */
-const ADDITIVE_NAME_PATTERNS = [
-  /\bgelatin\b/gi,
-  /\brennet\b/gi,
-  /\benzymes?\b/gi,
-  /\bmono\s*[-]?\s*diglycerides?\b/gi,
-  /\blecithin\b/gi,
-  /\bcaramel\s*color\b/gi,
-  /\bcarmine\b/gi,
-  /\bcochineal\b/gi,
-  /\bascorbic\s*acid\b/gi,
-  /\bmsg\b/gi,
-  /\bmonosodium\s*glutamate\b/gi,
-  /\bagar\s*[-]?\s*agar\b/gi,
-  /\bbeta\s*[-]?\s*carotene\b/gi
-];
+function findAdditiveMentions(text) {
+  const mentions = [];
+  for (const match of text.matchAll(E_NUMBER_PATTERN)) {
+    mentions.push({
+      found_as: parseENumber(match[0])?.e_number || match[0].toUpperCase(),
+      detection_method: "e_number",
+      index: match.index,
+      context: getMentionContext(text, match.index, match.index + match[0].length)
+    });
+  }
+  for (const match of text.matchAll(getAdditiveNamePattern())) {
+    mentions.push({
+      found_as: normalizeAdditiveName(match[0]),
+      detection_method: "name",
+      index: match.index,
+      context: getMentionContext(text, match.index, match.index + match[0].length)
+    });
+  }
+  // E-numbers before names, as they are the more precise mention of the same additive
+  return mentions.sort((a, b) =>
+    (a.detection_method === b.detection_method ? 0 : a.detection_method === "e_number" ? -1 : 1) || a.index - b.index);
+}
 
 /**
  * Extract E-numbers from text
@@ -45,62 +89,61 @@ export function extractENumbers(text) {
     return [];
   }
   
-  // Normalize and deduplicate
-  return [...new Set(matches.map(e => e.toUpperCase()))];
+  // Normalize ("e 160A(II)" -> "E160a(ii)") and deduplicate
+  return [...new Set(matches.map(e => parseENumber(e)?.e_number || e.toUpperCase()))];
 }
 
 /**
  * Extract additive names from text
+ * Only whole names and aliases from the additive database count ("citric acid", not "acid")
  * @param {string} text - Ingredient list or text
- * @returns {Array} Array of additive names found
+ * @returns {Array} Array of additive names found (normalized, e.g. "mono and diglycerides")
  */
 export function extractAdditiveNames(text) {
   if (!text || typeof text !== 'string') {
     return [];
   }
   
-  const found = [];
-  
-  for (const pattern of ADDITIVE_NAME_PATTERNS) {
-    const matches = text.match(pattern);
-    if (matches) {
-      found.push(...matches.map(m => m.trim()));
-    }
-  }
+  const matches = normalizeAdditiveName(text).match(getAdditiveNamePattern());
   
   // Deduplicate
-  return [...new Set(found.map(name => name.toLowerCase()))];
+  return matches ? [...new Set(matches)] : [];
 }
 
 /**
  * Detect all additives in ingredient list
+ * A source named next to an additive ("soy lecithin", "E471 (vegetable)", "mono- and diglycerides
+ * from palm oil") resolves it to that source; mentions of the same additive share their qualifiers.
  * @param {string} ingredientList - Full ingredient list text
  * @returns {Array} Array of detected additive objects with halal status
+ *   (resolved ones also carry resolved_source: { source, terms } and a trace line)
  */
 export function detectAdditives(ingredientList) {
   if (!ingredientList || typeof ingredientList !== 'string') {
     return [];
   }
   
+  const text = ingredientList.toLowerCase().replace(/['’]/g, "");
   const detected = [];
-  const processed = new Set(); // Track processed additives to avoid duplicates
+  const contexts = new Map(); // Additive entry -> contexts of all its mentions ("E471 (mono- and diglycerides)")
+  const processed = new Set(); // Track processed unknown E-numbers to avoid duplicates
   
-  // Extract E-numbers
-  const eNumbers = extractENumbers(ingredientList);
-  for (const eNumber of eNumbers) {
-    const normalized = eNumber.toLowerCase();
-    if (processed.has(normalized)) continue;
-    
-    const additiveInfo = getAdditiveInfo(eNumber);
+  for (const mention of findAdditiveMentions(text)) {
+    const additiveInfo = getAdditiveInfo(mention.found_as);
     if (additiveInfo) {
+      if (contexts.has(additiveInfo)) {
+        contexts.get(additiveInfo).push(mention.context);
+        continue;
+      }
+      contexts.set(additiveInfo, [mention.context]);
       detected.push({
         ...additiveInfo,
-        found_as: eNumber,
-        detection_method: "e_number"
+        found_as: mention.found_as,
+        detection_method: mention.detection_method
       });
-      processed.add(normalized);
-    } else {
+    } else if (mention.detection_method === "e_number" && !processed.has(mention.found_as)) {
       // Unknown E-number
+      const eNumber = mention.found_as;
       detected.push({
         e_number: eNumber,
         name: `Unknown E-number: ${eNumber}`,
@@ -113,28 +156,16 @@ export function detectAdditives(ingredientList) {
         found_as: eNumber,
         detection_method: "e_number"
       });
-      processed.add(normalized);
-    }
-  }
-  
-  // Extract additive names
-  const additiveNames = extractAdditiveNames(ingredientList);
-  for (const name of additiveNames) {
-    const normalized = name.toLowerCase();
-    if (processed.has(normalized)) continue;
-    
-    const additiveInfo = getAdditiveInfo(name);
-    if (additiveInfo) {
-      detected.push({
-        ...additiveInfo,
-        found_as: name,
-        detection_method: "name"
-      });
-      processed.add(normalized);
+      processed.add(eNumber);
     }
   }
   
-  return detected;
+  return detected.map(additive => {
+    const mentionContexts = contexts.get(getAdditiveInfo(additive.found_as));
+    return mentionContexts
+      ? resolveAdditiveSource(additive, detectSourceQualifier(mentionContexts.join(" ")))
+      : additive;
+  });
 }
 
 /**
@@ -0,0 +1,173 @@
+/**
+ * Alcohol Rules
+ * Rules on alcohol by what the text says about it instead of treating every mention as haram
+ *
+ * - Stated ABV: "<0.5% alcohol", "35% alc./vol", "alcohol-free"
+ * - Origin: khamr (wine, beer, spirits), synthetic ethanol, or alcohol formed by natural fermentation
+ * - Transformation (istihalah): wine turned into vinegar
+ * - Use: khamr cooked into a dish ("wine-braised", "beer-battered")
+ *
+ * Each category's rulings per madhab are in HALAL_RULES.alcohol; the halal engine applies them with getRuling(), so the
+ * user's madhab and strictness decide the status. Positions shared with other ingredients (wine vinegar)
+ * are in the madhab rule packs instead. What counts as a trace is set per strictness by
+ * HALAL_RULES.strictness[level].alcohol_trace_limit (% ABV).
+ */
+
+import { HALAL_RULES } from "./halalRules";
+
+// Alcoholic drinks: alcohol from these is khamr
+export const KHAMR_TERMS = [
+  "wine", "beer", "lager", "stout", "whiskey", "whisky", "bourbon", "rum", "vodka", "gin",
+  "tequila", "brandy", "sherry", "port", "marsala", "vermouth", "liqueur", "cognac", "champagne",
+  "sake", "mirin", "mead"
+];
+
+export const ETHANOL_TERMS = ["alcohol", "alcoholic", "ethanol", "ethyl alcohol", "grain alcohol", "spirit", "spirits"];
+
+// Foods whose alcohol forms by itself during fermentation
+const NATURAL_FERMENTATION = /\b(?:naturally\s+(?:brewed|fermented|occurring)|fermentation|soy\s+sauce|shoyu|tamari|kombucha|kefir)\b/;
+const SYNTHETIC_ORIGIN = /\b(?:synthetic|petrochemical|industrial)\b/;
+const VINEGAR = /\bvinegars?\b/;
+const COOKED = /\b(?:cook(?:ed|ing)|braised|battered|simmered|reduced|reduction|flamb[eé]e?d?|poached|baked|evaporated|burned\s+off)\b/;
+const ALCOHOL_FREE = /\b(?:alcohol[\s-]*free|non[\s-]*alcoholic|de[\s-]*alcoholi[sz]ed|zero\s+alcohol|no\s+alcohol)\b/;
+// "<0.5% alcohol", "35% alc./vol", "0.0%", "ABV 40%"
+const ABV = /(?:(<|≤|less\s+than|under|below|max(?:imum)?|up\s+to)\s*)?(\d+(?:[.,]\d+)?)\s*%(?:\s*(?:abv|alc|alcohol|vol))?|\babv\s*:?\s*(\d+(?:[.,]\d+)?)\s*%/;
+
+const ALCOHOL_TERM = new RegExp(`\\b(?:${[...KHAMR_TERMS, ...ETHANOL_TERMS].join("|")})\\b`);
+
+/**
+ * Alcohol categories; their rulings per madhab are in HALAL_RULES.alcohol
+ */
+export const ALCOHOL_CATEGORIES = {
+  khamr: {
+    rulings: HALAL_RULES.alcohol.khamr,
+    explanation: "Wine, beer and spirits are khamr, which the Qur'an prohibits in any amount.",
+    references: ["Qur'an 5:90", "Sunan Abu Dawud 3681"]
+  },
+  khamr_trace: {
+    rulings: HALAL_RULES.alcohol.khamr_trace,
+    explanation: "It was made as an alcoholic drink and then had the alcohol removed{abv}. Most scholars avoid it because it began as khamr; some allow what can no longer intoxicate.",
+    references: ["Qur'an 5:90", "Sunan Abu Dawud 3681"]
+  },
+  cooked_off: {
+    rulings: HALAL_RULES.alcohol.cooked_off,
+    explanation: "Cooking doesn't remove all the alcohol - a good share stays even after long simmering - and adding khamr to food is prohibited in itself.",
+    references: ["Qur'an 5:90"]
+  },
+  khamr_vinegar: {
+    rulings: HALAL_RULES.alcohol.khamr_vinegar,
+    explanation: "Wine that has become vinegar has changed into a new substance (istihalah). The Hanafi and Maliki schools accept it; the Shafi'i and Hanbali schools only accept wine that turned to vinegar by itself, not vinegar made from wine on purpose.",
+    references: ["Sahih Muslim 1983", "Sahih Muslim 2051"]
+  },
+  natural_trace: {
+    rulings: HALAL_RULES.alcohol.natural_trace,
+    explanation: "The alcohol{abv} forms naturally during fermentation, as it does in bread or ripe fruit. It isn't khamr and can't intoxicate.",
+    references: []
+  },
+  synthetic_ethanol: {
+    rulings: HALAL_RULES.alcohol.synthetic_ethanol,
+    explanation: "Synthetic ethanol{abv} is made from petrochemicals, not by fermenting a drink. Most contemporary scholars don't count it as khamr when it's a solvent in food; it must not be enough to intoxicate.",
+    references: []
+  },
+  ethanol_trace: {
+    rulings: HALAL_RULES.alcohol.ethanol_trace,
+    explanation: "Only a trace of alcohol{abv}, typically a solvent in flavourings, too little to intoxicate in any amount of the food.",
+    references: []
+  },
+  ethanol: {
+    rulings: HALAL_RULES.alcohol.ethanol,
+    explanation: "It contains alcohol{abv} of unstated origin. The Hanafi school only forbids alcohol that isn't from grapes or dates in an amount that intoxicates; the other schools count every intoxicant as khamr.",
+    references: ["Qur'an 5:90", "Sahih Muslim 2003"]
+  },
+  alcohol_free: {
+    rulings: HALAL_RULES.alcohol.alcohol_free,
+    explanation: "It is labelled alcohol-free.",
+    references: []
+  }
+};
+
+/**
+ * Read what a text says about alcohol
+ * @param {string} text - Ingredient name, label line or ID ("red_wine_vinegar")
+ * @returns {Object|null} { terms, isKhamr, origin, abv, abvIsLimit, isVinegar, isCooked, isAlcoholFree }
+ *   - origin: "khamr" | "synthetic" | "natural" | "unknown"
+ *   - abv: stated % ABV, or null; abvIsLimit when it's an upper bound ("<0.5%")
+ *   or null when the text doesn't mention alcohol
+ */
+export function detectAlcoholContext(text) {
+  const normalized = String(text || "").toLowerCase().replace(/_/g, " ");
+  const isAlcoholFree = ALCOHOL_FREE.test(normalized);
+  if (!ALCOHOL_TERM.test(normalized) && !isAlcoholFree) return null;
+
+  const terms = [...new Set([...KHAMR_TERMS, ...ETHANOL_TERMS].filter(term => new RegExp(`\\b${term}\\b`).test(normalized)))];
+  const isKhamr = terms.some(term => KHAMR_TERMS.includes(term));
+  const origin = isKhamr ? "khamr"
+    : SYNTHETIC_ORIGIN.test(normalized) ? "synthetic"
+    : NATURAL_FERMENTATION.test(normalized) ? "natural"
+    : "unknown";
+
+  const abvMatch = normalized.match(ABV);
+  const abvText = abvMatch && (abvMatch[2] || abvMatch[3]);
+  let abv = abvText ? parseFloat(abvText.replace(",", ".")) : null;
+  // "non-alcoholic" drinks may legally have up to 0.5%
+  if (abv === null && isAlcoholFree && isKhamr) abv = 0.5;
+
+  return {
+    terms,
+    isKhamr,
+    origin,
+    abv,
+    abvIsLimit: Boolean(abvMatch?.[1]) || (isAlcoholFree && !abvText),
+    isVinegar: VINEGAR.test(normalized),
+    isCooked: COOKED.test(normalized),
+    isAlcoholFree
+  };
+}
+
+function formatAbv(context) {
+  if (context.abv === null) return "";
+  return ` (${context.abvIsLimit ? "up to " : ""}${context.abv}% ABV)`;
+}
+
+/**
+ * Put an alcohol mention in its category
+ * @param {Object} context - From detectAlcoholContext()
+ * @param {string} strictness - "strict" | "standard" | "flexible", sets the trace limit
+ * @returns {Object|null} { category, rulings, explanation, references, traceLimit, isTrace }
+ */
+export function classifyAlcohol(context, strictness = "standard") {
+  if (!context) return null;
+
+  const traceLimit = HALAL_RULES.strictness[strictness]?.alcohol_trace_limit ?? HALAL_RULES.strictness.standard.alcohol_trace_limit;
+  const isTrace = context.abv !== null && context.abv <= traceLimit;
+
+  let category;
+  if (context.isKhamr) {
+    category = context.isVinegar ? "khamr_vinegar"
+      : context.isCooked ? "cooked_off"
+      : context.isAlcoholFree || isTrace ? "khamr_trace"
+      : "khamr";
+  } else if (context.isAlcoholFree && !context.abv) {
+    category = "alcohol_free";
+  } else if (context.origin === "natural" || context.isVinegar) {
+    category = context.abv === null || isTrace ? "natural_trace" : "ethanol";
+  } else if (context.origin === "synthetic") {
+    category = isTrace ? "ethanol_trace" : "synthetic_ethanol";
+  } else if (isTrace) {
+    category = "ethanol_trace";
+  } else {
+    // Plain "alcohol" with nothing else said is assumed to be an alcoholic drink; "ethanol" is only named as an ingredient
+    const isNamedEthanol = context.terms.some(term => term === "ethanol" || term === "ethyl alcohol");
+    category = context.abv === null && !isNamedEthanol ? "khamr" : "ethanol";
+  }
+
+  const { rulings, explanation, references } = ALCOHOL_CATEGORIES[category];
+  return {
+    category,
+    rulings,
+    explanation: explanation.replace("{abv}", formatAbv(context)),
+    references,
+    traceLimit,
+    isTrace
+  };
+}
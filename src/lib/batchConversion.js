@@ -0,0 +1,130 @@
+/**
+ * Batch Conversion
+ * Converts several recipes in one go and builds a combined summary and export
+ *
+ * Premium feature (batchConversion, up to BATCH_RECIPE_LIMIT recipes at once) -
+ * gate with featureGating.canUseBatchConversion()
+ * Every recipe counts as one conversion against subscription limits.
+ */
+
+import { convertRecipeWithJson } from "./convertRecipeJson";
+import { canConvert, trackConversion } from "./subscription";
+import { formatIngredientName } from "./ingredientDisplay";
+
+export const BATCH_RECIPE_LIMIT = 5;
+
+/**
+ * Lines that separate pasted recipes: "---", "===", "***", "~~~" (three or more)
+ */
+const SEPARATOR_PATTERN = /^\s*(?:-{3,}|={3,}|\*{3,}|~{3,})\s*$/gm;
+
+/**
+ * Split pasted text into recipes
+ * @param {string} text - Recipes separated by lines of ---, ===, *** or ~~~
+ * @returns {Array<string>} Non-empty recipe texts
+ */
+export function splitBatchRecipes(text) {
+  if (!text || typeof text !== "string") return [];
+  return text
+    .split(SEPARATOR_PATTERN)
+    .map(recipe => recipe.trim())
+    .filter(recipe => recipe !== "");
+}
+
+/**
+ * Title for a recipe in the summary: its first non-empty line
+ * @param {string} recipeText - Recipe text
+ * @returns {string}
+ */
+export function getRecipeTitle(recipeText) {
+  const firstLine = (recipeText || "").split("\n").map(line => line.trim()).find(line => line !== "");
+  if (!firstLine) return "Untitled recipe";
+  const title = firstLine.replace(/^(?:title|recipe)\s*:\s*/i, "");
+  return title.length > 60 ? `${title.slice(0, 57)}...` : title;
+}
+
+/**
+ * Convert recipes one after another
+ * Recipes past BATCH_RECIPE_LIMIT, or past the user's remaining monthly conversions, are not converted
+ *
+ * @param {Array<Object|string>} recipes - Recipe texts, or { text, name } (name from an uploaded file)
+ * @param {Object} userPreferences - Halal preferences (see convertRecipeWithJson)
+ * @param {Object} options - { onProgress(done, total) }
+ * @returns {Promise<Array>} [{ index, title, status, result, confidenceScore, issueCount, haramCount, error }]
+ *   - status: "converted", "limit_reached" (monthly limit), "over_batch_limit" or "error"
+ */
+export async function convertRecipeBatch(recipes, userPreferences = {}, options = {}) {
+  const entries = (recipes || [])
+    .map(recipe => (typeof recipe === "string" ? { text: recipe, name: null } : recipe))
+    .filter(recipe => recipe && typeof recipe.text === "string" && recipe.text.trim() !== "");
+  const results = [];
+
+  for (const [index, recipe] of entries.entries()) {
+    const summary = {
+      index,
+      title: recipe.name || getRecipeTitle(recipe.text),
+      status: "converted",
+      result: null,
+      confidenceScore: null,
+      issueCount: 0,
+      haramCount: 0,
+      error: null
+    };
+
+    if (index >= BATCH_RECIPE_LIMIT) {
+      summary.status = "over_batch_limit";
+    } else if (!canConvert()) {
+      summary.status = "limit_reached";
+    } else {
+      const result = await convertRecipeWithJson(recipe.text, userPreferences);
+      if (result.error) {
+        summary.status = "error";
+        summary.error = result.error;
+      } else {
+        trackConversion();
+      }
+      summary.result = result;
+      summary.confidenceScore = typeof result.confidenceScore === "number" ? result.confidenceScore : null;
+      summary.issueCount = (result.issues || []).length;
+      summary.haramCount = (result.issues || []).filter(issue => issue.status === "haram").length;
+    }
+
+    results.push(summary);
+    if (options.onProgress) {
+      options.onProgress(index + 1, entries.length);
+    }
+  }
+
+  return results;
+}
+
+/**
+ * Build one text export with every converted recipe and a summary at the top
+ * @param {Array} batchResults - Result of convertRecipeBatch()
+ * @returns {string}
+ */
+export function buildBatchExport(batchResults) {
+  const converted = (batchResults || []).filter(item => item.status === "converted");
+  const summaryLines = (batchResults || []).map(item => {
+    const detail = item.status === "converted"
+      ? `${item.confidenceScore ?? "—"}% confidence, ${item.issueCount} issue${item.issueCount === 1 ? "" : "s"}`
+      : item.status.replace(/_/g, " ");
+    return `${item.index + 1}. ${item.title} (${detail})`;
+  });
+
+  const sections = converted.map(item => {
+    const issueNames = (item.result.issues || [])
+      .map(issue => `${formatIngredientName(issue.ingredient_id)} → ${issue.replacement_id ? formatIngredientName(issue.replacement_id) : "no substitute"}`)
+      .join(", ");
+    return [
+      `=== ${item.index + 1}. ${item.title} ===`,
+      `Confidence: ${item.confidenceScore ?? "—"}%`,
+      issueNames ? `Substitutions: ${issueNames}` : "Substitutions: none needed",
+      "",
+      item.result.convertedText
+    ].join("\n");
+  });
+
+  const header = `Halal Kitchen - Batch Conversion (${converted.length} of ${summaryLines.length} recipes)`;
+  return [header, "", ...summaryLines, "", sections.join("\n\n")].join("\n").trim() + "\n";
+}
@@ -7,6 +7,21 @@
 import { evaluateItem } from './halalEngine';
 import { isPremiumUser } from './subscription';
 import { formatIngredientName } from './ingredientDisplay';
+import { analyzeLabel } from './labelAnalyzer';
+
+const SUBMISSIONS_STORAGE_KEY = "halalProductSubmissions";
+
+// Barcodes printed on food packs: EAN-8, UPC-A, EAN-13
+const BARCODE_LENGTHS = [8, 12, 13];
+
+// Label verdicts as brand statuses
+const LABEL_VERDICT_STATUS = {
+  halal: "halal",
+  haram: "haram",
+  conditional: "conditional",
+  questionable: "conditional",
+  unknown: "uncertain"
+};
 
 /**
  * Brand Ingredient Data Model
@@ -15,6 +30,7 @@ import { formatIngredientName } from './ingredientDisplay';
  * {
  *   brand_name: string,
  *   product_name: string,
+ *   barcode: string | null, // UPC-A / EAN-13 / EAN-8 as printed on the pack
  *   ingredient_name: string,
  *   halal_certified: boolean,
  *   certifying_body: string | null,
@@ -35,6 +51,7 @@ const BRAND_INGREDIENTS_DB = {
   "bens_original_basmati_rice": {
     brand_name: "Ben's Original",
     product_name: "Basmati Rice",
+    barcode: "054800423835",
     ingredient_name: "basmati_rice",
     halal_certified: true,
     certifying_body: "IFANCA",
@@ -47,6 +64,7 @@ const BRAND_INGREDIENTS_DB = {
   "bens_original_jasmine_rice": {
     brand_name: "Ben's Original",
     product_name: "Jasmine Rice",
+    barcode: "054800423842",
     ingredient_name: "jasmine_rice",
     halal_certified: true,
     certifying_body: "IFANCA",
@@ -61,6 +79,7 @@ const BRAND_INGREDIENTS_DB = {
   "ziyad_tahini": {
     brand_name: "Ziyad",
     product_name: "Tahini",
+    barcode: "071299101037",
     ingredient_name: "tahini",
     halal_certified: true,
     certifying_body: "IFANCA",
@@ -75,6 +94,7 @@ const BRAND_INGREDIENTS_DB = {
   "al_wadi_pine_nuts": {
     brand_name: "Al Wadi",
     product_name: "Pine Nuts",
+    barcode: "5290000100014",
     ingredient_name: "pine_nuts",
     halal_certified: true,
     certifying_body: "HFSAA",
@@ -89,6 +109,7 @@ const BRAND_INGREDIENTS_DB = {
   "generic_brand_cheese": {
     brand_name: "Generic Brand",
     product_name: "Cheese",
+    barcode: null,
     ingredient_name: "cheese",
     halal_certified: false,
     certifying_body: null,
@@ -174,6 +195,115 @@ export function lookupBrandIngredient(searchTerm) {
   return null;
 }
 
+/**
+ * Normalize a scanned or typed barcode
+ * Strips spaces and dashes, checks the check digit and pads UPC-A to EAN-13,
+ * so "0 54800 42383 5" and "0054800423835" are the same product
+ * @param {string} code - Barcode digits
+ * @returns {string|null} 13-digit code (8 for EAN-8), or null if it isn't a valid barcode
+ */
+export function normalizeBarcode(code) {
+  if (code === null || code === undefined) return null;
+  const digits = String(code).trim().replace(/[\s-]/g, '');
+  if (!/^\d+$/.test(digits) || !BARCODE_LENGTHS.includes(digits.length)) return null;
+
+  // Weights alternate 3, 1 from the digit next to the check digit
+  const sum = [...digits.slice(0, -1)].reverse()
+    .reduce((acc, digit, i) => acc + Number(digit) * (i % 2 === 0 ? 3 : 1), 0);
+  if ((10 - (sum % 10)) % 10 !== Number(digits[digits.length - 1])) return null;
+
+  return digits.length === 12 ? `0${digits}` : digits;
+}
+
+/**
+ * Products users added for barcodes that weren't in the database
+ * @returns {Array} Brand records with verification_source "user_report", ingredients and submitted_at
+ */
+export function getSubmittedProducts() {
+  try {
+    if (typeof Storage === "undefined") return [];
+    const saved = JSON.parse(localStorage.getItem(SUBMISSIONS_STORAGE_KEY) || "[]");
+    return Array.isArray(saved) ? saved : [];
+  } catch (error) {
+    console.error("Error loading submitted products:", error);
+    return [];
+  }
+}
+
+/**
+ * Store a submitted product locally, replacing any earlier record for the same barcode
+ * Also used to cache products other users submitted (see api/productsApi.js)
+ * @param {Object} product - Brand record with a barcode
+ * @returns {boolean} True if stored
+ */
+export function saveSubmittedProduct(product) {
+  const barcode = normalizeBarcode(product?.barcode);
+  if (!barcode) return false;
+
+  const products = getSubmittedProducts().filter(saved => normalizeBarcode(saved.barcode) !== barcode);
+  try {
+    localStorage.setItem(SUBMISSIONS_STORAGE_KEY, JSON.stringify([...products, { ...product, barcode }]));
+    return true;
+  } catch (error) {
+    console.error("Error saving submitted product:", error);
+    return false;
+  }
+}
+
+/**
+ * Create the record for a product whose barcode wasn't found, from the ingredients on its pack
+ * The status comes from analyzing the ingredient list (labelAnalyzer.js); the product is never
+ * marked certified, because nobody has checked it against a certificate
+ * @param {Object} submission - { barcode, brand_name, product_name, ingredients }
+ * @returns {Object} { success, product, error }
+ */
+export function submitProduct({ barcode, brand_name, product_name, ingredients } = {}) {
+  const code = normalizeBarcode(barcode);
+  if (!code) return { success: false, error: "Enter the full number printed under the barcode." };
+  if (!brand_name?.trim() || !product_name?.trim()) {
+    return { success: false, error: "Enter the brand and product name as they appear on the pack." };
+  }
+  if (!ingredients?.trim()) return { success: false, error: "Enter the ingredient list from the pack." };
+
+  const analysis = analyzeLabel(ingredients);
+  const product = {
+    brand_name: brand_name.trim(),
+    product_name: product_name.trim(),
+    barcode: code,
+    ingredient_name: normalizeBrandTerm(product_name),
+    ingredients: ingredients.trim(),
+    halal_certified: false,
+    certifying_body: null,
+    certification_number: null,
+    last_verified_date: null,
+    verification_source: "user_report",
+    notes: "Added by a user from the ingredient list on the pack. Status is based on those ingredients, not a certificate.",
+    status: LABEL_VERDICT_STATUS[analysis.verdict] || "uncertain",
+    submitted_at: new Date().toISOString()
+  };
+
+  if (!saveSubmittedProduct(product)) {
+    return { success: false, error: "We couldn't save this product. Please try again." };
+  }
+  return { success: true, product };
+}
+
+/**
+ * Lookup a product by barcode
+ * The brand database first, then products users submitted
+ * @param {string} code - UPC/EAN barcode
+ * @returns {Object|null} Brand ingredient data or null if not found
+ */
+export function lookupBarcode(code) {
+  const barcode = normalizeBarcode(code);
+  if (!barcode) return null;
+
+  const matchesBarcode = product => normalizeBarcode(product.barcode) === barcode;
+  return Object.values(BRAND_INGREDIENTS_DB).find(matchesBarcode)
+    || getSubmittedProducts().find(matchesBarcode)
+    || null;
+}
+
 /**
  * Format brand lookup result for API response
  * @param {Object} brandData - Brand ingredient data
@@ -241,6 +371,46 @@ export function performBrandLookup(searchTerm) {
   };
 }
 
+/**
+ * Perform premium barcode lookup
+ * @param {string} code - Scanned or typed UPC/EAN barcode
+ * @returns {Object} Lookup result as performBrandLookup(), plus barcode; barcode_not_found when
+ *   nobody has added the product yet (submitProduct() creates it)
+ */
+export function performBarcodeLookup(code) {
+  if (!isPremiumUser()) {
+    return {
+      isBrandLookup: false,
+      requiresPremium: true,
+      message: "Barcode lookup is part of brand-level verification, a premium feature. Upgrade to scan products.",
+      generic_fallback: null
+    };
+  }
+
+  const barcode = normalizeBarcode(code);
+  if (!barcode) {
+    return {
+      isBrandLookup: false,
+      invalid_barcode: true,
+      message: `"${code}" isn't a valid barcode. Check the digits under the bars.`
+    };
+  }
+
+  const brandData = lookupBarcode(barcode);
+  if (brandData) {
+    // Submitted products are judged by their ingredient list, not one generic ingredient
+    const genericResult = brandData.verification_source === "user_report" ? null : evaluateItem(brandData.ingredient_name);
+    return { ...formatBrandResult(brandData, genericResult), barcode };
+  }
+
+  return {
+    isBrandLookup: false,
+    barcode_not_found: true,
+    barcode,
+    message: `We don't have barcode ${barcode} yet. Add the product's ingredients so it's there for the next person.`
+  };
+}
+
 /**
  * Check if search term appears to be a brand search
  * @param {string} searchTerm - Search term
@@ -1,8 +1,14 @@
 /**
- * Confidence Scoring Engine for Ingredient Halal Status
+ * Confidence Scoring Engine
+ * The one place confidence scores are calculated, for ingredients and for whole recipes
  * 
  * Outputs confidence levels: high, medium, low
  * 
+ * Ingredient scores are built in two stages: scoreRuling() in evaluateItem() turns the ruling into a
+ * score, then applyConfidenceScoring() adjusts it for what is known about the ingredient.
+ * Recipe scores come from scoreRecipe() (JSON engine) or adjustBackendRecipeScore() (conversion API).
+ * All weights are in CONFIDENCE_WEIGHTS, and every scorer returns a per-factor breakdown.
+ * 
  * Rules:
  * - Natural plant foods default to high confidence halal
  * - Processed foods reduce confidence unless certified
@@ -10,94 +16,211 @@
  */
 
 /**
- * Confidence Level Thresholds
+ * Confidence Weights
+ * Every number the scorers below use. Each scorer takes an optional `weights` argument;
+ * pass a copy of this object with some values changed to try a different calibration.
+ *
+ * Scores run 0-100. A breakdown is a list of { factor, label, delta } in the order the factors
+ * applied: the first is the starting score and the deltas add up to the final score.
  */
-const CONFIDENCE_THRESHOLDS = {
-  high: 80,    // 80-100: High confidence
-  medium: 50,  // 50-79: Medium confidence
-  low: 0       // 0-49: Low confidence
-};
+export const CONFIDENCE_WEIGHTS = {
+  // Level thresholds: 80-100 high, 50-79 medium, 0-49 low
+  thresholds: {
+    high: 80,
+    medium: 50
+  },
 
-/**
- * Base Confidence Scores by Ingredient Type
- */
-const BASE_CONFIDENCE_BY_TYPE = {
-  natural_plant: {
-    halal: 95,      // High confidence for natural plant halal
-    conditional: 70, // Medium-high for conditional natural
-    haram: 0,       // Haram is always 0
-    unknown: 90     // Default to high confidence halal for unknown natural
+  // Ruling stage (scoreRuling): starting score for the status the knowledge model settled on
+  status: {
+    halal: 100,
+    conditional: 60,
+    questionable: 50,
+    unknown: 40,
+    haram: 0
   },
-  processed_plant: {
-    halal: 70,      // Medium-high (reduced from natural)
-    conditional: 60, // Medium for conditional processed
-    haram: 0,
-    unknown: 50     // Medium for unknown processed
+
+  // Ruling stage: multiplier for the user's strictness, applied to starting scores in [minBase, maxBase]
+  strictness: {
+    strict: { factor: 0.95, minBase: 0, maxBase: 60 },     // 5% off conditional and anything less certain
+    flexible: { factor: 1.1, minBase: 50, maxBase: 50 }    // 10% less penalty for questionable
   },
-  animal: {
-    halal: 60,      // Medium (requires certification)
-    conditional: 50, // Medium-low for conditional animal
-    haram: 0,
-    unknown: 50     // Medium (requires verification)
+
+  // Ruling stage: multiplier when the ruling is inherited from another ingredient
+  inheritance: 0.92,
+
+  // Classification stage (scoreClassification): starting score by ingredient type and status,
+  // used when the ruling stage didn't produce one
+  typeBase: {
+    natural_plant: { halal: 95, conditional: 70, haram: 0, unknown: 90 },
+    processed_plant: { halal: 70, conditional: 60, haram: 0, unknown: 50 },
+    animal: { halal: 60, conditional: 50, haram: 0, unknown: 50 },
+    animal_byproduct: { halal: 50, conditional: 40, haram: 0, unknown: 40 },
+    alcohol: { halal: 0, conditional: 0, haram: 0, unknown: 0 },
+    fermentation_derived: { halal: 75, conditional: 65, haram: 0, unknown: 60 },
+    synthetic: { halal: 65, conditional: 55, haram: 0, unknown: 50 }
   },
-  animal_byproduct: {
-    halal: 50,      // Medium (requires certification)
-    conditional: 40, // Medium-low for conditional byproduct
-    haram: 0,
-    unknown: 40     // Medium-low (requires verification)
+  defaultTypeBase: 50,
+
+  // Classification stage: points added or taken off for what is known about the ingredient
+  adjustments: {
+    processed: -15,                // Processed natural plant
+    uncertified: -20,              // Animal or animal by-product without halal certification
+    has_additives: -10,
+    cross_contamination_risk: -15,
+    conditional_modifier: -15,     // "may contain", "natural flavors", ...
+    processing_modifier: -10,      // "smoked", "cured", ...
+    unknown_source: -25,
+    non_halal_source: -100,
+    inherited_from_haram: -30,
+    halal_certified: 10,
+    verified_source: 5
   },
-  alcohol: {
-    halal: 0,       // Always haram
-    conditional: 0,
-    haram: 0,
-    unknown: 0
+
+  // Recipe (scoreRecipe): scored on the state after substitutions
+  recipe: {
+    base: 100,
+    unresolvedHaram: -20,          // Per haram ingredient left without a substitute
+    unresolvedQuestionable: -10,   // Per questionable or conditional ingredient left without a substitute
+    allHaramReplaced: 100          // Score when every haram ingredient was replaced (null to keep the penalties)
   },
-  fermentation_derived: {
-    halal: 75,      // Medium-high (fully fermented)
-    conditional: 65, // Medium for conditional fermented
-    haram: 0,
-    unknown: 60     // Medium for unknown fermented
+
+  // Recipe (adjustBackendRecipeScore): multipliers for a score from the conversion API, by what the
+  // engine flagged in its issues
+  backend: {
+    inheritanceFactor: 0.95,           // One flagged item, or any alongside preference enforcement
+    repeatedInheritanceFactor: 0.92,   // Several flagged items and no preference enforcement
+    preferenceFactor: 0.98,            // Only preference enforcement
+    lowestConfidenceFloor: 0.95        // The lowest flagged item's confidence, never below this
   },
-  synthetic: {
-    halal: 65,      // Medium (check source)
-    conditional: 55, // Medium for conditional synthetic
-    haram: 0,
-    unknown: 50     // Medium for unknown synthetic
+
+  // Display (adjustForStrictness): points added to a recipe score for the user's strictness
+  strictnessOffset: {
+    strict: -5,
+    flexible: 5
   }
 };
 
+const FACTOR_LABELS = {
+  status: 'Ruling',
+  base: 'Starting score',
+  base_score: 'Score before classification',
+  type_base: 'Ingredient type',
+  impact: 'Knowledge-base confidence impact',
+  strictness: 'Strictness',
+  inheritance: 'Inherited ruling',
+  modifiers: 'Ingredient modifiers',
+  cross_contamination: 'Cross-contamination',
+  processed: 'Processed',
+  uncertified: 'Not halal-certified',
+  has_additives: 'Additives',
+  conditional_modifier: 'Conditional modifier',
+  processing_modifier: 'Processing modifier',
+  unknown_source: 'Unknown source',
+  non_halal_source: 'Non-halal source',
+  inherited_from_haram: 'Derived from another ingredient',
+  halal_certified: 'Halal-certified',
+  verified_source: 'Verified source',
+  recipe_base: 'Starting score',
+  unresolved_haram: 'Haram ingredients without a substitute',
+  unresolved_questionable: 'Questionable ingredients without a substitute',
+  all_haram_replaced: 'Every haram ingredient replaced',
+  backend_score: 'Conversion API score',
+  engine_flags: 'Ingredients flagged by the engine',
+  preference_enforced: 'Madhab preference enforced',
+  lowest_confidence: 'Least certain flagged ingredient',
+  strictness_offset: 'Strictness',
+  bounds: 'Kept within 0-100'
+};
+
+const clampScore = score => Math.max(0, Math.min(100, score));
+
 /**
- * Confidence Reduction Factors
+ * Running score that records what each factor changed
+ * Deltas are taken between rounded values so they add up to the rounded final score.
  */
-const CONFIDENCE_REDUCTIONS = {
-  // Processing factors
-  processed: -15,           // Processed reduces confidence
-  uncertified: -20,          // No halal certification
-  has_additives: -10,        // Contains additives
-  cross_contamination_risk: -15, // Risk of cross-contamination
-  
-  // Modifier factors
-  conditional_modifier: -15, // Conditional modifier detected
-  processing_modifier: -10,  // Processing modifier detected
-  
-  // Source factors
-  unknown_source: -25,       // Unknown source
-  non_halal_source: -100,   // Non-halal source (makes haram)
-  
-  // Inheritance factors
-  inherited_from_haram: -30, // Inherited from haram ingredient
-  
-  // Certification factors
-  halal_certified: +10,      // Halal certification boosts confidence
-  verified_source: +5        // Verified source boosts confidence
-};
+function createScore(start, factor) {
+  let value = start;
+  const factors = [];
+  const push = (name, delta) => {
+    if (delta !== 0 || factors.length === 0) {
+      factors.push({ factor: name, label: FACTOR_LABELS[name] || name, delta });
+    }
+  };
+  push(factor, Math.round(start));
+  return {
+    get value() {
+      return value;
+    },
+    apply(name, next) {
+      push(name, Math.round(next) - Math.round(value));
+      value = next;
+    },
+    finish() {
+      const rounded = Math.round(value);
+      const score = clampScore(rounded);
+      push('bounds', score - rounded);
+      return { score, factors };
+    }
+  };
+}
+
+/**
+ * Add a factor to a breakdown (left out when it changed nothing)
+ * @param {Array} factors - [{ factor, label, delta }]
+ * @param {string} factor - Factor name
+ * @param {number} delta - Points it added or took off
+ * @returns {Array} New breakdown
+ */
+export function addBreakdownFactor(factors = [], factor, delta) {
+  return delta === 0 ? factors : [...factors, { factor, label: FACTOR_LABELS[factor] || factor, delta }];
+}
+
+/**
+ * Sum of a breakdown's deltas
+ * @param {Array} factors - [{ factor, label, delta }]
+ * @returns {number}
+ */
+export function sumBreakdown(factors = []) {
+  return factors.reduce((total, { delta }) => total + delta, 0);
+}
+
+/**
+ * Score a ruling from the knowledge model: status, knowledge-base impact, strictness and inheritance
+ * @param {Object} params
+ * @param {string} params.status - halal, conditional, questionable, unknown or haram
+ * @param {number} params.base - Starting score (0-100) instead of the status's, e.g. a taxonomy category's
+ * @param {number} params.impact - Knowledge-base confidenceImpact (points, usually negative)
+ * @param {string} params.strictness - strict, standard or flexible
+ * @param {boolean} params.hasInheritance - Whether the ruling comes from another ingredient
+ * @param {Object} weights - CONFIDENCE_WEIGHTS or a variant of it
+ * @returns {Object} { score, factors }
+ */
+export function scoreRuling({ status = 'unknown', base = null, impact = 0, strictness = 'standard', hasInheritance = false } = {}, weights = CONFIDENCE_WEIGHTS) {
+  const start = base ?? weights.status[status] ?? weights.status.unknown;
+  const score = createScore(start, base === null ? 'status' : 'base');
+
+  if (impact) {
+    score.apply('impact', clampScore(score.value + impact));
+  }
+
+  const strictnessWeight = weights.strictness[strictness];
+  if (strictnessWeight && start >= strictnessWeight.minBase && start <= strictnessWeight.maxBase) {
+    score.apply('strictness', Math.min(100, score.value * strictnessWeight.factor));
+  }
+
+  if (hasInheritance) {
+    score.apply('inheritance', score.value * weights.inheritance);
+  }
+
+  return score.finish();
+}
 
 /**
- * Calculate confidence score based on ingredient characteristics
+ * Score an ingredient by its characteristics: type, processing, certification, modifiers and source
  * @param {Object} params - Ingredient evaluation parameters
  * @param {string} params.ingredientType - Type: natural_plant, processed_plant, animal, etc.
  * @param {string} params.status - Status: halal, haram, conditional, unknown
- * @param {number} params.baseScore - Base confidence score (0-100)
+ * @param {number} params.baseScore - Base confidence score (0-100), e.g. from scoreRuling()
  * @param {boolean} params.isProcessed - Whether ingredient is processed
  * @param {boolean} params.isCertified - Whether ingredient is halal-certified
  * @param {boolean} params.hasAdditives - Whether ingredient has additives
@@ -105,9 +228,10 @@ const CONFIDENCE_REDUCTIONS = {
  * @param {boolean} params.hasConditionalModifier - Whether conditional modifier detected
  * @param {boolean} params.hasProcessingModifier - Whether processing modifier detected
  * @param {string} params.source - Source information
- * @returns {number} Confidence score (0-100)
+ * @param {Object} weights - CONFIDENCE_WEIGHTS or a variant of it
+ * @returns {Object} { score, factors }
  */
-export function calculateConfidenceScore(params) {
+export function scoreClassification(params, weights = CONFIDENCE_WEIGHTS) {
   const {
     ingredientType = 'processed_plant',
     status = 'unknown',
@@ -120,67 +244,112 @@ export function calculateConfidenceScore(params) {
     hasProcessingModifier = false,
     source = null
   } = params;
-  
-  // Start with base score from type and status
-  let score = baseScore !== null 
-    ? baseScore 
-    : (BASE_CONFIDENCE_BY_TYPE[ingredientType]?.[status] || 50);
-  
-  // Apply reductions
-  if (isProcessed && ingredientType === 'natural_plant') {
-    score += CONFIDENCE_REDUCTIONS.processed;
-  }
-  
-  if (!isCertified && (ingredientType === 'animal' || ingredientType === 'animal_byproduct')) {
-    score += CONFIDENCE_REDUCTIONS.uncertified;
-  }
-  
-  if (hasAdditives) {
-    score += CONFIDENCE_REDUCTIONS.has_additives;
-  }
-  
-  if (hasInheritance) {
-    score += CONFIDENCE_REDUCTIONS.inherited_from_haram;
-  }
-  
-  if (hasConditionalModifier) {
-    score += CONFIDENCE_REDUCTIONS.conditional_modifier;
-  }
-  
-  if (hasProcessingModifier) {
-    score += CONFIDENCE_REDUCTIONS.processing_modifier;
-  }
-  
-  if (source === 'unknown') {
-    score += CONFIDENCE_REDUCTIONS.unknown_source;
-  }
-  
-  if (source === 'non_halal') {
-    score += CONFIDENCE_REDUCTIONS.non_halal_source;
-  }
-  
-  // Apply boosts
-  if (isCertified) {
-    score += CONFIDENCE_REDUCTIONS.halal_certified;
+  const { adjustments } = weights;
+
+  const score = baseScore !== null
+    ? createScore(baseScore, 'base_score')
+    : createScore(weights.typeBase[ingredientType]?.[status] ?? weights.defaultTypeBase, 'type_base');
+  const adjust = (factor, applies) => {
+    if (applies) score.apply(factor, score.value + adjustments[factor]);
+  };
+
+  adjust('processed', isProcessed && ingredientType === 'natural_plant');
+  adjust('uncertified', !isCertified && (ingredientType === 'animal' || ingredientType === 'animal_byproduct'));
+  adjust('has_additives', hasAdditives);
+  adjust('inherited_from_haram', hasInheritance);
+  adjust('conditional_modifier', hasConditionalModifier);
+  adjust('processing_modifier', hasProcessingModifier);
+  adjust('unknown_source', source === 'unknown');
+  adjust('non_halal_source', source === 'non_halal');
+  adjust('halal_certified', isCertified);
+  adjust('verified_source', source === 'verified');
+
+  return score.finish();
+}
+
+/**
+ * Score a converted recipe on its state after substitutions
+ * @param {Object} conversion - From convertIngredients()
+ * @param {Array} conversion.originalIngredients - Detected ingredients
+ * @param {Array} conversion.replacements - Ingredients that were replaced
+ * @param {Array} conversion.unresolved - Ingredients left without a substitute
+ * @param {Object} weights - CONFIDENCE_WEIGHTS or a variant of it
+ * @returns {Object} { score, factors }
+ */
+export function scoreRecipe({ originalIngredients = [], replacements = [], unresolved = [] } = {}, weights = CONFIDENCE_WEIGHTS) {
+  const { recipe } = weights;
+  const score = createScore(recipe.base, 'recipe_base');
+
+  const unresolvedHaram = unresolved.filter(item => item.status === 'haram').length;
+  const unresolvedQuestionable = unresolved.filter(item =>
+    item.status === 'questionable' || item.status === 'conditional'
+  ).length;
+  score.apply('unresolved_haram', score.value + unresolvedHaram * recipe.unresolvedHaram);
+  score.apply('unresolved_questionable', score.value + unresolvedQuestionable * recipe.unresolvedQuestionable);
+
+  const totalHaram = originalIngredients.filter(item =>
+    item.status === 'haram' || item.engineResult?.status === 'haram'
+  ).length;
+  const replacedHaram = replacements.filter(item => item.status === 'haram').length;
+  if (recipe.allHaramReplaced !== null && totalHaram > 0 && replacedHaram === totalHaram && unresolvedHaram === 0) {
+    score.apply('all_haram_replaced', recipe.allHaramReplaced);
   }
-  
-  if (source === 'verified') {
-    score += CONFIDENCE_REDUCTIONS.verified_source;
+
+  return score.finish();
+}
+
+/**
+ * Adjust a recipe score from the conversion API by what the engine flagged in its issues
+ * @param {number} baseScore - Score from the API (0-100)
+ * @param {Object} flags
+ * @param {number} flags.inheritanceFlags - Issues the engine found haram, or conditional through an inheritance chain
+ * @param {number} flags.preferenceEnforcedFlags - Issues whose ruling came from the user's madhab
+ * @param {number} flags.lowestConfidence - Lowest engine confidence (0-1) among the flagged issues
+ * @param {Object} weights - CONFIDENCE_WEIGHTS or a variant of it
+ * @returns {Object} { score, factors }
+ */
+export function adjustBackendRecipeScore(baseScore, { inheritanceFlags = 0, preferenceEnforcedFlags = 0, lowestConfidence = 1 } = {}, weights = CONFIDENCE_WEIGHTS) {
+  const { backend } = weights;
+  const score = createScore(baseScore, 'backend_score');
+
+  if (inheritanceFlags > 0) {
+    const factor = inheritanceFlags > 1 && preferenceEnforcedFlags === 0 ? backend.repeatedInheritanceFactor : backend.inheritanceFactor;
+    score.apply('engine_flags', Math.round(score.value * factor));
+    if (lowestConfidence < 1) {
+      score.apply('lowest_confidence', Math.round(score.value * Math.max(backend.lowestConfidenceFloor, lowestConfidence)));
+    }
+  } else if (preferenceEnforcedFlags > 0) {
+    score.apply('preference_enforced', Math.round(score.value * backend.preferenceFactor));
   }
-  
-  // Ensure score is within bounds
-  return Math.max(0, Math.min(100, Math.round(score)));
+
+  return score.finish();
+}
+
+/**
+ * Shift a recipe score for display by the user's strictness (strict shows it lower, flexible higher)
+ * @param {number} score - Recipe score (0-100)
+ * @param {string} strictness - strict, standard or flexible
+ * @param {Object} weights - CONFIDENCE_WEIGHTS or a variant of it
+ * @returns {Object} { score, factors } - factors holds only the offset, if any
+ */
+export function adjustForStrictness(score, strictness, weights = CONFIDENCE_WEIGHTS) {
+  const adjusted = clampScore(score + (weights.strictnessOffset[strictness] || 0));
+  return {
+    score: adjusted,
+    factors: adjusted === score ? [] : [{ factor: 'strictness_offset', label: FACTOR_LABELS.strictness_offset, delta: adjusted - score }]
+  };
 }
 
 /**
  * Map confidence score to confidence level (high, medium, low)
  * @param {number} score - Confidence score (0-100)
+ * @param {Object} weights - CONFIDENCE_WEIGHTS or a variant of it
  * @returns {string} Confidence level: 'high', 'medium', 'low'
  */
-export function mapScoreToLevel(score) {
-  if (score >= CONFIDENCE_THRESHOLDS.high) {
+export function mapScoreToLevel(score, weights = CONFIDENCE_WEIGHTS) {
+  if (score >= weights.thresholds.high) {
     return 'high';
-  } else if (score >= CONFIDENCE_THRESHOLDS.medium) {
+  } else if (score >= weights.thresholds.medium) {
     return 'medium';
   } else {
     return 'low';
@@ -236,15 +405,17 @@ export function shouldMarkAsUnknown(params) {
 /**
  * Get confidence level with detailed information
  * @param {Object} params - Ingredient evaluation parameters
+ * @param {Object} weights - CONFIDENCE_WEIGHTS or a variant of it
  * @returns {Object} Confidence level information
  */
-export function getConfidenceLevel(params) {
-  const score = calculateConfidenceScore(params);
-  const level = mapScoreToLevel(score);
+export function getConfidenceLevel(params, weights = CONFIDENCE_WEIGHTS) {
+  const { score, factors } = scoreClassification(params, weights);
+  const level = mapScoreToLevel(score, weights);
   const isUnknown = shouldMarkAsUnknown(params);
   
   return {
     score: score,
+    factors: factors,
     level: level,
     isUnknown: isUnknown,
     label: getConfidenceLabel(level),
@@ -300,9 +471,10 @@ function getConfidenceColor(level) {
  * Apply confidence scoring to evaluation result
  * @param {Object} evaluationResult - Result from evaluateItem()
  * @param {Object} additionalParams - Additional parameters for scoring
- * @returns {Object} Enhanced result with confidence level
+ * @param {Object} weights - CONFIDENCE_WEIGHTS or a variant of it
+ * @returns {Object} Enhanced result with confidence level and confidenceBreakdown
  */
-export function applyConfidenceScoring(evaluationResult, additionalParams = {}) {
+export function applyConfidenceScoring(evaluationResult, additionalParams = {}, weights = CONFIDENCE_WEIGHTS) {
   const {
     status,
     ingredientType,
@@ -351,7 +523,16 @@ export function applyConfidenceScoring(evaluationResult, additionalParams = {})
     hasKnowledgeBaseData: !isTaxonomyBased && !isBaseIngredientOverride,
     hasBaseOverride: isBaseIngredientOverride,
     isNaturalPlant: isNatural
-  });
+  }, weights);
+  
+  // The ruling stage's breakdown leads; a change made between the stages (modifiers) is one factor
+  const rulingFactors = evaluationResult.confidenceBreakdown || [];
+  const confidenceBreakdown = rulingFactors.length > 0 && typeof existingScore === 'number'
+    ? [
+        ...addBreakdownFactor(rulingFactors, 'modifiers', existingScore - sumBreakdown(rulingFactors)),
+        ...confidenceInfo.factors.slice(1)
+      ]
+    : confidenceInfo.factors;
   
   return {
     ...evaluationResult,
@@ -360,6 +541,7 @@ export function applyConfidenceScoring(evaluationResult, additionalParams = {})
     confidenceLabel: confidenceInfo.label,
     confidenceDescription: confidenceInfo.description,
     confidenceColor: confidenceInfo.color,
+    confidenceBreakdown: confidenceBreakdown,
     isUnknown: confidenceInfo.isUnknown && status === 'unknown'
   };
 }
@@ -0,0 +1,228 @@
+/**
+ * Conversion History
+ * Stores each recipe conversion (input, output, issues, preferences used, knowledge-base version)
+ * for HISTORY_RETENTION_DAYS, and re-runs stored conversions against today's data and settings
+ *
+ * Premium feature (conversionHistory) - gate viewing with featureGating.canViewConversionHistory()
+ */
+
+import { convertRecipeWithJson } from "./convertRecipeJson";
+import { getKnowledgeBaseVersion } from "./knowledgeVersion";
+import { getRecipeTitle } from "./batchConversion";
+
+const STORAGE_KEY = "halalConversionHistory";
+
+export const HISTORY_RETENTION_DAYS = 30;
+
+// Keeps localStorage usage bounded for heavy users
+export const MAX_HISTORY_ENTRIES = 100;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Overall status of a conversion, used for filtering
+ * @param {Array} issues - Stored issues ({ ingredient_id, replacement_id, status })
+ * @returns {string} "haram" (haram ingredients found), "review" (questionable/conditional only) or "clean"
+ */
+export function getHistoryStatus(issues) {
+  const statuses = (issues || []).map(issue => issue.status);
+  if (statuses.includes("haram")) return "haram";
+  if (statuses.some(status => status && status !== "halal")) return "review";
+  return "clean";
+}
+
+// Issues as stored: only what is needed to show and compare results later
+function toHistoryIssues(issues) {
+  return (Array.isArray(issues) ? issues : []).map(issue => ({
+    ingredient_id: issue.ingredient_id || issue.ingredient || null,
+    replacement_id: issue.replacement_id || issue.replacement || null,
+    status: issue.status || issue.hkmResult?.status || "haram"
+  }));
+}
+
+function isWithinRetention(entry, now = Date.now()) {
+  const time = Date.parse(entry?.timestamp);
+  return !isNaN(time) && now - time <= HISTORY_RETENTION_DAYS * DAY_MS;
+}
+
+function saveHistory(entries) {
+  try {
+    localStorage.setItem(STORAGE_KEY, JSON.stringify(entries));
+  } catch (error) {
+    console.error("Error saving conversion history:", error);
+  }
+  return entries;
+}
+
+/**
+ * Get stored conversions, newest first (entries older than HISTORY_RETENTION_DAYS are dropped)
+ * @returns {Array} [{ id, timestamp, title, input, output, issues, confidenceScore, status, preferences, knowledgeVersion }]
+ */
+export function getConversionHistory() {
+  try {
+    if (typeof Storage === "undefined") return [];
+    const saved = JSON.parse(localStorage.getItem(STORAGE_KEY) || "[]");
+    return Array.isArray(saved) ? saved.filter(entry => isWithinRetention(entry)) : [];
+  } catch (error) {
+    console.error("Error loading conversion history:", error);
+    return [];
+  }
+}
+
+/**
+ * Store a conversion
+ * @param {Object} conversion - { input, output, issues, confidenceScore, preferences }
+ *   preferences: { strictnessLevel, schoolOfThought, preferredSubstitutes, personalRules, dietaryProfiles }
+ * @returns {Object|null} Stored entry, null when there was nothing to store
+ */
+export function addConversionToHistory({ input, output, issues, confidenceScore, preferences = {} }) {
+  if (!input || typeof input !== "string" || !input.trim()) return null;
+
+  const storedIssues = toHistoryIssues(issues);
+  const entry = {
+    id: `conv_${Date.now()}_${Math.random().toString(36).slice(2, 8)}`,
+    timestamp: new Date().toISOString(),
+    title: getRecipeTitle(input),
+    input,
+    output: output || "",
+    issues: storedIssues,
+    confidenceScore: typeof confidenceScore === "number" ? confidenceScore : null,
+    status: getHistoryStatus(storedIssues),
+    preferences: {
+      strictnessLevel: preferences.strictnessLevel || "standard",
+      schoolOfThought: preferences.schoolOfThought || "no-preference",
+      preferredSubstitutes: preferences.preferredSubstitutes || {},
+      personalRules: preferences.personalRules || [],
+      dietaryProfiles: preferences.dietaryProfiles || []
+    },
+    knowledgeVersion: getKnowledgeBaseVersion()
+  };
+
+  saveHistory([entry, ...getConversionHistory()].slice(0, MAX_HISTORY_ENTRIES));
+  return entry;
+}
+
+/**
+ * Remove one stored conversion
+ * @param {string} id - Entry id
+ * @returns {Array} Remaining entries
+ */
+export function removeConversionFromHistory(id) {
+  return saveHistory(getConversionHistory().filter(entry => entry.id !== id));
+}
+
+/**
+ * Remove all stored conversions
+ */
+export function clearConversionHistory() {
+  try {
+    localStorage.removeItem(STORAGE_KEY);
+  } catch (error) {
+    console.error("Error clearing conversion history:", error);
+  }
+}
+
+/**
+ * Search and filter stored conversions
+ * @param {Array} entries - Result of getConversionHistory()
+ * @param {Object} filters - { query, status ("all" | "haram" | "review" | "clean"), from, to (YYYY-MM-DD, inclusive) }
+ * @returns {Array}
+ */
+export function filterConversionHistory(entries, { query = "", status = "all", from = "", to = "" } = {}) {
+  const needle = query.trim().toLowerCase();
+  const fromTime = from ? Date.parse(`${from}T00:00:00`) : null;
+  const toTime = to ? Date.parse(`${to}T23:59:59.999`) : null;
+
+  return (entries || []).filter(entry => {
+    if (status !== "all" && entry.status !== status) return false;
+
+    const time = Date.parse(entry.timestamp);
+    if (fromTime !== null && time < fromTime) return false;
+    if (toTime !== null && time > toTime) return false;
+
+    if (needle) {
+      const haystack = [entry.title, entry.input, ...entry.issues.map(issue => issue.ingredient_id)]
+        .join(" ")
+        .replace(/_/g, " ")
+        .toLowerCase();
+      if (!haystack.includes(needle)) return false;
+    }
+    return true;
+  });
+}
+
+/**
+ * What differs between a stored conversion and a new one of the same recipe
+ * @param {Object} entry - Stored history entry
+ * @param {Object} result - New conversion ({ convertedText, issues, confidenceScore })
+ * @param {Object} preferences - Preferences the new conversion used
+ * @returns {Object} { hasChanges, knowledgeVersion, preferences, confidence, added, removed, statusChanged, replacementChanged, textChanged }
+ */
+export function compareConversionResults(entry, result, preferences = {}) {
+  const before = new Map(entry.issues.map(issue => [issue.ingredient_id, issue]));
+  const after = new Map(toHistoryIssues(result.issues).map(issue => [issue.ingredient_id, issue]));
+
+  const added = [...after.values()].filter(issue => !before.has(issue.ingredient_id));
+  const removed = [...before.values()].filter(issue => !after.has(issue.ingredient_id));
+  const statusChanged = [];
+  const replacementChanged = [];
+  after.forEach((issue, id) => {
+    const old = before.get(id);
+    if (!old) return;
+    if (old.status !== issue.status) {
+      statusChanged.push({ ingredient_id: id, before: old.status, after: issue.status });
+    }
+    if (old.replacement_id !== issue.replacement_id) {
+      replacementChanged.push({ ingredient_id: id, before: old.replacement_id, after: issue.replacement_id });
+    }
+  });
+
+  const changedPreferences = [];
+  if ((preferences.strictnessLevel || "standard") !== entry.preferences.strictnessLevel) {
+    changedPreferences.push("strictnessLevel");
+  }
+  if ((preferences.schoolOfThought || "no-preference") !== entry.preferences.schoolOfThought) {
+    changedPreferences.push("schoolOfThought");
+  }
+  if (JSON.stringify(preferences.preferredSubstitutes || {}) !== JSON.stringify(entry.preferences.preferredSubstitutes)) {
+    changedPreferences.push("preferredSubstitutes");
+  }
+  // Entries stored before personal rules and dietary profiles were kept have neither
+  if (JSON.stringify(preferences.personalRules || []) !== JSON.stringify(entry.preferences.personalRules || [])) {
+    changedPreferences.push("personalRules");
+  }
+  if (JSON.stringify(preferences.dietaryProfiles || []) !== JSON.stringify(entry.preferences.dietaryProfiles || [])) {
+    changedPreferences.push("dietaryProfiles");
+  }
+
+  const knowledgeVersion = { before: entry.knowledgeVersion, after: getKnowledgeBaseVersion() };
+  const confidence = {
+    before: entry.confidenceScore,
+    after: typeof result.confidenceScore === "number" ? result.confidenceScore : null
+  };
+  const textChanged = (result.convertedText || "") !== entry.output;
+
+  return {
+    hasChanges: added.length > 0 || removed.length > 0 || statusChanged.length > 0 ||
+      replacementChanged.length > 0 || confidence.before !== confidence.after || textChanged,
+    knowledgeVersion: { ...knowledgeVersion, changed: knowledgeVersion.before !== knowledgeVersion.after },
+    preferences: changedPreferences,
+    confidence,
+    added,
+    removed,
+    statusChanged,
+    replacementChanged,
+    textChanged
+  };
+}
+
+/**
+ * Convert a stored recipe again with today's knowledge base and settings
+ * @param {Object} entry - Stored history entry
+ * @param {Object} preferences - Current halal preferences (incl. preferredSubstitutes, personalRules, dietaryProfiles)
+ * @returns {Promise<Object>} { result, changes } - changes from compareConversionResults()
+ */
+export async function rerunConversion(entry, preferences = {}) {
+  const result = await convertRecipeWithJson(entry.input, preferences);
+  return { result, changes: compareConversionResults(entry, result, preferences) };
+}
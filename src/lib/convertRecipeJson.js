@@ -9,145 +9,345 @@
  */
 
 import { evaluateItem } from "./halalEngine";
+import { scoreRecipe } from "./confidenceScoringEngine";
 import { FEATURES } from "./featureFlags";
-import halalKnowledge from "../data/halal_knowledge.json";
 import { formatIngredientName } from "./ingredientDisplay";
 import { getAffiliateLinksForSubstitutes, buildAffiliateUrl } from "./affiliateService";
 import { applySubstitutionLimit, shouldShowAdvancedSubstitutionFeatures } from "./featureGating";
+import { parseRecipeText, toStructuredLine } from "./ingredientLineParser";
+import { parseReplacementRatio, applyReplacementRatio, getQuantityEdit, formatOriginalAmountNote } from "./replacementRatio";
+import { applyEdits } from "./recipeEdits";
+import { buildTermTrie, findTermMatches } from "./termMatcher";
+import { chooseSubstituteForContext } from "./cookingContext";
+import { getAliasIndex, getKnowledgeEntry, lookupIngredient, normalizeIngredientId } from "./knowledgeRepository";
+import { detectCrossContamination } from "./crossContamination";
+import { getNeverSuggested, describePersonalRule } from "./personalRules";
+import { RULE_PACK_CATEGORIES } from "./madhabRulePacks";
+import { getAdditiveInfo } from "./additiveDatabase";
+import { getDietaryViolations, findTaggedIngredients } from "./dietaryProfiles";
 
 /**
- * Normalize ingredient name for lookup
+ * Pick the lines that detection should scan
+ * Ingredient lines when the recipe has any, so instruction prose can't cause false hits.
+ * Recipes written entirely as prose fall back to their instruction lines.
  */
-function normalizeIngredientName(name) {
-  if (!name || typeof name !== "string") return "";
-  return name.toLowerCase().trim().replace(/\s+/g, "_").replace(/[^a-z0-9_]/g, "");
+function getDetectionLines(parsedRecipe) {
+  if (parsedRecipe.ingredients.length > 0) {
+    return parsedRecipe.ingredients;
+  }
+  return parsedRecipe.instructions;
+}
+
+/**
+ * Trie over every knowledge-base key and alias, built once per module load
+ * Uses the repository's alias index, so a term resolves to the same entry here as in the engine and Quick Lookup.
+ */
+const knowledgeTerms = getAliasIndex().map(([term, id]) => [term, { mainKey: id, entry: getKnowledgeEntry(id) }]);
+const knowledgeTrie = buildTermTrie(knowledgeTerms);
+
+/**
+ * Trie for detection: the knowledge base plus what the user's personal rules set a status for
+ * ("shrimp" under a rule for all shellfish), so those are found even when the knowledge base doesn't list them.
+ * Knowledge-base terms are registered first and keep their entries.
+ * @param {Array} personalRules - From getPersonalRules()
+ * @returns {Object} Trie root
+ */
+function getDetectionTrie(personalRules = []) {
+  const personalTerms = personalRules.flatMap(rule => {
+    switch (rule.type) {
+      case "ingredient":
+        return [rule.target];
+      case "additive":
+        return [rule.target, getAdditiveInfo(rule.target)?.name].filter(Boolean);
+      case "category":
+        return RULE_PACK_CATEGORIES[rule.target]?.terms || [];
+      default:
+        return [];
+    }
+  });
+  if (personalTerms.length === 0) return knowledgeTrie;
+  return buildTermTrie([
+    ...knowledgeTerms,
+    ...personalTerms.map(term => [term, { mainKey: normalizeIngredientId(term), entry: null }])
+  ]);
+}
+
+/**
+ * Find knowledge-base terms on a line, with offsets into the full recipe text
+ * @param {Object} line - Line from parseRecipeText()
+ * @param {Object} trie - Defaults to the knowledge-base trie (see getDetectionTrie())
+ * @returns {Array} [{ mainKey, entry, term, text, lineIndex, start, end }]
+ */
+function findLineMatches(line, trie = knowledgeTrie) {
+  return findTermMatches(line.text, trie).map(match => ({
+    mainKey: match.value.mainKey,
+    entry: match.value.entry,
+    term: match.term,
+    text: match.text,
+    lineIndex: line.index,
+    start: line.start + match.start,
+    end: line.start + match.end
+  }));
+}
+
+/**
+ * Explain why a substitute was used, for the issue's trace
+ * @param {string} substituteChoice - "default", "preferred", "context" or "chosen"
+ * @param {string} replacementId - Substitute used
+ * @param {Object|null} contextPick - Result of chooseSubstituteForContext()
+ * @returns {string|null}
+ */
+function describeSubstituteChoice(substituteChoice, replacementId, contextPick = null) {
+  if (!replacementId) return null;
+  const name = formatIngredientName(replacementId);
+  
+  switch (substituteChoice) {
+    case "preferred":
+      return `Substitute ${name}: your preferred substitute (halal preferences)`;
+    case "chosen":
+      return `Substitute ${name}: picked by you`;
+    case "context": {
+      const where = contextPick.step !== null ? `in step ${contextPick.step}` : "in the recipe";
+      return `Substitute ${name}: suits ${contextPick.context} ("${contextPick.keyword}" ${where})`;
+    }
+    default:
+      return `Substitute ${name}: first listed alternative (no matching cooking context)`;
+  }
 }
 
 /**
  * Detect haram/conditional ingredients in recipe text using JSON knowledge base
- * Improved detection with word boundaries and alias matching
+ * Scans each ingredient line once against a trie of all keys and aliases (see termMatcher.js).
+ * Overlapping terms resolve longest-match-wins, so "wine vinegar" is never also reported as "wine".
  * 
  * SEPARATION OF CONCERNS: This function only detects ingredients, does NOT replace them
+ * 
+ * @param {string} recipeText - Original recipe text
+ * @param {Object} userPreferences - Halal preferences
+ * @param {Object} parsedRecipe - Result of parseRecipeText(recipeText)
  */
-function detectIngredientsInText(recipeText, userPreferences = {}) {
+function detectIngredientsInText(recipeText, userPreferences = {}, parsedRecipe = parseRecipeText(recipeText)) {
   if (!recipeText || typeof recipeText !== "string") return [];
   
-  if (!halalKnowledge || typeof halalKnowledge !== "object" || Object.keys(halalKnowledge).length === 0) {
-    console.warn("halalKnowledge not loaded or empty");
-    return [];
-  }
+  const detectionLines = getDetectionLines(parsedRecipe);
+  const lineByIndex = new Map(detectionLines.map(line => [line.index, line]));
+  const personalRules = userPreferences.personalRules || [];
+  const neverSuggested = getNeverSuggested(personalRules);
+  const dietaryProfiles = userPreferences.dietaryProfiles || [];
+  const isSuggestible = id => !neverSuggested.has(normalizeIngredientId(id)) && getDietaryViolations(id, dietaryProfiles).length === 0;
+  const detectionTrie = getDetectionTrie(personalRules);
   
-  const textLower = recipeText.toLowerCase();
-  const detected = [];
-  const processed = new Set(); // Track processed ingredients to avoid duplicates
+  // How each ingredient is used: instruction steps that mention it, plus the dish as a whole
+  const stepsByKey = new Map();
+  parsedRecipe.instructions.forEach(line => {
+    new Set(findLineMatches(line, detectionTrie).map(match => match.mainKey)).forEach(mainKey => {
+      if (!stepsByKey.has(mainKey)) {
+        stepsByKey.set(mainKey, []);
+      }
+      stepsByKey.get(mainKey).push({ step: line.step ?? null, text: line.text });
+    });
+  });
+  const dishText = parsedRecipe.lines
+    .filter(line => line.kind === "title" || line.kind === "instruction")
+    .map(line => line.text)
+    .join("\n");
   
-  // Build lookup map: ingredient name -> entry
-  const ingredientLookup = new Map();
-  Object.entries(halalKnowledge).forEach(([key, value]) => {
-    // Map main ingredient
-    ingredientLookup.set(key, { mainKey: key, entry: value });
-    
-    // Map aliases to main ingredient
-    if (value.aliases && Array.isArray(value.aliases)) {
-      value.aliases.forEach(alias => {
-        if (!ingredientLookup.has(alias)) {
-          ingredientLookup.set(alias, { mainKey: key, entry: value });
-        }
-      });
-    }
+  // Group matches by knowledge-base entry, in order of first appearance
+  const matchesByKey = new Map();
+  detectionLines.forEach(line => {
+    findLineMatches(line, detectionTrie).forEach(match => {
+      if (!matchesByKey.has(match.mainKey)) {
+        matchesByKey.set(match.mainKey, []);
+      }
+      matchesByKey.get(match.mainKey).push(match);
+    });
   });
   
-  // Check each known ingredient and alias against recipe text
-  ingredientLookup.forEach((value, lookupKey) => {
-    const { mainKey, entry } = value;
+  const detected = [];
+  matchesByKey.forEach((matches, mainKey) => {
+    const { entry } = matches[0];
+    const normalizedKey = normalizeIngredientId(mainKey);
+    const matchedLines = [...new Set(matches.map(match => match.lineIndex))].map(index => lineByIndex.get(index));
+    
+    // Cross-contamination statements on its lines or in its steps ("fry the potatoes in the same oil as the bacon")
+    const crossContamination = [
+      ...matchedLines.map(line => line.text),
+      ...(stepsByKey.get(mainKey) || []).map(step => step.text)
+    ].flatMap(text => detectCrossContamination(text, userPreferences));
     
-    // Create search patterns: exact match, with underscores, with spaces
-    const searchTerms = [
-      lookupKey,
-      lookupKey.replace(/_/g, " "),
-      lookupKey.replace(/ /g, "_")
-    ];
+    // Evaluate ingredient using knowledge engine with preferences
+    const engineResult = evaluateItem(normalizedKey, {
+      madhab: userPreferences.schoolOfThought || "no-preference",
+      strictness: userPreferences.strictnessLevel || "standard",
+      crossContamination,
+      personalRules
+    });
     
-    for (const term of searchTerms) {
-      // Use word boundary regex for accurate detection (case-insensitive)
-      const escapedTerm = term.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
-      // Create new regex for each test to avoid state issues
-      const pattern = new RegExp(`\\b${escapedTerm}\\b`, "gi");
+    // Only add if ingredient is haram or conditional, or cross-contamination made it anything but halal
+    if (engineResult.status === "haram" || engineResult.status === "conditional" ||
+        (engineResult.crossContamination && engineResult.status !== "halal")) {
+      // Get replacement ingredient ID, in order of precedence:
+      // the user's remembered pick (if still an alternative), the best fit for how the recipe uses it, the first one
+      // (the engine returns an empty list when it has none of its own); never a substitute the user ruled out
+      // or one that breaks their dietary profiles
+      const listedAlternatives = engineResult.alternatives?.length > 0 ? engineResult.alternatives : (entry?.alternatives || []);
+      const alternatives = listedAlternatives.filter(isSuggestible);
+      const engineRules = engineResult.personalRules || [];
+      const appliedRules = [
+        ...engineRules,
+        ...personalRules.filter(rule => rule.type === "never_suggest" && !engineRules.some(applied => applied.id === rule.id) &&
+          [...listedAlternatives, ...(entry?.alternatives || [])].some(id => normalizeIngredientId(id) === rule.target))
+      ];
+      const dietarySkipped = [...new Set([...listedAlternatives, ...(entry?.alternatives || [])])]
+        .filter(id => !neverSuggested.has(normalizeIngredientId(id)))
+        .map(id => ({ id, violations: getDietaryViolations(id, dietaryProfiles) }))
+        .filter(skipped => skipped.violations.length > 0);
+      const preferredId = userPreferences.preferredSubstitutes?.[normalizedKey];
+      const hasPreferred = Boolean(preferredId) && alternatives.includes(preferredId);
+      const contextPick = hasPreferred ? null : chooseSubstituteForContext(alternatives, entry?.alternative_contexts, {
+        steps: stepsByKey.get(mainKey) || [],
+        recipeText: dishText
+      });
+      const substituteChoice = hasPreferred ? "preferred" : (contextPick ? "context" : "default");
+      const replacementId = hasPreferred
+        ? preferredId
+        : (contextPick?.substituteId || entry?.alternatives?.find(isSuggestible) || alternatives[0] || null);
       
-      if (pattern.test(recipeText)) {
-        const normalizedKey = normalizeIngredientName(mainKey);
-        
-        // Only process each main ingredient once
-        if (!processed.has(normalizedKey)) {
-          processed.add(normalizedKey);
-          
-          // Evaluate ingredient using knowledge engine with preferences
-          const engineResult = evaluateItem(normalizedKey, {
-            madhab: userPreferences.schoolOfThought || "no-preference",
-            strictness: userPreferences.strictnessLevel || "standard"
-          });
-          
-          // Only add if ingredient is haram or conditional
-          if (engineResult.status === "haram" || engineResult.status === "conditional") {
-            // Get replacement ingredient ID (first alternative)
-            const replacementId = entry?.alternatives?.[0] || engineResult.alternatives?.[0] || null;
-            
-            detected.push({
-              ingredient_id: normalizedKey, // Internal ID (snake_case)
-              ingredient: normalizedKey, // Keep for backward compatibility
-              normalizedName: normalizedKey,
-              matchedTerm: term, // Store the actual term that matched in the recipe text
-              status: engineResult.status,
-              replacement_id: replacementId, // Replacement ingredient ID
-              replacement: replacementId, // Keep for backward compatibility (will be formatted in UI)
-              alternatives: engineResult.alternatives || entry?.alternatives || [],
-              // Extract replacement ratio and culinary notes
-              replacementRatio: engineResult.replacementRatio || entry?.conversion_ratio || null,
-              culinaryNotes: engineResult.culinaryNotes || null,
-              // Notes field removed - explanation and culinaryNotes are separate
-              severity: entry?.confidence_score_base === 0.1 ? "high" : 
-                       entry?.confidence_score_base === 0.5 ? "medium" : "low",
-              quranReference: engineResult.references?.find(r => r.toLowerCase().includes("qur'an") || r.toLowerCase().includes("quran")) || "",
-              hadithReference: engineResult.references?.find(r => r.toLowerCase().includes("hadith") || r.toLowerCase().includes("bukhari") || r.toLowerCase().includes("muslim")) || "",
-              engineResult: engineResult,
-              hkmEntry: entry
-            });
-          }
-        }
-        break; // Found match, move to next ingredient
-      }
+      detected.push({
+        ingredient_id: normalizedKey, // Internal ID (snake_case)
+        ingredient: normalizedKey, // Keep for backward compatibility
+        normalizedName: normalizedKey,
+        matchedTerm: matches[0].text, // Store the actual term that matched in the recipe text
+        // Exact character offsets of every match in the recipe text
+        matches: matches.map(({ text, term, lineIndex, start, end }) => ({ text, term, lineIndex, start, end })),
+        // Structured ingredient line(s) the term was found on
+        line: toStructuredLine(matchedLines[0]),
+        lines: matchedLines.map(toStructuredLine),
+        status: engineResult.status,
+        replacement_id: replacementId, // Replacement ingredient ID
+        replacement: replacementId, // Keep for backward compatibility (will be formatted in UI)
+        substituteChoice: substituteChoice, // "preferred" (halal preferences), "context" (cooking context) or "default"
+        substituteReason: describeSubstituteChoice(substituteChoice, replacementId, contextPick),
+        substituteContext: contextPick
+          ? { context: contextPick.context, keyword: contextPick.keyword, step: contextPick.step }
+          : null,
+        alternatives: alternatives,
+        personalRules: appliedRules, // Personal rules that changed the ruling or the substitutes offered
+        dietarySkipped, // Substitutes left out for breaking a dietary profile: [{ id, violations: [{ profile, reason }] }]
+        // Extract replacement ratio and culinary notes
+        replacementRatio: engineResult.replacementRatio || entry?.conversion_ratio || null,
+        // The entry's ratio is written for its first listed alternative ("agar agar sets firmer, so use half")
+        replacementRatioFor: entry?.alternatives?.[0] || listedAlternatives[0] || null,
+        culinaryNotes: engineResult.culinaryNotes || null,
+        // Notes field removed - explanation and culinaryNotes are separate
+        severity: entry?.confidence_score_base === 0.1 ? "high" : 
+                 entry?.confidence_score_base === 0.5 ? "medium" : "low",
+        quranReference: engineResult.references?.find(r => r.toLowerCase().includes("qur'an") || r.toLowerCase().includes("quran")) || "",
+        hadithReference: engineResult.references?.find(r => r.toLowerCase().includes("hadith") || r.toLowerCase().includes("bukhari") || r.toLowerCase().includes("muslim")) || "",
+        knowledgeSource: entry?.source || null, // Knowledge file that answered: "nested", "flat" or "legacy"
+        engineResult: engineResult,
+        hkmEntry: entry
+      });
     }
   });
   
   return detected;
 }
 
+/**
+ * Whether an ingredient's replacement ratio holds for the substitute used
+ * A knowledge-base ratio is written for one substitute (replacementRatioFor); any other is used 1:1
+ */
+function ratioAppliesTo(item, substituteId) {
+  return !item.replacementRatioFor || normalizeIngredientId(item.replacementRatioFor) === normalizeIngredientId(substituteId || "");
+}
+
+/**
+ * Preserve the case of the matched text when inserting a replacement
+ */
+function matchCase(match, replacementDisplay) {
+  if (match === match.toUpperCase()) {
+    return replacementDisplay.toUpperCase();
+  } else if (match[0] === match[0].toUpperCase()) {
+    return replacementDisplay.charAt(0).toUpperCase() + replacementDisplay.slice(1);
+  }
+  return replacementDisplay;
+}
+
 /**
  * PURE FUNCTION: Convert ingredients in recipe text
  * 
  * SEPARATION OF CONCERNS: This function ONLY does replacement, never calculates confidence
  * Returns what was replaced and what couldn't be replaced for scoring later
  * 
+ * Replacement is driven by matched character spans: every line (ingredient or instruction step)
+ * that mentions a detected ingredient gets a substitution edit, so "Deglaze with white wine"
+ * follows the ingredient list. On ingredient lines with a quantity, the replacement ratio adds a
+ * quantity edit and an "(originally …)" note ("½ tsp Agar Agar (originally 1 tsp)").
+ * All edits refer to offsets in the original text and are applied in one pass (see recipeEdits.js),
+ * so a replacement can never match text inserted by another one.
+ * 
  * @param {string} recipeText - Original recipe text
  * @param {Array} detectedIngredients - Array of detected haram/conditional ingredients
- * @returns {Object} { convertedText, replacements, unresolved }
+ * @param {Object} parsedRecipe - Result of parseRecipeText(recipeText)
+ * @returns {Object} { convertedText, edits, replacements, unresolved }
  *   - convertedText: Recipe text with replacements applied
- *   - replacements: Array of { original, replacement, status } for successfully replaced items
+ *   - edits: Array of { id, type, ingredient_id, lineIndex, start, end, originalText, newText, dependsOn }
+ *   - replacements: Array of { original, replacement, status, lineIndexes, editIds, quantityAdjustments } for successfully replaced items
  *   - unresolved: Array of { ingredient, status } for items without replacements
  */
-function convertIngredients(recipeText, detectedIngredients) {
+function convertIngredients(recipeText, detectedIngredients, parsedRecipe = parseRecipeText(recipeText)) {
   // Defensive checks: if no ingredients detected, return original text
   if (!recipeText || typeof recipeText !== "string" || detectedIngredients.length === 0) {
     return {
       convertedText: recipeText || "",
+      edits: [],
       replacements: [],
       unresolved: []
     };
   }
   
-  let convertedText = recipeText;
   const replacements = []; // Track successfully replaced ingredients
   const unresolved = []; // Track ingredients without replacements
+  const edits = [];
+  const addEdit = (edit) => {
+    const withId = { id: `edit-${edits.length + 1}`, dependsOn: null, ...edit };
+    edits.push(withId);
+    return withId;
+  };
+  
+  // Ingredients that can be replaced: ingredient ID -> display name
+  const replaceable = new Map();
+  detectedIngredients.forEach(item => {
+    const replacementId = item.replacement_id || item.replacement;
+    const hasReplacement = replacementId && 
+                          replacementId !== "Halal alternative needed" && 
+                          replacementId.trim() !== "";
+    if (hasReplacement) {
+      replaceable.set(item.ingredient_id || item.ingredient, formatIngredientName(replacementId));
+    }
+  });
+  
+  // Substitute every matched span on every line
+  // Spans are resolved by the same trie as detection, so "wine vinegar" never has its "wine" replaced
+  parsedRecipe.lines.forEach(line => {
+    findTermMatches(line.text, knowledgeTrie).forEach(span => {
+      const ingredientId = normalizeIngredientId(span.value.mainKey);
+      if (!replaceable.has(ingredientId)) return;
+      
+      addEdit({
+        type: "substitution",
+        ingredient_id: ingredientId,
+        lineIndex: line.index,
+        start: line.start + span.start,
+        end: line.start + span.end,
+        originalText: span.text,
+        newText: matchCase(span.text, replaceable.get(ingredientId))
+      });
+    });
+  });
+  
+  const adjustedLineIndexes = new Set(); // A line's quantity is only rescaled once
   
   // Process each detected ingredient
   detectedIngredients.forEach(item => {
@@ -156,12 +356,7 @@ function convertIngredients(recipeText, detectedIngredients) {
     const replacementId = item.replacement_id || item.replacement;
     const status = item.status || item.engineResult?.status || "unknown";
     
-    // Check if replacement is available
-    const hasReplacement = replacementId && 
-                          replacementId !== "Halal alternative needed" && 
-                          replacementId.trim() !== "";
-    
-    if (!hasReplacement) {
+    if (!replaceable.has(ingredientId)) {
       // No replacement available - mark as unresolved
       unresolved.push({
         ingredient: ingredientId,
@@ -171,67 +366,56 @@ function convertIngredients(recipeText, detectedIngredients) {
       return; // Skip to next ingredient
     }
     
-    // Replacement available - perform replacement
-    const replacementDisplay = formatIngredientName(replacementId);
-    
-    // Create search patterns for the original ingredient (handle various formats)
-    // Start with the actual term that was matched during detection
-    const searchPatterns = item.matchedTerm ? [item.matchedTerm] : [];
+    const substitutions = edits.filter(edit => edit.type === "substitution" && edit.ingredient_id === ingredientId);
     
-    // Add normalized ingredient ID variations
-    searchPatterns.push(
-      ingredientId,
-      ingredientId.replace(/_/g, " "),
-      ingredientId.replace(/_/g, "-")
-    );
-    
-    // Also check aliases from the knowledge entry
-    if (item.hkmEntry?.aliases) {
-      searchPatterns.push(...item.hkmEntry.aliases);
-      item.hkmEntry.aliases.forEach(alias => {
-        searchPatterns.push(alias.replace(/_/g, " "));
-        searchPatterns.push(alias.replace(/_/g, "-"));
+    // Apply the replacement ratio to quantities on this ingredient's own lines, when it was written for this substitute
+    const parsedRatio = ratioAppliesTo(item, replacementId) ? parseReplacementRatio(item.replacementRatio) : null;
+    const quantityAdjustments = [];
+    if (parsedRatio && parsedRatio.factor !== 1) {
+      (item.lines || []).forEach(line => {
+        if (line.kind !== "ingredient" || adjustedLineIndexes.has(line.index)) return;
+        
+        const substitution = substitutions.find(edit => edit.lineIndex === line.index);
+        const adjustment = applyReplacementRatio(line, parsedRatio);
+        const quantityEdit = substitution && getQuantityEdit(line.text, line, adjustment);
+        if (!quantityEdit) return;
+        
+        const noteOffset = line.start + line.text.trimEnd().length;
+        addEdit({
+          type: "quantity",
+          ingredient_id: ingredientId,
+          lineIndex: line.index,
+          start: line.start + quantityEdit.start,
+          end: line.start + quantityEdit.end,
+          originalText: quantityEdit.originalText,
+          newText: quantityEdit.newText,
+          dependsOn: substitution.id
+        });
+        addEdit({
+          type: "note",
+          ingredient_id: ingredientId,
+          lineIndex: line.index,
+          start: noteOffset,
+          end: noteOffset,
+          originalText: "",
+          newText: ` ${formatOriginalAmountNote(quantityEdit.originalText)}`, // Amount exactly as written
+          dependsOn: substitution.id
+        });
+        adjustedLineIndexes.add(line.index);
+        quantityAdjustments.push({ lineIndex: line.index, ...adjustment });
       });
     }
     
-    // Remove duplicates and empty patterns
-    const uniquePatterns = [...new Set(searchPatterns)].filter(p => p && p.trim() !== "");
-    
-    // Track if any replacement occurred for this ingredient
-    let wasReplaced = false;
-    
-    // Replace each pattern found in text
-    uniquePatterns.forEach(pattern => {
-      const escapedPattern = pattern.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
-      // Use word boundary regex, but be flexible with punctuation (comma, period, etc.)
-      const regex = new RegExp(`\\b${escapedPattern}\\b`, "gi");
-      
-      // Replace all occurrences
-      const previousText = convertedText;
-      convertedText = convertedText.replace(regex, (match) => {
-        wasReplaced = true;
-        // Preserve original case
-        if (match === match.toUpperCase()) {
-          return replacementDisplay.toUpperCase();
-        } else if (match[0] === match[0].toUpperCase()) {
-          return replacementDisplay.charAt(0).toUpperCase() + replacementDisplay.slice(1);
-        }
-        return replacementDisplay;
-      });
-      
-      // Debug: log if replacement occurred
-      if (convertedText !== previousText) {
-        console.log(`Replaced "${pattern}" with "${replacementDisplay}"`);
-      }
-    });
-    
     // Track successful replacement
-    if (wasReplaced) {
+    if (substitutions.length > 0) {
       replacements.push({
         original: ingredientId,
         replacement: replacementId,
         status: status,
-        matchedTerm: item.matchedTerm || ingredientId
+        matchedTerm: item.matchedTerm || ingredientId,
+        lineIndexes: [...new Set(substitutions.map(edit => edit.lineIndex))],
+        editIds: substitutions.map(edit => edit.id),
+        quantityAdjustments
       });
     } else {
       // Pattern matched but replacement didn't occur (shouldn't happen, but handle gracefully)
@@ -244,63 +428,273 @@ function convertIngredients(recipeText, detectedIngredients) {
   });
   
   return {
-    convertedText,
+    convertedText: applyEdits(recipeText, edits),
+    edits,
     replacements,
     unresolved
   };
 }
 
 /**
- * PURE FUNCTION: Calculate confidence score based on FINAL conversion state
- * 
- * SEPARATION OF CONCERNS: This function ONLY calculates confidence, never performs replacement
- * Confidence reflects the FINAL state after all replacements are complete
+ * Ingredient lines that break the user's dietary profiles, as they read after conversion
+ * A replaced ingredient is judged by its substitute; everything else by what the line names.
  * 
- * Rules:
- * - Start at 100
- * - -20 for each unresolved haram ingredient
- * - -10 for questionable/conditional ingredients without replacement
- * - 0 penalty if haram ingredient was successfully replaced (never penalize if replacement exists)
+ * @param {Object} parsedRecipe - Result of parseRecipeText()
+ * @param {Array} replacements - From convertIngredients(): [{ original, replacement, lineIndexes }]
+ * @param {Array<string>} dietaryProfiles - Profile keys of DIETARY_PROFILES
+ * @returns {Array} [{ lineIndex, line, ingredient, profile, reason }]
+ */
+function findAllergenWarnings(parsedRecipe, replacements, dietaryProfiles = []) {
+  if (dietaryProfiles.length === 0) return [];
+  
+  return getDetectionLines(parsedRecipe).flatMap(line => {
+    const warnings = [];
+    findTaggedIngredients(line.text).forEach(({ id }) => {
+      const knowledgeId = normalizeIngredientId(lookupIngredient(id)?.id || id);
+      const replacement = replacements.find(item => item.lineIndexes.includes(line.index) && [id, knowledgeId].includes(item.original));
+      const ingredient = replacement ? replacement.replacement : id;
+      getDietaryViolations(ingredient, dietaryProfiles).forEach(({ profile, reason }) => {
+        if (warnings.some(warning => warning.ingredient === ingredient && warning.profile === profile)) return;
+        warnings.push({ lineIndex: line.index, line: line.text.trim(), ingredient, profile, reason });
+      });
+    });
+    return warnings;
+  });
+}
+
+/**
+ * Run replacement, affiliate links and scoring for already-detected ingredients
+ * Shared by convertRecipeWithJson() and chooseSubstitute(), which only changes which substitute is used
  * 
- * @param {Object} conversionResult - Result from convertIngredients()
- *   - originalIngredients: Array of detected ingredients
- *   - replacements: Array of successfully replaced ingredients
- *   - unresolved: Array of ingredients without replacements
- * @returns {number} Confidence score 0-100 (100 = perfect, all haram ingredients replaced)
+ * @param {string} trimmedText - Original (trimmed) recipe text
+ * @param {Object} parsedRecipe - Result of parseRecipeText(trimmedText)
+ * @param {Array} detectedIngredients - Detected haram/conditional ingredients
+ * @param {Array<string>} dietaryProfiles - The user's dietary profiles, for allergen warnings
+ * @returns {Promise<Object>} Conversion result
  */
-function calculateConfidenceScore({ originalIngredients, replacements, unresolved }) {
-  // Start at 100% confidence
-  let score = 100;
+async function buildConversionResult(trimmedText, parsedRecipe, detectedIngredients, dietaryProfiles = []) {
+  // STEP 2: CONVERT ingredients (pure replacement, no scoring logic)
+  // Conversion ALWAYS runs fully, regardless of what will happen in scoring
+  const conversionResult = convertIngredients(trimmedText, detectedIngredients, parsedRecipe);
+  const { convertedText, edits, replacements, unresolved } = conversionResult;
   
-  // Count resolved vs unresolved ingredients by status
-  const unresolvedHaram = unresolved.filter(item => item.status === "haram").length;
-  const unresolvedQuestionable = unresolved.filter(item => 
-    item.status === "questionable" || item.status === "conditional"
-  ).length;
+  // Debug: log conversion results
+  console.log("[CONVERSION DEBUG] Replacements:", replacements.length);
+  console.log("[CONVERSION DEBUG] Unresolved:", unresolved.length);
   
-  // Apply penalties based on final state (AFTER replacements)
-  // -20 points per unresolved haram ingredient
-  score -= (unresolvedHaram * 20);
+  // STEP 2.5: FETCH AFFILIATE LINKS for substitutes (monetization)
+  // CRITICAL: ONLY fetch links for halal substitutes, NEVER for haram ingredients
+  const substituteIds = detectedIngredients
+    .filter(item => {
+      const replacementId = item.replacement_id || item.replacement;
+      return replacementId && 
+             replacementId !== "Halal alternative needed" && 
+             replacementId.trim() !== "";
+    })
+    .map(item => item.replacement_id || item.replacement)
+    .filter((id, index, self) => self.indexOf(id) === index); // Unique IDs only
   
-  // -10 points per unresolved questionable/conditional ingredient
-  score -= (unresolvedQuestionable * 10);
+  // Also include all alternatives (for showing 1-3 substitutes)
+  const allAlternativeIds = detectedIngredients
+    .flatMap(item => item.alternatives || [])
+    .filter((id, index, self) => self.indexOf(id) === index);
   
-  // Ensure score is within valid range (0-100)
-  score = Math.max(0, Math.min(100, Math.round(score)));
+  const allSubstituteIds = [...new Set([...substituteIds, ...allAlternativeIds])];
   
-  // Special case: If all haram ingredients were successfully replaced, score should be 100%
-  // This ensures demo recipe with full replacements shows 100%
-  const totalHaram = originalIngredients.filter(item => 
-    item.status === "haram" || item.engineResult?.status === "haram"
-  ).length;
-  const replacedHaram = replacements.filter(item => item.status === "haram").length;
+  // Fetch affiliate links (limit to 3 per substitute)
+  const affiliateLinksMap = await getAffiliateLinksForSubstitutes(
+    allSubstituteIds, 
+    'US', // TODO: Get from user preferences or geolocation
+    3 // Max 3 links per substitute
+  );
   
-  if (totalHaram > 0 && replacedHaram === totalHaram && unresolvedHaram === 0) {
-    // All haram ingredients were successfully replaced
-    score = 100;
-  }
+  // STEP 3: CALCULATE confidence score (pure scoring, uses FINAL conversion state)
+  // Scoring happens AFTER all replacements are complete
+  const { score: confidenceScore, factors: confidenceBreakdown } = scoreRecipe({
+    originalIngredients: detectedIngredients,
+    replacements: replacements,
+    unresolved: unresolved
+  });
   
-  return score;
+  // Check if any substitutions occurred (for confidence_type classification)
+  const hasSubstitutions = convertedText !== trimmedText;
+  
+  // STEP 4: Format issues with affiliate links (ONLY on substitutes, NEVER on haram ingredients)
+  // Include both replaced and unresolved ingredients in issues list
+  const issues = detectedIngredients.map((item) => {
+    const references = [];
+    if (item.quranReference) references.push(item.quranReference);
+    if (item.hadithReference) references.push(item.hadithReference);
+    
+    // Check if this ingredient was successfully replaced
+    const replacement = replacements.find(r => 
+      r.original === (item.ingredient_id || item.ingredient)
+    );
+    const wasReplaced = !!replacement;
+    
+    // Ensure confidenceScore is passed through
+    const issueConfidenceScore = item.engineResult?.confidenceScore !== undefined
+      ? item.engineResult.confidenceScore
+      : (item.engineResult?.confidencePercentage !== undefined
+          ? item.engineResult.confidencePercentage
+          : (item.engineResult?.confidence !== undefined
+              ? Math.round(item.engineResult.confidence * 100)
+              : undefined));
+    
+    // Get replacement ID for affiliate link lookup
+    const replacementId = item.replacement_id || item.replacement;
+    
+    // CRITICAL: Only attach affiliate links to SUBSTITUTES, NEVER to haram ingredients
+    // Fetch affiliate links for the primary replacement (if it exists and is valid)
+    let substituteAffiliateLinks = [];
+    if (replacementId && 
+        replacementId !== "Halal alternative needed" && 
+        replacementId.trim() !== "" &&
+        affiliateLinksMap[replacementId]) {
+      // Get affiliate links for this substitute (limit to 1-3)
+      const links = affiliateLinksMap[replacementId].slice(0, 3);
+      substituteAffiliateLinks = links.map(link => ({
+        id: link.id,
+        platform: link.platform.name,
+        platform_display: link.platform.display_name,
+        platform_color: link.platform.color_hex,
+        url: buildAffiliateUrl(link),
+        search_query: link.search_query,
+        is_featured: link.is_featured || false
+      }));
+    }
+    
+    // Build clear explanation for why ingredient is haram
+    // Priority: explanation > eli5 > simpleExplanation > notes
+    let haramExplanation = "";
+    if (item.engineResult?.explanation) {
+      haramExplanation = item.engineResult.explanation;
+    } else if (item.engineResult?.eli5) {
+      haramExplanation = item.engineResult.eli5;
+    } else if (item.engineResult?.simpleExplanation) {
+      haramExplanation = item.engineResult.simpleExplanation;
+    } else if (item.engineResult?.notes) {
+      haramExplanation = item.engineResult.notes;
+    } else {
+      // Fallback explanation based on status
+      if (item.status === "haram") {
+        haramExplanation = "This ingredient is prohibited (haram) in Islam. " +
+          (item.quranReference ? `See ${item.quranReference}. ` : "") +
+          (item.hadithReference ? `See ${item.hadithReference}.` : "");
+      } else if (item.status === "conditional") {
+        haramExplanation = "This ingredient may be halal under certain conditions. " +
+          "Please verify with a qualified Islamic scholar.";
+      }
+    }
+    
+    // Get 1-3 halal substitutes with affiliate links
+    const allAlternatives = item.alternatives || [];
+    const substitutesWithLinks = allAlternatives
+      .slice(0, 3) // Limit to 3 substitutes
+      .map(altId => {
+        const altLinks = affiliateLinksMap[altId] || [];
+        return {
+          id: altId,
+          name: formatIngredientName(altId),
+          affiliate_links: altLinks.slice(0, 3).map(link => ({
+            id: link.id,
+            platform: link.platform.name,
+            platform_display: link.platform.display_name,
+            platform_color: link.platform.color_hex,
+            url: buildAffiliateUrl(link),
+            search_query: link.search_query,
+            is_featured: link.is_featured || false
+          }))
+        };
+      });
+    
+    return {
+      ingredient_id: item.ingredient_id || item.ingredient, // Internal ID
+      ingredient: item.ingredient_id || item.ingredient, // Keep for backward compatibility
+      status: item.status,
+      matchedTerm: item.matchedTerm,
+      line: item.line, // Structured ingredient line: { quantity, unit, name, notes, ... }
+      lines: item.lines,
+      matches: item.matches || [], // Character offsets in the original text: [{ text, term, lineIndex, start, end }]
+      replacedLineIndexes: replacement?.lineIndexes || [],
+      editIds: replacement?.editIds || [], // Substitution edits for this ingredient (see result.edits)
+      // Quantity rewritten by the replacement ratio: { factor, original, converted, components }
+      quantityAdjustments: replacement?.quantityAdjustments || [],
+      replacement_id: replacementId, // Replacement ID
+      replacement: replacementId, // Keep for backward compatibility
+      substituteChoice: item.substituteChoice || "default", // "default", "preferred", "context" or "chosen"
+      substituteReason: item.substituteReason || null,
+      substituteContext: item.substituteContext || null, // { context, keyword, step } when substituteChoice is "context"
+      knowledgeSource: item.knowledgeSource || null, // Knowledge file that answered: "nested", "flat" or "legacy"
+      
+      // MONETIZATION: Affiliate links ONLY on substitutes
+      // NEVER attach affiliate links to haram ingredients themselves
+      substitute_affiliate_links: substituteAffiliateLinks, // Links for primary replacement
+      substitutes_with_links: substitutesWithLinks, // All alternatives with links (1-3)
+      
+      // Replacement ratio and culinary notes
+      replacementRatio: item.replacementRatio || item.engineResult?.replacementRatio || null,
+      replacementRatioFor: item.replacementRatioFor || null, // Substitute the ratio was written for
+      replacementRatioApplies: ratioAppliesTo(item, replacementId), // False when another substitute is used
+      culinaryNotes: item.culinaryNotes || item.engineResult?.culinaryNotes || null,
+      
+      // Clear explanation for why ingredient is haram
+      haram_explanation: haramExplanation, // Clear, religious justification
+      explanation: haramExplanation, // Backward compatibility
+      
+      severity: item.severity,
+      confidence: issueConfidenceScore ? issueConfidenceScore / 100 : undefined, // 0-1 format for backward compatibility
+      confidenceScore: issueConfidenceScore, // PRIMARY: 0-100 format
+      quranReference: item.quranReference,
+      hadithReference: item.hadithReference,
+      references: references,
+      
+      // Add knowledge engine fields
+      inheritedFrom: item.engineResult?.inheritedFrom,
+      alternatives: allAlternatives, // All alternatives (for display)
+      eli5: item.engineResult?.eli5 || item.engineResult?.simpleExplanation,
+      simpleExplanation: item.engineResult?.simpleExplanation || item.engineResult?.eli5,
+      // Engine ruling steps, substitutes ruled out by personal rules and dietary profiles, then why this substitute was used
+      trace: [
+        ...(item.engineResult?.trace || []),
+        ...(item.personalRules || [])
+          .filter(rule => !(item.engineResult?.personalRules || []).some(applied => applied.id === rule.id))
+          .map(rule => `Personal rule: ${describePersonalRule(rule)}`),
+        ...(item.dietarySkipped || []).map(({ id, violations }) =>
+          `Substitute ${formatIngredientName(id)} skipped: ${violations.map(violation => violation.reason).join(", ")}`),
+        ...(item.substituteReason ? [item.substituteReason] : [])
+      ],
+      tags: item.engineResult?.tags,
+      hkmResult: item.engineResult,
+      personalRules: item.personalRules || item.engineResult?.personalRules || [], // Personal rules that changed this result
+      dietarySkipped: item.dietarySkipped || [], // Substitutes left out for breaking a dietary profile
+      validationState: item.engineResult?.personalRules?.some(rule => rule.type !== "never_suggest") ? "personal_rule" :
+                      item.engineResult?.enforcedBy === "user_preferences" ? "preference_based" :
+                      item.engineResult?.inheritedFrom ? "derived_haram" : "explicit_haram",
+      preferencesApplied: item.engineResult?.preferences,
+      wasReplaced: wasReplaced // Track if this ingredient was successfully replaced
+    };
+  });
+  
+  return {
+    originalText: trimmedText,
+    convertedText: convertedText, // Always return converted text, even if low confidence
+    edits: edits, // Span edits against originalText - rebuild with applyEdits() to reject substitutions
+    issues: issues,
+    confidenceScore: confidenceScore, // Score reflects FINAL state after replacements
+    confidenceBreakdown: confidenceBreakdown, // [{ factor, label, delta }] behind confidenceScore
+    confidence_type: hasSubstitutions ? "post_conversion" : "classification",
+    dietaryProfiles: dietaryProfiles,
+    // Lines that still break a dietary profile after conversion: [{ lineIndex, line, ingredient, profile, reason }]
+    allergenWarnings: findAllergenWarnings(parsedRecipe, replacements, dietaryProfiles),
+    ingredientLines: parsedRecipe.ingredients.map(toStructuredLine),
+    instructionSteps: parsedRecipe.instructions.map(line => ({
+      index: line.index,
+      step: line.step,
+      text: line.text.trim()
+    })),
+    source: "json_engine" // Mark as JSON-based conversion
+  };
 }
 
 /**
@@ -317,6 +711,7 @@ export async function convertRecipeWithJson(recipeText, userPreferences = {}) {
     return {
       originalText: "",
       convertedText: "",
+      edits: [],
       issues: [],
       confidenceScore: 0,
     };
@@ -327,14 +722,18 @@ export async function convertRecipeWithJson(recipeText, userPreferences = {}) {
     return {
       originalText: "",
       convertedText: "",
+      edits: [],
       issues: [],
       confidenceScore: 0,
     };
   }
   
   try {
+    // STEP 0: PARSE recipe into ingredient lines and instruction steps
+    const parsedRecipe = parseRecipeText(trimmedText);
+    
     // STEP 1: DETECT ingredients (pure detection, no replacement, no scoring)
-    const detectedIngredients = detectIngredientsInText(trimmedText, userPreferences);
+    const detectedIngredients = detectIngredientsInText(trimmedText, userPreferences, parsedRecipe);
     
     // Debug: log detected ingredients
     console.log("[CONVERSION DEBUG] Detected ingredients:", detectedIngredients.map(i => ({
@@ -344,195 +743,15 @@ export async function convertRecipeWithJson(recipeText, userPreferences = {}) {
       status: i.status
     })));
     
-    // STEP 2: CONVERT ingredients (pure replacement, no scoring logic)
-    // Conversion ALWAYS runs fully, regardless of what will happen in scoring
-    const conversionResult = convertIngredients(trimmedText, detectedIngredients);
-    const { convertedText, replacements, unresolved } = conversionResult;
-    
-    // Debug: log conversion results
-    console.log("[CONVERSION DEBUG] Replacements:", replacements.length);
-    console.log("[CONVERSION DEBUG] Unresolved:", unresolved.length);
-    
-    // STEP 2.5: FETCH AFFILIATE LINKS for substitutes (monetization)
-    // CRITICAL: ONLY fetch links for halal substitutes, NEVER for haram ingredients
-    const substituteIds = detectedIngredients
-      .filter(item => {
-        const replacementId = item.replacement_id || item.replacement;
-        return replacementId && 
-               replacementId !== "Halal alternative needed" && 
-               replacementId.trim() !== "";
-      })
-      .map(item => item.replacement_id || item.replacement)
-      .filter((id, index, self) => self.indexOf(id) === index); // Unique IDs only
-    
-    // Also include all alternatives (for showing 1-3 substitutes)
-    const allAlternativeIds = detectedIngredients
-      .flatMap(item => item.alternatives || [])
-      .filter((id, index, self) => self.indexOf(id) === index);
-    
-    const allSubstituteIds = [...new Set([...substituteIds, ...allAlternativeIds])];
-    
-    // Fetch affiliate links (limit to 3 per substitute)
-    const affiliateLinksMap = await getAffiliateLinksForSubstitutes(
-      allSubstituteIds, 
-      'US', // TODO: Get from user preferences or geolocation
-      3 // Max 3 links per substitute
-    );
-    
-    // STEP 3: CALCULATE confidence score (pure scoring, uses FINAL conversion state)
-    // Scoring happens AFTER all replacements are complete
-    const confidenceScore = calculateConfidenceScore({
-      originalIngredients: detectedIngredients,
-      replacements: replacements,
-      unresolved: unresolved
-    });
-    
-    // Check if any substitutions occurred (for confidence_type classification)
-    const hasSubstitutions = convertedText !== trimmedText;
-    
-    // STEP 4: Format issues with affiliate links (ONLY on substitutes, NEVER on haram ingredients)
-    // Include both replaced and unresolved ingredients in issues list
-    const issues = detectedIngredients.map((item) => {
-      const references = [];
-      if (item.quranReference) references.push(item.quranReference);
-      if (item.hadithReference) references.push(item.hadithReference);
-      
-      // Check if this ingredient was successfully replaced
-      const wasReplaced = replacements.some(r => 
-        r.original === (item.ingredient_id || item.ingredient)
-      );
-      
-      // Ensure confidenceScore is passed through
-      const issueConfidenceScore = item.engineResult?.confidenceScore !== undefined
-        ? item.engineResult.confidenceScore
-        : (item.engineResult?.confidencePercentage !== undefined
-            ? item.engineResult.confidencePercentage
-            : (item.engineResult?.confidence !== undefined
-                ? Math.round(item.engineResult.confidence * 100)
-                : undefined));
-      
-      // Get replacement ID for affiliate link lookup
-      const replacementId = item.replacement_id || item.replacement;
-      
-      // CRITICAL: Only attach affiliate links to SUBSTITUTES, NEVER to haram ingredients
-      // Fetch affiliate links for the primary replacement (if it exists and is valid)
-      let substituteAffiliateLinks = [];
-      if (replacementId && 
-          replacementId !== "Halal alternative needed" && 
-          replacementId.trim() !== "" &&
-          affiliateLinksMap[replacementId]) {
-        // Get affiliate links for this substitute (limit to 1-3)
-        const links = affiliateLinksMap[replacementId].slice(0, 3);
-        substituteAffiliateLinks = links.map(link => ({
-          id: link.id,
-          platform: link.platform.name,
-          platform_display: link.platform.display_name,
-          platform_color: link.platform.color_hex,
-          url: buildAffiliateUrl(link),
-          search_query: link.search_query,
-          is_featured: link.is_featured || false
-        }));
-      }
-      
-      // Build clear explanation for why ingredient is haram
-      // Priority: explanation > eli5 > simpleExplanation > notes
-      let haramExplanation = "";
-      if (item.engineResult?.explanation) {
-        haramExplanation = item.engineResult.explanation;
-      } else if (item.engineResult?.eli5) {
-        haramExplanation = item.engineResult.eli5;
-      } else if (item.engineResult?.simpleExplanation) {
-        haramExplanation = item.engineResult.simpleExplanation;
-      } else if (item.engineResult?.notes) {
-        haramExplanation = item.engineResult.notes;
-      } else {
-        // Fallback explanation based on status
-        if (item.status === "haram") {
-          haramExplanation = "This ingredient is prohibited (haram) in Islam. " +
-            (item.quranReference ? `See ${item.quranReference}. ` : "") +
-            (item.hadithReference ? `See ${item.hadithReference}.` : "");
-        } else if (item.status === "conditional") {
-          haramExplanation = "This ingredient may be halal under certain conditions. " +
-            "Please verify with a qualified Islamic scholar.";
-        }
-      }
-      
-      // Get 1-3 halal substitutes with affiliate links
-      const allAlternatives = item.alternatives || [];
-      const substitutesWithLinks = allAlternatives
-        .slice(0, 3) // Limit to 3 substitutes
-        .map(altId => {
-          const altLinks = affiliateLinksMap[altId] || [];
-          return {
-            id: altId,
-            name: formatIngredientName(altId),
-            affiliate_links: altLinks.slice(0, 3).map(link => ({
-              id: link.id,
-              platform: link.platform.name,
-              platform_display: link.platform.display_name,
-              platform_color: link.platform.color_hex,
-              url: buildAffiliateUrl(link),
-              search_query: link.search_query,
-              is_featured: link.is_featured || false
-            }))
-          };
-        });
-      
-      return {
-        ingredient_id: item.ingredient_id || item.ingredient, // Internal ID
-        ingredient: item.ingredient_id || item.ingredient, // Keep for backward compatibility
-        replacement_id: replacementId, // Replacement ID
-        replacement: replacementId, // Keep for backward compatibility
-        
-        // MONETIZATION: Affiliate links ONLY on substitutes
-        // NEVER attach affiliate links to haram ingredients themselves
-        substitute_affiliate_links: substituteAffiliateLinks, // Links for primary replacement
-        substitutes_with_links: substitutesWithLinks, // All alternatives with links (1-3)
-        
-        // Replacement ratio and culinary notes
-        replacementRatio: item.replacementRatio || item.engineResult?.replacementRatio || null,
-        culinaryNotes: item.culinaryNotes || item.engineResult?.culinaryNotes || null,
-        
-        // Clear explanation for why ingredient is haram
-        haram_explanation: haramExplanation, // Clear, religious justification
-        explanation: haramExplanation, // Backward compatibility
-        
-        severity: item.severity,
-        confidence: issueConfidenceScore ? issueConfidenceScore / 100 : undefined, // 0-1 format for backward compatibility
-        confidenceScore: issueConfidenceScore, // PRIMARY: 0-100 format
-        quranReference: item.quranReference,
-        hadithReference: item.hadithReference,
-        references: references,
-        
-        // Add knowledge engine fields
-        inheritedFrom: item.engineResult?.inheritedFrom,
-        alternatives: allAlternatives, // All alternatives (for display)
-        eli5: item.engineResult?.eli5 || item.engineResult?.simpleExplanation,
-        simpleExplanation: item.engineResult?.simpleExplanation || item.engineResult?.eli5,
-        trace: item.engineResult?.trace || [],
-        tags: item.engineResult?.tags,
-        hkmResult: item.engineResult,
-        validationState: item.engineResult?.enforcedBy === "user_preferences" ? "preference_based" :
-                        item.engineResult?.inheritedFrom ? "derived_haram" : "explicit_haram",
-        preferencesApplied: item.engineResult?.preferences,
-        wasReplaced: wasReplaced // Track if this ingredient was successfully replaced
-      };
-    });
-    
-    return {
-      originalText: trimmedText,
-      convertedText: convertedText, // Always return converted text, even if low confidence
-      issues: issues,
-      confidenceScore: confidenceScore, // Score reflects FINAL state after replacements
-      confidence_type: hasSubstitutions ? "post_conversion" : "classification",
-      source: "json_engine" // Mark as JSON-based conversion
-    };
+    // STEPS 2-4: CONVERT, fetch affiliate links, SCORE and format issues
+    return await buildConversionResult(trimmedText, parsedRecipe, detectedIngredients, userPreferences.dietaryProfiles);
   } catch (error) {
     console.error("Error in convertRecipeWithJson:", error);
     // Return safe fallback on error - still return original text even on error
     return {
       originalText: trimmedText,
       convertedText: trimmedText,
+      edits: [],
       issues: [],
       confidenceScore: 0,
       error: error.message
@@ -540,19 +759,69 @@ export async function convertRecipeWithJson(recipeText, userPreferences = {}) {
   }
 }
 
+/**
+ * Switch one ingredient to a different substitute from its alternatives
+ * Converted text, edits, affiliate links and confidence are recomputed from the previous result;
+ * detection and rulings are reused, so nothing is re-evaluated
+ * 
+ * @param {Object} conversionResult - Result of convertRecipeWithJson() (or of a previous chooseSubstitute())
+ * @param {string} ingredientId - Detected ingredient (snake_case ID)
+ * @param {string} substituteId - One of the issue's alternatives
+ * @returns {Promise<Object>} New conversion result, or the given one if the choice doesn't apply
+ */
+export async function chooseSubstitute(conversionResult, ingredientId, substituteId) {
+  const issues = Array.isArray(conversionResult?.issues) ? conversionResult.issues : [];
+  const chosenIssue = issues.find(issue => issue.ingredient_id === ingredientId);
+  if (!conversionResult?.originalText || !chosenIssue || !(chosenIssue.alternatives || []).includes(substituteId)) {
+    return conversionResult;
+  }
+  
+  try {
+    // Issues carry everything detection produced; the engine result travels as hkmResult
+    const detectedIngredients = issues.map(issue => ({
+      ...issue,
+      engineResult: issue.hkmResult,
+      ...(issue.ingredient_id === ingredientId && {
+        replacement_id: substituteId,
+        replacement: substituteId,
+        substituteChoice: "chosen",
+        substituteReason: describeSubstituteChoice("chosen", substituteId),
+        substituteContext: null
+      })
+    }));
+    
+    const trimmedText = conversionResult.originalText;
+    return await buildConversionResult(trimmedText, parseRecipeText(trimmedText), detectedIngredients, conversionResult.dietaryProfiles);
+  } catch (error) {
+    console.error("Error in chooseSubstitute:", error);
+    return conversionResult;
+  }
+}
+
+/**
+ * Knowledge-base ingredients mentioned anywhere in a text (matched by key or alias)
+ * @param {string} text - Recipe or any other text
+ * @returns {Array<string>} Ingredient IDs in order of first mention
+ */
+export function findKnownIngredients(text) {
+  if (!text || typeof text !== "string") return [];
+  const ids = findTermMatches(text, knowledgeTrie).map(match => normalizeIngredientId(match.value.mainKey));
+  return [...new Set(ids)];
+}
+
 /**
  * Check if ingredient exists in knowledge base
  */
 export function isIngredientKnown(ingredientName) {
-  const normalized = normalizeIngredientName(ingredientName);
-  return !!halalKnowledge[normalized];
+  const normalized = normalizeIngredientId(ingredientName);
+  return !!getKnowledgeEntry(normalized);
 }
 
 /**
  * Get ingredient details from knowledge base
  */
 export function getIngredientDetails(ingredientName, userPreferences = {}) {
-  const normalized = normalizeIngredientName(ingredientName);
+  const normalized = normalizeIngredientId(ingredientName);
   const engineResult = evaluateItem(normalized, {
     madhab: userPreferences.schoolOfThought || "no-preference",
     strictness: userPreferences.strictnessLevel || "standard"
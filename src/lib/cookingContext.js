@@ -0,0 +1,89 @@
+/**
+ * Cooking Context
+ * Detects how an ingredient is used (deglazing, marinating, baking, ...) from the recipe's
+ * instruction text, and picks the alternative whose usage contexts fit best
+ *
+ * Alternatives declare their contexts in the knowledge base:
+ * "alternative_contexts": { "chicken_or_vegetable_stock": ["deglazing", "braising"], ... }
+ */
+
+/**
+ * Context -> keyword patterns (cooking verbs and dish types)
+ */
+export const COOKING_CONTEXTS = {
+  deglazing: [/\bdeglaz\w*/i, /\bbrowned bits\b/i, /\bfond\b/i],
+  braising: [/\bbrais\w*/i, /\bstew\w*/i, /\bsimmer\w*/i, /\bslow[\s-]cook\w*/i, /\bpot roast\b/i],
+  marinating: [/\bmarinat\w*/i, /\bmarinade\w*/i],
+  baking: [/\bbak(e|es|ed|ing)\b/i, /\boven\b/i, /\bpreheat\w*/i],
+  frying: [/\b(deep|pan|stir)[\s-]?fr(y|ies|ied|ying)\b/i, /\bfr(y|ies|ied|ying)\b/i, /\bbatter\b/i, /\btempura\b/i],
+  sauce: [/\bsauce\w*/i, /\bglaz(e|ed|ing)\b/i, /\breduc(e|ed|es|ing|tion)\b(?! (the )?heat)/i],
+  dessert: [/\bcakes?\b/i, /\bcookies?\b/i, /\bbrownies?\b/i, /\bpudding\b/i, /\bcustard\b/i, /\bdesserts?\b/i, /\btiramisu\b/i, /\bpies?\b/i, /\btarts?\b/i, /\bfrosting\b/i],
+  setting: [/\b(until|to|let it|allow to) set\b/i, /\buntil firm\b/i, /\bpanna cotta\b/i, /\bmousse\b/i, /\bgumm(y|ies)\b/i, /\bjell(y|ies|o)\b/i],
+  jam: [/\bjams?\b/i, /\bpreserves?\b/i, /\bmarmalade\b/i],
+  soup: [/\bsoups?\b/i, /\bbroth\b/i, /\bchowder\b/i],
+  drink: [/\bcocktails?\b/i, /\bmocktails?\b/i, /\bpunch\b/i, /\bdrinks?\b/i],
+  flambe: [/\bflamb(e|é|eed|éed|eing)\b/i, /\bignite\b/i]
+};
+
+// A context found in a step that mentions the ingredient counts more than one found elsewhere in the recipe
+const STEP_WEIGHT = 2;
+const RECIPE_WEIGHT = 1;
+
+/**
+ * Find the cooking contexts mentioned in a piece of text
+ * @param {string} text - Instruction step, title or whole recipe
+ * @returns {Array} [{ context, keyword }] in COOKING_CONTEXTS order
+ */
+export function detectCookingContexts(text) {
+  if (!text || typeof text !== "string") return [];
+
+  return Object.entries(COOKING_CONTEXTS).flatMap(([context, patterns]) => {
+    for (const pattern of patterns) {
+      const match = text.match(pattern);
+      if (match) return [{ context, keyword: match[0] }];
+    }
+    return [];
+  });
+}
+
+/**
+ * Pick the alternative whose usage contexts best fit how the ingredient is used
+ * @param {Array<string>} alternatives - Alternative IDs in knowledge-base order
+ * @param {Object} alternativeContexts - Alternative ID -> usage contexts
+ * @param {Object} usage - { steps: [{ step, text }] mentioning the ingredient, recipeText }
+ * @returns {Object|null} { substituteId, context, keyword, step, score } or null when no context matches
+ *   - step: instruction step number the context was found in, null when found elsewhere in the recipe
+ */
+export function chooseSubstituteForContext(alternatives, alternativeContexts, usage = {}) {
+  if (!Array.isArray(alternatives) || alternatives.length === 0 || !alternativeContexts) return null;
+
+  const found = new Map(); // context -> { keyword, step, weight } (strongest evidence)
+  (usage.steps || []).forEach(({ step, text }) => {
+    detectCookingContexts(text).forEach(({ context, keyword }) => {
+      if (!found.has(context) || found.get(context).weight < STEP_WEIGHT) {
+        found.set(context, { keyword, step: step ?? null, weight: STEP_WEIGHT });
+      }
+    });
+  });
+  detectCookingContexts(usage.recipeText).forEach(({ context, keyword }) => {
+    if (!found.has(context)) {
+      found.set(context, { keyword, step: null, weight: RECIPE_WEIGHT });
+    }
+  });
+  if (found.size === 0) return null;
+
+  let best = null;
+  alternatives.forEach(substituteId => {
+    const contexts = (alternativeContexts[substituteId] || []).filter(context => found.has(context));
+    if (contexts.length === 0) return;
+
+    const score = contexts.reduce((sum, context) => sum + found.get(context).weight, 0);
+    // Ties keep knowledge-base order
+    if (!best || score > best.score) {
+      const strongest = contexts.reduce((a, b) => (found.get(b).weight > found.get(a).weight ? b : a));
+      best = { substituteId, context: strongest, keyword: found.get(strongest).keyword, step: found.get(strongest).step, score };
+    }
+  });
+
+  return best;
+}
@@ -0,0 +1,80 @@
+/**
+ * Cross-Contamination Statement Detection
+ * Finds "may contain", shared-facility, shared-equipment and shared-fryer statements in labels
+ * and recipes, and what they say the food may have touched
+ *
+ * A statement is only a halal concern when something it names is haram ("may contain pork",
+ * "fried in the same oil as bacon"); allergen warnings ("may contain nuts, milk") are not.
+ * How much a concern counts is up to the user's strictness: HALAL_RULES.strictness[level].cross_contamination,
+ * applied by getCrossContaminationRuling() in the halal engine.
+ */
+
+import { evaluateItem } from "./halalEngine";
+
+const CONTAMINANT_LIST = "([^.;()\\n]+)";
+
+const STATEMENT_PATTERNS = [
+  {
+    type: "may_contain",
+    pattern: new RegExp(`\\bmay\\s+(?:also\\s+)?contain\\s+(?:traces?\\s+of\\s+|small\\s+amounts\\s+of\\s+)?${CONTAMINANT_LIST}`, "gi")
+  },
+  {
+    // "processed in a facility that also handles pork", "made in a factory which uses alcohol"
+    type: "shared_facility",
+    pattern: new RegExp(`\\b(?:processed|produced|made|manufactured|packed|packaged|prepared)\\s+(?:in|at)\\s+(?:a\\s+|the\\s+same\\s+)?(?:facility|factory|plant|site|kitchen)\\s+(?:that|which|where)?\\s*(?:also\\s+)?(?:handles?|process(?:es)?|uses?|produces?|manufactures?|packs?|prepares?|is\\s+used\\s+for)\\s+${CONTAMINANT_LIST}`, "gi")
+  },
+  {
+    // "made on shared equipment with pork", "produced on equipment that also processes wine", "shared equipment"
+    type: "shared_equipment",
+    pattern: new RegExp(`\\b(?:shared|same)\\s+(?:equipment|(?:production\\s+)?lines?|machinery|utensils)(?:\\s+(?:as|with|that\\s+(?:also\\s+)?(?:handles?|process(?:es)?))\\s+${CONTAMINANT_LIST})?|\\bon\\s+equipment\\s+(?:that|which)\\s+(?:also\\s+)?(?:handles?|process(?:es)?)\\s+${CONTAMINANT_LIST}`, "gi")
+  },
+  {
+    // "fried in the same oil as bacon", "fry the potatoes in the same oil as the bacon", "cooked in a shared fryer with pork"
+    type: "shared_fryer",
+    pattern: new RegExp(`\\b(?:fr(?:y|ied)|cook(?:ed)?)\\b[^.;()\\n]*?\\bin\\s+(?:the\\s+|a\\s+)?(?:same|shared)\\s+(?:oil|fryers?|deep\\s+fryers?)(?:\\s+(?:as|with|used\\s+(?:for|to\\s+fry))\\s+(?:the\\s+)?${CONTAMINANT_LIST})?`, "gi")
+  }
+];
+
+// Words around the names in a contaminant list: "other products containing pork and alcohol"
+const CONTAMINANT_FILLER = /\b(?:other|products?|ingredients?|items?|foods?|containing|derived|from|traces?|of|the|also)\b/gi;
+
+/**
+ * Split the list a statement names into contaminants
+ * "peanuts, tree nuts and pork products" -> ["peanuts", "tree nuts", "pork"]
+ */
+function splitContaminants(list) {
+  return (list || "")
+    .split(/,|\/|&|\band\b|\bor\b/i)
+    .map(name => name.replace(CONTAMINANT_FILLER, " ").replace(/\s+/g, " ").trim().toLowerCase())
+    .filter(name => name.length > 1);
+}
+
+/**
+ * Detect cross-contamination statements in label or recipe text
+ * @param {string} text - Label statements, ingredient line or recipe text
+ * @param {Object} options - { strictness, madhab } (or strictnessLevel, schoolOfThought), used to rule on the contaminants
+ * @returns {Array} [{ type, statement, contaminants: [{ name, status }], isHalalConcern }]
+ *   - type: "may_contain" | "shared_facility" | "shared_equipment" | "shared_fryer"
+ *   - isHalalConcern: something named is haram
+ */
+export function detectCrossContamination(text, options = {}) {
+  if (!text || typeof text !== "string") return [];
+
+  const findings = [];
+  for (const { type, pattern } of STATEMENT_PATTERNS) {
+    for (const match of text.matchAll(pattern)) {
+      const list = match.slice(1).find(Boolean);
+      const contaminants = splitContaminants(list).map(name => ({
+        name,
+        status: evaluateItem(name, { strictness: options.strictness || options.strictnessLevel, madhab: options.madhab || options.schoolOfThought }).status
+      }));
+      findings.push({
+        type,
+        statement: match[0].replace(/\s+/g, " ").trim(),
+        contaminants,
+        isHalalConcern: contaminants.some(contaminant => contaminant.status === "haram")
+      });
+    }
+  }
+  return findings;
+}
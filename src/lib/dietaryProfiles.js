@@ -0,0 +1,143 @@
+/**
+ * Dietary Profiles
+ * Diet and allergen restrictions layered on top of the halal ruling (vegetarian, vegan, nut-free, ...)
+ *
+ * Every knowledge entry and alternative is tagged in src/data/dietary_attributes.json with the strictest
+ * diet it fits ("vegan" | "vegetarian" | "non_vegetarian") and the allergens it contains. A profile
+ * rules out substitutes that break it and warns about recipe lines that do.
+ *
+ * Passed to convertRecipeWithJson() as userPreferences.dietaryProfiles.
+ */
+
+import dietaryAttributes from "../data/dietary_attributes.json";
+import { normalizeIngredientId, lookupIngredient, getAliasIndex } from "./knowledgeRepository";
+import { buildTermTrie, findTermMatches } from "./termMatcher";
+import { formatIngredientName } from "./ingredientDisplay";
+
+const STORAGE_KEY = "halalDietaryProfiles";
+
+/**
+ * Dietary profiles: the diets and allergens each one excludes
+ */
+export const DIETARY_PROFILES = {
+  vegetarian: { label: "Vegetarian", excludesDiets: ["non_vegetarian"], excludesAllergens: [] },
+  vegan: { label: "Vegan", excludesDiets: ["non_vegetarian", "vegetarian"], excludesAllergens: [] },
+  nut_free: { label: "Nut-free", excludesDiets: [], excludesAllergens: ["tree_nuts", "peanuts"] },
+  dairy_free: { label: "Dairy-free", excludesDiets: [], excludesAllergens: ["dairy"] },
+  gluten_free: { label: "Gluten-free", excludesDiets: [], excludesAllergens: ["gluten"] },
+  egg_free: { label: "Egg-free", excludesDiets: [], excludesAllergens: ["egg"] }
+};
+
+export const ALLERGEN_LABELS = {
+  dairy: "dairy",
+  egg: "egg",
+  gluten: "gluten",
+  tree_nuts: "tree nuts",
+  peanuts: "peanuts",
+  soy: "soy",
+  fish: "fish",
+  shellfish: "shellfish",
+  sesame: "sesame"
+};
+
+// Every tagged ingredient plus the knowledge base's aliases; tagged IDs are registered first and win
+const attributeTrie = buildTermTrie([
+  ...Object.keys(dietaryAttributes).map(id => [id, id]),
+  ...getAliasIndex()
+]);
+
+/**
+ * Get the saved dietary profiles
+ * @returns {Array<string>} Profile keys of DIETARY_PROFILES
+ */
+export function getDietaryProfiles() {
+  try {
+    if (typeof Storage === "undefined") return [];
+    const saved = JSON.parse(localStorage.getItem(STORAGE_KEY) || "[]");
+    return Array.isArray(saved) ? saved.filter(profile => DIETARY_PROFILES[profile]) : [];
+  } catch (error) {
+    console.error("Error loading dietary profiles:", error);
+    return [];
+  }
+}
+
+/**
+ * Save the dietary profiles
+ * @param {Array<string>} profiles - Profile keys of DIETARY_PROFILES
+ * @returns {Array<string>} The profiles saved (unknown keys dropped)
+ */
+export function saveDietaryProfiles(profiles) {
+  const valid = [...new Set(profiles || [])].filter(profile => DIETARY_PROFILES[profile]);
+  try {
+    localStorage.setItem(STORAGE_KEY, JSON.stringify(valid));
+  } catch (error) {
+    console.error("Error saving dietary profiles:", error);
+  }
+  return valid;
+}
+
+/**
+ * Diet and allergen attributes of an ingredient
+ * @param {string} name - Ingredient name, ID or alias
+ * @returns {Object|null} { diet, allergens } or null when the ingredient isn't tagged
+ */
+export function getDietaryAttributes(name) {
+  const id = normalizeIngredientId(name);
+  return dietaryAttributes[id] || dietaryAttributes[lookupIngredient(id)?.id] || null;
+}
+
+/**
+ * How an ingredient breaks the given profiles
+ * @param {string} name - Ingredient name, ID or alias
+ * @param {Array<string>} profiles - Profile keys of DIETARY_PROFILES
+ * @returns {Array} [{ profile, reason }], e.g. { profile: "vegetarian", reason: "not vegetarian" }
+ */
+export function getDietaryViolations(name, profiles = []) {
+  const attributes = getDietaryAttributes(name);
+  if (!attributes) return [];
+
+  return profiles.filter(profile => DIETARY_PROFILES[profile]).flatMap(profile => {
+    const { label, excludesDiets, excludesAllergens } = DIETARY_PROFILES[profile];
+    const allergens = attributes.allergens.filter(allergen => excludesAllergens.includes(allergen));
+    if (excludesDiets.includes(attributes.diet)) {
+      return [{ profile, reason: `not ${label.toLowerCase()}` }];
+    }
+    if (allergens.length > 0) {
+      return [{ profile, reason: `contains ${allergens.map(allergen => ALLERGEN_LABELS[allergen]).join(" and ")}` }];
+    }
+    return [];
+  });
+}
+
+/**
+ * Whether an ingredient fits every given profile (untagged ingredients fit)
+ * @param {string} name - Ingredient name, ID or alias
+ * @param {Array<string>} profiles - Profile keys of DIETARY_PROFILES
+ * @returns {boolean}
+ */
+export function fitsDietaryProfiles(name, profiles = []) {
+  return getDietaryViolations(name, profiles).length === 0;
+}
+
+/**
+ * Tagged ingredients mentioned in a text
+ * @param {string} text - Ingredient line
+ * @returns {Array} [{ id, text, start, end }] in order
+ */
+export function findTaggedIngredients(text) {
+  return findTermMatches(text, attributeTrie).map(match => ({
+    id: normalizeIngredientId(match.value),
+    text: match.text,
+    start: match.start,
+    end: match.end
+  }));
+}
+
+/**
+ * Human-readable name of a profile
+ * @param {string} profile - Profile key
+ * @returns {string} e.g. "Nut-free"
+ */
+export function getDietaryProfileLabel(profile) {
+  return DIETARY_PROFILES[profile]?.label || formatIngredientName(profile);
+}
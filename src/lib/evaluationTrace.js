@@ -0,0 +1,74 @@
+/**
+ * Evaluation Trace
+ * Structured record of the stages evaluateItem() went through, kept next to its plain-text trace
+ * so a reviewer can see why a verdict came out the way it did
+ *
+ * Each step is { stage, label, statusIn, statusOut, confidenceIn, confidenceOut, confidenceDelta, source, details }:
+ * - statusIn / confidenceIn are null for the stage that produced the first ruling
+ * - confidenceDelta is null when the stage didn't score (or there was nothing to compare against)
+ * - source is the data file and entry the stage used ({ file, entry }), or null when it only applied logic
+ * - details are the plain-text trace lines the stage added
+ */
+
+export const TRACE_STAGES = {
+  alcohol: "Alcohol rules",
+  modifiers: "Modifier detection",
+  taxonomy: "Taxonomy",
+  base_override: "Base-ingredient override",
+  knowledge: "Knowledge base",
+  default_natural: "Natural plant default",
+  unknown: "Unknown ingredient",
+  dependency_tree: "Dependency tree",
+  inheritance: "Inheritance",
+  modifier_logic: "Conditional and processing modifiers",
+  confidence: "Confidence scoring",
+  rule_pack: "Madhab rule pack",
+  cross_contamination: "Cross-contamination",
+  personal_rules: "Personal rules"
+};
+
+function toScore(value) {
+  return typeof value === "number" && !Number.isNaN(value) ? value : null;
+}
+
+/**
+ * Build one trace step
+ * @param {string} stage - Key of TRACE_STAGES
+ * @param {Object} step - { statusIn, statusOut, confidenceIn, confidenceOut, source, details }
+ * @returns {Object} Trace step
+ */
+export function createTraceStep(stage, { statusIn = null, statusOut = null, confidenceIn = null, confidenceOut = null, source = null, details = [] } = {}) {
+  const scoreIn = toScore(confidenceIn);
+  const scoreOut = toScore(confidenceOut);
+  return {
+    stage,
+    label: TRACE_STAGES[stage] || stage,
+    statusIn,
+    statusOut,
+    confidenceIn: scoreIn,
+    confidenceOut: scoreOut,
+    confidenceDelta: scoreIn !== null && scoreOut !== null ? scoreOut - scoreIn : null,
+    source,
+    details
+  };
+}
+
+/**
+ * Record the stage that turned one evaluation result into the next
+ * @param {Object|null} before - Result going into the stage (null for the stage that produced the first ruling)
+ * @param {Object} after - Result coming out of it
+ * @param {string} stage - Key of TRACE_STAGES
+ * @param {Object|null} source - { file, entry }
+ * @returns {Object} after, with the step appended to traceSteps
+ */
+export function addTraceStep(before, after, stage, source = null) {
+  const step = createTraceStep(stage, {
+    statusIn: before ? before.status : null,
+    statusOut: after.status,
+    confidenceIn: before ? before.confidenceScore : null,
+    confidenceOut: after.confidenceScore,
+    source,
+    details: (after.trace || []).slice(before?.trace?.length || 0)
+  });
+  return { ...after, traceSteps: [...(before?.traceSteps || after.traceSteps || []), step] };
+}
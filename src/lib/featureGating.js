@@ -17,6 +17,7 @@ import { getUpgradeCopy } from './upgradeCopy';
  * - PDF/JSON export (vs. text only)
  * - Brand-level verification
  * - Batch conversion
+ * - Recipe scaling (servings + unit conversion)
  * - Conversion history
  * - Meal planning integration
  * 
@@ -129,6 +130,14 @@ export async function canUseBatchConversion() {
   return isPremiumUser();
 }
 
+/**
+ * Check if user can scale recipes by servings
+ * @returns {boolean}
+ */
+export function canUseRecipeScaling() {
+  return canUseFeature('recipeScaling');
+}
+
 /**
  * Check if user can export to PDF/JSON
  * @param {string} format - 'pdf' or 'json'
@@ -241,6 +250,7 @@ export function shouldShowUpgradePrompt(triggerFeature, context = {}) {
     strictHalalMode: true, // When trying to use feature
     pdfExport: true, // When trying to export
     batchConversion: true, // When trying to batch convert
+    recipeScaling: true, // When trying to scale a recipe
     conversionHistory: true // When trying to view history
   };
 
@@ -10,78 +10,33 @@
  * - references (Quran/Hadith)
  */
 
-import halalKnowledgeFlat from "../data/halal_knowledge_flat.json";
-import nestedIngredients from "../data/nested_ingredients.json";
-import halalKnowledgeLegacy from "../data/halal_knowledge.json"; // Keep for backward compatibility
 import { HALAL_RULES } from "./halalRules";
 import { formatIngredientName } from "./ingredientDisplay";
 import { classifyIngredient, getDefaultNaturalStatus } from "./ingredientClassification";
 import { getBaseIngredientOverride } from "./baseIngredientOverrides";
-import { detectModifiers, applyModifierLogic, extractBaseIngredient } from "./ingredientModifiers";
+import { detectModifiers, detectExplicitHaramModifiers, applyModifierLogic, extractBaseIngredient, isAlcoholModifier } from "./ingredientModifiers";
+import { detectAlcoholContext, classifyAlcohol } from "./alcoholRules";
+import { getRulePackRuling, removeRulePackTerms } from "./madhabRulePacks";
+import { findPersonalRule, getNeverSuggested, describePersonalRule } from "./personalRules";
 import { getTaxonomyResult, isInTaxonomy } from "./ingredientTaxonomy";
-import { applyConfidenceScoring } from "./confidenceScoringEngine";
+import { applyConfidenceScoring, scoreRuling, addBreakdownFactor } from "./confidenceScoringEngine";
+import { getKnowledgeBaseVersion } from "./knowledgeVersion";
+import { addTraceStep, createTraceStep } from "./evaluationTrace";
+import { lookupIngredient, getSourceEntry, getKnowledgeEntry, normalizeIngredientId, getHkmItem } from "./knowledgeRepository";
 
-// Merge legacy knowledge for backward compatibility
-const halalKnowledge = {
-  ...halalKnowledgeLegacy,
-  ...halalKnowledgeFlat
-};
-
-const STATUS_SCORE = {
-  halal: 1.0,
-  conditional: 0.6,
-  questionable: 0.5,
-  unknown: 0.4,
-  haram: 0.0
+// Severity order for getWorstStatus(), most severe first
+const STATUS_RANK = {
+  haram: 0,
+  unknown: 1,
+  questionable: 2,
+  conditional: 3,
+  halal: 4
 };
 
-/**
- * Standardized confidence scoring
- * SINGLE SOURCE OF TRUTH for all confidence calculations
- * Base: 100
- * Deduct based on ingredient confidenceImpact
- * 
- * Used by:
- * - Quick Lookup
- * - Full Recipe Conversion
- * - Recipe confidence score calculation
- */
-export function calculateConfidenceScore(baseConfidence, confidenceImpact, strictness = "standard", hasInheritance = false) {
-  // Start with base confidence scaled to 0-100
-  // baseConfidence is 0-1 (0.0 = haram, 1.0 = halal)
-  let score = baseConfidence * 100;
-  
-  // Apply confidence impact (negative values reduce score)
-  if (confidenceImpact < 0) {
-    score = Math.max(0, score + confidenceImpact);
-  } else if (confidenceImpact > 0) {
-    // Positive impacts can boost score (up to 100)
-    score = Math.min(100, score + confidenceImpact);
-  }
-  
-  // Adjust for strictness
-  if (strictness === "strict") {
-    // Strict: additional 5% reduction for questionable/conditional
-    if (baseConfidence <= 0.6) {
-      score *= 0.95;
-    }
-  } else if (strictness === "flexible") {
-    // Flexible: less penalty for questionable items
-    if (baseConfidence === 0.5) { // questionable
-      score = Math.min(100, score * 1.1); // Reduce penalty by 10%
-    }
-  }
-  
-  // Inheritance chain penalty (if derived from haram ingredient)
-  if (hasInheritance) {
-    score *= 0.92; // 8% reduction for inheritance
-  }
-  
-  return Math.max(0, Math.min(100, Math.round(score)));
-}
-
 /**
  * Get ruling based on school of thought and strictness
+ * ingredient.crossContamination: halal-concern findings from detectCrossContamination(), ruled on
+ * with HALAL_RULES.strictness[strictness].cross_contamination
  */
 function getRuling(ingredient, madhab = "no-preference", strictness = "standard") {
   // Get base ruling from ingredient
@@ -93,6 +48,14 @@ function getRuling(ingredient, madhab = "no-preference", strictness = "standard"
     ruling = rulings[madhab];
   }
   
+  // Apply cross-contamination with something haram (strict: haram, standard: questionable, flexible: ignored)
+  if (ingredient.crossContamination?.length > 0) {
+    const contaminationRuling = HALAL_RULES.strictness[strictness]?.cross_contamination;
+    if (contaminationRuling && contaminationRuling !== "halal") {
+      ruling = getWorstStatus([ruling, contaminationRuling]);
+    }
+  }
+  
   // Apply strictness modifiers
   if (strictness === "strict") {
     // Strict: upgrade questionable/conditional to haram
@@ -115,7 +78,275 @@ function getRuling(ingredient, madhab = "no-preference", strictness = "standard"
   return ruling;
 }
 
+/**
+ * Worst of several statuses (lowest STATUS_RANK): haram < unknown < questionable < conditional < halal
+ * @param {Array<string>} statuses
+ * @returns {string} "halal" for an empty list
+ */
+export function getWorstStatus(statuses) {
+  return statuses.reduce((worst, status) =>
+    (STATUS_RANK[status] ?? STATUS_RANK.unknown) < (STATUS_RANK[worst] ?? STATUS_RANK.unknown) ? status : worst
+  , "halal");
+}
+
+/**
+ * Status, confidence and isUnknown fields for a stage that rules again after evaluateItemRuling(),
+ * so none of them still describe the earlier ruling
+ * @param {Object} result - Result before the stage
+ * @param {string} status - Status the stage decided
+ * @param {number} confidenceScore - 0-100
+ * @param {Array} confidenceBreakdown - Factors that sum to confidenceScore
+ */
+function getRescoredFields(result, status, confidenceScore, confidenceBreakdown) {
+  const confidenceLevel = status === "halal" ? "certain_halal" : status === "unknown" ? "rare_unknown" : status === "haram" ? "haram" : "conditional";
+  return {
+    status,
+    confidenceScore,
+    confidence: confidenceScore / 100,
+    confidencePercentage: confidenceScore,
+    confidenceBreakdown,
+    confidenceLevel: status === result.status ? result.confidenceLevel : confidenceLevel,
+    ...(result.isUnknown ? { isUnknown: status === "unknown" } : {})
+  };
+}
+
+/**
+ * Resolve an item of the HKM products/sources model through what it contains and depends on
+ * A node's status is the worst of its own ruling and its children's statuses.
+ * Children missing from the HKM model are looked up in the knowledge base as leaves.
+ *
+ * @param {string} id - HKM ID
+ * @param {string} madhab - School of thought
+ * @param {string} strictness - Strictness level
+ * @returns {Object|null} { id, type, displayName, status, ownStatus, reason, brand, relation, children }
+ *   or null when the ID is not in the HKM model
+ */
+function buildDependencyTree(id, madhab, strictness, path = []) {
+  const item = getHkmItem(id);
+  if (!item) return null;
+
+  const rulings = { default: item.default_status || "unknown" };
+  Object.entries(item.schools || {}).forEach(([school, rule]) => {
+    rulings[school] = rule.status;
+  });
+  // Products have no ruling of their own, only their contents'
+  const ownStatus = item.type === "product" ? null : getRuling({ id, rulings, category: item.category }, madhab, strictness);
+
+  const children = [
+    ...(item.depends_on || []).map(childId => [childId, "depends_on"]),
+    ...(item.contains || []).map(childId => [childId, "contains"])
+  ].map(([childId, relation]) => {
+    if (path.includes(childId) || childId === id) {
+      return { id: childId, type: "cycle", displayName: formatIngredientName(childId), status: "unknown", ownStatus: "unknown", reason: "Circular dependency", relation, children: [] };
+    }
+    const child = buildDependencyTree(childId, madhab, strictness, [...path, id]);
+    if (child) return { ...child, relation };
+
+    const match = lookupIngredient(childId);
+    const status = match ? getRuling(match.entry, madhab, strictness) : "unknown";
+    return {
+      id: childId,
+      type: match ? "knowledge" : "unknown",
+      displayName: formatIngredientName(childId),
+      status,
+      ownStatus: status,
+      reason: match?.entry.notes || "",
+      relation,
+      children: []
+    };
+  });
+
+  const statuses = [ownStatus, ...children.map(child => child.status)].filter(Boolean);
+  return {
+    id,
+    type: item.type,
+    displayName: formatIngredientName(id),
+    status: statuses.length > 0 ? getWorstStatus(statuses) : "unknown",
+    ownStatus,
+    reason: item.reason || item.eli5 || "",
+    brand: item.brand,
+    relation: null,
+    children
+  };
+}
+
+/**
+ * IDs from a tree node down to the deepest node that gives it its status
+ * e.g. lucky_charms → marshmallow → gelatin → gelatin_source
+ */
+function getDeterminingPath(node) {
+  const path = [node.id];
+  let current = node;
+  let next = current.children.find(child => child.status === current.status);
+  while (next) {
+    path.push(next.id);
+    current = next;
+    next = current.children.find(child => child.status === current.status);
+  }
+  return path;
+}
+
+/**
+ * Evaluate an ingredient against the knowledge base
+ * Every result carries the knowledge-base version it was evaluated with (knowledgeVersion)
+ *
+ * @param {string} itemId - Ingredient ID or name
+ * @param {Object} options - { strictness, madhab } (or strictnessLevel, schoolOfThought),
+ *   crossContamination (from detectCrossContamination()), personalRules (from getPersonalRules(), applied last)
+ * @returns {Object} Evaluation result; traceSteps records each stage that fired (see evaluationTrace.js)
+ */
 export function evaluateItem(itemId, options = {}) {
+  const result = applyCrossContamination(applyRulePack(evaluateItemRuling(itemId, options), itemId, options), options);
+  return { ...applyPersonalRules(result, itemId, options), knowledgeVersion: getKnowledgeBaseVersion() };
+}
+
+/**
+ * Count cross-contamination statements ("fried in the same oil as bacon") as the user's strictness says
+ */
+function applyCrossContamination(result, options = {}) {
+  const crossContamination = (options.crossContamination || []).filter(finding => finding.isHalalConcern);
+  if (crossContamination.length === 0) return result;
+  
+  const status = getCrossContaminationRuling(result.status, crossContamination, options);
+  const statements = crossContamination.map(finding => `"${finding.statement}"`).join(", ");
+  const strictness = options.strictness || options.strictnessLevel || "standard";
+  const confidenceScore = status === result.status ? result.confidenceScore : Math.min(result.confidenceScore, status === "haram" ? 0 : 50);
+  return addTraceStep(result, {
+    ...result,
+    ...getRescoredFields(result, status, confidenceScore, addBreakdownFactor(result.confidenceBreakdown, "cross_contamination", confidenceScore - result.confidenceScore)),
+    crossContamination,
+    trace: [...(result.trace || []), `Cross-contamination: ${statements} → ${status === result.status ? "no change" : status} (${strictness} strictness)`]
+  }, "cross_contamination", { file: "halalRules.js", entry: `strictness.${strictness}.cross_contamination` });
+}
+
+/**
+ * Apply the user's personal rules after everything else: a forced status, and substitutes never to suggest
+ */
+function applyPersonalRules(result, itemId, options = {}) {
+  const rules = options.personalRules || [];
+  if (rules.length === 0) return result;
+  
+  const neverSuggested = getNeverSuggested(rules);
+  const alternatives = result.alternatives?.filter(id => !neverSuggested.has(normalizeIngredientId(id)));
+  const hiddenAlternatives = (result.alternatives || []).filter(id => neverSuggested.has(normalizeIngredientId(id)));
+  const rule = findPersonalRule(itemId, rules);
+  if (!rule && hiddenAlternatives.length === 0) return result;
+  
+  const applied = [
+    ...(rule ? [rule] : []),
+    ...rules.filter(candidate => candidate.type === "never_suggest" && hiddenAlternatives.some(id => normalizeIngredientId(id) === candidate.target))
+  ];
+  const status = rule ? rule.status : result.status;
+  const strictness = options.strictness || options.strictnessLevel || "standard";
+  const rescored = status === result.status ? null : scoreRuling({ status, strictness });
+  const confidenceScore = rescored ? rescored.score : result.confidenceScore;
+  return addTraceStep(result, {
+    ...result,
+    ...getRescoredFields(result, status, confidenceScore, rescored ? rescored.factors : result.confidenceBreakdown),
+    alternatives,
+    personalRules: applied,
+    trace: [...(result.trace || []), ...applied.map(appliedRule => `Personal rule: ${describePersonalRule(appliedRule)}`)]
+  }, "personal_rules", { file: "localStorage: halalPersonalRules", entry: applied.map(appliedRule => appliedRule.id).join(", ") });
+}
+
+/**
+ * Rule-pack ruling an entry gets through what it is derived from ("parmesan_cheese" → "animal_rennet")
+ * Only when every parent falls under a pack itself or through its own parents, so a pack never relaxes an entry
+ * that is also derived from something outside it; a parent with its own ruling for the school stops the chain.
+ * @returns {Object|null} The worst of the parents' pack rulings, with via (the parent in the pack's category)
+ */
+function getInheritedRulePackRuling(id, madhab, visited = new Set()) {
+  if (visited.has(id)) return null;
+  visited.add(id);
+  
+  const entry = getKnowledgeEntry(id);
+  const parents = entry?.derivedFrom?.length > 0 ? entry.derivedFrom : entry?.inheritance || [];
+  if (parents.length === 0) return null;
+  
+  const rules = parents.map(parentId => {
+    if (getKnowledgeEntry(parentId)?.rulings?.[madhab]) return null;
+    const rule = getRulePackRuling(parentId, madhab);
+    return rule ? { ...rule, via: parentId } : getInheritedRulePackRuling(parentId, madhab, visited);
+  });
+  if (rules.some(rule => !rule)) return null;
+  const worst = getWorstStatus(rules.map(rule => rule.status));
+  return rules.find(rule => rule.status === worst);
+}
+
+/**
+ * Apply the user's school's rule pack to an item in one of its categories (shellfish, carmine, horse meat, ...),
+ * or derived from items in one ("parmesan_cheese" from "animal_rennet")
+ * The item's own ruling for the school wins, and a pack never relaxes a haram modifier from outside its category ("pork and shrimp").
+ */
+function applyRulePack(result, itemId, options = {}) {
+  const madhab = options.madhab || options.schoolOfThought || "no-preference";
+  const strictness = options.strictness || options.strictnessLevel || "standard";
+  const match = lookupIngredient(itemId);
+  const rule = getRulePackRuling(String(itemId), madhab) || (match ? getInheritedRulePackRuling(match.id, madhab) : null);
+  if (!rule) return result;
+  
+  if (match && getSourceEntry(match.id, match.source)?.rulings?.[madhab]) return result;
+  
+  // A haram modifier stands when it names something besides the category ("pork and shrimp"),
+  // not when it only restates it ("horse meat")
+  if (result.isHaramModifierOverride && detectExplicitHaramModifiers(removeRulePackTerms(String(itemId), rule.category)).length > 0) {
+    return result;
+  }
+  
+  const status = getRuling({ status: rule.status }, madhab, strictness);
+  const changed = status !== result.status;
+  const rescored = changed ? scoreRuling({ status, strictness }) : null;
+  const confidenceScore = rescored ? rescored.score : result.confidenceScore;
+  return addTraceStep(result, {
+    ...result,
+    ...getRescoredFields(result, status, confidenceScore, rescored ? rescored.factors : result.confidenceBreakdown),
+    ...(result.isHaramModifierOverride ? { isHaramModifierOverride: false, haramModifiers: [], eli5: rule.explanation, simpleExplanation: rule.explanation } : {}),
+    explanation: changed ? rule.explanation : result.explanation,
+    notes: changed ? rule.explanation : result.notes,
+    references: [...new Set([...(result.references || []), ...rule.references])],
+    rulePack: { madhab: rule.madhab, pack: rule.pack, category: rule.category, status: rule.status, ...(rule.via ? { via: rule.via } : {}) },
+    trace: [...(result.trace || []), `${rule.pack}: ${rule.label}${rule.via ? ` (via ${rule.via})` : ""} → ${rule.status}`]
+  }, "rule_pack", { file: "halalRules.js", entry: `madhab.${rule.madhab}.${rule.category}` });
+}
+
+/**
+ * Ruling after cross-contamination statements, by the user's strictness
+ * Only findings that are a halal concern count.
+ * @param {string} status - Ruling without the statements
+ * @param {Array} findings - From detectCrossContamination()
+ * @param {Object} options - { strictness, madhab } (or strictnessLevel, schoolOfThought)
+ * @returns {string} Status
+ */
+export function getCrossContaminationRuling(status, findings, options = {}) {
+  const crossContamination = (findings || []).filter(finding => finding.isHalalConcern);
+  if (crossContamination.length === 0) return status;
+  
+  // Statements can only make a ruling worse, never relax it the way flexible strictness would
+  return getWorstStatus([status, getRuling(
+    { status, crossContamination },
+    options.madhab || options.schoolOfThought || "no-preference",
+    options.strictness || options.strictnessLevel || "standard"
+  )]);
+}
+
+/**
+ * Run the confidence scoring engine on a stage's result, recording what it changed
+ */
+function scoreWithTrace(result, scoringParams) {
+  return addTraceStep(result, applyConfidenceScoring(result, scoringParams), "confidence", { file: "confidenceScoringEngine.js", entry: result.ingredientType || null });
+}
+
+/**
+ * Apply conditional, processing and source-qualifier modifiers, recording the step when one applied
+ */
+function applyModifiersWithTrace(normalizedId, result, modifierDetection) {
+  const modified = applyModifierLogic(normalizedId, result, modifierDetection);
+  if (modified === result) return result;
+  const modifier = [...(modified.resolvedModifiers || []), ...(modified.conditionalModifiers || []), ...(modified.processingModifiers || [])][0];
+  return addTraceStep(result, modified, "modifier_logic", { file: "ingredientModifiers.js", entry: modifier?.type || null });
+}
+
+function evaluateItemRuling(itemId, options = {}) {
   const trace = [];
   const visited = new Set();
   let tags = [];
@@ -128,6 +359,8 @@ export function evaluateItem(itemId, options = {}) {
   let displayName = null;
   let confidenceImpact = 0;
   let finalRuling = "unknown";
+  let knowledgeSource = null;
+  let knowledgeMatch = null;
 
   // Get preferences
   const prefs = options || {};
@@ -135,12 +368,57 @@ export function evaluateItem(itemId, options = {}) {
   const madhab = prefs.madhab || prefs.schoolOfThought || "no-preference";
 
   // Normalize item ID
-  const normalizedId = itemId.toLowerCase().trim().replace(/\s+/g, "_");
+  const normalizedId = normalizeIngredientId(itemId);
 
   // Detect modifiers FIRST (before base ingredient override)
   // Haram modifiers override everything, processing modifiers add conditions
   const modifierDetection = detectModifiers(normalizedId);
   
+  // Alcohol is ruled on by what the item says about it (ABV, origin, vinegar, cooking), per madhab
+  // and strictness, instead of the blanket haram override below
+  const alcohol = modifierDetection.hasHaramModifier && modifierDetection.haramModifiers.every(isAlcoholModifier)
+    ? classifyAlcohol(detectAlcoholContext(String(itemId)), strictness)
+    : null;
+  if (alcohol) {
+    const alcoholStatus = getRuling({ rulings: alcohol.rulings }, madhab, strictness);
+    const alcoholConfidence = scoreRuling({ status: alcoholStatus, strictness });
+    
+    return scoreWithTrace(addTraceStep(null, {
+      status: alcoholStatus,
+      confidenceScore: alcoholConfidence.score,
+      confidence: alcoholConfidence.score / 100,
+      confidencePercentage: alcoholConfidence.score,
+      confidenceBreakdown: alcoholConfidence.factors,
+      confidenceLevel: alcoholStatus === "halal" ? "certain_halal" : alcoholStatus,
+      ingredientType: "alcohol-derived",
+      trace: [
+        `Alcohol: ${alcohol.category.replace(/_/g, " ")}${alcohol.isTrace ? ` (within the ${alcohol.traceLimit}% trace limit)` : ""}`,
+        `Alcohol ruling${alcohol.rulings[madhab] ? ` (${madhab})` : ""}: ${alcoholStatus}`
+      ],
+      eli5: alcohol.explanation,
+      simpleExplanation: alcohol.explanation,
+      explanation: alcohol.explanation,
+      alternatives: [],
+      notes: alcohol.explanation,
+      references: alcohol.references,
+      tags: ["alcohol", alcohol.category],
+      displayName: formatIngredientName(normalizedId),
+      confidenceImpact: 0,
+      alcoholCategory: alcohol.category,
+      bypassAI: true
+    }, "alcohol", { file: "halalRules.js", entry: `alcohol.${alcohol.category}` }), {
+      isProcessed: true,
+      isCertified: false,
+      hasAdditives: false,
+      hasInheritance: false,
+      hasConditionalModifier: false,
+      hasProcessingModifier: false,
+      isTaxonomyBased: false,
+      isBaseIngredientOverride: false,
+      isNaturalPlant: false
+    });
+  }
+  
   // If haram modifier detected, return haram immediately (bypasses everything)
   if (modifierDetection.hasHaramModifier) {
     const haramModifier = modifierDetection.haramModifiers[0];
@@ -178,7 +456,7 @@ export function evaluateItem(itemId, options = {}) {
     };
     
     // Apply confidence scoring engine (haram = low confidence)
-    return applyConfidenceScoring(haramResult, {
+    return scoreWithTrace(addTraceStep(null, haramResult, "modifiers", { file: "ingredientModifiers.js", entry: haramModifier }), {
       isProcessed: true,
       isCertified: false,
       hasAdditives: false,
@@ -199,19 +477,15 @@ export function evaluateItem(itemId, options = {}) {
   const taxonomyResult = getTaxonomyResult(baseIngredientId || normalizedId, null);
   if (taxonomyResult) {
     const normalizedDisplayName = formatIngredientName(normalizedId);
-    const taxonomyConfidenceScore = calculateConfidenceScore(
-      taxonomyResult.confidenceScore / 100,
-      0,
-      strictness,
-      false
-    );
+    const taxonomyConfidence = scoreRuling({ base: taxonomyResult.confidenceScore, strictness });
     
     // Build base result from taxonomy
     const taxonomyBaseResult = {
       status: taxonomyResult.status,
-      confidenceScore: taxonomyConfidenceScore,
-      confidence: taxonomyConfidenceScore / 100,
-      confidencePercentage: taxonomyConfidenceScore,
+      confidenceScore: taxonomyConfidence.score,
+      confidence: taxonomyConfidence.score / 100,
+      confidencePercentage: taxonomyConfidence.score,
+      confidenceBreakdown: taxonomyConfidence.factors,
       confidenceLevel: taxonomyResult.confidenceLevel,
       ingredientType: taxonomyResult.category === "natural_plant" ? "natural" :
                      taxonomyResult.category === "processed_plant" ? "processed" :
@@ -234,10 +508,11 @@ export function evaluateItem(itemId, options = {}) {
     };
     
     // Apply modifier logic (processing modifiers may add conditions)
-    const result = applyModifierLogic(normalizedId, taxonomyBaseResult, modifierDetection);
+    const taxonomyStep = addTraceStep(null, taxonomyBaseResult, "taxonomy", { file: "ingredientTaxonomy.js", entry: taxonomyResult.category });
+    const result = applyModifiersWithTrace(normalizedId, taxonomyStep, modifierDetection);
     
     // Apply confidence scoring engine
-    return applyConfidenceScoring(result, {
+    return scoreWithTrace(result, {
       isProcessed: taxonomyResult.category === 'processed_plant',
       isCertified: false,
       hasAdditives: taxonomyResult.category === 'processed_plant',
@@ -255,13 +530,14 @@ export function evaluateItem(itemId, options = {}) {
   const baseOverride = getBaseIngredientOverride(baseIngredientId);
   if (baseOverride) {
     const normalizedDisplayName = formatIngredientName(normalizedId);
-    const halalConfidenceScore = calculateConfidenceScore(STATUS_SCORE.halal, 0, strictness, false);
+    const halalConfidence = scoreRuling({ status: "halal", strictness });
     
     const baseResult = {
       status: "halal",
-      confidenceScore: halalConfidenceScore,
-      confidence: halalConfidenceScore / 100,
-      confidencePercentage: halalConfidenceScore,
+      confidenceScore: halalConfidence.score,
+      confidence: halalConfidence.score / 100,
+      confidencePercentage: halalConfidence.score,
+      confidenceBreakdown: halalConfidence.factors,
       confidenceLevel: baseOverride.confidenceLevel,
       ingredientType: baseOverride.ingredientType,
       trace: [`Base ingredient override: ${baseIngredientId} (plain plant-based, always halal)`],
@@ -279,10 +555,11 @@ export function evaluateItem(itemId, options = {}) {
     };
     
     // Apply modifier logic (processing modifiers may add conditions)
-    const result = applyModifierLogic(normalizedId, baseResult, modifierDetection);
+    const baseStep = addTraceStep(null, baseResult, "base_override", { file: "baseIngredientOverrides.js", entry: baseIngredientId });
+    const result = applyModifiersWithTrace(normalizedId, baseStep, modifierDetection);
     
     // Apply confidence scoring engine
-    return applyConfidenceScoring(result, {
+    return scoreWithTrace(result, {
       isProcessed: false,
       isCertified: false,
       hasAdditives: false,
@@ -303,43 +580,31 @@ export function evaluateItem(itemId, options = {}) {
     visited.add(id);
     const newPath = [...path, id];
 
-    // Try nested structure first
-    let ingredient = nestedIngredients[id];
-    
-    // Try flat structure
-    if (!ingredient) {
-      ingredient = halalKnowledgeFlat[id];
-    }
-    
-    // Check aliases
-    if (!ingredient) {
-      for (const [key, value] of Object.entries(halalKnowledgeFlat)) {
-        if (value.aliases && Array.isArray(value.aliases) && value.aliases.includes(id)) {
-          ingredient = value;
-          break;
-        }
-      }
+    // One lookup across nested, flat and legacy knowledge (IDs and aliases)
+    const match = lookupIngredient(id);
+    let ingredient = match ? getSourceEntry(match.id, match.source) : null;
+
+    if (ingredient && match.source === "legacy") {
+      // Convert legacy format
+      ingredient = {
+        id: match.id,
+        displayName: ingredient.name || match.id.replace(/_/g, " "),
+        status: ingredient.status || "unknown",
+        derivedFrom: ingredient.inheritance || [],
+        rulings: { default: ingredient.status || "unknown" },
+        alternatives: ingredient.alternatives || [],
+        notes: ingredient.notes || "",
+        references: ingredient.references || [],
+        aliases: ingredient.aliases || [],
+        confidenceImpact: ingredient.confidence_score_base === 0.1 ? -40 : 
+                         ingredient.confidence_score_base === 0.5 ? -30 : -15
+      };
     }
-    
-    // Fallback to legacy knowledge
-    if (!ingredient) {
-      ingredient = halalKnowledge[id];
-      if (ingredient) {
-        // Convert legacy format
-        ingredient = {
-          id,
-          displayName: ingredient.name || id.replace(/_/g, " "),
-          status: ingredient.status || "unknown",
-          derivedFrom: ingredient.inheritance || [],
-          rulings: { default: ingredient.status || "unknown" },
-          alternatives: ingredient.alternatives || [],
-          notes: ingredient.notes || "",
-          references: ingredient.references || [],
-          aliases: ingredient.aliases || [],
-          confidenceImpact: ingredient.confidence_score_base === 0.1 ? -40 : 
-                           ingredient.confidence_score_base === 0.5 ? -30 : -15
-        };
-      }
+
+    if (ingredient && path.length === 0) {
+      knowledgeSource = match.source;
+      knowledgeMatch = match;
+      trace.push(`Knowledge source: ${match.sourceFile}${match.matchedBy === "alias" ? ` (alias of ${match.id})` : ""}`);
     }
 
     if (!ingredient) {
@@ -403,7 +668,27 @@ export function evaluateItem(itemId, options = {}) {
   }
 
   // Resolve inheritance chain
-  const rootItem = resolveInheritance(normalizedId);
+  let rootItem = resolveInheritance(normalizedId);
+
+  // Products and composite ingredients of the HKM model resolve through everything they contain
+  const hkmTree = buildDependencyTree(lookupIngredient(normalizedId)?.id || normalizedId, madhab, strictness);
+  const dependencyTree = hkmTree?.children.length > 0 ? hkmTree : null;
+  if (!rootItem && dependencyTree) {
+    const hkmItem = getHkmItem(dependencyTree.id);
+    trace.push(`${dependencyTree.id} is a ${dependencyTree.type} in the HKM model`);
+    eli5 = hkmItem.eli5 || "";
+    if (hkmItem.category) tags.push(hkmItem.category);
+    rootItem = {
+      id: dependencyTree.id,
+      displayName: dependencyTree.displayName,
+      status: dependencyTree.status,
+      rulings: { default: dependencyTree.status },
+      derivedFrom: [],
+      alternatives: [],
+      references: [],
+      category: hkmItem.category || dependencyTree.type
+    };
+  }
   
   if (!rootItem) {
     // Unknown ingredient - check if it's a natural plant-based ingredient (default to halal)
@@ -412,13 +697,14 @@ export function evaluateItem(itemId, options = {}) {
     if (defaultNatural) {
       // Natural plant-based ingredient - default to halal
       const normalizedDisplayName = formatIngredientName(normalizedId);
-      const halalConfidenceScore = calculateConfidenceScore(STATUS_SCORE.halal, 0, strictness, false);
+      const halalConfidence = scoreRuling({ status: "halal", strictness });
       
       const defaultResult = {
         status: "halal",
-        confidenceScore: halalConfidenceScore,
-        confidence: halalConfidenceScore / 100,
-        confidencePercentage: halalConfidenceScore,
+        confidenceScore: halalConfidence.score,
+        confidence: halalConfidence.score / 100,
+        confidencePercentage: halalConfidence.score,
+        confidenceBreakdown: halalConfidence.factors,
         confidenceLevel: "certain_halal",
         ingredientType: "natural",
         trace: [`Natural plant-based ingredient: ${normalizedId} (default halal)`],
@@ -435,10 +721,11 @@ export function evaluateItem(itemId, options = {}) {
       };
       
       // Apply modifier logic first
-      const result = applyModifierLogic(normalizedId, defaultResult, modifierDetection);
+      const defaultStep = addTraceStep(null, defaultResult, "default_natural", { file: "ingredientClassification.js", entry: normalizedId });
+      const result = applyModifiersWithTrace(normalizedId, defaultStep, modifierDetection);
       
       // Apply confidence scoring engine
-      return applyConfidenceScoring(result, {
+      return scoreWithTrace(result, {
         isProcessed: false,
         isCertified: false,
         hasAdditives: false,
@@ -453,13 +740,14 @@ export function evaluateItem(itemId, options = {}) {
     
     // Truly unknown ingredient (not natural) - use rare_unknown
     const normalizedDisplayName = formatIngredientName(normalizedId);
-    const unknownConfidenceScore = calculateConfidenceScore(STATUS_SCORE.unknown, 0, strictness, false);
+    const unknownConfidence = scoreRuling({ status: "unknown", strictness });
     
-    return {
+    const unknownResult = {
       status: "unknown",
-      confidenceScore: unknownConfidenceScore,
-      confidence: unknownConfidenceScore / 100,
-      confidencePercentage: unknownConfidenceScore,
+      confidenceScore: unknownConfidence.score,
+      confidence: unknownConfidence.score / 100,
+      confidencePercentage: unknownConfidence.score,
+      confidenceBreakdown: unknownConfidence.factors,
       confidenceLevel: "rare_unknown",
       ingredientType: "processed", // Default to processed for unknown
       trace: [`Unknown item: ${normalizedId} (rare/unknown)`],
@@ -474,10 +762,49 @@ export function evaluateItem(itemId, options = {}) {
       confidenceImpact: 0,
       isUnknown: true
     };
+    
+    // A source qualifier still settles an unlisted source-dependent ingredient ("sunflower lecithin")
+    const unknownStep = addTraceStep(null, unknownResult, "unknown");
+    if (modifierDetection.resolvedModifiers.length > 0) {
+      const result = applyModifiersWithTrace(normalizedId, unknownStep, modifierDetection);
+      return scoreWithTrace({ ...result, isUnknown: result.status === "unknown" }, {
+        isProcessed: true,
+        isCertified: false,
+        hasAdditives: false,
+        hasInheritance: false,
+        hasConditionalModifier: modifierDetection.hasConditionalModifier,
+        hasProcessingModifier: modifierDetection.hasProcessingModifier,
+        isTaxonomyBased: false,
+        isBaseIngredientOverride: false,
+        isNaturalPlant: false
+      });
+    }
+    
+    return unknownStep;
   }
 
+  // Stages of the knowledge-base path, recorded as they settle the ruling and its base confidence
+  const ruleSteps = [];
+  let lastStep = null;
+  const recordStep = (stage, status, confidenceScore, source) => {
+    ruleSteps.push(createTraceStep(stage, {
+      statusIn: lastStep ? lastStep.status : null,
+      statusOut: status,
+      confidenceIn: lastStep ? lastStep.confidenceScore : null,
+      confidenceOut: confidenceScore,
+      source,
+      details: trace.slice(lastStep ? lastStep.traceLength : 0)
+    }));
+    lastStep = { status, confidenceScore, traceLength: trace.length };
+  };
+  const baseConfidence = (status, hasInheritance = false) =>
+    scoreRuling({ status, impact: confidenceImpact, strictness, hasInheritance }).score;
+
   // Get final ruling based on school and strictness
   finalRuling = getRuling(rootItem, madhab, strictness);
+  recordStep("knowledge", finalRuling, baseConfidence(finalRuling), knowledgeMatch
+    ? { file: knowledgeMatch.sourceFile, entry: knowledgeMatch.id }
+    : { file: `halal/${dependencyTree.type}s.json`, entry: dependencyTree.id });
   
   // Classify ingredient type and confidence level
   const classification = classifyIngredient(normalizedId, rootItem, finalRuling);
@@ -493,6 +820,22 @@ export function evaluateItem(itemId, options = {}) {
         tags.push("natural", "plant-based");
       }
     }
+    recordStep("default_natural", finalRuling, baseConfidence(finalRuling), { file: "ingredientClassification.js", entry: normalizedId });
+  }
+  
+  // A product is only as halal as the worst thing it contains
+  if (dependencyTree) {
+    const determiningPath = getDeterminingPath(dependencyTree);
+    const treeStatus = dependencyTree.status;
+    dependencyTree.status = getWorstStatus([finalRuling, treeStatus]);
+    if (dependencyTree.status !== finalRuling) {
+      finalRuling = dependencyTree.status;
+      if (determiningPath.length > 1) {
+        inheritedFrom = determiningPath[determiningPath.length - 1];
+      }
+    }
+    trace.push(`Dependency tree: ${determiningPath.join(" → ")} (${treeStatus})`);
+    recordStep("dependency_tree", finalRuling, baseConfidence(finalRuling, true), { file: `halal/${dependencyTree.type}s.json`, entry: dependencyTree.id });
   }
   
   // Check if preference was applied (ruling changed from default)
@@ -502,13 +845,8 @@ export function evaluateItem(itemId, options = {}) {
   }
 
   // Calculate confidence score
-  const hasInheritance = !!inheritedFrom || (rootItem.derivedFrom && rootItem.derivedFrom.length > 0);
-  const finalConfidence = calculateConfidenceScore(
-    STATUS_SCORE[finalRuling] || STATUS_SCORE.unknown,
-    confidenceImpact,
-    strictness,
-    hasInheritance
-  );
+  const hasInheritance = !!inheritedFrom || (rootItem.derivedFrom && rootItem.derivedFrom.length > 0) || !!dependencyTree;
+  const finalConfidence = scoreRuling({ status: finalRuling, impact: confidenceImpact, strictness, hasInheritance });
 
   // Build trace with inheritance chain
   const inheritanceChain = [];
@@ -516,7 +854,8 @@ export function evaluateItem(itemId, options = {}) {
     if (visited.has(id)) return;
     visited.add(id);
     
-    const ing = nestedIngredients[id] || halalKnowledgeFlat[id];
+    const match = lookupIngredient(id);
+    const ing = match && (getSourceEntry(match.id, "nested") || getSourceEntry(match.id, "flat"));
     if (ing?.derivedFrom || ing?.inheritance) {
       const parents = ing.derivedFrom || ing.inheritance || [];
       for (const parentId of parents) {
@@ -528,10 +867,16 @@ export function evaluateItem(itemId, options = {}) {
   buildChain(normalizedId);
 
   // Build comprehensive trace
-  const fullTrace = [...trace];
   if (inheritanceChain.length > 0) {
-    fullTrace.push(`Inherited from: ${inheritanceChain.reverse().join(" → ")}`);
+    trace.push(`Inherited from: ${inheritanceChain.reverse().join(" → ")}`);
+  }
+  if (inheritedFrom || rootItem.derivedFrom?.length > 0 || inheritanceChain.length > 0) {
+    recordStep("inheritance", finalRuling, finalConfidence.score, {
+      file: knowledgeMatch?.sourceFile || null,
+      entry: inheritedFrom || (rootItem.derivedFrom?.length > 0 ? rootItem.derivedFrom.join(", ") : inheritanceChain.join(", "))
+    });
   }
+  const fullTrace = [...trace];
 
   // Remove duplicates
   const uniqueTags = [...new Set(tags)];
@@ -548,8 +893,9 @@ export function evaluateItem(itemId, options = {}) {
   const explanation = notes || eli5 || "";
   
   // Extract replacement ratio and culinary notes from knowledge base
-  // Check both rootItem and halalKnowledgeFlat for these fields
-  const flatEntry = halalKnowledgeFlat[normalizedId];
+  // Check both rootItem and the merged knowledge record for these fields
+  const rootMatch = lookupIngredient(normalizedId);
+  const flatEntry = rootMatch ? getKnowledgeEntry(rootMatch.id) : null;
   const replacementRatio = rootItem.conversion_ratio || 
                           rootItem.replacementRatio || 
                           flatEntry?.conversion_ratio ||
@@ -562,13 +908,14 @@ export function evaluateItem(itemId, options = {}) {
                         null;
 
   // Ensure confidenceScore is ALWAYS a number 0-100, never undefined or 0 unless truly 0
-  const confidenceScore = finalConfidence; // Already 0-100 from calculateConfidenceScore
+  const confidenceScore = finalConfidence.score; // Already 0-100 from scoreRuling
 
   const baseResult = {
     status: finalRuling,
     confidenceScore: confidenceScore, // PRIMARY: 0-100 format (required, never undefined)
     confidence: confidenceScore / 100, // Backward compatibility: 0-1 format
     confidencePercentage: confidenceScore, // Alias for confidenceScore
+    confidenceBreakdown: finalConfidence.factors, // [{ factor, label, delta }], see confidenceScoringEngine.js
     confidenceLevel: classification.confidenceLevel, // NEW: certain_halal, conditional, haram, rare_unknown
     ingredientType: classification.type, // NEW: natural, processed, animal, alcohol-derived
     trace: fullTrace,
@@ -584,11 +931,14 @@ export function evaluateItem(itemId, options = {}) {
     displayName: finalDisplayName, // Normalized display name (never snake_case)
     confidenceImpact,
     inheritanceChain: inheritanceChain.length > 0 ? inheritanceChain : undefined,
-    isDefaultHalal: classification.isDefaultHalal || false // Flag for default halal natural ingredients
+    isDefaultHalal: classification.isDefaultHalal || false, // Flag for default halal natural ingredients
+    knowledgeSource: knowledgeSource || undefined, // Knowledge file that answered (nested, flat or legacy)
+    dependencyTree: dependencyTree || undefined, // HKM products/sources: { id, type, status, children: [...] }
+    traceSteps: ruleSteps
   };
   
   // Apply modifier logic (processing modifiers may add conditions)
-  const result = applyModifierLogic(normalizedId, baseResult, modifierDetection);
+  const result = applyModifiersWithTrace(normalizedId, baseResult, modifierDetection);
 
   // Add inheritedFrom if applicable
   if (inheritedFrom) {
@@ -605,7 +955,7 @@ export function evaluateItem(itemId, options = {}) {
   }
   
   // Apply confidence scoring engine (maps to high/medium/low)
-  const finalResult = applyConfidenceScoring(result, {
+  const finalResult = scoreWithTrace(result, {
     isProcessed: classification.type === 'processed',
     isCertified: false, // TODO: Add certification detection
     hasAdditives: classification.type === 'processed',
@@ -4,34 +4,76 @@ export const HALAL_RULES = {
       alcohol: "haram",
       gelatin_unknown: "haram",
       enzymes_unknown: "haram",
-      cross_contamination: "haram"
+      cross_contamination: "haram",
+      alcohol_trace_limit: 0
     },
     standard: {
       alcohol: "haram",
       gelatin_unknown: "questionable",
       enzymes_unknown: "questionable",
-      cross_contamination: "questionable"
+      cross_contamination: "questionable",
+      alcohol_trace_limit: 0.5
     },
     flexible: {
       alcohol_trace: "questionable",
       gelatin_unknown: "questionable",
       enzymes_unknown: "halal",
-      cross_contamination: "halal"
+      cross_contamination: "halal",
+      alcohol_trace_limit: 1
     }
   },
 
+  // Category-level positions of each school (rule packs); what belongs to each category is in madhabRulePacks.js
   madhab: {
     hanafi: {
-      seafood_shellfish: "haram"
+      seafood_shellfish: "haram",
+      crocodilian: "haram",
+      amphibian: "haram",
+      insect: "haram",
+      horse_meat: "questionable",
+      rennet_non_zabiha: "halal",
+      alcohol_vinegar: "halal"
     },
     shafii: {
-      seafood_shellfish: "halal"
+      seafood_shellfish: "halal",
+      crocodilian: "haram",
+      amphibian: "haram",
+      insect: "haram",
+      horse_meat: "halal",
+      rennet_non_zabiha: "haram",
+      alcohol_vinegar: "questionable"
     },
     maliki: {
-      seafood_shellfish: "halal"
+      seafood_shellfish: "halal",
+      crocodilian: "halal",
+      amphibian: "halal",
+      insect: "halal",
+      horse_meat: "questionable",
+      rennet_non_zabiha: "questionable",
+      alcohol_vinegar: "halal"
     },
     hanbali: {
-      seafood_shellfish: "halal"
+      seafood_shellfish: "halal",
+      crocodilian: "haram",
+      amphibian: "haram",
+      insect: "haram",
+      horse_meat: "halal",
+      rennet_non_zabiha: "questionable",
+      alcohol_vinegar: "questionable"
     }
+  },
+
+  // Rulings per alcohol category ("default" for no preference); what belongs to each category is in alcoholRules.js
+  alcohol: {
+    khamr: { default: "haram" },
+    khamr_trace: { default: "questionable" },
+    cooked_off: { default: "haram" },
+    // Each school's position is in its rule pack (alcohol_vinegar)
+    khamr_vinegar: { default: "conditional" },
+    natural_trace: { default: "halal" },
+    synthetic_ethanol: { default: "conditional", hanafi: "halal" },
+    ethanol_trace: { default: "halal" },
+    ethanol: { default: "questionable", hanafi: "conditional" },
+    alcohol_free: { default: "halal" }
   }
 };
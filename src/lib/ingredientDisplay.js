@@ -6,8 +6,7 @@
  */
 
 import displayMap from "../data/ingredient_display_map.json";
-import halalKnowledgeFlat from "../data/halal_knowledge_flat.json";
-import nestedIngredients from "../data/nested_ingredients.json";
+import { getKnowledgeEntry, normalizeIngredientId } from "./knowledgeRepository";
 
 /**
  * Format ingredient ID to display name
@@ -18,18 +17,12 @@ export function formatIngredientName(ingredientId) {
     return "Unknown Ingredient";
   }
 
-  const normalizedId = ingredientId.toLowerCase().trim();
+  const normalizedId = normalizeIngredientId(ingredientId);
   
-  // Try nested structure first
-  const nestedIng = nestedIngredients[normalizedId];
-  if (nestedIng?.displayName) {
-    return nestedIng.displayName;
-  }
-  
-  // Try flat structure
-  const flatIng = halalKnowledgeFlat[normalizedId];
-  if (flatIng?.displayName) {
-    return flatIng.displayName;
+  // Try nested/flat structure (knowledge repository prefers the nested displayName)
+  const knowledgeEntry = getKnowledgeEntry(normalizedId);
+  if (knowledgeEntry?.displayName) {
+    return knowledgeEntry.displayName;
   }
   
   // Check display map
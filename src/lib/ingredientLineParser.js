@@ -0,0 +1,466 @@
+/**
+ * Ingredient Line Parser
+ * Splits recipe text into ingredient lines and instruction steps, and extracts
+ * quantity, unit, ingredient name and preparation notes from each ingredient line
+ *
+ * Every parsed line keeps its character offsets in the original text so that
+ * detection and replacement can work per line instead of on the whole blob
+ */
+
+/**
+ * Unicode vulgar fractions → numeric value
+ */
+const UNICODE_FRACTIONS = {
+  "¼": 0.25,
+  "½": 0.5,
+  "¾": 0.75,
+  "⅓": 1 / 3,
+  "⅔": 2 / 3,
+  "⅕": 0.2,
+  "⅖": 0.4,
+  "⅗": 0.6,
+  "⅘": 0.8,
+  "⅙": 1 / 6,
+  "⅚": 5 / 6,
+  "⅛": 0.125,
+  "⅜": 0.375,
+  "⅝": 0.625,
+  "⅞": 0.875
+};
+
+/**
+ * Canonical unit → written forms recognised in recipe text
+ * Multi-word forms ("fl oz") are matched before single words
+ */
+export const UNIT_ALIASES = {
+  tsp: ["tsp", "tsps", "teaspoon", "teaspoons", "t"],
+  tbsp: ["tbsp", "tbsps", "tbs", "tbl", "tablespoon", "tablespoons", "T"],
+  cup: ["cup", "cups", "c"],
+  fl_oz: ["fl oz", "fl. oz", "fl. oz.", "fluid ounce", "fluid ounces", "floz"],
+  pint: ["pint", "pints", "pt"],
+  quart: ["quart", "quarts", "qt"],
+  gallon: ["gallon", "gallons", "gal"],
+  ml: ["ml", "millilitre", "millilitres", "milliliter", "milliliters"],
+  l: ["l", "litre", "litres", "liter", "liters"],
+  g: ["g", "gram", "grams", "gr"],
+  kg: ["kg", "kilogram", "kilograms", "kilo", "kilos"],
+  oz: ["oz", "ounce", "ounces"],
+  lb: ["lb", "lbs", "pound", "pounds"],
+  pinch: ["pinch", "pinches"],
+  dash: ["dash", "dashes"],
+  clove: ["clove", "cloves"],
+  slice: ["slice", "slices"],
+  can: ["can", "cans", "tin", "tins"],
+  package: ["package", "packages", "pkg", "packet", "packets"],
+  stick: ["stick", "sticks"],
+  sprig: ["sprig", "sprigs"],
+  bunch: ["bunch", "bunches"],
+  piece: ["piece", "pieces"],
+  handful: ["handful", "handfuls"]
+};
+
+/**
+ * Section headings that switch the parser between ingredients and instructions
+ */
+const INGREDIENT_HEADINGS = /^(ingredients?|you will need|for the [a-z ]+)\s*:?\s*$/i;
+const INSTRUCTION_HEADINGS = /^(instructions?|directions?|method|steps?|preparation|how to make( it)?)\s*:?\s*$/i;
+const OTHER_HEADINGS = /^(notes?|tips?|serves|servings|yield|equipment)\b.*:?\s*$/i;
+
+const BULLET_PATTERN = /^\s*[-*•–·]\s+/;
+const STEP_PATTERN = /^\s*(?:step\s*)?\d+\s*[.)]\s+|^\s*step\s+\d+\s*:?\s*/i;
+const LABEL_PATTERN = /^([A-Za-z][A-Za-z ]{0,30}):\s+(.+)$/;
+
+// Single-character unit forms are only accepted when attached to a number ("5g", "2T"),
+// when case-sensitive ("T" vs "t") or when a word follows them ("500 g chicken"),
+// otherwise a lone letter ("2 c") is ambiguous
+const SHORT_UNIT_FORMS = new Set(["t", "T", "c", "g", "l"]);
+
+// Abbreviated written forms: the same for one or many ("1 tbsp", "2 tbsp", "3 lbs")
+const ABBREVIATED_UNIT_FORMS = new Set([
+  "tsp", "tsps", "t", "tbsp", "tbsps", "tbs", "tbl", "c", "fl oz", "fl. oz", "fl. oz.", "floz",
+  "pt", "qt", "gal", "ml", "l", "g", "gr", "kg", "oz", "lb", "lbs", "pkg"
+]);
+
+// Lookup: lowercased written form → canonical unit (case-sensitive forms kept separately)
+const UNIT_LOOKUP = new Map();
+const CASE_SENSITIVE_UNITS = new Map([["T", "tbsp"], ["t", "tsp"]]);
+Object.entries(UNIT_ALIASES).forEach(([canonical, forms]) => {
+  forms.forEach(form => {
+    if (CASE_SENSITIVE_UNITS.has(form)) return;
+    if (!UNIT_LOOKUP.has(form.toLowerCase())) {
+      UNIT_LOOKUP.set(form.toLowerCase(), canonical);
+    }
+  });
+});
+
+// Longest written forms first so "fl oz" wins over "oz"
+const UNIT_FORMS = [...UNIT_LOOKUP.keys(), ...CASE_SENSITIVE_UNITS.keys()]
+  .sort((a, b) => b.length - a.length);
+
+const FRACTION_CHARS = Object.keys(UNICODE_FRACTIONS).join("");
+const NUMBER_SOURCE = `(?:\\d+\\s+\\d+\\/\\d+|\\d+\\/\\d+|\\d*\\s?[${FRACTION_CHARS}]|\\d+(?:[.,]\\d+)?)`;
+const QUANTITY_PATTERN = new RegExp(
+  `^(${NUMBER_SOURCE})(?:\\s*(?:-|–|to)\\s*(${NUMBER_SOURCE}))?`,
+  "i"
+);
+
+/**
+ * Parse a numeric quantity token
+ * Supports integers, decimals, "1/2", "1 1/2", "½" and "1½"
+ * @param {string} token - Quantity text
+ * @returns {number|null} Numeric value or null if not a quantity
+ */
+export function parseQuantity(token) {
+  if (!token || typeof token !== "string") return null;
+  const text = token.trim().replace(",", ".");
+
+  const mixed = text.match(/^(\d+)\s+(\d+)\/(\d+)$/);
+  if (mixed) {
+    const denominator = Number(mixed[3]);
+    return denominator ? Number(mixed[1]) + Number(mixed[2]) / denominator : null;
+  }
+
+  const fraction = text.match(/^(\d+)\/(\d+)$/);
+  if (fraction) {
+    const denominator = Number(fraction[2]);
+    return denominator ? Number(fraction[1]) / denominator : null;
+  }
+
+  const unicode = text.match(/^(\d*)\s*(.)$/u);
+  if (unicode && UNICODE_FRACTIONS[unicode[2]] !== undefined) {
+    return (unicode[1] ? Number(unicode[1]) : 0) + UNICODE_FRACTIONS[unicode[2]];
+  }
+
+  const value = Number(text);
+  return Number.isFinite(value) ? value : null;
+}
+
+// Fractions kitchen measures are written with, in the order they are preferred when rounding
+const DISPLAY_FRACTIONS = [
+  [0, ""],
+  [1 / 8, "⅛"],
+  [1 / 4, "¼"],
+  [1 / 3, "⅓"],
+  [3 / 8, "⅜"],
+  [1 / 2, "½"],
+  [5 / 8, "⅝"],
+  [2 / 3, "⅔"],
+  [3 / 4, "¾"],
+  [7 / 8, "⅞"],
+  [1, ""]
+];
+
+/**
+ * Format a numeric quantity the way recipes write it
+ * 1.5 → "1 ½", 0.5 → "½", 0.333 → "⅓", 2 → "2"
+ * Values that are not close to a kitchen fraction fall back to at most two decimals
+ * @param {number} value - Quantity
+ * @returns {string} Display text
+ */
+export function formatQuantity(value) {
+  if (typeof value !== "number" || !Number.isFinite(value)) return "";
+  if (value <= 0) return "0";
+
+  const whole = Math.floor(value);
+  const remainder = value - whole;
+  const tolerance = 0.02;
+
+  const closest = DISPLAY_FRACTIONS.reduce((best, candidate) =>
+    Math.abs(candidate[0] - remainder) < Math.abs(best[0] - remainder) ? candidate : best
+  );
+
+  if (Math.abs(closest[0] - remainder) > tolerance) {
+    return String(Math.round(value * 100) / 100);
+  }
+
+  const wholePart = closest[0] === 1 ? whole + 1 : whole;
+  const fraction = closest[1];
+  if (wholePart === 0) return fraction || "0";
+  return fraction ? `${wholePart} ${fraction}` : String(wholePart);
+}
+
+/**
+ * Normalize a written unit to its canonical form
+ * @param {string} unitText - Unit as written ("Tablespoons", "g", "fl oz")
+ * @returns {string|null} Canonical unit ("tbsp", "g", "fl_oz") or null
+ */
+export function normalizeUnit(unitText) {
+  if (!unitText || typeof unitText !== "string") return null;
+  const trimmed = unitText.trim().replace(/\.$/, "");
+  if (CASE_SENSITIVE_UNITS.has(trimmed)) {
+    return CASE_SENSITIVE_UNITS.get(trimmed);
+  }
+  return UNIT_LOOKUP.get(trimmed.toLowerCase()) || null;
+}
+
+/**
+ * Adjust a written unit for a new quantity ("cups" → "cup" for ½, "clove" → "cloves" for 2)
+ * Units written as abbreviations are returned unchanged
+ * @param {string} unitText - Unit as written
+ * @param {number} quantity - New quantity
+ * @returns {string} Unit text agreeing with the quantity
+ */
+export function inflectUnit(unitText, quantity) {
+  if (!unitText) return unitText;
+  // Abbreviations ("tsp", "tbsp", "g", "oz") never change
+  if (ABBREVIATED_UNIT_FORMS.has(unitText.trim().toLowerCase().replace(/\.$/, ""))) return unitText;
+  const canonical = normalizeUnit(unitText);
+  if (!canonical) return unitText;
+
+  if (quantity <= 1) {
+    for (const suffix of ["es", "s"]) {
+      const singular = unitText.slice(0, -suffix.length);
+      if (unitText.toLowerCase().endsWith(suffix) && normalizeUnit(singular) === canonical) {
+        return singular;
+      }
+    }
+    return unitText;
+  }
+
+  for (const suffix of ["s", "es"]) {
+    if (normalizeUnit(`${unitText}${suffix}`) === canonical) {
+      return `${unitText}${suffix}`;
+    }
+  }
+  return unitText;
+}
+
+/**
+ * Match a unit at the start of text
+ * @param {string} text - Text immediately following the quantity
+ * @param {boolean} attached - Whether the unit is written directly after the number ("500g")
+ * @returns {Object|null} { unit, unitText, length }
+ */
+function matchUnit(text, attached) {
+  for (const form of UNIT_FORMS) {
+    const candidate = text.slice(0, form.length);
+    const isCaseSensitive = CASE_SENSITIVE_UNITS.has(form);
+    const matches = isCaseSensitive ? candidate === form : candidate.toLowerCase() === form;
+    if (!matches) continue;
+
+    // Unit must end at a word boundary ("g" must not match "garlic")
+    const next = text.charAt(form.length);
+    if (next && /[a-z]/i.test(next)) continue;
+    if (SHORT_UNIT_FORMS.has(form) && !attached && !isCaseSensitive &&
+        !/^\.?\s+[a-z]/i.test(text.slice(form.length))) continue;
+
+    const consumed = next === "." ? form.length + 1 : form.length;
+    return {
+      unit: normalizeUnit(form),
+      unitText: text.slice(0, form.length),
+      length: consumed
+    };
+  }
+  return null;
+}
+
+/**
+ * Split the remainder of an ingredient line into name and preparation notes
+ * "bacon, diced" → { name: "bacon", notes: "diced" }
+ * "butter (softened)" → { name: "butter", notes: "softened" }
+ */
+function splitNameAndNotes(text) {
+  let name = text.trim();
+  const notes = [];
+
+  // Parenthetical notes
+  name = name.replace(/\s*\(([^)]*)\)\s*/g, (match, inner) => {
+    if (inner.trim()) notes.push(inner.trim());
+    return " ";
+  }).trim();
+
+  // Everything after the first comma is a preparation note
+  const commaIndex = name.indexOf(",");
+  if (commaIndex !== -1) {
+    const note = name.slice(commaIndex + 1).trim();
+    if (note) notes.unshift(note);
+    name = name.slice(0, commaIndex).trim();
+  }
+
+  // Trailing "to taste" / "for garnish" / "optional"
+  const trailing = name.match(/\s+(to taste|for (?:garnish|serving|frying|greasing)|optional)$/i);
+  if (trailing) {
+    notes.push(trailing[1]);
+    name = name.slice(0, trailing.index).trim();
+  }
+
+  return {
+    name: name.replace(/\s+/g, " "),
+    notes: notes.length > 0 ? notes.join("; ") : null
+  };
+}
+
+/**
+ * Parse a single ingredient line
+ * @param {string} lineText - e.g. "- 2 tbsp white wine, for deglazing"
+ * @returns {Object} { quantity, quantityMax, quantityText, unit, unitText, name, notes, quantityOffset, nameOffset }
+ *   - quantityOffset: character offset of the quantity within lineText (null without a quantity)
+ *   - nameOffset: character offset of the ingredient name within lineText
+ */
+export function parseIngredientLine(lineText) {
+  const result = {
+    quantity: null,
+    quantityMax: null,
+    quantityText: null,
+    unit: null,
+    unitText: null,
+    name: "",
+    notes: null,
+    quantityOffset: null,
+    nameOffset: 0
+  };
+  if (!lineText || typeof lineText !== "string") return result;
+
+  let offset = 0;
+  let rest = lineText;
+
+  const consume = (length) => {
+    offset += length;
+    rest = lineText.slice(offset);
+  };
+
+  // Leading whitespace and bullets
+  const bullet = rest.match(BULLET_PATTERN) || rest.match(/^\s+/);
+  if (bullet) consume(bullet[0].length);
+
+  // "Label: rest" prefix (e.g. "Sauce: 1 cup wine") when it isn't a heading
+  const label = rest.match(LABEL_PATTERN);
+  if (label && !INGREDIENT_HEADINGS.test(`${label[1]}:`) && !INSTRUCTION_HEADINGS.test(`${label[1]}:`)) {
+    consume(rest.length - label[2].length);
+  }
+
+  const quantityMatch = rest.match(QUANTITY_PATTERN);
+  if (quantityMatch) {
+    const quantity = parseQuantity(quantityMatch[1]);
+    if (quantity !== null) {
+      result.quantity = quantity;
+      result.quantityMax = quantityMatch[2] ? parseQuantity(quantityMatch[2]) : null;
+      result.quantityText = quantityMatch[0].trim();
+      result.quantityOffset = offset;
+      consume(quantityMatch[0].length);
+
+      const attached = /^[a-z]/i.test(rest);
+      const whitespace = rest.match(/^\s*/)[0].length;
+      const unitMatch = matchUnit(rest.slice(whitespace), attached);
+      if (unitMatch) {
+        result.unit = unitMatch.unit;
+        result.unitText = unitMatch.unitText;
+        consume(whitespace + unitMatch.length);
+      }
+
+      // "1 cup of wine" → drop the "of"
+      const ofMatch = rest.match(/^\s*of\s+/i);
+      if (ofMatch) consume(ofMatch[0].length);
+    }
+  }
+
+  const leading = rest.match(/^\s*/)[0].length;
+  consume(leading);
+
+  const { name, notes } = splitNameAndNotes(rest);
+  result.name = name;
+  result.notes = notes;
+  result.nameOffset = offset;
+  return result;
+}
+
+/**
+ * Classify a line that appears outside of any explicit section
+ * Bulleted lines and lines starting with a quantity are ingredients,
+ * numbered steps and sentence-like prose are instructions
+ */
+function classifyUnsectionedLine(text) {
+  if (STEP_PATTERN.test(text)) return "instruction";
+  if (BULLET_PATTERN.test(text)) return "ingredient";
+
+  const body = text.replace(LABEL_PATTERN, "$2").trim();
+  if (QUANTITY_PATTERN.test(body)) return "ingredient";
+
+  const wordCount = body.split(/\s+/).filter(Boolean).length;
+  if (wordCount > 6 && /[.!]$/.test(body)) return "instruction";
+  if (wordCount > 12) return "instruction";
+  return "ingredient";
+}
+
+/**
+ * Parse full recipe text into structured lines
+ * @param {string} recipeText - Raw recipe text
+ * @returns {Object} { lines, ingredients, instructions }
+ *   - lines: every line with { index, text, start, end, kind }
+ *     kind is "ingredient", "instruction", "heading", "title" or "blank"
+ *   - ingredients: ingredient lines with parsed quantity/unit/name/notes
+ *   - instructions: instruction lines with their step number (if numbered)
+ */
+export function parseRecipeText(recipeText) {
+  const parsed = { lines: [], ingredients: [], instructions: [] };
+  if (!recipeText || typeof recipeText !== "string") return parsed;
+
+  const rawLines = recipeText.split("\n");
+  const hasSections = rawLines.some(line =>
+    INGREDIENT_HEADINGS.test(line.trim()) || INSTRUCTION_HEADINGS.test(line.trim())
+  );
+
+  let section = hasSections ? "title" : null;
+  let start = 0;
+
+  rawLines.forEach((text, index) => {
+    const end = start + text.length;
+    const trimmed = text.trim();
+    const line = { index, text, start, end, kind: "blank" };
+
+    if (trimmed === "") {
+      line.kind = "blank";
+    } else if (INGREDIENT_HEADINGS.test(trimmed)) {
+      line.kind = "heading";
+      section = "ingredient";
+    } else if (INSTRUCTION_HEADINGS.test(trimmed)) {
+      line.kind = "heading";
+      section = "instruction";
+    } else if (hasSections && OTHER_HEADINGS.test(trimmed) && /:\s*$/.test(trimmed)) {
+      line.kind = "heading";
+      section = "other";
+    } else if (section === "title" || section === "other") {
+      line.kind = section === "title" ? "title" : "instruction";
+    } else {
+      line.kind = section || classifyUnsectionedLine(trimmed);
+    }
+
+    if (line.kind === "ingredient") {
+      Object.assign(line, parseIngredientLine(text));
+      parsed.ingredients.push(line);
+    } else if (line.kind === "instruction") {
+      const step = trimmed.match(/^(?:step\s*)?(\d+)\s*[.):]/i);
+      line.step = step ? Number(step[1]) : null;
+      parsed.instructions.push(line);
+    }
+
+    parsed.lines.push(line);
+    start = end + 1; // +1 for the "\n" separator
+  });
+
+  return parsed;
+}
+
+/**
+ * Compact, serialisable view of a parsed ingredient line (attached to issues)
+ * @param {Object} line - Line from parseRecipeText()
+ * @returns {Object|null}
+ */
+export function toStructuredLine(line) {
+  if (!line) return null;
+  return {
+    index: line.index,
+    kind: line.kind,
+    text: line.text.trim(),
+    start: line.start,
+    end: line.end,
+    quantity: line.quantity ?? null,
+    quantityMax: line.quantityMax ?? null,
+    quantityText: line.quantityText ?? null,
+    quantityOffset: line.quantityOffset ?? null,
+    unit: line.unit ?? null,
+    unitText: line.unitText ?? null,
+    name: line.name ?? null,
+    notes: line.notes ?? null
+  };
+}
@@ -3,21 +3,28 @@
  * Detects and classifies modifiers in ingredient names
  * 
  * Rules:
- * - Haram modifiers (wine, alcohol, pork, bacon, lard) override base ingredient status
+ * - Haram modifiers (pork, bacon, lard) override base ingredient status; alcohol modifiers (wine, beer,
+ *   alcohol) are handed to alcoholRules, which rules on ABV, origin and transformation instead
  * - Processing modifiers (fried, flavored, fermented) don't override but may add conditions
  * - Base ingredient determines status unless overridden by haram modifier
+ * - Source qualifiers (soy, vegetable, microbial) settle modifiers that depend on the source
+ *   ("soy lecithin", "microbial rennet", "fish gelatin")
  */
 
+import { KHAMR_TERMS, ETHANOL_TERMS } from './alcoholRules';
+
 /**
  * Haram modifiers that override base ingredient status
  * If detected, ingredient is haram regardless of base ingredient
  * These MUST override even if base ingredient is halal
+ *
+ * Alcohol modifiers are every term alcoholRules rules on, and only match whole words ("gin", not "ginger")
  */
+const ALCOHOL_MODIFIERS = [...KHAMR_TERMS, ...ETHANOL_TERMS].map(term => term.replace(/ /g, '_'));
+
 const HARAM_MODIFIERS = [
   // Alcohol-based
-  'wine', 'alcohol', 'alcoholic', 'beer', 'whiskey', 'rum', 'vodka', 'brandy',
-  'sherry', 'port', 'vermouth', 'liqueur', 'cognac', 'champagne', 'ethanol',
-  'ethyl_alcohol', 'grain_alcohol',
+  ...ALCOHOL_MODIFIERS,
   
   // Pork-based
   'pork', 'bacon', 'lard', 'ham', 'prosciutto', 'pancetta', 'pepperoni',
@@ -37,18 +44,21 @@ const HARAM_MODIFIERS = [
 const CONDITIONAL_MODIFIERS = {
   enzyme: {
     level: 'conditional',
+    sourceDependent: true,
     explanation: 'Enzymes may be derived from animal or microbial sources. Animal-derived enzymes require halal certification. Check the enzyme source.',
     requiresVerification: true,
     confidenceReduction: 15
   },
   rennet: {
     level: 'conditional',
+    sourceDependent: true,
     explanation: 'Rennet is used in cheese making and may be animal-derived (requires halal certification) or microbial (generally halal). Check the rennet source.',
     requiresVerification: true,
     confidenceReduction: 20
   },
   emulsifier: {
     level: 'conditional',
+    sourceDependent: true,
     explanation: 'Emulsifiers may be derived from animal or plant sources. Animal-derived emulsifiers require halal certification. Check the emulsifier source and type.',
     requiresVerification: true,
     confidenceReduction: 15
@@ -79,22 +89,39 @@ const CONDITIONAL_MODIFIERS = {
   },
   lecithin: {
     level: 'conditional',
+    sourceDependent: true,
     explanation: 'Lecithin may be derived from soy (halal) or eggs (requires halal certification). Check the lecithin source.',
     requiresVerification: true,
     confidenceReduction: 10
   },
   mono_glyceride: {
     level: 'conditional',
+    sourceDependent: true,
     explanation: 'Mono- and diglycerides may be derived from animal or plant sources. Check the source.',
     requiresVerification: true,
     confidenceReduction: 15
   },
   diglyceride: {
     level: 'conditional',
+    sourceDependent: true,
     explanation: 'Mono- and diglycerides may be derived from animal or plant sources. Check the source.',
     requiresVerification: true,
     confidenceReduction: 15
   },
+  glycerin: {
+    level: 'conditional',
+    sourceDependent: true,
+    explanation: 'Glycerin may be derived from plant oils, synthesis (halal) or animal fat (requires halal certification). Check the glycerin source.',
+    requiresVerification: true,
+    confidenceReduction: 10
+  },
+  glycerol: {
+    level: 'conditional',
+    sourceDependent: true,
+    explanation: 'Glycerol may be derived from plant oils, synthesis (halal) or animal fat (requires halal certification). Check the glycerol source.',
+    requiresVerification: true,
+    confidenceReduction: 10
+  },
   whey: {
     level: 'conditional',
     explanation: 'Whey is derived from milk and requires halal certification. Check that the source milk is halal.',
@@ -109,6 +136,119 @@ const CONDITIONAL_MODIFIERS = {
   }
 };
 
+/**
+ * Haram modifiers that only assume the worst source
+ * A halal source qualifier ("fish gelatin") lifts them
+ */
+const SOURCE_DEPENDENT_HARAM_MODIFIERS = ['gelatin'];
+
+/**
+ * Source qualifiers: words that say where a source-dependent ingredient comes from
+ * status is set when the source alone decides the ruling: pork is haram; fish, eggs and milk
+ * need no slaughter. Other animal sources need halal certification.
+ */
+const NON_ANIMAL_SOURCES = ['plant', 'microbial', 'synthetic', 'mineral'];
+
+const SOURCE_QUALIFIERS = {
+  // Plant
+  vegetable: { sources: ['plant'] },
+  plant: { sources: ['plant'] },
+  soy: { sources: ['plant'] },
+  soya: { sources: ['plant'] },
+  sunflower: { sources: ['plant'] },
+  rapeseed: { sources: ['plant'] },
+  canola: { sources: ['plant'] },
+  palm: { sources: ['plant'] },
+  coconut: { sources: ['plant'] },
+  corn: { sources: ['plant'] },
+  maize: { sources: ['plant'] },
+  wheat: { sources: ['plant'] },
+  rice: { sources: ['plant'] },
+  potato: { sources: ['plant'] },
+  olive: { sources: ['plant'] },
+  cocoa: { sources: ['plant'] },
+  seaweed: { sources: ['plant'] },
+  algae: { sources: ['plant'] },
+  algal: { sources: ['plant'] },
+
+  // Microbial and synthetic
+  microbial: { sources: ['microbial'] },
+  fermentation: { sources: ['microbial'] },
+  bacterial: { sources: ['microbial'] },
+  fungal: { sources: ['microbial'] },
+  yeast: { sources: ['microbial'] },
+  synthetic: { sources: ['synthetic'] },
+
+  // Anything but animal
+  vegan: { sources: NON_ANIMAL_SOURCES },
+  vegetarian: { sources: NON_ANIMAL_SOURCES },
+
+  // Animal
+  animal: { sources: ['animal'] },
+  beef: { sources: ['animal'] },
+  bovine: { sources: ['animal'] },
+  tallow: { sources: ['animal'] },
+  chicken: { sources: ['animal'] },
+  pork: { sources: ['animal'], status: 'haram' },
+  porcine: { sources: ['animal'], status: 'haram' },
+  pig: { sources: ['animal'], status: 'haram' },
+  fish: { sources: ['animal'], status: 'halal' },
+  egg: { sources: ['animal'], status: 'halal' },
+  milk: { sources: ['animal'], status: 'halal' },
+  dairy: { sources: ['animal'], status: 'halal' }
+};
+
+// Words that can sit next to a qualifier without adding anything: "(from palm oil)", "(vegetable origin)"
+const SOURCE_QUALIFIER_FILLERS = ['from', 'of', 'and', 'or', 'source', 'sources', 'origin', 'based', 'derived', 'oil', 'oils', 'fat', 'fats'];
+
+function findSourceQualifierTerm(word) {
+  if (SOURCE_QUALIFIERS[word]) return word;
+  const singular = word.replace(/s$/, '');
+  return SOURCE_QUALIFIERS[singular] ? singular : null;
+}
+
+/**
+ * Detect a source qualifier in an ingredient name or label note
+ * "soy lecithin" -> plant, "E322 (sunflower)" -> plant, "microbial rennet" -> microbial
+ * Animal and non-animal qualifiers together ("soy and egg lecithin") don't say which one was used,
+ * so they count as no qualifier.
+ * @param {string} text - Ingredient name, ID or note
+ * @returns {Object|null} { terms, sources, status, isOnlyQualifier } or null
+ *   - sources: plant | animal | microbial | synthetic | mineral
+ *   - status: ruling the source decides on its own ("haram" for pork, "halal" for fish), or null
+ *   - isOnlyQualifier: the text says nothing else ("from palm oil")
+ */
+export function detectSourceQualifier(text) {
+  const words = String(text || '').toLowerCase().split(/[^a-z]+/).filter(Boolean);
+  const terms = [...new Set(words.map(findSourceQualifierTerm).filter(Boolean))];
+  if (terms.length === 0) return null;
+
+  const qualifiers = terms.map(term => SOURCE_QUALIFIERS[term]);
+  const animalCount = qualifiers.filter(qualifier => qualifier.sources.includes('animal')).length;
+  if (animalCount > 0 && animalCount < qualifiers.length) return null;
+
+  // "vegan soy" -> plant; "soy, microbial" -> either
+  const shared = qualifiers.reduce((acc, qualifier) => acc.filter(source => qualifier.sources.includes(source)), qualifiers[0].sources);
+  const sources = shared.length > 0 ? shared : [...new Set(qualifiers.flatMap(qualifier => qualifier.sources))];
+  const statuses = qualifiers.map(qualifier => qualifier.status || null);
+  const status = statuses.includes('haram') ? 'haram' : statuses.every(s => s === 'halal') ? 'halal' : null;
+
+  return {
+    terms,
+    sources,
+    status,
+    isOnlyQualifier: words.every(word => findSourceQualifierTerm(word) || SOURCE_QUALIFIER_FILLERS.includes(word))
+  };
+}
+
+/**
+ * Status of a source-dependent modifier once its source is known
+ */
+function resolveSourceStatus(sourceQualifier) {
+  if (sourceQualifier.status) return sourceQualifier.status;
+  return sourceQualifier.sources.includes('animal') ? 'conditional' : 'halal';
+}
+
 /**
  * Processing modifiers that may affect status but don't override base
  * These indicate processing methods that may require verification
@@ -215,26 +355,31 @@ export function detectModifiers(ingredientId) {
     hasHaramModifier: false,
     hasConditionalModifier: false,
     hasProcessingModifier: false,
-    hasNeutralModifier: false
+    hasNeutralModifier: false,
+    resolvedModifiers: [],
+    sourceQualifier: null
   };
   
   // Check each part for modifiers
   for (const part of parts) {
     // Check for haram modifiers
-    const haramMatch = HARAM_MODIFIERS.find(modifier => 
-      part.includes(modifier) || modifier.includes(part)
-    );
+    // Short parts ("and", "of") are only matched whole, not inside a modifier ("brandy")
+    const haramMatch = ALCOHOL_MODIFIERS.find(modifier => part === modifier || part === `${modifier}s`) ||
+      HARAM_MODIFIERS.find(modifier => !ALCOHOL_MODIFIERS.includes(modifier) &&
+        (part.includes(modifier) || (part.length > 3 && modifier.includes(part)))
+      );
     if (haramMatch && !detected.haramModifiers.includes(haramMatch)) {
       detected.haramModifiers.push(haramMatch);
       detected.hasHaramModifier = true;
     }
     
-    // Check for conditional modifiers
-    if (CONDITIONAL_MODIFIERS[part]) {
-      if (!detected.conditionalModifiers.find(m => m.type === part)) {
+    // Check for conditional modifiers ("enzymes" counts as "enzyme")
+    const conditionalType = CONDITIONAL_MODIFIERS[part] ? part : part.replace(/s$/, '');
+    if (CONDITIONAL_MODIFIERS[conditionalType]) {
+      if (!detected.conditionalModifiers.find(m => m.type === conditionalType)) {
         detected.conditionalModifiers.push({
-          type: part,
-          ...CONDITIONAL_MODIFIERS[part]
+          type: conditionalType,
+          ...CONDITIONAL_MODIFIERS[conditionalType]
         });
         detected.hasConditionalModifier = true;
       }
@@ -320,9 +465,53 @@ export function detectModifiers(ingredientId) {
     }
   }
   
+  // A source qualifier settles the modifiers that only depend on the source
+  const sourceQualifier = detectSourceQualifier(normalized);
+  if (sourceQualifier) {
+    const resolvedStatus = resolveSourceStatus(sourceQualifier);
+    const resolvable = detected.conditionalModifiers.filter(m => m.sourceDependent);
+    const haramResolvable = resolvedStatus === 'halal'
+      ? detected.haramModifiers.filter(m => SOURCE_DEPENDENT_HARAM_MODIFIERS.includes(m))
+      : [];
+
+    detected.sourceQualifier = sourceQualifier;
+    detected.resolvedModifiers = [
+      ...haramResolvable.map(type => ({ type, level: 'haram' })),
+      ...resolvable
+    ].map(m => ({ ...m, source: sourceQualifier.sources.join('/'), resolvedStatus }));
+    detected.conditionalModifiers = detected.conditionalModifiers.filter(m => !resolvable.includes(m));
+    detected.haramModifiers = detected.haramModifiers.filter(m => !haramResolvable.includes(m));
+    detected.hasConditionalModifier = detected.conditionalModifiers.length > 0;
+    detected.hasHaramModifier = detected.haramModifiers.length > 0;
+  }
+  
   return detected;
 }
 
+/**
+ * Whether a haram modifier is alcohol ("wine", "wine_braised", "alcohol_based")
+ * Alcohol is ruled on by alcoholRules.js, which reads ABV, origin and transformation.
+ * @param {string} modifier - Haram modifier from detectModifiers()
+ * @returns {boolean}
+ */
+export function isAlcoholModifier(modifier) {
+  return ALCOHOL_MODIFIERS.includes(modifier) || /^(?:wine|alcohol)_/.test(modifier);
+}
+
+/**
+ * Haram modifiers an ingredient states outright ("pork" in "pork dumplings"),
+ * leaving out those only matched by a word inside them ("meat" of "non_halal_meat")
+ * @param {string} ingredientId - Ingredient ID or name
+ * @returns {Array<string>} Haram modifiers from detectModifiers()
+ */
+export function detectExplicitHaramModifiers(ingredientId) {
+  const normalized = ingredientId.toLowerCase().trim().replace(/\s+/g, "_");
+  const parts = normalized.split(/[_\-\s]+/);
+  return detectModifiers(ingredientId).haramModifiers.filter(modifier =>
+    parts.some(part => part.includes(modifier)) || (modifier.includes('_') && normalized.includes(modifier))
+  );
+}
+
 /**
  * Apply modifier logic to ingredient evaluation
  * @param {string} ingredientId - Normalized ingredient ID
@@ -392,6 +581,43 @@ export function applyModifierLogic(ingredientId, baseResult, modifierDetection)
     };
   }
   
+  // If a source qualifier settled the modifiers, the source decides the status
+  if (modifierDetection.resolvedModifiers?.length > 0) {
+    const resolvedModifier = modifierDetection.resolvedModifiers[0];
+    const { terms, sources } = modifierDetection.sourceQualifier;
+    const baseStatus = baseResult.status || 'unknown';
+    const resolvedStatus = resolvedModifier.resolvedStatus;
+    const name = resolvedModifier.type.replace(/_/g, ' ');
+    const sourceTrace = `Source qualifier: ${terms.join(', ')} → ${sources.join('/')} source, ${name} resolved to ${resolvedStatus}`;
+    
+    // A halal source settles an uncertain base, but never a haram one; other sources only make it worse
+    const status = resolvedStatus === 'halal'
+      ? (baseStatus === 'haram' ? baseStatus : 'halal')
+      : (['halal', 'unknown'].includes(baseStatus) ? resolvedStatus : baseStatus);
+    const confidenceReduction = resolvedModifier.confidenceReduction || 15;
+    const confidenceScore = status === 'halal'
+      ? Math.max(baseResult.confidenceScore || 0, 100 - confidenceReduction)
+      : status === 'haram' ? 0 : Math.max(50, Math.min(baseResult.confidenceScore || 100, 100 - 2 * confidenceReduction));
+    const explanation = status === 'halal'
+      ? `The label says this ${name} comes from ${terms.join(' and ')} (${sources.join(' or ')} source), which is halal.`
+      : `The label says this ${name} comes from ${terms.join(' and ')} (${sources.join(' or ')} source), so it is ${status === 'haram' ? 'haram' : 'halal only with halal certification'}.`;
+    
+    return {
+      ...baseResult,
+      status,
+      confidenceLevel: status === 'halal' ? 'certain_halal' : status,
+      confidenceScore,
+      confidence: confidenceScore / 100,
+      confidencePercentage: confidenceScore,
+      explanation: status === baseStatus && baseResult.explanation ? `${baseResult.explanation} ${explanation}` : explanation,
+      simpleExplanation: explanation,
+      resolvedModifiers: modifierDetection.resolvedModifiers,
+      sourceQualifier: modifierDetection.sourceQualifier,
+      requiresVerification: status !== 'halal',
+      trace: [...(baseResult.trace || []), sourceTrace]
+    };
+  }
+  
   // If processing modifier detected, add conditional note but keep base status
   if (modifierDetection.hasProcessingModifier) {
     const processingModifier = modifierDetection.processingModifiers[0];
@@ -511,6 +737,7 @@ export function getModifierTaxonomy() {
     conditionalModifiers: Object.keys(CONDITIONAL_MODIFIERS),
     processingModifiers: Object.keys(PROCESSING_MODIFIERS),
     neutralModifiers: NEUTRAL_MODIFIERS,
+    sourceQualifiers: Object.keys(SOURCE_QUALIFIERS),
     conditionalModifierDetails: CONDITIONAL_MODIFIERS,
     processingModifierDetails: PROCESSING_MODIFIERS
   };
@@ -1,178 +1,100 @@
 /**
  * Ingredients Display Utilities
- * Uses nested ingredients.json for display/documentation while keeping
- * flat halal_knowledge.json for fast lookups
+ * Browsing views of what is made from what (the ingredients.json tree), read through the
+ * knowledge repository so every node shows the same name, status and category as a lookup
  */
 
-import ingredientsNested from "../data/ingredients.json";
-import halalKnowledgeFlat from "../data/halal_knowledge.json";
+import { lookupIngredient, getKnowledgeEntry, getIngredientTree } from "./knowledgeRepository";
+import { formatIngredientName } from "./ingredientDisplay";
 
 /**
- * Normalize ingredient name for lookup
+ * Path from a root of the ingredient tree down to an ingredient
+ * @returns {Array<Object>} Tree nodes, root first ([] when the ingredient isn't in the tree)
  */
-function normalizeIngredientName(name) {
-  if (!name || typeof name !== "string") return "";
-  return name.toLowerCase().trim().replace(/\s+/g, "_").replace(/[^a-z0_9]/g, "");
+function findTreePath(ingredientName, nodes = getIngredientTree()) {
+  const id = lookupIngredient(ingredientName)?.id;
+  if (!id) return [];
+
+  for (const node of nodes) {
+    if (node.id === id) return [node];
+
+    const below = findTreePath(ingredientName, node.children);
+    if (below.length > 0) return [node, ...below];
+  }
+
+  return [];
 }
 
 /**
- * Find ingredient in nested structure by name
- * Recursively searches through children
+ * Knowledge-base fields of one tree node, for display
  */
-function findInNested(ingredientName, rootIngredients = null) {
-  const normalized = normalizeIngredientName(ingredientName);
-  
-  // Get root ingredients if not provided
-  if (!rootIngredients) {
-    rootIngredients = Object.values(ingredientsNested);
-  }
-  
-  // Search in roots first
-  for (const root of rootIngredients) {
-    if (normalizeIngredientName(root.name) === normalized) {
-      return root;
-    }
-    
-    // Recursively search in children
-    if (root.children && root.children.length > 0) {
-      const found = findInNested(ingredientName, root.children);
-      if (found) return found;
-    }
-  }
-  
-  return null;
+function describeNode(id) {
+  const entry = getKnowledgeEntry(id) || {};
+  return {
+    name: formatIngredientName(id),
+    status: entry.status || "unknown",
+    category: entry.category || "",
+    alternatives: entry.alternatives || [],
+    notes: entry.notes || ""
+  };
 }
 
 /**
- * Get full inheritance chain for an ingredient (from nested structure)
+ * Get full inheritance chain for an ingredient (from the ingredient tree)
  * Returns array showing the path: [root, child1, child2, ...]
  */
 export function getInheritanceChain(ingredientName) {
-  const normalized = normalizeIngredientName(ingredientName);
-  const chain = [];
-  
-  // Helper to find and build chain
-  function buildChain(name, visited = new Set()) {
-    if (visited.has(normalizeIngredientName(name))) return null;
-    visited.add(normalizeIngredientName(name));
-    
-    const found = findInNested(name);
-    if (!found) return null;
-    
-    chain.push({
-      name: found.name,
-      status: found.status,
-      notes: found.notes,
-      alternatives: found.halal_alternatives
-    });
-    
-    // Check if this ingredient has a parent by searching in all roots
-    const allRoots = Object.values(ingredientsNested);
-    for (const root of allRoots) {
-      if (isChildOf(root, name)) {
-        // Recursively build chain up to root
-        buildChain(root.name, visited);
-        return true;
-      }
-    }
-    
-    return true;
-  }
-  
-  // Helper to check if an ingredient is a child (directly or indirectly) of a root
-  function isChildOf(parent, childName) {
-    if (normalizeIngredientName(parent.name) === normalizeIngredientName(childName)) {
-      return false; // Not a child of itself
-    }
-    
-    if (parent.children && parent.children.length > 0) {
-      for (const child of parent.children) {
-        if (normalizeIngredientName(child.name) === normalizeIngredientName(childName)) {
-          return true;
-        }
-        // Recursively check grandchildren
-        if (isChildOf(child, childName)) {
-          return true;
-        }
-      }
-    }
-    
-    return false;
-  }
-  
-  buildChain(ingredientName);
-  return chain.reverse(); // Reverse to show root -> child order
+  return findTreePath(ingredientName).map(node => describeNode(node.id));
 }
 
 /**
- * Get ingredient display information from nested structure
- * Falls back to flat structure if not found in nested
+ * Get ingredient display information from the knowledge repository
+ * children are the ingredient's children in the ingredient tree
  */
 export function getIngredientDisplayInfo(ingredientName) {
-  const normalized = normalizeIngredientName(ingredientName);
-  
-  // Try nested structure first (better for display)
-  let nested = findInNested(ingredientName);
-  
-  if (nested) {
-    return {
-      name: nested.name,
-      status: nested.status,
-      halalAlternatives: nested.halal_alternatives || [],
-      flavorRole: nested.flavor_role || "",
-      cuisine: nested.cuisine || "",
-      notes: nested.notes || "",
-      schoolOfThought: nested.school_of_thought || [],
-      quranicReference: nested.quranic_reference || "",
-      hadithReference: nested.hadith_reference || "",
-      children: nested.children || [],
-      source: "nested"
-    };
-  }
-  
-  // Fallback to flat structure
-  const flat = halalKnowledgeFlat[normalized];
-  if (flat) {
-    const quranRef = flat.references?.find(r => 
-      r.toLowerCase().includes("qur'an") || 
-      r.toLowerCase().includes("quran") ||
-      r.toLowerCase().includes("surah")
-    ) || "";
-    
-    const hadithRef = flat.references?.find(r => 
-      r.toLowerCase().includes("hadith") || 
-      r.toLowerCase().includes("bukhari") || 
-      r.toLowerCase().includes("muslim")
-    ) || "";
-    
-    return {
-      name: ingredientName,
-      status: flat.status || "unknown",
-      halalAlternatives: flat.alternatives || [],
-      flavorRole: flat.flavor_role || "",
-      cuisine: flat.cuisine || "",
-      notes: flat.notes || "",
-      schoolOfThought: ["Hanafi", "Shafi'i", "Maliki", "Hanbali"], // Default for flat
-      quranicReference: quranRef,
-      hadithReference: hadithRef,
-      children: [], // Flat structure doesn't have nested children
-      source: "flat",
-      inheritance: flat.inheritance || []
-    };
-  }
-  
-  return null;
+  const match = lookupIngredient(ingredientName);
+  if (!match) return null;
+
+  const entry = match.entry;
+  const quranRef = entry.references?.find(r =>
+    r.toLowerCase().includes("qur'an") ||
+    r.toLowerCase().includes("quran") ||
+    r.toLowerCase().includes("surah")
+  ) || "";
+
+  const hadithRef = entry.references?.find(r =>
+    r.toLowerCase().includes("hadith") ||
+    r.toLowerCase().includes("bukhari") ||
+    r.toLowerCase().includes("muslim")
+  ) || "";
+
+  return {
+    name: formatIngredientName(match.id),
+    status: entry.status || "unknown",
+    category: entry.category || "",
+    halalAlternatives: entry.alternatives || [],
+    flavorRole: entry.flavor_role || "",
+    cuisine: entry.cuisine || "",
+    notes: entry.notes || "",
+    schoolOfThought: ["Hanafi", "Shafi'i", "Maliki", "Hanbali"],
+    quranicReference: quranRef,
+    hadithReference: hadithRef,
+    children: (findTreePath(ingredientName).at(-1)?.children || []).map(child => describeNode(child.id)),
+    source: match.source, // Knowledge file that answered: "nested", "flat" or "legacy"
+    sourceFile: match.sourceFile,
+    inheritance: entry.inheritance || []
+  };
 }
 
 /**
- * Get all root ingredients (top-level in nested structure)
+ * Get all root ingredients (top-level in the ingredient tree)
  * Useful for browsing/documentation
  */
 export function getAllRootIngredients() {
-  return Object.values(ingredientsNested).map(ing => ({
-    name: ing.name,
-    status: ing.status,
-    childrenCount: ing.children?.length || 0
+  return getIngredientTree().map(root => ({
+    name: formatIngredientName(root.id),
+    status: describeNode(root.id).status,
+    childrenCount: root.children.length
   }));
 }
 
@@ -183,7 +105,7 @@ export function getAllRootIngredients() {
 export function formatInheritanceChain(ingredientName) {
   const chain = getInheritanceChain(ingredientName);
   if (chain.length === 0) return ingredientName;
-  
+
   return chain.map(item => item.name).join(" → ");
 }
 
@@ -192,89 +114,78 @@ export function formatInheritanceChain(ingredientName) {
  * Returns formatted tree structure
  */
 export function getChildrenTree(ingredientName, maxDepth = 3) {
-  const ingredient = findInNested(ingredientName);
+  const ingredient = findTreePath(ingredientName).at(-1);
   if (!ingredient) return null;
-  
-  function buildTree(ing, depth = 0) {
+
+  function buildTree(node, depth = 0) {
     if (depth > maxDepth) return null;
-    
+
     return {
-      name: ing.name,
-      status: ing.status,
-      alternatives: ing.halal_alternatives || [],
-      notes: ing.notes || "",
-      children: ing.children && ing.children.length > 0
-        ? ing.children.map(child => buildTree(child, depth + 1)).filter(Boolean)
-        : []
+      ...describeNode(node.id),
+      children: node.children.map(child => buildTree(child, depth + 1)).filter(Boolean)
     };
   }
-  
+
   return buildTree(ingredient);
 }
 
 /**
- * Check if ingredient is haram by traversing nested structure
+ * Check if ingredient is haram by traversing the ingredient tree
  * Checks self and all children recursively
  */
 export function isHaramInNested(ingredientName, userPreferences = {}) {
-  const ingredient = findInNested(ingredientName);
+  const ingredient = getChildrenTree(ingredientName, Infinity);
   if (!ingredient) return null;
-  
+
   // Check current ingredient
   if (ingredient.status === "haram") {
     return {
       isHaram: true,
       reason: ingredient.notes || "Marked as haram",
       source: ingredient.name,
-      alternatives: ingredient.halal_alternatives
+      alternatives: ingredient.alternatives
     };
   }
-  
+
   // Check if any child is haram
-  function checkChildren(ing) {
-    if (ing.children && ing.children.length > 0) {
-      for (const child of ing.children) {
-        if (child.status === "haram") {
-          return {
-            isHaram: true,
-            reason: `Contains ${child.name} (${child.status})`,
-            source: child.name,
-            alternatives: child.halal_alternatives
-          };
-        }
-        
-        // Recursively check grandchildren
-        const childResult = checkChildren(child);
-        if (childResult) return childResult;
+  function checkChildren(node) {
+    for (const child of node.children) {
+      if (child.status === "haram") {
+        return {
+          isHaram: true,
+          reason: `Contains ${child.name} (${child.status})`,
+          source: child.name,
+          alternatives: child.alternatives
+        };
       }
+
+      // Recursively check grandchildren
+      const childResult = checkChildren(child);
+      if (childResult) return childResult;
     }
     return null;
   }
-  
+
   return checkChildren(ingredient);
 }
 
 /**
- * Get comprehensive ingredient info (combines nested + flat)
- * Best of both worlds for display
+ * Get comprehensive ingredient info (display info, tree chain and knowledge-base metadata)
  */
 export function getComprehensiveIngredientInfo(ingredientName, userPreferences = {}) {
-  // Get from nested (better structure)
-  const nested = getIngredientDisplayInfo(ingredientName);
-  
+  const info = getIngredientDisplayInfo(ingredientName);
+
   // Get inheritance chain
   const chain = getInheritanceChain(ingredientName);
-  
-  // Get flat structure for additional metadata (if available)
-  const normalized = normalizeIngredientName(ingredientName);
-  const flat = halalKnowledgeFlat[normalized];
-  
+
+  const entry = lookupIngredient(ingredientName)?.entry;
+
   return {
-    ...nested,
+    ...info,
     inheritanceChain: chain,
-    aliases: flat?.aliases || [],
-    eli5: flat?.eli5 || nested?.notes || "",
-    confidenceScore: flat?.confidence_score_base || 0.5,
+    aliases: entry?.aliases || [],
+    eli5: entry?.eli5 || info?.notes || "",
+    confidenceScore: entry?.confidence_score_base || 0.5,
     trace: chain.map(item => `${item.name} (${item.status})`)
   };
 }
@@ -0,0 +1,101 @@
+/**
+ * Knowledge Changes Since Last Visit
+ * Remembers the rulings of the ingredients in the user's saved recipes, and on the next visit
+ * reports which rulings changed because the knowledge base was updated in between
+ */
+
+import { evaluateItem } from "./halalEngine";
+import { findKnownIngredients } from "./convertRecipeJson";
+import { getKnowledgeBaseVersion, getEntryRevisions } from "./knowledgeVersion";
+import { getRecipeTitle } from "./batchConversion";
+
+const STORAGE_KEY = "halalKnowledgeLastVisit";
+
+/**
+ * Current rulings of the ingredients in each saved recipe
+ * @param {Array} recipes - Saved recipes ({ id, original })
+ * @param {Object} settings - { strictnessLevel, schoolOfThought }
+ * @returns {Object} Recipe id -> { ingredient ID -> status }
+ */
+export function getSavedRecipeRulings(recipes, settings = {}) {
+  const rulings = {};
+  (recipes || []).forEach(recipe => {
+    if (!recipe?.id || typeof recipe.original !== "string") return;
+    rulings[recipe.id] = {};
+    findKnownIngredients(recipe.original).forEach(ingredientId => {
+      rulings[recipe.id][ingredientId] = evaluateItem(ingredientId, {
+        strictness: settings.strictnessLevel || "standard",
+        madhab: settings.schoolOfThought || "no-preference"
+      }).status;
+    });
+  });
+  return rulings;
+}
+
+/**
+ * Rulings and knowledge-base version stored at the end of the last visit
+ * @returns {Object|null} { knowledgeVersion, rulings }
+ */
+export function getLastVisit() {
+  try {
+    if (typeof Storage === "undefined") return null;
+    const saved = JSON.parse(localStorage.getItem(STORAGE_KEY) || "null");
+    return saved && typeof saved === "object" && saved.rulings ? saved : null;
+  } catch (error) {
+    console.error("Error loading last visit:", error);
+    return null;
+  }
+}
+
+/**
+ * Store the current rulings as the baseline for the next visit
+ * @param {Array} recipes - Saved recipes
+ * @param {Object} settings - { strictnessLevel, schoolOfThought }
+ */
+export function recordVisit(recipes, settings = {}) {
+  try {
+    localStorage.setItem(STORAGE_KEY, JSON.stringify({
+      knowledgeVersion: getKnowledgeBaseVersion(),
+      rulings: getSavedRecipeRulings(recipes, settings)
+    }));
+  } catch (error) {
+    console.error("Error saving last visit:", error);
+  }
+}
+
+/**
+ * Rulings in saved recipes that changed since the last visit's knowledge base
+ * Recipes saved after the last visit have nothing to compare against and are skipped
+ *
+ * @param {Array} recipes - Saved recipes ({ id, original })
+ * @param {Object} settings - { strictnessLevel, schoolOfThought }
+ * @returns {Object|null} { sinceVersion, currentVersion, recipes: [{ recipeId, title, changes }] },
+ *   null on the first visit or when the knowledge base is unchanged
+ *   - changes: [{ ingredient_id, before (null when not recognised before), after, revisions }]
+ */
+export function getChangesSinceLastVisit(recipes, settings = {}) {
+  const lastVisit = getLastVisit();
+  const currentVersion = getKnowledgeBaseVersion();
+  if (!lastVisit || lastVisit.knowledgeVersion === currentVersion) return null;
+
+  const current = getSavedRecipeRulings(recipes, settings);
+  const changedRecipes = (recipes || []).flatMap(recipe => {
+    const before = lastVisit.rulings[recipe?.id];
+    const after = current[recipe?.id];
+    if (!before || !after) return [];
+
+    const changes = Object.entries(after)
+      .filter(([ingredientId, status]) => before[ingredientId] !== status)
+      .map(([ingredientId, status]) => ({
+        ingredient_id: ingredientId,
+        before: before[ingredientId] || null,
+        after: status,
+        revisions: getEntryRevisions(ingredientId, lastVisit.knowledgeVersion)
+      }));
+    return changes.length > 0
+      ? [{ recipeId: recipe.id, title: getRecipeTitle(recipe.original), changes }]
+      : [];
+  });
+
+  return { sinceVersion: lastVisit.knowledgeVersion, currentVersion, recipes: changedRecipes };
+}
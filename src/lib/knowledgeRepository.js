@@ -0,0 +1,186 @@
+/**
+ * Knowledge Repository
+ * Single data-access layer over the knowledge sources, so every screen gets the same answer
+ * for the same ingredient: one normalisation, one alias index, one lookup.
+ *
+ * Sources, highest priority first (the same order halalEngine resolves rulings in):
+ * - nested: nested_ingredients.json (rulings per school, derivedFrom)
+ * - flat: halal_knowledge_flat.json (generated from nested for fast lookups)
+ * - legacy: halal_knowledge.json (hand-edited; substitutes, ratios, cooking contexts)
+ *
+ * An ID defined in several sources is one record: fields from a higher-priority source
+ * override the same fields from a lower one. Every lookup reports which source answered.
+ *
+ * The HKM products/sources model (src/data/halal/) is a separate graph of what contains what;
+ * getHkmItem() reads it for the engine's dependency trees.
+ *
+ * ingredients.json is a browsing tree of what is made from what (beef → gelatin → marshmallows);
+ * getIngredientTree() gives only its structure, every node's fields come from the sources above.
+ */
+
+import nestedIngredients from "../data/nested_ingredients.json";
+import halalKnowledgeFlat from "../data/halal_knowledge_flat.json";
+import halalKnowledgeLegacy from "../data/halal_knowledge.json";
+import ingredientTree from "../data/ingredients.json";
+import hkmProducts from "../data/halal/products.json";
+import hkmIngredients from "../data/halal/ingredients.json";
+import hkmSources from "../data/halal/sources.json";
+
+export const KNOWLEDGE_SOURCES = {
+  nested: { file: "nested_ingredients.json", entries: nestedIngredients },
+  flat: { file: "halal_knowledge_flat.json", entries: halalKnowledgeFlat },
+  legacy: { file: "halal_knowledge.json", entries: halalKnowledgeLegacy }
+};
+
+const SOURCE_PRIORITY = ["nested", "flat", "legacy"];
+
+/**
+ * Normalise an ingredient name or ID to the knowledge-base ID form
+ * "Pork Belly", "pork-belly", " pork_belly " -> "pork_belly"
+ * @param {string} name - Ingredient name, alias or ID
+ * @returns {string} snake_case ID ("" for empty input)
+ */
+export function normalizeIngredientId(name) {
+  if (!name || typeof name !== "string") return "";
+  return name
+    .toLowerCase()
+    .trim()
+    .replace(/['’]/g, "")
+    .replace(/[^\p{L}\p{N}]+/gu, "_")
+    .replace(/^_+|_+$/g, "");
+}
+
+// Term -> ID; IDs from every source first so an ID is never shadowed by another entry's alias,
+// then aliases in source priority order (first registration wins)
+const aliasIndex = new Map();
+SOURCE_PRIORITY.forEach(source => {
+  Object.keys(KNOWLEDGE_SOURCES[source].entries).forEach(id => {
+    const term = normalizeIngredientId(id);
+    if (!aliasIndex.has(term)) aliasIndex.set(term, id);
+  });
+});
+SOURCE_PRIORITY.forEach(source => {
+  Object.entries(KNOWLEDGE_SOURCES[source].entries).forEach(([id, entry]) => {
+    (Array.isArray(entry.aliases) ? entry.aliases : []).forEach(alias => {
+      const term = normalizeIngredientId(alias);
+      if (term && !aliasIndex.has(term)) aliasIndex.set(term, id);
+    });
+  });
+});
+
+const recordCache = new Map();
+
+/**
+ * Sources that define an ID, highest priority first
+ * @param {string} id - Knowledge-base ID
+ * @returns {Array<string>} e.g. ["nested", "flat", "legacy"]
+ */
+export function getDefiningSources(id) {
+  return SOURCE_PRIORITY.filter(source => Boolean(KNOWLEDGE_SOURCES[source].entries[id]));
+}
+
+/**
+ * Raw entry of one source, in that source's own format
+ * @param {string} id - Knowledge-base ID
+ * @param {string} source - "nested", "flat" or "legacy"
+ * @returns {Object|null}
+ */
+export function getSourceEntry(id, source) {
+  return KNOWLEDGE_SOURCES[source]?.entries[id] || null;
+}
+
+// A nested entry's fields under their flat names; rulings and derivedFrom keep their own names
+function toFlatFields({ id, displayName, alternativeContexts, ...fields }) {
+  return { ...fields, ...(alternativeContexts ? { alternative_contexts: alternativeContexts } : {}) };
+}
+
+/**
+ * Merged record for an ID in the flat format (status, alternatives, aliases, references, ...)
+ * A nested entry adds its rulings and derivedFrom; status comes from the flat or legacy entry.
+ * @param {string} id - Knowledge-base ID (use lookupIngredient() for names and aliases)
+ * @returns {Object|null} Record with id, displayName and source (highest-priority defining source)
+ */
+export function getKnowledgeEntry(id) {
+  if (recordCache.has(id)) return recordCache.get(id);
+
+  const sources = getDefiningSources(id);
+  if (sources.length === 0) return null;
+
+  const nested = KNOWLEDGE_SOURCES.nested.entries[id];
+  const record = {
+    ...KNOWLEDGE_SOURCES.legacy.entries[id],
+    ...KNOWLEDGE_SOURCES.flat.entries[id],
+    ...(nested ? toFlatFields(nested) : {}),
+    id,
+    displayName: nested?.displayName || KNOWLEDGE_SOURCES.flat.entries[id]?.displayName || null,
+    source: sources[0],
+    sources
+  };
+  recordCache.set(id, record);
+  return record;
+}
+
+/**
+ * Look up an ingredient by ID, name or alias
+ * @param {string} name - What the user or recipe calls the ingredient
+ * @returns {Object|null} { id, entry, source, sourceFile, matchedBy ("id" | "alias"), term } or null when unknown
+ */
+export function lookupIngredient(name) {
+  const term = normalizeIngredientId(name);
+  const id = aliasIndex.get(term);
+  if (!id) return null;
+
+  const entry = getKnowledgeEntry(id);
+  return {
+    id,
+    entry,
+    source: entry.source,
+    sourceFile: KNOWLEDGE_SOURCES[entry.source].file,
+    matchedBy: normalizeIngredientId(id) === term ? "id" : "alias",
+    term
+  };
+}
+
+/**
+ * Every known term (IDs and aliases) with the ID it resolves to
+ * @returns {Array<[string, string]>} [term, id] pairs, IDs before aliases
+ */
+export function getAliasIndex() {
+  return [...aliasIndex.entries()];
+}
+
+/**
+ * All knowledge-base IDs across sources
+ * @returns {Array<string>}
+ */
+export function getAllIngredientIds() {
+  return [...new Set(SOURCE_PRIORITY.flatMap(source => Object.keys(KNOWLEDGE_SOURCES[source].entries)))];
+}
+
+/**
+ * Item of the HKM products/sources model
+ * @param {string} id - HKM ID
+ * @returns {Object|null} { id, type ("product" | "ingredient" | "source"), default_status, contains, depends_on, schools, ... }
+ */
+export function getHkmItem(id) {
+  const entry = hkmProducts[id] || hkmIngredients[id] || hkmSources[id];
+  return entry ? { id, ...entry } : null;
+}
+
+let treeRoots = null;
+
+/**
+ * Browsing tree of what is made from what (ingredients.json), as knowledge-base IDs
+ * Read each node's name, status and category with getKnowledgeEntry()
+ * @returns {Array<Object>} Root nodes { id, children: [node, ...] }
+ */
+export function getIngredientTree() {
+  if (!treeRoots) {
+    const toNode = node => ({
+      id: lookupIngredient(node.name)?.id || normalizeIngredientId(node.name),
+      children: (node.children || []).map(toNode)
+    });
+    treeRoots = Object.values(ingredientTree).map(toNode);
+  }
+  return treeRoots;
+}
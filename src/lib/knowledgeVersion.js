@@ -0,0 +1,31 @@
+/**
+ * Knowledge Base Version
+ * Identifies the knowledge data a result was produced with, so stored results
+ * (conversion history, saved recipes) can tell whether the rulings changed since
+ *
+ * Version and per-entry revisions are written by scripts/generateFlatFromNested.js; besides ingredients,
+ * they cover additives.json and the rule packs and alcohol rulings in HALAL_RULES
+ */
+
+import knowledgeChangelog from "../data/knowledge_changelog.json";
+
+/**
+ * Version of the bundled knowledge base
+ * @returns {number} Incremented every time the generator finds changed knowledge data
+ */
+export function getKnowledgeBaseVersion() {
+  return knowledgeChangelog.version;
+}
+
+/**
+ * Revision history of one knowledge-base entry
+ * @param {string} ingredientId - Ingredient ID (snake_case), or a prefixed ID of another ruling
+ *   source ("additive:e120", "rule_pack:horse_meat", "alcohol:khamr")
+ * @param {number} sinceVersion - Only revisions made after this knowledge-base version
+ * @returns {Array} [{ revision, knowledgeVersion, date, change ("added" | "updated" | "removed"), fields }]
+ */
+export function getEntryRevisions(ingredientId, sinceVersion = 0) {
+  const entry = knowledgeChangelog.entries[ingredientId];
+  if (!entry) return [];
+  return entry.history.filter(revision => revision.knowledgeVersion > sinceVersion);
+}
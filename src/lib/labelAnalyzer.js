@@ -0,0 +1,254 @@
+/**
+ * Packaged-Food Label Analyzer
+ * Checks a pasted ingredient panel ("Ingredients: sugar, corn syrup, gelatin, ...") token by token
+ *
+ * - Tokenises on top-level commas/semicolons, keeping parenthesised sub-ingredients as children
+ *   ("enriched flour (wheat flour, niacin)")
+ * - A parenthesis that only names an additive's source ("E322 (sunflower)", "E471 (from palm)")
+ *   is a note, and the additive is resolved to that source
+ * - "contains 2% or less of" clauses mark every ingredient after them as minor
+ * - Cross-contamination statements after the list ("may contain pork") count against the verdict
+ *   as far as the user's strictness says
+ * - Every token is evaluated with evaluateItem() and the additive database; a token with
+ *   sub-ingredients is as good as its worst sub-ingredient
+ */
+
+import { evaluateItem, getWorstStatus, getCrossContaminationRuling } from "./halalEngine";
+import { detectAdditives } from "./additiveDetection";
+import { detectCrossContamination } from "./crossContamination";
+import { detectModifiers, detectSourceQualifier } from "./ingredientModifiers";
+
+export const WORST_OFFENDER_LIMIT = 5;
+
+const OPENING = { "(": ")", "[": "]", "{": "}" };
+const CLOSING = new Set(Object.values(OPENING));
+
+// "contains 2% or less of:", "less than 2% of", "contains less than 2% of each of the following:"
+const MINOR_CLAUSE = /^(?:and\s+)?(?:contains\s+)?(?:(?:less\s+than\s+|under\s+)\d+(?:\.\d+)?\s*%|\d+(?:\.\d+)?\s*%\s+or\s+less)(?:\s+(?:each\s+)?of)?(?:\s+(?:each\s+of\s+)?the\s+following)?\s*:?\s*/i;
+
+// Statements after the ingredient list ("Contains: milk, soy.", "May contain traces of nuts",
+// "Made in a facility that also handles pork", "Produced on shared equipment")
+const TRAILING_STATEMENT = /(?:^|[.\n]\s*)(contains\s*:|may\s+(?:also\s+)?contain\b|allergens?\s*:|(?:processed|produced|made|manufactured|packed|packaged|prepared)\s+(?:in|on|at)\s+(?:a\s+|the\s+)?(?:same\s+|shared\s+)?(?:facility|factory|plant|site|equipment|line)|fried\s+in\b)/i;
+
+const PERCENTAGE_ONLY = /^[\d.,\s]+%?$/;
+
+// Parentheses that say what an ingredient is for, not what it's made of: "carmine (color)", "BHT (to preserve freshness)"
+const FUNCTION_NOTE = /^(?:(?:natural|artificial)\s+)?(?:colou?rs?|colou?ring|preservatives?|emulsifiers?|stabili[sz]ers?|thickeners?|antioxidants?|acidity regulators?|leavening|flavou?r enhancers?|sweeteners?|anti-?caking agents?)$|^(?:to|for)\s/i;
+
+/**
+ * Split text on top-level commas and semicolons
+ * Unbalanced brackets are closed at the end of the text.
+ */
+function splitTopLevel(text) {
+  const parts = [];
+  const stack = [];
+  let current = "";
+
+  for (const char of text) {
+    if (OPENING[char]) {
+      stack.push(OPENING[char]);
+    } else if (CLOSING.has(char) && stack[stack.length - 1] === char) {
+      stack.pop();
+    } else if ((char === "," || char === ";") && stack.length === 0) {
+      parts.push(current);
+      current = "";
+      continue;
+    }
+    current += char;
+  }
+  parts.push(current);
+  return parts;
+}
+
+/**
+ * Separate a segment's name from its first top-level bracket group
+ * "enriched flour (wheat flour, niacin)" -> { name: "enriched flour", inner: "wheat flour, niacin" }
+ */
+function splitBrackets(segment) {
+  const start = segment.search(/[([{]/);
+  if (start === -1) return { name: segment, inner: null };
+
+  const close = OPENING[segment[start]];
+  let depth = 0;
+  let end = segment.length;
+  for (let i = start; i < segment.length; i++) {
+    if (segment[i] === segment[start]) depth++;
+    if (segment[i] === close && --depth === 0) {
+      end = i;
+      break;
+    }
+  }
+
+  const name = `${segment.slice(0, start)} ${segment.slice(end + 1)}`;
+  return { name, inner: segment.slice(start + 1, end) };
+}
+
+/**
+ * "E322 (sunflower)", "mono- and diglycerides (from palm oil)": the parenthesis is where the additive
+ * came from, not what it contains
+ */
+function isSourceNote(name, inner) {
+  if (!detectSourceQualifier(inner)?.isOnlyQualifier) return false;
+  return detectAdditives(name).length > 0 ||
+    detectModifiers(name).conditionalModifiers.some(modifier => modifier.sourceDependent);
+}
+
+function cleanName(name) {
+  return name
+    .replace(/[*†‡]+/g, "")
+    .replace(/^\s*(?:and|&)\s+/i, "")
+    .replace(/\s+/g, " ")
+    .replace(/^[\s.:]+|[\s.:]+$/g, "");
+}
+
+function tokenizeList(text, depth, minorFromStart) {
+  let minor = minorFromStart;
+  return splitTopLevel(text).flatMap(rawSegment => {
+    let segment = rawSegment.trim();
+    const clause = segment.match(MINOR_CLAUSE);
+    if (clause) {
+      minor = true;
+      segment = segment.slice(clause[0].length);
+    }
+
+    const { name, inner } = splitBrackets(segment);
+    const text = cleanName(name);
+    if (!text || PERCENTAGE_ONLY.test(text)) return [];
+
+    const innerText = inner?.trim() || "";
+    const isNote = PERCENTAGE_ONLY.test(innerText) || FUNCTION_NOTE.test(innerText) || isSourceNote(text, innerText);
+    const children = innerText && !isNote ? tokenizeList(innerText, depth + 1, minor) : [];
+    return [{ text, depth, minor, note: innerText && isNote ? innerText : null, children }];
+  });
+}
+
+/**
+ * Tokenise an ingredient panel
+ * @param {string} label - Pasted label text, with or without the "Ingredients:" heading
+ * @returns {Object} { tokens: [{ text, depth, minor, note, children }], statements: [string] }
+ *   - note: parenthesised percentage, purpose or source ("12%", "color", "sunflower") that isn't a sub-ingredient
+ *   - statements: allergen, "may contain" and shared facility/equipment sentences after the list,
+ *     not evaluated as ingredients
+ */
+export function tokenizeLabel(label) {
+  if (!label || typeof label !== "string") return { tokens: [], statements: [] };
+
+  let text = label.trim().replace(/^ingredients?\s*:\s*/i, "");
+  const statements = [];
+  const statement = text.match(TRAILING_STATEMENT);
+  if (statement) {
+    const start = statement.index + statement[0].indexOf(statement[1]);
+    statements.push(text.slice(start).replace(/\s+/g, " ").trim());
+    text = text.slice(0, start);
+  }
+
+  return { tokens: tokenizeList(text.replace(/\s+/g, " "), 0, false), statements };
+}
+
+/**
+ * Evaluate one token and its sub-ingredients
+ */
+function evaluateToken(token, options, path) {
+  // A source note is read as part of the name: "E322 (sunflower)" -> "sunflower E322"
+  const sourceQualifier = token.note ? detectSourceQualifier(token.note) : null;
+  const name = sourceQualifier?.isOnlyQualifier ? `${sourceQualifier.terms.join(" ")} ${token.text}` : token.text;
+  const evaluation = evaluateItem(name, options);
+  const additive = detectAdditives(name)[0] || null;
+  const children = token.children.map(child => evaluateToken(child, options, [...path, token.text]));
+
+  // The engine's "unknown" only means it has no data, so a known additive status takes over
+  const ownStatuses = [evaluation.status, additive?.halal_status].filter(Boolean);
+  const knownStatuses = ownStatuses.filter(status => status !== "unknown");
+  const ownStatus = getWorstStatus(knownStatuses.length > 0 ? knownStatuses : ownStatuses);
+  // Compound ingredients are judged by what they're made of when the name itself says nothing
+  const status = children.length > 0
+    ? getWorstStatus([...children.map(child => child.status), ...(ownStatus === "unknown" ? [] : [ownStatus])])
+    : ownStatus;
+
+  return {
+    text: token.text,
+    path,
+    depth: token.depth,
+    minor: token.minor,
+    note: token.note,
+    status,
+    ownStatus,
+    confidenceScore: evaluation.confidenceScore,
+    explanation: additive && (additive.halal_status !== "halal" || additive.resolved_source) && evaluation.status === "unknown"
+      ? additive.simple_explanation
+      : (evaluation.simpleExplanation || evaluation.explanation || ""),
+    source: additive ? (evaluation.status === "unknown" ? "additive" : "engine+additive") : "engine",
+    additive: additive
+      ? {
+          e_number: additive.e_number || null,
+          name: additive.name,
+          halal_status: additive.halal_status,
+          resolved_source: additive.resolved_source || null,
+          trace: additive.trace || []
+        }
+      : null,
+    evaluation,
+    children
+  };
+}
+
+function flatten(results) {
+  return results.flatMap(result => [result, ...flatten(result.children)]);
+}
+
+const OFFENDER_ORDER = ["haram", "questionable", "conditional"];
+
+/**
+ * Analyze a packaged-food ingredient panel
+ * @param {string} label - Pasted label text
+ * @param {Object} options - { strictness, madhab } (or strictnessLevel, schoolOfThought), passed to evaluateItem
+ * @returns {Object} {
+ *   verdict: worst status of the top-level ingredients ("halal" | "conditional" | "questionable" | "unknown" | "haram"),
+ *     made worse by cross-contamination statements for standard and strict users,
+ *   crossContamination: findings from detectCrossContamination() in the statements,
+ *   crossContaminationStatus: what they count as for this strictness ("halal" when they don't count),
+ *   confidenceScore: lowest ingredient confidence (0-100),
+ *   worstOffenders: up to WORST_OFFENDER_LIMIT haram or doubtful ingredients, worst first,
+ *   unknowns: ingredients the knowledge base and additive database don't know - not offenders, but unchecked,
+ *   breakdown: every token, sub-ingredients after their parent,
+ *   tokens: the same results as a tree, statements, counts
+ * }
+ */
+export function analyzeLabel(label, options = {}) {
+  const { tokens, statements } = tokenizeLabel(label);
+  const results = tokens.map(token => evaluateToken(token, options, []));
+  const breakdown = flatten(results);
+
+  // Only leaves are offenders: a compound is already represented by the sub-ingredient that sank it
+  const worstOffenders = breakdown
+    .filter(item => item.children.length === 0 && OFFENDER_ORDER.includes(item.status))
+    .sort((a, b) =>
+      OFFENDER_ORDER.indexOf(a.status) - OFFENDER_ORDER.indexOf(b.status) ||
+      Number(a.minor) - Number(b.minor) ||
+      (a.confidenceScore ?? 0) - (b.confidenceScore ?? 0)
+    )
+    .slice(0, WORST_OFFENDER_LIMIT);
+  const unknowns = breakdown.filter(item => item.children.length === 0 && item.status === "unknown");
+
+  const counts = breakdown.reduce((acc, item) => ({ ...acc, [item.status]: (acc[item.status] || 0) + 1 }), {});
+  const scores = breakdown.map(item => item.confidenceScore).filter(score => typeof score === "number");
+
+  // What the statements alone make of the product: "halal" when there are none or the user's strictness ignores them
+  const crossContamination = detectCrossContamination(statements.join(" "), options);
+  const crossContaminationStatus = getCrossContaminationRuling("halal", crossContamination, options);
+
+  return {
+    verdict: results.length > 0
+      ? getWorstStatus([...results.map(result => result.status), crossContaminationStatus])
+      : "unknown",
+    confidenceScore: scores.length > 0 ? Math.min(...scores) : 0,
+    worstOffenders,
+    unknowns,
+    breakdown,
+    tokens: results,
+    statements,
+    crossContamination,
+    crossContaminationStatus,
+    counts
+  };
+}
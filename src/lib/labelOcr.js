@@ -0,0 +1,110 @@
+/**
+ * On-Device Label OCR
+ * Reads a photographed ingredient label in the browser with Tesseract (WASM) - the image never leaves the device
+ *
+ * Worker, WASM core and English language data are bundled with the app (see vite.config.js) and
+ * tesseract.js is only loaded the first time a photo is read, so it doesn't weigh on the main bundle.
+ * The recognised text is cleaned of common OCR errors in E-numbers, and words Tesseract is unsure
+ * about are flagged so the user can correct them before the label is analysed.
+ */
+
+import workerUrl from "tesseract.js/dist/worker.min.js?url";
+import coreLstmUrl from "tesseract.js-core/tesseract-core-lstm.wasm.js?url";
+import "tesseract.js-core/tesseract-core-simd-lstm.wasm.js?url";
+import "tesseract.js-core/tesseract-core-relaxedsimd-lstm.wasm.js?url";
+import engDataUrl from "@tesseract.js-data/eng/4.0.0_best_int/eng.traineddata.gz?url";
+
+export const LOW_CONFIDENCE_THRESHOLD = 60;
+
+// Characters OCR confuses with digits inside an E-number ("E47l", "EI2O", "E1S0")
+const DIGIT_LOOKALIKES = { O: "0", o: "0", D: "0", Q: "0", I: "1", l: "1", i: "1", "|": "1", S: "5", s: "5", B: "8", Z: "2", z: "2", G: "6" };
+const E_NUMBER_CANDIDATE = /(^|[^\p{L}\p{N}])[E€£][\s-]?([0-9OoDQIli|SsBZzG]{3,4})(?![\p{L}\p{N}])/gu;
+
+/**
+ * Directory of a bundled asset URL (Tesseract appends the file names itself)
+ */
+function assetDirectory(url) {
+  return new URL(".", new URL(url, window.location.href)).href;
+}
+
+/**
+ * Fix common OCR errors in one word or a whole text
+ * - E-numbers: look-alike letters become digits ("E47l" -> "E471", "EI2O" -> "E120"), "E 471" -> "E471"
+ * - Zeros between letters become O ("S0DIUM" -> "SODIUM")
+ * @param {string} text - Raw OCR text
+ * @returns {string}
+ */
+export function cleanOcrText(text) {
+  if (!text || typeof text !== "string") return "";
+  return text
+    .replace(E_NUMBER_CANDIDATE, (match, before, body) => {
+      const digits = [...body].map(char => DIGIT_LOOKALIKES[char] || char).join("");
+      // Keep words that merely start with E ("EGGS") - an E-number has at least one real digit
+      if (!/^\d{3,4}$/.test(digits) || !/[0-9]/.test(body)) return match;
+      return `${before}E${digits}`;
+    })
+    .replace(/(?<=\p{L})0(?=\p{L})/gu, "O")
+    .replace(/^lngredients/gim, "Ingredients");
+}
+
+/**
+ * Turn Tesseract's block/paragraph/line/word output into cleaned lines of words
+ * @param {Object} data - recognize() result data with blocks
+ * @returns {Array} [[{ text, original, confidence, lowConfidence, corrected }]] one array per line
+ */
+export function toReviewLines(data) {
+  const lines = (data?.blocks || []).flatMap(block =>
+    (block.paragraphs || []).flatMap(paragraph => paragraph.lines || [])
+  );
+  return lines
+    .map(line => (line.words || []).map(word => {
+      const text = cleanOcrText(word.text);
+      return {
+        text,
+        original: word.text,
+        confidence: Math.round(word.confidence),
+        lowConfidence: word.confidence < LOW_CONFIDENCE_THRESHOLD,
+        corrected: text !== word.text
+      };
+    }))
+    .filter(words => words.length > 0);
+}
+
+/**
+ * Join review lines back into label text
+ * @param {Array} lines - From toReviewLines(), possibly with corrected words
+ * @returns {string}
+ */
+export function reviewLinesToText(lines) {
+  return lines.map(words => words.map(word => word.text).join(" ")).join("\n");
+}
+
+/**
+ * Read a photographed label
+ * @param {File|Blob|string} image - Photo from a file input or camera capture
+ * @param {Object} options - { onProgress(progress 0-1, status) }
+ * @returns {Promise<Object>} { text, lines (see toReviewLines), confidence (0-100), lowConfidenceCount }
+ */
+export async function recognizeLabel(image, { onProgress } = {}) {
+  const { createWorker, OEM } = await import("tesseract.js");
+  const worker = await createWorker("eng", OEM.LSTM_ONLY, {
+    workerPath: new URL(workerUrl, window.location.href).href,
+    corePath: assetDirectory(coreLstmUrl),
+    langPath: assetDirectory(engDataUrl),
+    gzip: true,
+    logger: message => onProgress?.(message.progress, message.status)
+  });
+
+  try {
+    const { data } = await worker.recognize(image, {}, { blocks: true });
+    const lines = toReviewLines(data);
+    return {
+      text: reviewLinesToText(lines),
+      lines,
+      confidence: Math.round(data.confidence),
+      lowConfidenceCount: lines.flat().filter(word => word.lowConfidence).length
+    };
+  } finally {
+    await worker.terminate();
+  }
+}
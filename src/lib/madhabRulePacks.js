@@ -0,0 +1,146 @@
+/**
+ * Madhab Rule Packs
+ * Category-level positions of each school, applied to any ingredient in a matching category
+ * so knowledge entries don't have to restate every school
+ *
+ * - The positions are in HALAL_RULES.madhab[school][category]; what belongs to each category is below
+ * - An entry's own rulings[madhab] is more specific and wins over its school's pack
+ * - Entries derived only from items in a category ("parmesan_cheese" from "animal_rennet") get the pack too
+ * - No pack applies for "no-preference"
+ */
+
+import { HALAL_RULES } from "./halalRules";
+import { normalizeIngredientId } from "./knowledgeRepository";
+
+export const MADHAB_LABELS = {
+  hanafi: "Hanafi",
+  shafii: "Shafi'i",
+  maliki: "Maliki",
+  hanbali: "Hanbali"
+};
+
+/**
+ * Rule-pack categories
+ * terms are whole words of an ingredient name ("rice wine vinegar" matches "wine vinegar");
+ * exclude terms take an ingredient out of the category ("imitation crab", "microbial rennet")
+ */
+export const RULE_PACK_CATEGORIES = {
+  seafood_shellfish: {
+    label: "shellfish and other non-fish seafood",
+    terms: [
+      "shrimp", "shrimps", "prawn", "prawns", "crab", "crabs", "lobster", "lobsters", "crawfish", "crayfish",
+      "clam", "clams", "oyster", "oysters", "mussel", "mussels", "scallop", "scallops", "squid", "calamari",
+      "octopus", "cuttlefish", "sea urchin", "shellfish"
+    ],
+    exclude: ["imitation", "vegan", "mock"],
+    explanation: "The Hanafi school only permits fish from the sea; the other schools permit all sea creatures.",
+    references: ["Qur'an 5:96"]
+  },
+  crocodilian: {
+    label: "crocodiles and alligators",
+    terms: ["crocodile", "crocodiles", "alligator", "alligators", "caiman", "gator"],
+    exclude: [],
+    explanation: "Most schools forbid crocodilians as predators with fangs; the Maliki school permits them.",
+    references: ["Sahih Muslim 1933"]
+  },
+  amphibian: {
+    label: "frogs and other amphibians",
+    terms: ["frog", "frogs", "frog legs", "toad", "toads"],
+    exclude: [],
+    explanation: "The Prophet forbade killing frogs, which most schools take as forbidding eating them; the Maliki school permits them.",
+    references: ["Sunan Abu Dawud 5269"]
+  },
+  insect: {
+    label: "insects and insect-derived colours",
+    terms: [
+      "carmine", "cochineal", "carminic acid", "e120", "natural red 4", "crimson lake", "insect", "insects",
+      "cricket", "crickets", "mealworm", "mealworms", "silkworm", "silkworms"
+    ],
+    exclude: ["locust", "locusts"],
+    explanation: "Carmine is made from crushed cochineal insects. The Maliki school permits insects; the other schools forbid all but locusts.",
+    references: ["Qur'an 7:157", "Sahih Bukhari 5495"]
+  },
+  horse_meat: {
+    label: "horse meat",
+    terms: ["horse", "horses", "horsemeat", "equine"],
+    exclude: [],
+    explanation: "The Shafi'i and Hanbali schools permit horse meat. Abu Hanifa and the Maliki school disliked it, and the Hanafi position is debated.",
+    references: ["Sahih Bukhari 5520", "Sahih Muslim 1941"]
+  },
+  rennet_non_zabiha: {
+    label: "rennet from animals not slaughtered Islamically",
+    terms: ["rennet", "rennets", "animal rennet", "calf rennet", "rennet cheese"],
+    exclude: ["microbial", "vegetable", "plant", "fungal", "synthetic", "fermentation", "halal", "zabiha"],
+    explanation: "Abu Hanifa held that rennet stays pure even when the animal wasn't slaughtered Islamically; the Shafi'i school counts it as impure, and the Maliki and Hanbali schools are divided.",
+    references: ["Sahih Muslim 363"]
+  },
+  alcohol_vinegar: {
+    label: "vinegar made from wine or beer",
+    terms: ["wine vinegar", "sherry vinegar", "champagne vinegar", "beer vinegar"],
+    exclude: [],
+    explanation: "Wine that has become vinegar is a new substance (istihalah). The Hanafi and Maliki schools accept it; the Shafi'i and Hanbali schools only accept wine that turned to vinegar by itself.",
+    references: ["Sahih Muslim 2051", "Sahih Muslim 1983"]
+  }
+};
+
+function containsTerm(words, term) {
+  const termWords = term.split(" ");
+  return words.some((_, index) => termWords.every((word, offset) => words[index + offset] === word));
+}
+
+/**
+ * Rule-pack category an ingredient belongs to
+ * @param {string} name - Ingredient name or ID
+ * @returns {string|null} Category key of RULE_PACK_CATEGORIES
+ */
+export function getRulePackCategory(name) {
+  const words = normalizeIngredientId(name).split("_");
+  const match = Object.entries(RULE_PACK_CATEGORIES).find(([, category]) =>
+    category.terms.some(term => containsTerm(words, term)) &&
+    !category.exclude.some(term => containsTerm(words, term))
+  );
+  return match ? match[0] : null;
+}
+
+/**
+ * An ingredient name without its rule-pack category's terms ("pork and shrimp" → "pork and")
+ * @param {string} name - Ingredient name or ID
+ * @param {string} category - Category key of RULE_PACK_CATEGORIES
+ * @returns {string} Remaining words, joined with "_"
+ */
+export function removeRulePackTerms(name, category) {
+  const words = normalizeIngredientId(name).split("_");
+  const covered = new Set();
+  RULE_PACK_CATEGORIES[category].terms.forEach(term => {
+    const termWords = term.split(" ");
+    words.forEach((_, index) => {
+      if (termWords.every((word, offset) => words[index + offset] === word)) {
+        termWords.forEach((__, offset) => covered.add(index + offset));
+      }
+    });
+  });
+  return words.filter((_, index) => !covered.has(index)).join("_");
+}
+
+/**
+ * Position of a school's rule pack on an ingredient
+ * @param {string} name - Ingredient name or ID
+ * @param {string} madhab - "hanafi" | "shafii" | "maliki" | "hanbali" ("no-preference" never matches)
+ * @returns {Object|null} { madhab, pack, category, label, status, explanation, references }
+ */
+export function getRulePackRuling(name, madhab) {
+  const positions = HALAL_RULES.madhab[madhab];
+  const category = positions ? getRulePackCategory(name) : null;
+  if (!category || !positions[category]) return null;
+
+  const { label, explanation, references } = RULE_PACK_CATEGORIES[category];
+  return {
+    madhab,
+    pack: `${MADHAB_LABELS[madhab] || madhab} rule pack`,
+    category,
+    label,
+    status: positions[category],
+    explanation,
+    references
+  };
+}
@@ -0,0 +1,191 @@
+/**
+ * Personal Rules
+ * The user's own overrides, applied after every other rule regardless of madhab and strictness
+ * ("we avoid all shellfish", "we accept E471 from our brand")
+ *
+ * - ingredient: force a status for one ingredient (matched by ID, name or alias)
+ * - additive: force a status for one additive (matched by E-number or name)
+ * - category: force a status for a rule-pack category (shellfish, insects, horse meat, ...)
+ * - never_suggest: never offer this substitute
+ *
+ * Passed to evaluateItem() as options.personalRules and to convertRecipeWithJson() as
+ * userPreferences.personalRules. Exported and imported as JSON so a household can share them.
+ */
+
+import { normalizeIngredientId, lookupIngredient } from "./knowledgeRepository";
+import { getAdditiveInfo } from "./additiveDatabase";
+import { getRulePackCategory, RULE_PACK_CATEGORIES } from "./madhabRulePacks";
+import { formatIngredientName } from "./ingredientDisplay";
+
+const STORAGE_KEY = "halalPersonalRules";
+const EXPORT_VERSION = 1;
+
+export const PERSONAL_RULE_TYPES = ["ingredient", "additive", "category", "never_suggest"];
+export const PERSONAL_RULE_STATUSES = ["halal", "conditional", "questionable", "haram"];
+
+// Most specific first: a rule for "shrimp" wins over one for all shellfish
+const STATUS_RULE_PRECEDENCE = ["ingredient", "additive", "category"];
+
+/**
+ * Check a rule and put its target in canonical form
+ * @param {Object} rule - { type, target, status }
+ * @returns {Object|null} { id, type, target, status? } or null when the rule is invalid
+ */
+export function normalizePersonalRule(rule) {
+  if (!rule || !PERSONAL_RULE_TYPES.includes(rule.type) || typeof rule.target !== "string") return null;
+
+  let target;
+  if (rule.type === "additive") {
+    const additive = getAdditiveInfo(rule.target.trim());
+    target = additive?.e_number || normalizeIngredientId(rule.target);
+  } else if (rule.type === "category") {
+    target = RULE_PACK_CATEGORIES[rule.target] ? rule.target : null;
+  } else {
+    target = normalizeIngredientId(rule.target);
+  }
+  if (!target) return null;
+
+  if (rule.type === "never_suggest") {
+    return { id: `${rule.type}:${target}`, type: rule.type, target };
+  }
+  if (!PERSONAL_RULE_STATUSES.includes(rule.status)) return null;
+  return { id: `${rule.type}:${target}`, type: rule.type, target, status: rule.status };
+}
+
+/**
+ * Get the saved personal rules
+ * @returns {Array} [{ id, type, target, status? }]
+ */
+export function getPersonalRules() {
+  try {
+    if (typeof Storage === "undefined") return [];
+    const saved = JSON.parse(localStorage.getItem(STORAGE_KEY) || "[]");
+    return Array.isArray(saved) ? saved.map(normalizePersonalRule).filter(Boolean) : [];
+  } catch (error) {
+    console.error("Error loading personal rules:", error);
+    return [];
+  }
+}
+
+function savePersonalRules(rules) {
+  try {
+    localStorage.setItem(STORAGE_KEY, JSON.stringify(rules));
+  } catch (error) {
+    console.error("Error saving personal rules:", error);
+  }
+  return rules;
+}
+
+/**
+ * Add a rule, replacing any rule for the same target
+ * @param {Object} rule - { type, target, status }
+ * @returns {Object} { success, rules, error? }
+ */
+export function addPersonalRule(rule) {
+  const normalized = normalizePersonalRule(rule);
+  if (!normalized) {
+    return { success: false, rules: getPersonalRules(), error: "Choose what the rule applies to and the status to give it." };
+  }
+  const rules = getPersonalRules().filter(existing => existing.id !== normalized.id);
+  return { success: true, rules: savePersonalRules([...rules, normalized]) };
+}
+
+/**
+ * Remove a rule
+ * @param {string} ruleId - Rule ID ("category:seafood_shellfish")
+ * @returns {Array} Updated rules
+ */
+export function removePersonalRule(ruleId) {
+  return savePersonalRules(getPersonalRules().filter(rule => rule.id !== ruleId));
+}
+
+/**
+ * Personal rules as JSON to share
+ * @param {Array} rules - Defaults to the saved rules
+ * @returns {string}
+ */
+export function exportPersonalRules(rules = getPersonalRules()) {
+  return JSON.stringify({
+    version: EXPORT_VERSION,
+    rules: rules.map(({ type, target, status }) => (status ? { type, target, status } : { type, target }))
+  }, null, 2);
+}
+
+/**
+ * Import shared personal rules, merged over the saved ones (an imported rule wins for the same target)
+ * @param {string} json - From exportPersonalRules()
+ * @returns {Object} { success, rules, imported, skipped, error? }
+ */
+export function importPersonalRules(json) {
+  let parsed;
+  try {
+    parsed = JSON.parse(json);
+  } catch (error) {
+    return { success: false, rules: getPersonalRules(), imported: 0, skipped: 0, error: "This file isn't valid JSON." };
+  }
+
+  const incoming = Array.isArray(parsed) ? parsed : parsed?.rules;
+  if (!Array.isArray(incoming)) {
+    return { success: false, rules: getPersonalRules(), imported: 0, skipped: 0, error: "This file doesn't contain personal rules." };
+  }
+
+  const valid = incoming.map(normalizePersonalRule).filter(Boolean);
+  const importedIds = new Set(valid.map(rule => rule.id));
+  const rules = [...getPersonalRules().filter(rule => !importedIds.has(rule.id)), ...valid];
+  return {
+    success: true,
+    rules: savePersonalRules(rules),
+    imported: valid.length,
+    skipped: incoming.length - valid.length
+  };
+}
+
+function matchesRule(rule, itemId) {
+  const id = normalizeIngredientId(itemId);
+  switch (rule.type) {
+    case "ingredient":
+      return id === rule.target || lookupIngredient(id)?.id === (lookupIngredient(rule.target)?.id || rule.target);
+    case "additive":
+      return (getAdditiveInfo(id.replace(/_/g, " "))?.e_number || id) === rule.target;
+    case "category":
+      return getRulePackCategory(id) === rule.target;
+    default:
+      return false;
+  }
+}
+
+/**
+ * The personal rule that sets an item's status, most specific first
+ * @param {string} itemId - Ingredient name or ID
+ * @param {Array} rules - Personal rules
+ * @returns {Object|null} The rule
+ */
+export function findPersonalRule(itemId, rules = []) {
+  for (const type of STATUS_RULE_PRECEDENCE) {
+    const rule = rules.find(candidate => candidate.type === type && matchesRule(candidate, itemId));
+    if (rule) return rule;
+  }
+  return null;
+}
+
+/**
+ * Substitutes the user never wants offered
+ * @param {Array} rules - Personal rules
+ * @returns {Set<string>} Substitute IDs
+ */
+export function getNeverSuggested(rules = []) {
+  return new Set(rules.filter(rule => rule.type === "never_suggest").map(rule => rule.target));
+}
+
+/**
+ * Human-readable description of a rule, for traces and the editor
+ * @param {Object} rule
+ * @returns {string} e.g. "shellfish and other non-fish seafood → haram", "never suggest Coconut Milk"
+ */
+export function describePersonalRule(rule) {
+  if (rule.type === "never_suggest") return `never suggest ${formatIngredientName(rule.target)}`;
+  const target = rule.type === "category"
+    ? RULE_PACK_CATEGORIES[rule.target].label
+    : rule.type === "additive" ? rule.target : formatIngredientName(rule.target);
+  return `${target} → ${rule.status}`;
+}
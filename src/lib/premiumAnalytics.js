@@ -365,6 +365,20 @@ export function trackBatchConversionUsage(recipeCount) {
   });
 }
 
+/**
+ * Track recipe scaling usage
+ * @param {number} fromServings - Servings stated in the recipe
+ * @param {number} toServings - Servings scaled to
+ * @param {string} system - Measurement system ('original', 'metric', 'us')
+ */
+export function trackRecipeScalingUsage(fromServings, toServings, system) {
+  trackPremiumFeatureUsage('recipe_scaling', 'used', {
+    from_servings: fromServings,
+    to_servings: toServings,
+    measurement_system: system
+  });
+}
+
 /**
  * Track conversion history view
  * @param {number} historyCount - Number of conversions in history
@@ -0,0 +1,69 @@
+/**
+ * Recipe Edits
+ * Conversion output as a list of span edits against the original recipe text, so the
+ * converted text can be rebuilt, diffed, or rebuilt with single substitutions rejected
+ *
+ * Edit shape:
+ * { id, type, ingredient_id, lineIndex, start, end, originalText, newText, dependsOn }
+ * - type: "substitution" (ingredient name), "quantity" (amount rewritten by the replacement ratio)
+ *   or "note" (the "(originally …)" note inserted after it)
+ * - start/end: offsets into the original text; start === end for insertions
+ * - dependsOn: id of the substitution a quantity or note edit belongs to, so rejecting the
+ *   substitution also restores the original amount
+ */
+
+/**
+ * Edits that still apply once the given substitutions are rejected
+ * @param {Array} edits - Edit list
+ * @param {Array<string>} rejectedIds - Ids of rejected edits
+ * @returns {Array} Active edits
+ */
+export function getActiveEdits(edits, rejectedIds = []) {
+  const rejected = new Set(rejectedIds);
+  return (edits || []).filter(edit => !rejected.has(edit.id) && !rejected.has(edit.dependsOn));
+}
+
+/**
+ * Rebuild text from the original and its edits
+ * @param {string} originalText - Text the edit offsets refer to
+ * @param {Array} edits - Edit list
+ * @param {Array<string>} rejectedIds - Ids of rejected edits (original wording is kept there)
+ * @returns {string} Edited text
+ */
+export function applyEdits(originalText, edits, rejectedIds = []) {
+  if (!originalText || typeof originalText !== "string") return "";
+
+  // Right to left so earlier offsets stay valid; at a shared offset the insertion lands first
+  return getActiveEdits(edits, rejectedIds)
+    .sort((a, b) => b.start - a.start || b.end - a.end)
+    .reduce((text, edit) => text.slice(0, edit.start) + edit.newText + text.slice(edit.end), originalText);
+}
+
+/**
+ * Split the original text into unchanged runs and edits for an inline diff view
+ * @param {string} originalText - Text the edit offsets refer to
+ * @param {Array} edits - Edit list
+ * @param {Array<string>} rejectedIds - Ids of rejected edits
+ * @returns {Array} [{ type: "unchanged", text } | { type: "edit", edit, rejected }]
+ */
+export function getDiffSegments(originalText, edits, rejectedIds = []) {
+  if (!originalText || typeof originalText !== "string") return [];
+
+  const activeIds = new Set(getActiveEdits(edits, rejectedIds).map(edit => edit.id));
+  const sorted = [...(edits || [])].sort((a, b) => a.start - b.start || a.end - b.end);
+  const segments = [];
+  let cursor = 0;
+
+  sorted.forEach(edit => {
+    if (edit.start > cursor) {
+      segments.push({ type: "unchanged", text: originalText.slice(cursor, edit.start) });
+    }
+    segments.push({ type: "edit", edit, rejected: !activeIds.has(edit.id) });
+    cursor = Math.max(cursor, edit.end);
+  });
+
+  if (cursor < originalText.length) {
+    segments.push({ type: "unchanged", text: originalText.slice(cursor) });
+  }
+  return segments;
+}
@@ -0,0 +1,350 @@
+/**
+ * Recipe Scaling
+ * Scales a converted recipe to a target number of servings, optionally converting
+ * between metric and US customary units, and rounds to measures a cook can actually use
+ *
+ * Premium feature (recipeScaling) - gate with featureGating.canUseRecipeScaling()
+ */
+
+import { parseRecipeText, parseIngredientLine, formatQuantity, inflectUnit, normalizeUnit } from "./ingredientLineParser";
+import { ORIGINAL_AMOUNT_PATTERN } from "./replacementRatio";
+
+/**
+ * Unit families with their size in the family's base unit (ml for volume, g for weight)
+ */
+const VOLUME_UNITS = {
+  tsp: 4.92892,
+  tbsp: 14.7868,
+  fl_oz: 29.5735,
+  cup: 236.588,
+  pint: 473.176,
+  quart: 946.353,
+  gallon: 3785.41,
+  ml: 1,
+  l: 1000
+};
+
+const WEIGHT_UNITS = {
+  g: 1,
+  kg: 1000,
+  oz: 28.3495,
+  lb: 453.592
+};
+
+/**
+ * Countable units are never converted and are rounded to whole (or half) items
+ */
+const WHOLE_COUNT_UNITS = new Set(["clove", "slice", "piece", "sprig", "pinch", "dash"]);
+const HALF_COUNT_UNITS = new Set(["can", "package", "stick", "bunch", "handful"]);
+
+/**
+ * How each canonical unit is written when the scaler introduces it
+ */
+const UNIT_DISPLAY = {
+  tsp: "tsp",
+  tbsp: "tbsp",
+  fl_oz: "fl oz",
+  cup: "cup",
+  pint: "pint",
+  quart: "quart",
+  gallon: "gallon",
+  ml: "ml",
+  l: "l",
+  g: "g",
+  kg: "kg",
+  oz: "oz",
+  lb: "lb"
+};
+
+export const MEASUREMENT_SYSTEMS = ["original", "metric", "us"];
+
+const SERVINGS_PATTERN = /\b(?:serves|servings?|yield|makes|portions?)\b\s*:?\s*(?:about\s+)?(\d+)/i;
+
+/**
+ * Detect the number of servings stated in a recipe ("Serves 4", "Servings: 6", "Yield: 12")
+ * @param {string} recipeText - Recipe text
+ * @returns {number|null} Servings or null if not stated
+ */
+export function detectServings(recipeText) {
+  if (!recipeText || typeof recipeText !== "string") return null;
+  const match = recipeText.match(SERVINGS_PATTERN);
+  const servings = match ? Number(match[1]) : null;
+  return servings && servings > 0 ? servings : null;
+}
+
+/**
+ * Get the unit family ("volume", "weight") of a canonical unit
+ * @param {string} unit - Canonical unit
+ * @returns {string|null}
+ */
+export function getUnitFamily(unit) {
+  if (VOLUME_UNITS[unit]) return "volume";
+  if (WEIGHT_UNITS[unit]) return "weight";
+  return null;
+}
+
+/**
+ * Convert a quantity between two units of the same family
+ * @param {number} quantity - Amount in fromUnit
+ * @param {string} fromUnit - Canonical unit
+ * @param {string} toUnit - Canonical unit
+ * @returns {number|null} Amount in toUnit, or null if the units are not convertible
+ */
+export function convertUnit(quantity, fromUnit, toUnit) {
+  if (fromUnit === toUnit) return quantity;
+  const family = getUnitFamily(fromUnit);
+  if (!family || family !== getUnitFamily(toUnit)) return null;
+  const table = family === "volume" ? VOLUME_UNITS : WEIGHT_UNITS;
+  return (quantity * table[fromUnit]) / table[toUnit];
+}
+
+/**
+ * Pick the unit a cook would use for an amount in the target measurement system
+ * @param {number} quantity - Amount in unit
+ * @param {string} unit - Canonical unit
+ * @param {string} system - "original", "metric" or "us"
+ * @returns {Object} { quantity, unit }
+ */
+export function toMeasurementSystem(quantity, unit, system = "original") {
+  const family = getUnitFamily(unit);
+  if (!family || system === "original") return { quantity, unit };
+
+  if (system === "metric") {
+    const base = convertUnit(quantity, unit, family === "volume" ? "ml" : "g");
+    if (base >= 1000) {
+      return { quantity: base / 1000, unit: family === "volume" ? "l" : "kg" };
+    }
+    return { quantity: base, unit: family === "volume" ? "ml" : "g" };
+  }
+
+  // US customary
+  if (family === "weight") {
+    const ounces = convertUnit(quantity, unit, "oz");
+    return ounces >= 16 ? { quantity: ounces / 16, unit: "lb" } : { quantity: ounces, unit: "oz" };
+  }
+
+  const teaspoons = convertUnit(quantity, unit, "tsp");
+  if (teaspoons >= 12) return { quantity: teaspoons / 48, unit: "cup" }; // ¼ cup and up
+  if (teaspoons >= 3) return { quantity: teaspoons / 3, unit: "tbsp" };
+  return { quantity: teaspoons, unit: "tsp" };
+}
+
+/**
+ * Round an amount to a sensible kitchen measure
+ * - Countable items (eggs, cloves) → whole items, never below one
+ * - Cans, sticks, packages → nearest half
+ * - US spoons and cups → nearest kitchen fraction (⅛, ¼, ⅓, ½, ⅔, ¾)
+ * - Metric → nearest 1 / 5 / 10 g or ml depending on size
+ * @param {number} quantity - Scaled amount
+ * @param {string|null} unit - Canonical unit (null for bare counts like "2 eggs")
+ * @returns {number} Rounded amount
+ */
+export function roundToKitchenMeasure(quantity, unit) {
+  if (!Number.isFinite(quantity) || quantity <= 0) return quantity;
+
+  if (!unit || WHOLE_COUNT_UNITS.has(unit)) {
+    return Math.max(1, Math.round(quantity));
+  }
+  if (HALF_COUNT_UNITS.has(unit)) {
+    return Math.max(0.5, Math.round(quantity * 2) / 2);
+  }
+
+  if (unit === "ml" || unit === "g") {
+    const step = quantity < 10 ? 1 : quantity < 100 ? 5 : 10;
+    return Math.max(1, Math.round(quantity / step) * step);
+  }
+  if (unit === "l" || unit === "kg") {
+    return Math.round(quantity * 10) / 10;
+  }
+
+  if (quantity >= 10) return Math.round(quantity);
+
+  // Nearest kitchen fraction: eighths and thirds
+  const whole = Math.floor(quantity);
+  const remainder = quantity - whole;
+  const fractions = [0, 1 / 8, 1 / 4, 1 / 3, 1 / 2, 2 / 3, 3 / 4, 1];
+  const closest = fractions.reduce((best, candidate) =>
+    Math.abs(candidate - remainder) < Math.abs(best - remainder) ? candidate : best
+  );
+  const rounded = whole + closest;
+  return rounded > 0 ? rounded : 1 / 8;
+}
+
+/**
+ * Scale one amount: multiply, convert to the target system and round
+ * @returns {Object} { quantity, quantityMax, unit }
+ */
+function scaleAmount(quantity, quantityMax, unit, factor, system) {
+  const convert = (value) => {
+    const converted = toMeasurementSystem(value * factor, unit, system);
+    return { ...converted, quantity: roundToKitchenMeasure(converted.quantity, converted.unit) };
+  };
+
+  const low = convert(quantity);
+  const high = quantityMax !== null && quantityMax !== undefined ? convert(quantityMax) : null;
+  return {
+    quantity: low.quantity,
+    // Ranges stay in the unit of their lower bound
+    quantityMax: high ? roundToKitchenMeasure(convertUnit(high.quantity, high.unit, low.unit) ?? high.quantity, low.unit) : null,
+    unit: low.unit
+  };
+}
+
+/**
+ * Write an amount back as text, reusing the recipe's own spelling of the amount when it didn't change,
+ * of a range's separator ("2-3", "2 to 3") and of the unit when the unit didn't change
+ */
+function formatScaledAmount(scaled, line) {
+  const unchanged = scaled.quantity === line.quantity && scaled.quantityMax === (line.quantityMax ?? null) && scaled.unit === line.unit;
+  const separator = line.quantityText.match(/\s*(?:-|–|to)\s*/i)?.[0] || "–";
+  const amount = unchanged
+    ? line.quantityText
+    : scaled.quantityMax !== null && scaled.quantityMax !== scaled.quantity
+      ? `${formatQuantity(scaled.quantity)}${separator}${formatQuantity(scaled.quantityMax)}`
+      : formatQuantity(scaled.quantity);
+  const count = scaled.quantityMax ?? scaled.quantity;
+
+  if (!scaled.unit) return { amount, unitText: null };
+  const unitText = scaled.unit === line.unit && line.unitText
+    ? inflectUnit(line.unitText, count)
+    : inflectUnit(UNIT_DISPLAY[scaled.unit] || scaled.unit, count);
+  return { amount, unitText };
+}
+
+// Plurals the suffix rules below get wrong
+const IRREGULAR_PLURALS = { leaf: "leaves", loaf: "loaves", half: "halves" };
+const IRREGULAR_SINGULARS = Object.fromEntries(Object.entries(IRREGULAR_PLURALS).map(([singular, plural]) => [plural, singular]));
+
+/**
+ * Make a counted noun agree with a new count ("eggs" → "egg", "tomato" → "tomatoes")
+ */
+function inflectNoun(word, count) {
+  const lower = word.toLowerCase();
+  if (count > 1) {
+    if (IRREGULAR_PLURALS[lower]) return word.slice(0, -lower.length) + IRREGULAR_PLURALS[lower];
+    if (/s$/.test(lower)) return word;
+    if (/[^aeiou]y$/.test(lower)) return `${word.slice(0, -1)}ies`;
+    if (/(ch|sh|x|z|tomato|potato)$/.test(lower)) return `${word}es`;
+    return `${word}s`;
+  }
+  if (IRREGULAR_SINGULARS[lower]) return word.slice(0, -lower.length) + IRREGULAR_SINGULARS[lower];
+  if (/..ies$/.test(lower) && lower.length > 4) return `${word.slice(0, -3)}y`;
+  if (/(ch|sh|x|z|ss|tomato|potato)es$/.test(lower)) return word.slice(0, -2);
+  if (/[^s]s$/.test(lower)) return word.slice(0, -1);
+  return word;
+}
+
+/**
+ * Re-inflect the counted noun of a line without a parsed unit when the count crosses one
+ * - "2 eggs" → "1 egg": the last word of the ingredient name
+ * - "1 (14 oz) can tomatoes" → "2 (14 oz) cans tomatoes": a unit word the name starts with,
+ *   which the package size in parentheses kept the parser from reading as the unit
+ */
+function inflectCountNoun(text, line, count) {
+  const previous = line.quantityMax ?? line.quantity;
+  if (line.unit || !line.name || line.nameOffset === null || line.nameOffset === undefined) return text;
+  if ((previous > 1) === (count > 1)) return text;
+
+  const unitWord = text.slice(line.nameOffset).match(/^(\([^)]*\)\s*)?([A-Za-z]+)\b/);
+  if (unitWord && normalizeUnit(unitWord[2])) {
+    const start = line.nameOffset + (unitWord[1] || "").length;
+    const end = start + unitWord[2].length;
+    return `${text.slice(0, start)}${inflectUnit(unitWord[2], count)}${text.slice(end)}`;
+  }
+
+  const noun = line.name.match(/[A-Za-z]+$/);
+  if (!noun) return text;
+  const start = line.nameOffset + noun.index;
+  const end = start + noun[0].length;
+  if (text.slice(start, end) !== noun[0]) return text;
+  return `${text.slice(0, start)}${inflectNoun(noun[0], count)}${text.slice(end)}`;
+}
+
+/**
+ * Rewrite the amount of a parsed line in place, keeping everything around it
+ * @param {string} text - Line text the offsets refer to
+ * @param {Object} line - Parsed line (quantity, quantityMax, quantityText, quantityOffset, unit, unitText)
+ * @param {number} factor - Scaling factor
+ * @param {string} system - Measurement system
+ * @returns {string} Rewritten text
+ */
+function rewriteAmount(text, line, factor, system) {
+  if (line.quantityOffset === null || line.quantityOffset === undefined) return text;
+
+  const scaled = scaleAmount(line.quantity, line.quantityMax, line.unit, factor, system);
+  const { amount, unitText } = formatScaledAmount(scaled, line);
+
+  const start = line.quantityOffset;
+  // The noun comes after the amount, so inflecting it first leaves the amount's offsets intact
+  const inflected = inflectCountNoun(text, line, scaled.quantityMax ?? scaled.quantity);
+  let rest = inflected.slice(start + line.quantityText.length);
+  if (!line.unitText) return `${text.slice(0, start)}${amount}${rest}`;
+
+  const unitStart = rest.indexOf(line.unitText);
+  // Unit no longer where the parser found it: change only the amount
+  if (unitStart === -1 || rest.slice(0, unitStart).trim() !== "") return `${text.slice(0, start)}${amount}${rest}`;
+  // Keep "500g" attached, but never glue a new unit word onto the number
+  const gap = rest.slice(0, unitStart) || (unitText === line.unitText ? "" : " ");
+  rest = rest.slice(unitStart + line.unitText.length);
+  return `${text.slice(0, start)}${amount}${gap}${unitText}${rest}`;
+}
+
+/**
+ * Scale a single ingredient line of text
+ * @param {Object} line - Ingredient line from parseRecipeText()
+ * @param {number} factor - Scaling factor
+ * @param {string} system - Measurement system
+ * @returns {string} Rewritten line text
+ */
+function scaleIngredientLine(line, factor, system) {
+  const text = rewriteAmount(line.text, line, factor, system);
+
+  // Keep the "(originally …)" note left by the replacement ratio in step with the new amount
+  return text.replace(ORIGINAL_AMOUNT_PATTERN, (match, originalAmount) =>
+    match.replace(originalAmount, rewriteAmount(originalAmount, parseIngredientLine(originalAmount), factor, system))
+  );
+}
+
+/**
+ * Scale a converted recipe to a target number of servings
+ * @param {string} recipeText - Converted recipe text
+ * @param {number} targetServings - Servings wanted
+ * @param {Object} options - { originalServings, system: "original" | "metric" | "us" }
+ *   originalServings defaults to the servings stated in the recipe
+ * @returns {Object} { text, factor, originalServings, targetServings, system, scaledLines }
+ *   - scaledLines: [{ index, original, scaled }] for every ingredient line that changed
+ */
+export function scaleRecipe(recipeText, targetServings, options = {}) {
+  const system = MEASUREMENT_SYSTEMS.includes(options.system) ? options.system : "original";
+  const originalServings = options.originalServings || detectServings(recipeText);
+  const result = {
+    text: recipeText || "",
+    factor: 1,
+    originalServings: originalServings || null,
+    targetServings: targetServings || null,
+    system,
+    scaledLines: []
+  };
+
+  if (!recipeText || typeof recipeText !== "string") return result;
+  const factor = originalServings && targetServings > 0 ? targetServings / originalServings : 1;
+  result.factor = factor;
+  if (factor === 1 && system === "original") return result;
+
+  const parsed = parseRecipeText(recipeText);
+  const lines = parsed.lines.map(line => line.text);
+
+  parsed.ingredients.forEach(line => {
+    const scaledText = scaleIngredientLine(line, factor, system);
+    if (scaledText !== line.text) {
+      lines[line.index] = scaledText;
+      result.scaledLines.push({ index: line.index, original: line.text, scaled: scaledText });
+    }
+  });
+
+  // Update the stated servings so the text stays consistent
+  result.text = lines.join("\n").replace(SERVINGS_PATTERN, (match, servings) =>
+    originalServings && targetServings > 0 ? match.replace(servings, String(targetServings)) : match
+  );
+  return result;
+}
@@ -0,0 +1,245 @@
+/**
+ * Replacement Ratio Logic
+ * Parses the knowledge base's replacement ratios and applies them to parsed ingredient quantities
+ *
+ * Supported ratio formats:
+ * - "1:1", "1:0.75", "2:1 by volume" (original : replacement)
+ * - "use half", "a third", "three quarters", "double", "1.5x", "equal amount"
+ * - "1 cup wine → ¾ cup grape juice + ¼ cup vinegar" (multi-component replacement)
+ * - { original: 1, replacement: 0.5 } or { factor: 0.5 } (structured)
+ */
+
+import { parseQuantity, parseIngredientLine, formatQuantity, inflectUnit } from "./ingredientLineParser";
+
+/**
+ * Note appended to a converted line when its quantity was rewritten: "(originally 1 tsp)"
+ */
+export const ORIGINAL_AMOUNT_PATTERN = /\(originally ([^)]+)\)/;
+
+/**
+ * Build the note appended to a converted line when its quantity was rewritten
+ * @param {string} originalAmountText - e.g. "1 tsp"
+ * @returns {string} "(originally 1 tsp)"
+ */
+export function formatOriginalAmountNote(originalAmountText) {
+  return `(originally ${originalAmountText})`;
+}
+
+/**
+ * Word forms → multiplication factor
+ * Checked in order, so longer phrases come before the words they contain
+ */
+const WORD_FACTORS = [
+  [/\bthree[\s-]quarters?\b/, 0.75],
+  [/\btwo[\s-]thirds?\b/, 2 / 3],
+  [/\b(half|halve)\b/, 0.5],
+  [/\b(a\s+)?third\b/, 1 / 3],
+  [/\b(a\s+)?quarter\b/, 0.25],
+  [/\b(double|twice)\b/, 2],
+  [/\btriple\b/, 3],
+  [/\b(equal|same)\s+(amount|quantity|measure)\b/, 1]
+];
+
+const ARROW_PATTERN = /\s*(?:→|->|=>)\s*/;
+const NUMBER = "(\\d+\\s+\\d+\\/\\d+|\\d+\\/\\d+|\\d+(?:\\.\\d+)?)";
+const COLON_PATTERN = new RegExp(`^${NUMBER}\\s*:\\s*${NUMBER}`);
+const MULTIPLIER_PATTERN = new RegExp(`^${NUMBER}\\s*(?:x|×|times)\\b`, "i");
+
+/**
+ * Parse a replacement ratio from the knowledge base
+ * @param {string|Object} ratio - Ratio as stored in conversion_ratio / replacementRatio
+ * @returns {Object|null} { factor, basis, components, sourceUnit, note, text } or null if unparseable
+ *   - factor: replacement quantity per 1 unit of original
+ *   - basis: "volume", "weight" or null
+ *   - components: [{ name, perUnit, unit }] when the replacement is a mix of ingredients
+ */
+export function parseReplacementRatio(ratio) {
+  if (ratio === null || ratio === undefined) return null;
+
+  if (typeof ratio === "object") {
+    const factor = typeof ratio.factor === "number"
+      ? ratio.factor
+      : (typeof ratio.original === "number" && typeof ratio.replacement === "number" && ratio.original > 0
+          ? ratio.replacement / ratio.original
+          : null);
+    if (factor === null || !Number.isFinite(factor) || factor <= 0) return null;
+    return {
+      factor,
+      basis: ratio.basis || null,
+      components: [],
+      sourceUnit: null,
+      note: ratio.note || null,
+      text: ratio.text || `1:${formatQuantity(factor)}`
+    };
+  }
+
+  if (typeof ratio !== "string" || ratio.trim() === "") return null;
+
+  const text = ratio.trim();
+  const noteMatch = text.match(/\(([^)]*)\)/);
+  const note = noteMatch ? noteMatch[1].trim() : null;
+  const body = text.replace(/\([^)]*\)/g, "").trim();
+  const basisMatch = body.match(/\bby\s+(volume|weight)\b/i);
+  const basis = basisMatch ? basisMatch[1].toLowerCase() : null;
+
+  const result = { factor: null, basis, components: [], sourceUnit: null, note, text };
+
+  // "1 cup wine → ¾ cup grape juice + ¼ cup vinegar"
+  if (ARROW_PATTERN.test(body)) {
+    const [left, right] = body.split(ARROW_PATTERN);
+    const source = parseIngredientLine(left);
+    const parts = right.split(/\s+\+\s+|\s+and\s+/i).map(part => parseIngredientLine(part));
+    const sameUnit = parts.every(part => part.quantity !== null && part.unit === source.unit);
+
+    if (source.quantity && sameUnit) {
+      result.sourceUnit = source.unit;
+      result.components = parts.map(part => ({
+        name: part.name,
+        perUnit: part.quantity / source.quantity,
+        unit: part.unit
+      }));
+      result.factor = result.components.reduce((sum, part) => sum + part.perUnit, 0);
+      return result;
+    }
+    return null;
+  }
+
+  // "1:0.75", "2:1 by volume"
+  const colon = body.match(COLON_PATTERN);
+  if (colon) {
+    const original = parseQuantity(colon[1]);
+    const replacement = parseQuantity(colon[2]);
+    if (!original || !replacement) return null;
+    result.factor = replacement / original;
+    return result;
+  }
+
+  // "1.5x", "2 times the amount"
+  const multiplier = body.match(MULTIPLIER_PATTERN);
+  if (multiplier) {
+    const factor = parseQuantity(multiplier[1]);
+    if (!factor) return null;
+    result.factor = factor;
+    return result;
+  }
+
+  // "use half", "double"
+  const lower = body.toLowerCase();
+  const word = WORD_FACTORS.find(([pattern]) => pattern.test(lower));
+  if (word) {
+    result.factor = word[1];
+    return result;
+  }
+
+  return null;
+}
+
+/**
+ * Format a quantity with its unit ("1 ½ cups", "2–3 cloves", "½ tsp")
+ */
+function formatAmount(quantity, quantityMax, unitText) {
+  const amount = quantityMax !== null && quantityMax !== undefined
+    ? `${formatQuantity(quantity)}–${formatQuantity(quantityMax)}`
+    : formatQuantity(quantity);
+  const unit = unitText ? inflectUnit(unitText, quantityMax ?? quantity) : "";
+  return unit ? `${amount} ${unit}` : amount;
+}
+
+/**
+ * Apply a parsed ratio to a structured ingredient line
+ * @param {Object} line - Structured line (see ingredientLineParser.toStructuredLine)
+ * @param {Object} parsedRatio - Result of parseReplacementRatio()
+ * @returns {Object|null} { factor, ratioText, original, converted, components } or null
+ *   when the line has no quantity or the ratio can't be applied
+ */
+export function applyReplacementRatio(line, parsedRatio) {
+  if (!line || line.quantity === null || line.quantity === undefined || !parsedRatio?.factor) {
+    return null;
+  }
+
+  const factor = parsedRatio.factor;
+  const quantity = line.quantity * factor;
+  const quantityMax = line.quantityMax !== null && line.quantityMax !== undefined
+    ? line.quantityMax * factor
+    : null;
+
+  // Component breakdown only makes sense when the line uses the ratio's own unit
+  const components = parsedRatio.components.length > 0 &&
+    (parsedRatio.sourceUnit === null || parsedRatio.sourceUnit === line.unit)
+    ? parsedRatio.components.map(component => {
+        const componentQuantity = line.quantity * component.perUnit;
+        return {
+          name: component.name,
+          quantity: componentQuantity,
+          unit: component.unit,
+          text: `${formatAmount(componentQuantity, null, line.unitText || component.unit)} ${component.name}`.trim()
+        };
+      })
+    : [];
+
+  return {
+    factor,
+    ratioText: parsedRatio.text,
+    original: {
+      quantity: line.quantity,
+      quantityMax: line.quantityMax ?? null,
+      unit: line.unit,
+      // As the user wrote it ("1 ½ tbsp"), not re-inflected
+      text: line.quantityText
+        ? [line.quantityText, line.unitText].filter(Boolean).join(" ")
+        : formatAmount(line.quantity, line.quantityMax ?? null, line.unitText)
+    },
+    converted: {
+      quantity,
+      quantityMax,
+      unit: line.unit,
+      text: formatAmount(quantity, quantityMax, line.unitText)
+    },
+    components
+  };
+}
+
+/**
+ * Locate the quantity (and unit) of a line of text and build its rewritten form
+ * @param {string} lineText - Current text of the line
+ * @param {Object} line - Structured line the quantity offsets refer to
+ * @param {Object} adjustment - Result of applyReplacementRatio()
+ * @returns {Object|null} { start, end, originalText, newText } with offsets into lineText,
+ *   or null if the quantity is no longer where the parser found it
+ */
+export function getQuantityEdit(lineText, line, adjustment) {
+  if (!adjustment || line.quantityOffset === null || line.quantityOffset === undefined) return null;
+
+  const start = line.quantityOffset;
+  let end = start + line.quantityText.length;
+  if (lineText.slice(start, end) !== line.quantityText) return null;
+
+  const { quantity, quantityMax } = adjustment.converted;
+  let newText = quantityMax !== null
+    ? `${formatQuantity(quantity)}–${formatQuantity(quantityMax)}`
+    : formatQuantity(quantity);
+
+  if (line.unitText) {
+    const after = lineText.slice(end);
+    const unitStart = after.indexOf(line.unitText);
+    if (unitStart !== -1 && after.slice(0, unitStart).trim() === "") {
+      newText += after.slice(0, unitStart) + inflectUnit(line.unitText, quantityMax ?? quantity);
+      end += unitStart + line.unitText.length;
+    }
+  }
+
+  return { start, end, originalText: lineText.slice(start, end), newText };
+}
+
+/**
+ * Rewrite the quantity (and unit) of a line of text in place
+ * @param {string} lineText - Current text of the line
+ * @param {Object} line - Structured line the quantity offsets refer to
+ * @param {Object} adjustment - Result of applyReplacementRatio()
+ * @returns {string|null} Rewritten line, or null if the quantity is no longer where the parser found it
+ */
+export function rewriteLineQuantity(lineText, line, adjustment) {
+  const edit = getQuantityEdit(lineText, line, adjustment);
+  if (!edit) return null;
+  return lineText.slice(0, edit.start) + edit.newText + lineText.slice(edit.end);
+}
@@ -0,0 +1,52 @@
+/**
+ * Preferred Substitutes
+ * Remembers which alternative the user picked for each ingredient, as part of their halal preferences
+ * Passed to convertRecipeWithJson() as userPreferences.preferredSubstitutes
+ */
+
+const STORAGE_KEY = "halalPreferredSubstitutes";
+
+/**
+ * Get remembered substitutes
+ * @returns {Object} Map of ingredient ID -> substitute ID
+ */
+export function getPreferredSubstitutes() {
+  try {
+    if (typeof Storage === "undefined") return {};
+    const saved = JSON.parse(localStorage.getItem(STORAGE_KEY) || "{}");
+    return saved && typeof saved === "object" && !Array.isArray(saved) ? saved : {};
+  } catch (error) {
+    console.error("Error loading preferred substitutes:", error);
+    return {};
+  }
+}
+
+function savePreferredSubstitutes(preferences) {
+  try {
+    localStorage.setItem(STORAGE_KEY, JSON.stringify(preferences));
+  } catch (error) {
+    console.error("Error saving preferred substitutes:", error);
+  }
+  return preferences;
+}
+
+/**
+ * Remember the substitute picked for an ingredient
+ * @param {string} ingredientId - Ingredient ID (snake_case)
+ * @param {string} substituteId - Substitute ID (snake_case)
+ * @returns {Object} Updated map
+ */
+export function setPreferredSubstitute(ingredientId, substituteId) {
+  if (!ingredientId || !substituteId) return getPreferredSubstitutes();
+  return savePreferredSubstitutes({ ...getPreferredSubstitutes(), [ingredientId]: substituteId });
+}
+
+/**
+ * Forget the remembered substitute for an ingredient (back to the default first alternative)
+ * @param {string} ingredientId - Ingredient ID (snake_case)
+ * @returns {Object} Updated map
+ */
+export function clearPreferredSubstitute(ingredientId) {
+  const { [ingredientId]: removed, ...rest } = getPreferredSubstitutes();
+  return savePreferredSubstitutes(rest);
+}
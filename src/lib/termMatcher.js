@@ -0,0 +1,126 @@
+/**
+ * Term Matcher
+ * Character trie over knowledge-base keys and aliases for single-pass ingredient detection
+ *
+ * Matching rules:
+ * - Case-insensitive; spaces, underscores and hyphens are interchangeable ("pork_belly" = "pork belly" = "pork-belly")
+ * - Terms only match on word boundaries ("wine" never matches inside "swine")
+ * - Overlapping matches are resolved longest-match-wins, so "wine vinegar" is one match, not "wine" + "wine vinegar"
+ */
+
+const SEPARATOR = " ";
+const SEPARATOR_CHARS = /[\s_-]/;
+const WORD_CHAR = /[\p{L}\p{N}]/u;
+
+function isWordChar(char) {
+  return char !== undefined && WORD_CHAR.test(char);
+}
+
+/**
+ * Normalize a term the way the trie stores it: lowercase, separators collapsed to one space
+ * @param {string} term - Key or alias ("Pork_Belly", "white-wine")
+ * @returns {string} "pork belly", "white wine"
+ */
+export function normalizeTerm(term) {
+  if (!term || typeof term !== "string") return "";
+  return term.toLowerCase().replace(/[\s_-]+/g, SEPARATOR).trim();
+}
+
+function createNode() {
+  return { children: new Map(), term: null, value: undefined };
+}
+
+/**
+ * Build a trie from [term, value] pairs
+ * The first value registered for a normalized term wins, so callers control precedence by order.
+ * @param {Iterable<Array>} entries - [term, value] pairs
+ * @returns {Object} Trie root
+ */
+export function buildTermTrie(entries) {
+  const root = createNode();
+
+  for (const [term, value] of entries) {
+    const normalized = normalizeTerm(term);
+    if (!normalized) continue;
+
+    let node = root;
+    for (const char of normalized) {
+      if (!node.children.has(char)) {
+        node.children.set(char, createNode());
+      }
+      node = node.children.get(char);
+    }
+    if (node.value === undefined) {
+      node.term = term;
+      node.value = value;
+    }
+  }
+
+  return root;
+}
+
+/**
+ * Find the longest term starting at a word start
+ * @returns {Object|null} { start, end, node }
+ */
+function matchAt(text, start, root) {
+  let node = root;
+  let index = start;
+  let longest = null;
+
+  while (index < text.length) {
+    let char = text[index].toLowerCase();
+    let next = index + 1;
+    if (SEPARATOR_CHARS.test(char)) {
+      char = SEPARATOR;
+      while (next < text.length && SEPARATOR_CHARS.test(text[next])) next++;
+    }
+
+    node = node.children.get(char);
+    if (!node) break;
+    index = next;
+
+    if (node.value !== undefined && !isWordChar(text[index])) {
+      longest = { start, end: index, node };
+    }
+  }
+
+  return longest;
+}
+
+/**
+ * Find all term matches in a text
+ * Candidates are collected at every word start, then resolved longest-match-wins
+ * (ties go to the earlier match) so no two returned matches overlap.
+ * @param {string} text - Text to scan
+ * @param {Object} root - Trie from buildTermTrie()
+ * @returns {Array} [{ start, end, text, term, value }] sorted by start offset
+ */
+export function findTermMatches(text, root) {
+  if (!text || typeof text !== "string" || !root) return [];
+
+  const candidates = [];
+  for (let index = 0; index < text.length; index++) {
+    if (!isWordChar(text[index]) || isWordChar(text[index - 1])) continue;
+    const match = matchAt(text, index, root);
+    if (match) candidates.push(match);
+  }
+
+  candidates.sort((a, b) => (b.end - b.start) - (a.end - a.start) || a.start - b.start);
+
+  const resolved = [];
+  candidates.forEach(candidate => {
+    const overlaps = resolved.some(match => candidate.start < match.end && match.start < candidate.end);
+    if (!overlaps) resolved.push(candidate);
+  });
+
+  return resolved
+    .sort((a, b) => a.start - b.start)
+    .map(({ start, end, node }) => ({
+      start,
+      end,
+      text: text.slice(start, end),
+      term: node.term,
+      value: node.value
+    }));
+}
@@ -184,6 +184,13 @@ export const UPGRADE_COPY = {
       dismiss: "Convert One at a Time"
     },
     
+    recipeScaling: {
+      title: "Recipe Scaling",
+      message: "Scale any converted recipe to the number of servings you need, in metric or US measures. Premium feature.",
+      cta: "Upgrade to Scale Recipes",
+      dismiss: "Keep Original Servings"
+    },
+    
     conversionHistory: {
       title: "Conversion History",
       message: "View and manage your past conversions. Build your halal recipe library. Premium feature.",
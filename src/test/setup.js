@@ -0,0 +1,12 @@
+/**
+ * Shared Test Setup
+ * Runs before every test file (vite.config.js test.setupFiles); tests run in jsdom, so
+ * localStorage and navigator exist as in the browser
+ */
+
+import { beforeEach } from 'vitest';
+
+// Saved preferences, history, rules and profiles never carry over from one test to the next
+beforeEach(() => {
+  localStorage.clear();
+});
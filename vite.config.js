@@ -17,7 +17,21 @@ export default defineConfig({
   build: {
     outDir: 'dist',
     sourcemap: false,
+    rollupOptions: {
+      output: {
+        // Tesseract loads its WASM core and language data by file name from one directory (see src/lib/labelOcr.js)
+        assetFileNames: (assetInfo) =>
+          /^(tesseract-core.*\.wasm\.js|.*\.traineddata\.gz)$/.test(assetInfo.name || '')
+            ? 'assets/ocr/[name][extname]'
+            : 'assets/[name]-[hash][extname]',
+      },
+    },
   },
   // Ensure public directory is served
   publicDir: 'public',
+  // Tests run in jsdom so modules that keep preferences in localStorage work as in the browser
+  test: {
+    environment: 'jsdom',
+    setupFiles: ['./src/test/setup.js'],
+  },
 });